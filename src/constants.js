@@ -14,6 +14,10 @@ export const FOREST_TILE = 2;
 export const SWAMP_TILE = 3;
 export const FLOOR_TILE = 4;
 export const BORDER_TILE = 5;
+export const ICE_TILE = 6;
+export const LAVA_TILE = 7;
+export const CONSECRATED_TILE = 8;
+export const RUBBLE_TILE = 9;
 
 // Game settings
 export const FILE_SIZE = 16; // Size of follower entity
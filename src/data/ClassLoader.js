@@ -19,8 +19,8 @@ export default class ClassLoader {
         }
         
         // Standard file loading
-        this.scene.load.text('classStats', 'assets/data/class-stats.csv');
-        this.scene.load.text('commanderStats', 'assets/data/commander-stats.csv');
+        this.scene.load.text('classStats', 'class-stats.csv');
+        this.scene.load.text('commanderStats', 'commander-stats.csv');
     }
 
     load() {
@@ -230,7 +230,7 @@ export default class ClassLoader {
                     console.log('Executing Chain Lightning special attack');
                     
                     // Convert range to proper number
-                    let range = parseFloat(classData.range) || TILE_SIZE * 4;
+                    let range = (parseFloat(classData.range) || TILE_SIZE * 4) * (entity.specialRangeMultiplier || 1);
                     let damage = parseFloat(classData.damage) || 2;
                     
                     // Find entity position
@@ -268,7 +268,7 @@ export default class ClassLoader {
                     
                     // Damage first enemy
                     if (closest.damage) {
-                        closest.damage(damage);
+                        closest.damage(damage, 'lightning');
                     } else {
                         closest.health -= damage;
                     }
@@ -304,7 +304,7 @@ export default class ClassLoader {
                         
                         // Damage second enemy
                         if (secondTarget.damage) {
-                            secondTarget.damage(damage);
+                            secondTarget.damage(damage, 'lightning');
                         } else {
                             secondTarget.health -= damage;
                         }
@@ -340,7 +340,7 @@ export default class ClassLoader {
                             
                             // Damage third enemy
                             if (thirdTarget.damage) {
-                                thirdTarget.damage(damage);
+                                thirdTarget.damage(damage, 'lightning');
                             } else {
                                 thirdTarget.health -= damage;
                             }
@@ -381,7 +381,7 @@ export default class ClassLoader {
                     console.log('Executing Timeburst special attack');
                     
                     // Convert range to proper number
-                    let range = parseFloat(classData.range) || TILE_SIZE * 4;
+                    let range = (parseFloat(classData.range) || TILE_SIZE * 4) * (entity.specialRangeMultiplier || 1);
                     
                     // Find entity position
                     const sprite = entity.sprite || entity;
@@ -402,56 +402,9 @@ export default class ClassLoader {
                             sprite.x, sprite.y, enemy.x, enemy.y
                         );
                         
-                        if (dist <= range) {
-                            // Apply slow effect
+                        if (dist <= range && typeof enemy.applyStatus === 'function' &&
+                            enemy.applyStatus('slow', { duration: 2000, potency: 0.3 })) {
                             affected++;
-                            enemy.setTint(0xC78FFF);
-                            
-                            // Store original speed if not already slowed
-                            if (!enemy.originalSpeed) {
-                                if (enemy.speed) {
-                                    enemy.originalSpeed = enemy.speed;
-                                    enemy.speed *= 0.3; // Slow to 30%
-                                } else if (enemy.body && enemy.body.speed) {
-                                    enemy.originalSpeed = enemy.body.speed;
-                                    enemy.body.speed *= 0.3;
-                                }
-                            }
-                            
-                            // Create particles for visual effect
-                            const particles = scene.add.particles('particle');
-                            const emitter = particles.createEmitter({
-                                x: enemy.x,
-                                y: enemy.y,
-                                follow: enemy,
-                                speed: { min: 20, max: 40 },
-                                scale: { start: 0.3, end: 0 },
-                                lifespan: 500,
-                                quantity: 1,
-                                frequency: 100,
-                                tint: 0xC78FFF
-                            });
-                            
-                            // Restore speed after a delay
-                            scene.time.delayedCall(2000, () => {
-                                if (enemy.active) {
-                                    enemy.clearTint();
-                                    if (enemy.originalSpeed) {
-                                        if (enemy.speed) {
-                                            enemy.speed = enemy.originalSpeed;
-                                        } else if (enemy.body && enemy.body.speed) {
-                                            enemy.body.speed = enemy.originalSpeed;
-                                        }
-                                        delete enemy.originalSpeed;
-                                    }
-                                }
-                                
-                                // Stop particles
-                                emitter.stop();
-                                scene.time.delayedCall(500, () => {
-                                    particles.destroy();
-                                });
-                            });
                         }
                     });
                     
@@ -561,7 +514,7 @@ export default class ClassLoader {
                     console.log(`Executing default attack for ${specialAbility}`);
                     
                     // Convert range and damage
-                    let range = parseFloat(classData.range) || TILE_SIZE * 3;
+                    let range = (parseFloat(classData.range) || TILE_SIZE * 3) * (entity.specialRangeMultiplier || 1);
                     let damage = parseFloat(classData.damage) || 1;
                     
                     // Find entity position
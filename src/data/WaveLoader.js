@@ -0,0 +1,184 @@
+import { WAVE_COUNT } from '../constants.js';
+
+// Enemy categories that can appear as columns in the wave table
+export const WAVE_ENEMY_TYPES = ['melee', 'dasher', 'bomber', 'shooter', 'mage'];
+
+const REQUIRED_HEADERS = ['level', 'wave', ...WAVE_ENEMY_TYPES, 'spawninterval', 'boss'];
+
+/**
+ * Loads per-level, per-wave enemy compositions from wave-tables.csv so waves
+ * can be tuned without touching SpawnSystem.
+ */
+export default class WaveLoader {
+    constructor(scene) {
+        this.scene = scene;
+        this.waves = {};      // Keyed by "level-wave"
+        this.errors = [];     // Validation errors from the last load()
+        this.loaded = false;
+        this.useTextArea = false; // Flag to check if we're using a text area instead of file loading
+    }
+
+    preload() {
+        // Check if a text area exists for offline loading
+        if (document.getElementById('waveTablesData')) {
+            this.useTextArea = true;
+            console.log('[WaveLoader] Using text area for wave data loading');
+            return;
+        }
+
+        this.scene.load.text('waveTables', 'wave-tables.csv');
+    }
+
+    load() {
+        if (this.loaded) return;
+
+        let waveCSV;
+
+        if (this.useTextArea) {
+            waveCSV = document.getElementById('waveTablesData')?.textContent;
+        } else {
+            try {
+                waveCSV = this.scene.cache.text.get('waveTables');
+            } catch (error) {
+                console.error('[WaveLoader] Error loading wave table from cache:', error);
+            }
+        }
+
+        this.waves = {};
+        this.errors = [];
+
+        if (!waveCSV) {
+            console.error('[WaveLoader] Failed to load wave table, SpawnSystem will use its fallback formula');
+        } else {
+            this.parseCSV(waveCSV);
+            this.validateLevels();
+        }
+
+        if (this.errors.length > 0) {
+            console.error(`[WaveLoader] wave-tables.csv has ${this.errors.length} problem(s):\n  ${this.errors.join('\n  ')}`);
+        }
+
+        this.loaded = true;
+        console.log(`[WaveLoader] Loaded ${Object.keys(this.waves).length} wave definitions`);
+    }
+
+    /**
+     * Parse the CSV text into wave entries, rejecting malformed rows
+     * @param {string} csvContent - Raw CSV text
+     */
+    parseCSV(csvContent) {
+        const lines = csvContent.split(/\r?\n/);
+        const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+
+        const missing = REQUIRED_HEADERS.filter(h => !headers.includes(h));
+        if (missing.length > 0) {
+            this.errors.push(`Missing column(s): ${missing.join(', ')}`);
+            return;
+        }
+
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const values = line.split(',').map(v => v.trim());
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = values[index];
+            });
+
+            const entry = this.parseRow(row, i + 1);
+            if (!entry) continue;
+
+            const key = `${entry.level}-${entry.wave}`;
+            if (this.waves[key]) {
+                this.errors.push(`Line ${i + 1}: duplicate entry for level ${entry.level} wave ${entry.wave}`);
+                continue;
+            }
+            this.waves[key] = entry;
+        }
+    }
+
+    /**
+     * Convert one CSV row into a wave entry
+     * @param {object} row - Values keyed by lowercase header
+     * @param {number} lineNumber - Line number for error messages
+     * @returns {object|null} Wave entry or null if the row is invalid
+     */
+    parseRow(row, lineNumber) {
+        const problems = [];
+        const toInt = (field, min) => {
+            const value = Number(row[field]);
+            if (row[field] === undefined || row[field] === '' || !Number.isInteger(value) || value < min) {
+                problems.push(`${field} must be an integer >= ${min} (got '${row[field] ?? ''}')`);
+                return 0;
+            }
+            return value;
+        };
+
+        const entry = {
+            level: toInt('level', 1),
+            wave: toInt('wave', 1),
+            spawnInterval: toInt('spawninterval', 100),
+            boss: row.boss === '1' || (row.boss || '').toLowerCase() === 'true'
+        };
+
+        if (entry.wave > WAVE_COUNT) {
+            problems.push(`wave must be between 1 and ${WAVE_COUNT} (got ${entry.wave})`);
+        }
+
+        entry.totalEnemies = 0;
+        WAVE_ENEMY_TYPES.forEach(type => {
+            entry[type] = toInt(type, 0);
+            entry.totalEnemies += entry[type];
+        });
+
+        if (!entry.boss && entry.totalEnemies === 0 && problems.length === 0) {
+            problems.push('non-boss wave has no enemies');
+        }
+
+        if (problems.length > 0) {
+            this.errors.push(`Line ${lineNumber}: ${problems.join('; ')}`);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Report levels that define some waves but not all of them
+     */
+    validateLevels() {
+        const levels = new Set(Object.values(this.waves).map(entry => entry.level));
+
+        levels.forEach(level => {
+            for (let wave = 1; wave <= WAVE_COUNT; wave++) {
+                if (!this.waves[`${level}-${wave}`]) {
+                    this.errors.push(`Level ${level} is missing wave ${wave}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Get the table entry for a wave
+     * @param {number} level - Campaign level
+     * @param {number} wave - Wave number within the level
+     * @returns {object|null} Wave entry or null if the table doesn't define it
+     */
+    getWave(level, wave) {
+        return this.waves[`${level}-${wave}`] || null;
+    }
+
+    /**
+     * Check whether any wave of a level is a boss wave
+     * @param {number} level - Campaign level
+     * @returns {boolean} True if the table puts a boss in this level
+     */
+    hasBossWave(level) {
+        for (let wave = 1; wave <= WAVE_COUNT; wave++) {
+            const entry = this.getWave(level, wave);
+            if (entry && entry.boss) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,41 @@
+// Permanent upgrades bought with coins in the Barracks.
+// The cost of the next rank is baseCost * costGrowth^currentRank and each
+// rank adds valuePerRank to the bonus returned by MetaProgression.getBonus().
+export const barracksUpgrades = {
+    startingHealth: {
+        key: 'startingHealth',
+        name: 'Field Rations',
+        description: '+10 commander starting health per rank',
+        maxRank: 5,
+        baseCost: 100,
+        costGrowth: 1.5,
+        valuePerRank: 10
+    },
+    startingFollower: {
+        key: 'startingFollower',
+        name: 'Recruitment Office',
+        description: 'Start each run with one more random engineer per rank',
+        maxRank: 3,
+        baseCost: 250,
+        costGrowth: 2,
+        valuePerRank: 1
+    },
+    specialCooldown: {
+        key: 'specialCooldown',
+        name: 'Drill Sergeant',
+        description: '-5% commander special cooldown per rank',
+        maxRank: 5,
+        baseCost: 150,
+        costGrowth: 1.5,
+        valuePerRank: 0.05
+    },
+    experienceGain: {
+        key: 'experienceGain',
+        name: 'War Academy',
+        description: '+10% experience gained per rank',
+        maxRank: 5,
+        baseCost: 150,
+        costGrowth: 1.5,
+        valuePerRank: 0.1
+    }
+};
@@ -0,0 +1,103 @@
+import { getStageForLevel } from '../utils/stageMap.js';
+
+// Terrain profile of each campaign stage, used by TerrainSystem.generateTerrain for procedural
+// levels and by createTerrainTextures for the stage's tileset. Each biome declares:
+//   key, name  - texture suffix (terrain_<key>) and display name
+//   palette    - base color per terrain ('meadow', 'bush', 'forest', 'swamp', 'border', 'ice',
+//                'lava', 'consecrated', 'rubble'); missing ones keep the default color
+//   clusters   - patches laid on the floor in order, each { terrain, count, minSize, maxSize }
+//                with the terrain named as above and sizes in tiles. Later entries only
+//                fill cells earlier ones left open
+//   props      - breakable props PropSystem scatters: { count, weights } with weights keyed
+//                by prop (props.js)
+// Terrain effects (ice slides, lava burns, consecrated ground heals, rubble blocks) are in
+// TerrainSystem.effects.
+export const biomes = {
+    1: {
+        key: 'forestRealm',
+        name: 'Forest Realm',
+        palette: {},
+        clusters: [
+            { terrain: 'forest', count: 3, minSize: 8, maxSize: 15 },
+            { terrain: 'bush', count: 4, minSize: 6, maxSize: 12 },
+            { terrain: 'swamp', count: 2, minSize: 5, maxSize: 10 },
+            { terrain: 'meadow', count: 3, minSize: 7, maxSize: 12 }
+        ],
+        props: { count: 12, weights: { crate: 4, barrel: 3, explosiveBarrel: 2 } }
+    },
+    2: {
+        key: 'mountainCaverns',
+        name: 'Mountain Caverns',
+        palette: {
+            meadow: 0x8A9A6B,   // Moss
+            bush: 0x5C5A4A,     // Scree
+            forest: 0x3E4A3A,   // Stalagmites
+            swamp: 0x2A3F5A,    // Underground pools
+            ice: 0xB8E6F5,
+            rubble: 0x6B6660
+        },
+        clusters: [
+            { terrain: 'rubble', count: 6, minSize: 4, maxSize: 9 },
+            { terrain: 'ice', count: 4, minSize: 8, maxSize: 16 },
+            { terrain: 'bush', count: 4, minSize: 5, maxSize: 10 },
+            { terrain: 'swamp', count: 2, minSize: 4, maxSize: 8 },
+            { terrain: 'meadow', count: 2, minSize: 5, maxSize: 9 }
+        ],
+        props: { count: 12, weights: { crate: 2, explosiveBarrel: 3, crystalCluster: 3 } }
+    },
+    3: {
+        key: 'magicalAcademy',
+        name: 'Magical Academy',
+        palette: {
+            meadow: 0x7FBF7F,   // Courtyard lawns
+            bush: 0x2E6B4F,     // Hedges
+            forest: 0x4B3F72,   // Arcane groves
+            swamp: 0x3A2F5C,    // Spilled reagents
+            ice: 0xC9D8FF,
+            consecrated: 0xF5E6A8,
+            rubble: 0x8C7B6B
+        },
+        clusters: [
+            { terrain: 'consecrated', count: 3, minSize: 5, maxSize: 9 },
+            { terrain: 'bush', count: 6, minSize: 6, maxSize: 12 },
+            { terrain: 'meadow', count: 5, minSize: 8, maxSize: 14 },
+            { terrain: 'ice', count: 2, minSize: 5, maxSize: 10 },
+            { terrain: 'rubble', count: 3, minSize: 3, maxSize: 6 },
+            { terrain: 'swamp', count: 2, minSize: 4, maxSize: 8 }
+        ],
+        props: { count: 12, weights: { crate: 3, barrel: 2, crystalCluster: 2, explosiveBarrel: 1 } }
+    },
+    4: {
+        key: 'necropolis',
+        name: 'Necropolis',
+        palette: {
+            meadow: 0x5E6650,   // Dead grass
+            bush: 0x3D3B30,     // Thorns
+            forest: 0x2B2630,   // Withered trees
+            swamp: 0x2F3D2A,    // Bog
+            border: 0x5A0F0F,
+            lava: 0xE0521B,
+            consecrated: 0xE8DDB0,
+            rubble: 0x4F4A52
+        },
+        clusters: [
+            { terrain: 'lava', count: 4, minSize: 6, maxSize: 12 },
+            { terrain: 'rubble', count: 5, minSize: 4, maxSize: 8 },
+            { terrain: 'swamp', count: 3, minSize: 6, maxSize: 12 },
+            { terrain: 'forest', count: 3, minSize: 6, maxSize: 12 },
+            { terrain: 'consecrated', count: 2, minSize: 3, maxSize: 6 }
+        ],
+        props: { count: 14, weights: { gravestone: 5, barrel: 1, explosiveBarrel: 2 } }
+    }
+};
+
+/**
+ * Biome of the stage a level belongs to
+ * @param {number} level - Campaign level
+ * @returns {object} Biome profile
+ */
+export function getBiomeForLevel(level) {
+    const stages = Object.keys(biomes).map(Number);
+    const stage = Math.max(Math.min(...stages), Math.min(getStageForLevel(level), Math.max(...stages)));
+    return biomes[stage];
+}
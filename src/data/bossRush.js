@@ -0,0 +1,27 @@
+// Boss Rush mode: the four stage bosses back-to-back with a fixed party, timed per boss and in
+// total (see BossRushSystem). Everyone starts from the same setup so times can be compared.
+//   heroKey       - commander from heroClasses.js
+//   roster        - starting engineers in chain order: { classKey (engineerClasses.js), starLevel }
+//   fights        - in order: { stage (boss from bossScripts.js), level (sets the backdrop, music
+//                   and spawn stream of the fight) }
+//   intermission  - ms between a boss falling and the next one appearing
+//   healBetween   - fraction of max health restored to the whole party between fights
+export const bossRush = {
+    heroKey: 'warrior',
+    roster: [
+        { classKey: 'shotgunner', starLevel: 2 },
+        { classKey: 'iceMage', starLevel: 2 },
+        { classKey: 'holyBard', starLevel: 2 },
+        { classKey: 'sniper', starLevel: 2 },
+        { classKey: 'thunderMage', starLevel: 2 },
+        { classKey: 'shaman', starLevel: 2 }
+    ],
+    fights: [
+        { stage: 1, level: 8 },
+        { stage: 2, level: 16 },
+        { stage: 3, level: 24 },
+        { stage: 4, level: 32 }
+    ],
+    intermission: 5000,
+    healBetween: 0.5
+};
@@ -0,0 +1,235 @@
+// Boss scripts interpreted by Enemy (see Enemy.updateBossBehavior). Each boss declares:
+//   key, name, stage            - stage whose boss node spawns it (getBossScriptForStage)
+//   texture, scale              - sprite and display scale
+//   health, speed, damage       - base stats; phases scale speed and damage from these
+//   resistances                 - damage multipliers per damage type (damageTypes.js)
+//   dashSpeedMultiplier         - optional dash speed relative to move speed (default 1.5)
+//   phases                      - ordered list, entered when health drops to healthBelow:
+//     healthBelow        - fraction of max health (1 for the opening phase)
+//     movement           - 'chase', 'kite' (hold range), 'orbit' (circle the commander) or 'hold'
+//     range              - distance in tiles used by kite and orbit
+//     speedMultiplier, damageMultiplier - relative to the base stats while in this phase
+//     invulnerableFor    - ms of invulnerability when the phase starts
+//     attackSelection    - 'ordered' (first ready attack in list order) or 'weighted'
+//     attackDelay        - minimum ms between two attacks
+//     attacks            - { action, cooldown, weight, ...action options }:
+//        summon      - summon: { count, distance (boss widths), table: [{ type, weight }] }
+//                      type is a category or monster key from monsters.js
+//        radialShot  - count, projectileSpeed; projectiles in every direction
+//        aimedShot   - count, spread (radians), projectileSpeed; fan aimed at the commander
+//        pattern     - pattern (key from bulletPatterns.js or inline); any other bullet pattern
+//                      field (count, speed, volleys, damageType, ...) overrides the pattern's
+//        dash        - dash at the commander
+//        teleport    - blink next to the commander
+//        area        - telegraphed blast through TelegraphSystem:
+//                      shape ('circle', 'ring', 'cone', 'line'), at ('self' or 'player'),
+//                      radius, innerRadius, length, width (tiles), arc (radians, cones),
+//                      windup (ms), damageMultiplier, damageType (damageTypes.js, default physical),
+//                      color, channel (boss stands still casting)
+//     enrage             - optional { after (ms in phase), speedMultiplier, damageMultiplier,
+//                          cooldownMultiplier } applied once if the phase lasts too long
+export const bossScripts = {
+    summoner: {
+        key: 'summoner',
+        name: 'Summoner',
+        stage: 1,
+        texture: 'boss_summoner',
+        scale: 2.5,
+        health: 100,
+        speed: 50,
+        damage: 2,
+        resistances: { shadow: 0.75 },
+        phases: [
+            {
+                healthBelow: 1,
+                movement: 'chase',
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'summon', cooldown: 12000, summon: { count: 3, distance: 2, table: [{ type: 'melee', weight: 1 }] } },
+                    { action: 'radialShot', cooldown: 8000, count: 8, projectileSpeed: 225 }
+                ]
+            },
+            {
+                healthBelow: 0.5,
+                movement: 'chase',
+                speedMultiplier: 1.2,
+                damageMultiplier: 1.5,
+                invulnerableFor: 1000,
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'summon', cooldown: 8000, summon: { count: 5, distance: 2, table: [{ type: 'melee', weight: 1 }] } },
+                    { action: 'radialShot', cooldown: 8000, count: 8, projectileSpeed: 225 }
+                ]
+            },
+            {
+                healthBelow: 0.25,
+                movement: 'chase',
+                speedMultiplier: 1.44,
+                damageMultiplier: 2.25,
+                invulnerableFor: 1000,
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'summon', cooldown: 5000, summon: { count: 7, distance: 2, table: [{ type: 'melee', weight: 1 }] } },
+                    { action: 'radialShot', cooldown: 8000, count: 8, projectileSpeed: 225 }
+                ],
+                enrage: { after: 90000, speedMultiplier: 1.3, damageMultiplier: 1.5, cooldownMultiplier: 0.5 }
+            }
+        ]
+    },
+    berserker: {
+        key: 'berserker',
+        name: 'Berserker',
+        stage: 2,
+        texture: 'boss_berserker',
+        scale: 2.5,
+        health: 200,
+        speed: 70,
+        damage: 3,
+        resistances: { physical: 0.75, fire: 1.25 },
+        dashSpeedMultiplier: 1.8,
+        phases: [
+            {
+                healthBelow: 1,
+                movement: 'chase',
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'dash', cooldown: 4000 }
+                ]
+            },
+            {
+                healthBelow: 0.5,
+                movement: 'chase',
+                speedMultiplier: 1.2,
+                damageMultiplier: 1.5,
+                invulnerableFor: 1000,
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'dash', cooldown: 4000 }
+                ]
+            },
+            {
+                healthBelow: 0.25,
+                movement: 'chase',
+                speedMultiplier: 1.44,
+                damageMultiplier: 2.25,
+                invulnerableFor: 1000,
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'dash', cooldown: 4000 }
+                ],
+                enrage: { after: 90000, speedMultiplier: 1.3, damageMultiplier: 1.5, cooldownMultiplier: 0.5 }
+            }
+        ]
+    },
+    alchemist: {
+        key: 'alchemist',
+        name: 'Mad Alchemist',
+        stage: 3,
+        texture: 'boss_alchemist',
+        scale: 2.5,
+        health: 200,
+        speed: 35,
+        damage: 3,
+        resistances: { poison: 0, fire: 0.75, ice: 1.25 },
+        phases: [
+            {
+                healthBelow: 1,
+                movement: 'kite',
+                range: 7,
+                attacks: [
+                    // Flasks that burst into a ring of droplets
+                    { action: 'pattern', cooldown: 5000, pattern: 'splitShot', damageType: 'poison', tint: 0x66FF33 }
+                ]
+            },
+            {
+                healthBelow: 0.5,
+                movement: 'kite',
+                range: 7,
+                speedMultiplier: 1.2,
+                damageMultiplier: 1.5,
+                invulnerableFor: 1000,
+                attacks: [
+                    { action: 'pattern', cooldown: 4000, pattern: 'splitShot', damageType: 'poison', tint: 0x66FF33, split: { delay: 600, count: 8, speed: 170 } },
+                    { action: 'pattern', cooldown: 7000, pattern: 'bouncingFan', count: 5, spread: 1, damageType: 'fire', tint: 0xFF6622 }
+                ]
+            },
+            {
+                healthBelow: 0.25,
+                movement: 'chase',
+                speedMultiplier: 1.44,
+                damageMultiplier: 2.25,
+                invulnerableFor: 1000,
+                attacks: [
+                    { action: 'pattern', cooldown: 9000, pattern: 'spiral', count: 5, volleys: 18, damageType: 'poison', tint: 0x66FF33 },
+                    { action: 'pattern', cooldown: 4000, pattern: 'splitShot', damageType: 'poison', tint: 0x66FF33, split: { delay: 600, count: 8, speed: 170 } },
+                    { action: 'pattern', cooldown: 7000, pattern: 'bouncingFan', count: 5, spread: 1, damageType: 'fire', tint: 0xFF6622 }
+                ],
+                enrage: { after: 90000, speedMultiplier: 1.3, damageMultiplier: 1.5 }
+            }
+        ]
+    },
+    lichking: {
+        key: 'lichking',
+        name: 'Lich King',
+        stage: 4,
+        texture: 'boss_lichking',
+        scale: 2.5,
+        health: 450,
+        speed: 50,
+        damage: 4,
+        resistances: { shadow: 0.5, ice: 0.5, poison: 0, holy: 1.5 },
+        phases: [
+            {
+                healthBelow: 1,
+                movement: 'chase',
+                attackSelection: 'ordered',
+                attacks: [
+                    // The very large area attack with a long cast
+                    { action: 'area', cooldown: 15000, shape: 'circle', at: 'self', radius: 9, windup: 3000, damageMultiplier: 2, damageType: 'shadow', color: 0x6600CC, channel: true }
+                ]
+            },
+            {
+                healthBelow: 0.5,
+                movement: 'chase',
+                speedMultiplier: 1.2,
+                damageMultiplier: 1.5,
+                invulnerableFor: 1000,
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'area', cooldown: 12000, shape: 'circle', at: 'self', radius: 10, windup: 3000, damageMultiplier: 2, damageType: 'shadow', color: 0x6600CC, channel: true },
+                    { action: 'pattern', cooldown: 6000, pattern: 'homingOrbs', count: 5, spread: 2 }
+                ]
+            },
+            {
+                healthBelow: 0.25,
+                movement: 'chase',
+                speedMultiplier: 1.44,
+                damageMultiplier: 2.25,
+                invulnerableFor: 1000,
+                attackSelection: 'ordered',
+                attacks: [
+                    { action: 'area', cooldown: 10000, shape: 'circle', at: 'self', radius: 11, windup: 2500, damageMultiplier: 2, damageType: 'shadow', color: 0x6600CC, channel: true },
+                    { action: 'pattern', cooldown: 8000, pattern: 'spiral', count: 6, volleys: 24, damageType: 'shadow', tint: 0x6600CC },
+                    { action: 'pattern', cooldown: 6000, pattern: 'homingOrbs', count: 5, spread: 2 }
+                ],
+                enrage: { after: 90000, speedMultiplier: 1.3, damageMultiplier: 1.5, cooldownMultiplier: 0.5 }
+            }
+        ]
+    }
+};
+
+// Used when a boss node falls outside the four scripted stages
+export const FALLBACK_BOSS_SCRIPT = {
+    ...bossScripts.summoner,
+    health: 50,
+    speed: 30
+};
+
+/**
+ * Boss script for a stage
+ * @param {number} stage - Stage number (1-4)
+ * @returns {object} Boss script
+ */
+export function getBossScriptForStage(stage) {
+    return Object.values(bossScripts).find(script => script.stage === stage) || FALLBACK_BOSS_SCRIPT;
+}
@@ -0,0 +1,103 @@
+// Enemy bullet patterns fired through BulletPatternSystem.emit. Shooters and mages use their
+// monster's `pattern` (monsters.js), bosses use 'pattern' attacks (bossScripts.js); both can
+// pass a key from this table or an inline pattern, and override any field. Each pattern declares:
+//   shape            - 'ring' (evenly around the firer) or 'fan' (spread across `spread` radians)
+//   count            - projectiles per volley
+//   spread           - fan width in radians
+//   gap              - ring only: slots left empty, centered on the volley's direction
+//   aim, lead        - point each volley at the firer's target (leading it if `lead`)
+//   angle            - volley direction in radians when not aiming (default 0)
+//   rotation         - radians added to the direction every volley (spirals, sweeping gaps)
+//   volleys, interval - number of volleys and ms between them (default 1 volley)
+//   speed            - projectile speed; speedStep adds to it every volley
+//   damageMultiplier - projectile damage relative to the firer's attackDamage (default 1)
+//   damageType       - key from damageTypes.js (default physical)
+//   tint, scale      - projectile look
+//   lifespan         - ms before a projectile expires (default 5000)
+//   homing           - { turnRate (radians per second), duration (ms) } steer toward the target
+//   bounces          - times a projectile rebounds off the edge of the world
+//   split            - { delay (ms), count, spread (radians; full ring if omitted), speed }
+//                      the projectile bursts into `count` projectiles after `delay`
+export const bulletPatterns = {
+    aimedBurst: {
+        key: 'aimedBurst',
+        shape: 'fan',
+        count: 1,
+        aim: true,
+        lead: true,
+        volleys: 3,
+        interval: 150,
+        speed: 170
+    },
+    fan: {
+        key: 'fan',
+        shape: 'fan',
+        count: 5,
+        spread: 0.8,
+        aim: true,
+        speed: 160
+    },
+    spiral: {
+        key: 'spiral',
+        shape: 'ring',
+        count: 4,
+        rotation: 0.35,
+        volleys: 12,
+        interval: 120,
+        speed: 150
+    },
+    gappedRing: {
+        key: 'gappedRing',
+        shape: 'ring',
+        count: 16,
+        gap: 3,
+        rotation: 0.5,
+        volleys: 3,
+        interval: 700,
+        speed: 130
+    },
+    homingOrbs: {
+        key: 'homingOrbs',
+        shape: 'fan',
+        count: 3,
+        spread: 1.2,
+        aim: true,
+        speed: 110,
+        homing: { turnRate: 2, duration: 2500 },
+        damageType: 'shadow',
+        tint: 0xA020F0,
+        scale: 1.5
+    },
+    bouncingFan: {
+        key: 'bouncingFan',
+        shape: 'fan',
+        count: 3,
+        spread: 0.6,
+        aim: true,
+        speed: 170,
+        bounces: 2,
+        lifespan: 7000
+    },
+    splitShot: {
+        key: 'splitShot',
+        shape: 'fan',
+        count: 1,
+        aim: true,
+        lead: true,
+        speed: 140,
+        split: { delay: 700, count: 6, speed: 160 },
+        scale: 1.8
+    }
+};
+
+/**
+ * Resolve a pattern key or inline pattern, applying overrides
+ * @param {string|object} pattern - Key from bulletPatterns or a pattern object
+ * @param {object} overrides - Fields replacing the pattern's own
+ * @returns {object|null} Pattern, or null for an unknown key
+ */
+export function resolveBulletPattern(pattern, overrides = {}) {
+    const base = typeof pattern === 'string' ? bulletPatterns[pattern] : pattern;
+    if (!base) return null;
+    return { ...base, ...overrides };
+}
@@ -0,0 +1,65 @@
+// Rule changes rolled for the Daily Challenge. Each modifier can declare:
+//   modifiers    - stat bonuses added through RelicSystem.setTemporaryModifier
+//                  (damage: +% projectile damage, damageReduction: -% damage taken)
+//   apply(scene) - once, after the commander and starting engineer are created
+export const dailyModifiers = {
+    glassCannon: {
+        key: 'glassCannon',
+        name: 'Glass Cannon',
+        description: '+50% projectile damage, commander max health halved',
+        modifiers: { damage: 0.5 },
+        apply(scene) {
+            if (!scene.player) return;
+            scene.player.maxHealth = Math.max(1, Math.floor(scene.player.maxHealth / 2));
+            scene.player.health = Math.min(scene.player.health, scene.player.maxHealth);
+        }
+    },
+    ironclad: {
+        key: 'ironclad',
+        name: 'Ironclad',
+        description: 'The snake takes 30% less damage, -25% projectile damage',
+        modifiers: { damageReduction: 0.3, damage: -0.25 }
+    },
+    toughHide: {
+        key: 'toughHide',
+        name: 'Tough Hide',
+        description: '+50 commander max health, -15% projectile damage',
+        modifiers: { damage: -0.15 },
+        apply(scene) {
+            if (!scene.player) return;
+            scene.player.maxHealth += 50;
+            scene.player.health += 50;
+        }
+    },
+    fixedFate: {
+        key: 'fixedFate',
+        name: 'Fixed Fate',
+        description: 'No level-up rerolls',
+        apply(scene) {
+            if (scene.upgradeSystem) scene.upgradeSystem.rerollsRemaining = 0;
+        }
+    },
+    fastLearner: {
+        key: 'fastLearner',
+        name: 'Fast Learner',
+        description: '+50% experience gained',
+        apply(scene) {
+            if (scene.levelSystem) scene.levelSystem.experienceMultiplier *= 1.5;
+        }
+    },
+    veteranRecruit: {
+        key: 'veteranRecruit',
+        name: 'Veteran Recruit',
+        description: 'The starting engineer joins at 2 stars',
+        apply(scene) {
+            const follower = scene.followers[0];
+            if (follower && typeof follower.setStarLevel === 'function') {
+                follower.setStarLevel(2);
+                follower.health = follower.maxHealth;
+            }
+        }
+    }
+};
+
+export const DAILY_MODIFIER_COUNT = 2; // Modifiers active per day
+export const DAILY_LEADERBOARD_SIZE = 20; // Runs kept per day
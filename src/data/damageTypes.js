@@ -0,0 +1,25 @@
+// Damage types tagged on every hit (Character.damage(amount, damageType)). Each type declares:
+//   key, name  - label used in the combat log
+//   color      - damage number and combat log color
+// Enemies list `resistances` in monsters.js and bossScripts.js as damage multipliers
+// per type: below 1 resists (0 is immune), above 1 is a weakness, missing types take 1.
+export const damageTypes = {
+    physical: { key: 'physical', name: 'Physical', color: 0xFFFFFF },
+    fire: { key: 'fire', name: 'Fire', color: 0xFF6622 },
+    ice: { key: 'ice', name: 'Ice', color: 0x66CCFF },
+    lightning: { key: 'lightning', name: 'Lightning', color: 0xFFEE33 },
+    holy: { key: 'holy', name: 'Holy', color: 0xFFE9A0 },
+    shadow: { key: 'shadow', name: 'Shadow', color: 0xAA55FF },
+    poison: { key: 'poison', name: 'Poison', color: 0x66FF33 }
+};
+
+export const DEFAULT_DAMAGE_TYPE = 'physical';
+
+/**
+ * Damage type definition, falling back to physical for unknown keys
+ * @param {string} key - Damage type key
+ * @returns {object} Damage type
+ */
+export function getDamageType(key) {
+    return damageTypes[key] || damageTypes[DEFAULT_DAMAGE_TYPE];
+}
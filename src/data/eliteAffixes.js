@@ -0,0 +1,103 @@
+import { TILE_SIZE } from '../constants.js';
+
+// Affixes rolled onto elite enemies by SpawnSystem. Each affix can declare:
+//   apply(enemy)                       - once, when the enemy becomes elite
+//   onDamaged(enemy, amount)           - after resistances, before damage is applied; returns the damage to take
+//   onDealDamage(enemy, { target, amount }) - the enemy hit the commander or a follower
+//   onDeath(enemy)                     - Enemy.die(), before the enemy is destroyed
+// color tints the elite aura drawn by VisualEffects.createEliteAura.
+export const eliteAffixes = {
+    shielded: {
+        key: 'shielded',
+        name: 'Shielded',
+        description: 'A barrier absorbs damage equal to half its health',
+        color: 0x66CCFF,
+        apply(enemy) {
+            enemy.shield = Math.ceil(enemy.maxHealth * 0.5);
+        },
+        onDamaged(enemy, amount) {
+            if (!enemy.shield || enemy.shield <= 0) return amount;
+
+            const absorbed = Math.min(enemy.shield, amount);
+            enemy.shield -= absorbed;
+            return amount - absorbed;
+        }
+    },
+    splitting: {
+        key: 'splitting',
+        name: 'Splitting',
+        description: 'Splits into two weaker copies on death',
+        color: 0x66FF66,
+        onDeath(enemy) {
+            const spawnSystem = enemy.scene.spawnSystem;
+            if (!spawnSystem || !enemy.monsterKey || enemy.isSplitCopy) return;
+
+            for (let i = 0; i < 2; i++) {
+                const offset = (i === 0 ? -1 : 1) * TILE_SIZE;
+                const copy = spawnSystem.spawnEnemyAtPosition(enemy.x + offset, enemy.y, enemy.monsterKey, { instant: true });
+                if (!copy) continue;
+
+                copy.isSplitCopy = true;
+                copy.maxHealth = Math.max(1, Math.ceil(enemy.maxHealth / 2));
+                copy.health = copy.maxHealth;
+                copy.setScale(0.75);
+            }
+        }
+    },
+    vampiric: {
+        key: 'vampiric',
+        name: 'Vampiric',
+        description: 'Heals whenever it hurts the snake',
+        color: 0xCC0033,
+        onDealDamage(enemy, { amount }) {
+            enemy.health = Math.min(enemy.maxHealth, enemy.health + Math.max(1, Math.ceil(amount)));
+            if (typeof enemy.updateHealthBar === 'function') enemy.updateHealthBar();
+        }
+    },
+    hasted: {
+        key: 'hasted',
+        name: 'Hasted',
+        description: 'Moves 50% faster and uses abilities more often',
+        color: 0xFFFF33,
+        apply(enemy) {
+            enemy.speed *= 1.5;
+            enemy.dashSpeed *= 1.3;
+            enemy.specialAbilityCooldownMax *= 0.7;
+            enemy.teleportCooldownMax *= 0.7;
+        }
+    },
+    explosive: {
+        key: 'explosive',
+        name: 'Explosive',
+        description: 'Explodes shortly after dying',
+        color: 0xFF8800,
+        onDeath(enemy) {
+            const telegraphSystem = enemy.scene.telegraphSystem;
+            if (!telegraphSystem) return;
+
+            // Telegraph the blast so the snake can steer clear
+            telegraphSystem.telegraph({
+                shape: 'circle',
+                x: enemy.x,
+                y: enemy.y,
+                radius: TILE_SIZE * 2.5,
+                windup: 800,
+                damage: enemy.attackDamage * 2,
+                damageType: 'fire',
+                color: 0xFF8800
+            });
+        }
+    }
+};
+
+// Chance of a regular spawn being elite, and how many affixes it can roll, per stage
+export const ELITE_CHANCE_BY_STAGE = { 1: 0.03, 2: 0.06, 3: 0.1, 4: 0.15 };
+export const ELITE_MAX_AFFIXES_BY_STAGE = { 1: 1, 2: 1, 3: 2, 4: 3 };
+
+// Elite node levels on the stage map roll elites more often
+export const ELITE_NODE_CHANCE_MULTIPLIER = 2;
+
+// Stat and reward bonuses shared by every elite
+export const ELITE_HEALTH_MULTIPLIER = 2;
+export const ELITE_REWARD_MULTIPLIER = 3; // Score and experience
+export const ELITE_BONUS_DROPS = 2; // Extra experience pickups dropped on death
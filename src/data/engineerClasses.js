@@ -2,7 +2,32 @@ import { TILE_SIZE, GAME_WIDTH, GAME_HEIGHT, WORLD_WIDTH, WORLD_HEIGHT } from '.
 // Importing helper functions instead of passing them
 import { createLightningEffect, createJaggedLine, damageEnemy, safeDestroy } from '../utils/helpers.js';
 
-// Engineer follower classes with unique abilities
+// Scale a base damage value by the engineer's star level
+function starDamage(follower, amount) {
+    return Math.max(1, Math.round(amount * (follower.damageMultiplier || 1)));
+}
+
+// Scale a base range by the engineer's star level
+function starRange(follower, range) {
+    return range * (follower.rangeMultiplier || 1);
+}
+
+// Mark a projectile as the engineer's so upgrades can tell engineer shots apart
+// and hits carry the class's damage type
+function tagBullet(bullet, follower) {
+    bullet.owner = follower;
+    if (follower.engineerClass && follower.engineerClass.damageType) {
+        bullet.damageType = follower.engineerClass.damageType;
+    }
+}
+
+// The engineer class's damage type (see damageTypes.js); undefined falls back to physical
+function damageTypeOf(follower) {
+    return follower.engineerClass ? follower.engineerClass.damageType : undefined;
+}
+
+// Engineer follower classes with unique abilities.
+// damageType tags the ability's hits and projectiles (damageTypes.js, default physical).
 export const engineerClasses = {
     chronotemporal: {
         name: 'Chronotemporal',
@@ -10,82 +35,14 @@ export const engineerClasses = {
         ability: 'Timeburst',
         description: 'Slows nearby enemies temporarily',
         specialAttack: function(scene, follower, enemies, helpers) {
-            const range = TILE_SIZE * 4;
+            const range = starRange(follower, TILE_SIZE * 4);
             let affected = 0;
             
             enemies.getChildren().forEach(enemy => {
                 if (!enemy.active) return;
                 const distance = Phaser.Math.Distance.Between(follower.x, follower.y, enemy.x, enemy.y);
                 
-                if (distance <= range && !enemy.isFrozen) {
-                    enemy.setTint(0xAA88FF);
-                    enemy.isFrozen = true;
-                    
-                    if (!enemy.originalSpeed) {
-                        enemy.originalSpeed = enemy.speed;
-                    }
-                    enemy.speed = enemy.originalSpeed * 0.3;
-                    enemy.body.velocity.x *= 0.3; // Also affect current velocity
-                    enemy.body.velocity.y *= 0.3;
-                    
-                    // Use a reference to emitter for proper cleanup
-                    let emitter = scene.particleManager?.get() || scene.add.particles(enemy.x, enemy.y, 'particle', {
-                        speed: { min: 20, max: 40 },
-                        scale: { start: 0.4, end: 0 },
-                        lifespan: 1000,
-                        quantity: 1,
-                        frequency: 100,
-                        tint: 0xAA88FF,
-                        emitting: true // Keep emitting for follow effect
-                    });
-                    
-                    // Store reference on enemy for cleanup
-                    enemy.frozenEmitter = emitter;
-
-                    let slowTimer = scene.time.addEvent({
-                        delay: 100,
-                        callback: () => {
-                            if (enemy.active && enemy.isFrozen && emitter && !emitter.destroyed) {
-                                emitter.setPosition(enemy.x, enemy.y); // Update position
-                            } else {
-                                if (emitter && !emitter.destroyed) {
-                                    emitter.stop(); // Stop emitting
-                                    // Destroy emitter after particles fade
-                                    scene.time.delayedCall(1000, () => safeDestroy(emitter)); 
-                                }
-                                if (slowTimer) slowTimer.remove();
-                            }
-                        },
-                        loop: true 
-                    });
-                    
-                    // Store reference on enemy
-                    enemy.slowTimer = slowTimer;
-                    
-                    scene.time.delayedCall(2000, () => {
-                        if (enemy.active) {
-                            enemy.clearTint();
-                            enemy.isFrozen = false;
-                            if (enemy.originalSpeed) { 
-                                enemy.speed = enemy.originalSpeed; 
-                                // Re-apply velocity towards player if needed
-                                // scene.physics.moveToObject(enemy, scene.player, enemy.speed); 
-                            }
-                        }
-                        
-                        // Clean up references
-                        if (enemy.slowTimer) {
-                            enemy.slowTimer.remove();
-                            enemy.slowTimer = null;
-                        }
-                        
-                        if (enemy.frozenEmitter && !enemy.frozenEmitter.destroyed) { 
-                            enemy.frozenEmitter.stop();
-                            scene.time.delayedCall(1000, () => safeDestroy(enemy.frozenEmitter));
-                            enemy.frozenEmitter = null;
-                        }
-                    });
-                    
+                if (distance <= range && enemy.applyStatus('slow', { duration: 2000, potency: 0.3 })) {
                     affected++;
                 }
             });
@@ -108,17 +65,18 @@ export const engineerClasses = {
         name: 'Voltaic',
         color: 0x00FFFF, // Cyan
         ability: 'Chain Lightning',
+        damageType: 'lightning',
         description: 'Electric attacks that chain to nearby enemies',
         specialAttack: function(scene, follower, enemies, helpers) {
             if (enemies.getLength() === 0) return false;
             
             let closestEnemy = scene.physics.closest(follower, enemies.getChildren());
-            if (!closestEnemy || Phaser.Math.Distance.Between(follower.x, follower.y, closestEnemy.x, closestEnemy.y) > TILE_SIZE * 5) {
+            if (!closestEnemy || Phaser.Math.Distance.Between(follower.x, follower.y, closestEnemy.x, closestEnemy.y) > starRange(follower, TILE_SIZE * 5)) {
                  return false;
             }
 
             const maxChain = 3;
-            const chainRange = TILE_SIZE * 4;
+            const chainRange = starRange(follower, TILE_SIZE * 4);
             const chainedEnemies = new Set();
             const lightningGraphics = [];
             let currentTarget = closestEnemy;
@@ -130,7 +88,7 @@ export const engineerClasses = {
                 }
 
                 createLightningEffect(scene, sourcePos.x, sourcePos.y, currentTarget.x, currentTarget.y, lightningGraphics);
-                damageEnemy(scene, currentTarget, 1);
+                damageEnemy(scene, currentTarget, starDamage(follower, 1), damageTypeOf(follower));
                 chainedEnemies.add(currentTarget);
                 
                 sourcePos = { x: currentTarget.x, y: currentTarget.y };
@@ -162,9 +120,10 @@ export const engineerClasses = {
         name: 'Ice Mage',
         color: 0xB0E0E6, // Powder Blue
         ability: 'Frost Nova',
+        damageType: 'ice',
         description: 'Creates an expanding ring of ice that freezes enemies',
         specialAttack: function(scene, follower, enemies, helpers) {
-            const novaRadius = TILE_SIZE * 5;
+            const novaRadius = starRange(follower, TILE_SIZE * 5);
             const hitEnemies = new Set(); // Track enemies hit in this nova
 
             // Create visual effect for the frost nova
@@ -186,52 +145,12 @@ export const engineerClasses = {
                         const distance = Phaser.Math.Distance.Between(follower.x, follower.y, enemy.x, enemy.y);
                         
                         // Freeze enemies as the nova expands
-                        if (distance <= currentRadius && !enemy.isFrozen) { 
+                        if (distance <= currentRadius) {
                             hitEnemies.add(enemy);
-                            enemy.isFrozen = true;
-                            enemy.setTint(0xB0E0E6);
-                            
-                            if (!enemy.originalSpeed) {
-                                enemy.originalSpeed = enemy.speed;
-                            }
-                            
-                            // Completely stop the enemy
-                            enemy.body.velocity.x = 0;
-                            enemy.body.velocity.y = 0;
-                            enemy.speed = 0;
-                            
-                            // Add ice particle effect
-                            const emitter = scene.particleManager?.get() || scene.add.particles(enemy.x, enemy.y, 'particle', {
-                                speed: { min: 10, max: 20 },
-                                scale: { start: 0.5, end: 0 },
-                                lifespan: 1000,
-                                quantity: 1,
-                                frequency: 200,
-                                tint: 0xB0E0E6
-                            });
-                            
-                            // Store reference on enemy for cleanup
-                            enemy.frostEmitter = emitter;
+                            enemy.applyStatus('freeze', { duration: 2500 });
                             
                             // Deal damage when hit
-                            damageEnemy(scene, enemy, 1);
-                            
-                            // Unfreeze after delay
-                            scene.time.delayedCall(2500, () => {
-                                if (enemy.active && enemy.isFrozen) {
-                                    enemy.clearTint();
-                                    enemy.isFrozen = false;
-                                    if (enemy.originalSpeed) {
-                                         enemy.speed = enemy.originalSpeed; 
-                                    }
-                                }
-                                
-                                if (enemy.frostEmitter) {
-                                    enemy.frostEmitter.stop();
-                                    scene.time.delayedCall(1000, () => safeDestroy(enemy.frostEmitter));
-                                    enemy.frostEmitter = null;
-                                }
-                            });
+                            damageEnemy(scene, enemy, starDamage(follower, 1), damageTypeOf(follower));
                         }
                     });
                 },
@@ -252,6 +171,7 @@ export const engineerClasses = {
         name: 'Ninja',
         color: 0x696969, // Dark Gray
         ability: 'Gear Throw',
+        damageType: 'physical',
         description: 'Throws deadly spinning gears that pierce through enemies',
         specialAttack: function(scene, follower, enemies, helpers) {
             if (enemies.getLength() === 0) return false;
@@ -268,6 +188,7 @@ export const engineerClasses = {
                 const gear = scene.bullets.create(follower.x, follower.y, 'bullet');
                 if (!gear) return; // Pool might be empty
 
+                tagBullet(gear, follower);
                 activeGears.push(gear);
                 gear.setActive(true).setVisible(true);
                 gear.setTint(0x696969);
@@ -281,7 +202,7 @@ export const engineerClasses = {
                 gear.isPiercing = true;
                 gear.pierceCount = 0;
                 gear.maxPierces = 3;
-                gear.damage = 2;
+                gear.damage = starDamage(follower, 2);
                 gear.hitEnemies = new Set(); // Track enemies hit by this gear
                 gear.type = 'gear'; // Identify type if needed
 
@@ -330,10 +251,12 @@ export const engineerClasses = {
      holyBard: {
         name: 'Holy Bard',
         color: 0xFFD700, // Gold
+        support: true, // Backline target for enemies using 'backline' targeting
         ability: 'Shrapnel Field',
+        damageType: 'holy',
         description: 'Creates a field of holy energy that damages enemies',
         specialAttack: function(scene, follower, enemies, helpers) {
-            const fieldRadius = TILE_SIZE * 3;
+            const fieldRadius = starRange(follower, TILE_SIZE * 3);
             const fieldDuration = 3000; // 3 seconds
             const damageInterval = 500; // 0.5 seconds
             const ticks = fieldDuration / damageInterval;
@@ -363,7 +286,7 @@ export const engineerClasses = {
                         if (!enemy.active) return;
                         const distance = Phaser.Math.Distance.Between(follower.x, follower.y, enemy.x, enemy.y);
                         if (distance <= fieldRadius) {
-                            helpers.damageEnemy(scene, enemy, 1);
+                            helpers.damageEnemy(scene, enemy, starDamage(follower, 1), damageTypeOf(follower));
                             // Add visual effect on enemy
                             const flash = scene.add.sprite(enemy.x, enemy.y, 'particle').setTint(0xFFD700).setScale(1.5);
                             scene.tweens.add({ targets: flash, alpha: 0, scale: 0.5, duration: 300, onComplete: () => flash.destroy() });
@@ -384,13 +307,14 @@ export const engineerClasses = {
         name: 'Dark Mage',
         color: 0x800080, // Purple
         ability: 'Aether Beam',
+        damageType: 'shadow',
         description: 'Channels dark energy beams that damage enemies in a short line',
         specialAttack: function(scene, follower, enemies, helpers) {
             if (enemies.getLength() === 0) return false;
 
             // Current beam length is WORLD_WIDTH / 3
             // Reducing to 1/3 of that = WORLD_WIDTH / 9
-            const beamLength = WORLD_WIDTH / 9; 
+            const beamLength = starRange(follower, WORLD_WIDTH / 9);
             const beamWidth = TILE_SIZE;
 
             let closestEnemy = scene.physics.closest(follower, enemies.getChildren());
@@ -457,7 +381,7 @@ export const engineerClasses = {
                 // More robust check: distance from enemy center to the line segment
                 const enemyPoint = new Phaser.Geom.Point(enemy.x, enemy.y);
                 if (Phaser.Geom.Intersects.LineToCircle(beamLine, new Phaser.Geom.Circle(enemy.x, enemy.y, TILE_SIZE / 2))) {
-                    damageEnemy(scene, enemy, 3);
+                    damageEnemy(scene, enemy, starDamage(follower, 3), damageTypeOf(follower));
                     hitCount++;
                     // Visual impact
                     const impact = scene.add.sprite(enemy.x, enemy.y, 'particle').setTint(0x800080).setScale(2);
@@ -486,6 +410,7 @@ export const engineerClasses = {
         name: 'Shotgunner',
         color: 0xA52A2A, // Brown
         ability: 'Ember Spray',
+        damageType: 'fire',
         description: 'Fires a spray of deadly embers in a cone',
         specialAttack: function(scene, follower, enemies, helpers) {
             if (enemies.getLength() === 0) return false;
@@ -495,7 +420,7 @@ export const engineerClasses = {
 
             const angle = Phaser.Math.Angle.Between(follower.x, follower.y, closestEnemy.x, closestEnemy.y);
             const spreadRadians = Math.PI / 4; // 45 degrees
-            const shotRange = TILE_SIZE * 5;
+            const shotRange = starRange(follower, TILE_SIZE * 5);
 
             // Visual Cone
             const cone = scene.add.graphics();
@@ -533,8 +458,8 @@ export const engineerClasses = {
                 if (distance <= shotRange && Math.abs(angleDiff) <= spreadRadians / 2) {
                     // Damage falls off with distance
                     const damageMultiplier = Math.max(0, 1 - (distance / shotRange)); 
-                    const damage = Math.max(1, Math.round(3 * damageMultiplier));
-                    helpers.damageEnemy(scene, enemy, damage);
+                    const damage = starDamage(follower, 3 * damageMultiplier);
+                    helpers.damageEnemy(scene, enemy, damage, damageTypeOf(follower));
                     hitCount++;
                 }
             });
@@ -545,6 +470,7 @@ export const engineerClasses = {
         name: 'Sniper',
         color: 0x708090, // Slate Gray
         ability: 'Piston Punch',
+        damageType: 'physical',
         description: 'Fires a high-powered shot that deals massive damage to a single target',
         specialAttack: function(scene, follower, enemies, helpers) { // Pass bullets group
              if (enemies.getLength() === 0) return false;
@@ -574,6 +500,7 @@ export const engineerClasses = {
                 const bullet = scene.bullets.create(follower.x, follower.y, 'bullet');
                 if (!bullet) return; // Pool empty
 
+                tagBullet(bullet, follower);
                 bullet.setActive(true).setVisible(true);
                 bullet.setTint(0x708090).setScale(1.5);
                 
@@ -583,7 +510,7 @@ export const engineerClasses = {
                 
                 // Sniper bullet properties (handle in collision)
                 bullet.isSniper = true;
-                bullet.damage = 6;
+                bullet.damage = starDamage(follower, 6);
                 bullet.target = targetEnemy; // Mark the intended target
                 bullet.type = 'sniper';
 
@@ -610,6 +537,7 @@ export const engineerClasses = {
         name: 'Shroom Pixie',
         color: 0xFF69B4, // Hot Pink
         ability: 'Pressure Blast',
+        damageType: 'physical',
         description: 'Creates exploding mushrooms that release toxic spores',
         specialAttack: function(scene, follower, enemies, helpers) {
             // Reduced from 3 to 2 mushroom bombs
@@ -617,9 +545,9 @@ export const engineerClasses = {
             let mushroomsPlaced = 0;
             
             // Visual properties for mushroom bombs
-            const mushroomRadius = TILE_SIZE * 2;
+            const mushroomRadius = starRange(follower, TILE_SIZE * 2);
             const explosionDelay = 3000;
-            const damage = 3;
+            const damage = starDamage(follower, 3);
 
             // Place both mushrooms near the follower instead of near enemies
             for (let i = 0; i < mushroomCount; i++) {
@@ -757,7 +685,7 @@ export const engineerClasses = {
                         if (distance <= radius) {
                             // Apply damage
                             if (enemy.damage) {
-                                enemy.damage(damage);
+                                enemy.damage(damage, damageTypeOf(follower));
                             } else {
                                 enemy.health -= damage;
                             }
@@ -817,11 +745,12 @@ export const engineerClasses = {
         name: 'Thunder Mage',
         color: 0xFFD700, // Gold
         ability: 'Lightning Strike',
+        damageType: 'lightning',
         description: 'Summons lightning bolts that damage enemies',
         specialAttack: function(scene, follower, enemies, helpers) {
             if (enemies.getLength() === 0) return false;
             
-            const strikeRange = TILE_SIZE * 6;
+            const strikeRange = starRange(follower, TILE_SIZE * 6);
             const hitEnemies = new Set();
             let affected = 0;
             
@@ -860,7 +789,7 @@ export const engineerClasses = {
                 });
                 
                 // Damage the enemy
-                damageEnemy(scene, enemy, 2);
+                damageEnemy(scene, enemy, starDamage(follower, 2), damageTypeOf(follower));
                 
                 // Create a local explosion effect
                 const explosion = scene.add.graphics();
@@ -906,6 +835,7 @@ export const engineerClasses = {
         name: 'Goblin Trapper',
         color: 0x32CD32, // Lime Green
         ability: 'Mega Bomb',
+        damageType: 'fire',
         description: 'Places a powerful bomb that explodes after 6s. 15s cooldown.',
         specialAttack: function(scene, follower, enemies, helpers) {
             // Single bomb with quicker explosion and halved explosion radius
@@ -913,9 +843,9 @@ export const engineerClasses = {
             let minesPlaced = 0;
             
             // Mine properties
-            const mineRadius = TILE_SIZE * 7.5; // Halved from previous 15
+            const mineRadius = starRange(follower, TILE_SIZE * 7.5); // Halved from previous 15
             const explosionDelay = 6000; // Reduced to 6 seconds
-            const damage = 8; // Keep the same damage
+            const damage = starDamage(follower, 8); // Keep the same damage
             
             // Place the bomb near the goblin trapper
             const distance = TILE_SIZE * 1.5; // Closer to the follower
@@ -1014,7 +944,7 @@ export const engineerClasses = {
                         // Apply damage with falloff based on distance
                         const damageMultiplier = 1 - (distance / mineRadius) * 0.5; // Less falloff (min 50% damage at edge)
                         const scaledDamage = Math.ceil(damage * damageMultiplier);
-                        helpers.damageEnemy(scene, enemy, scaledDamage);
+                        helpers.damageEnemy(scene, enemy, scaledDamage, damageTypeOf(follower));
                         
                         // Add knockback effect
                         const angle = Phaser.Math.Angle.Between(mineX, mineY, enemy.x, enemy.y);
@@ -1059,14 +989,16 @@ export const engineerClasses = {
     shaman: {
         name: 'Shaman',
         color: 0x556B2F, // Dark Olive Green
+        support: true, // Backline target for enemies using 'backline' targeting
         ability: 'Corrosion Cloud',
+        damageType: 'poison',
         description: 'Creates poisonous clouds that damage enemies over time',
         specialAttack: function(scene, follower, enemies, helpers) {
             if (enemies.getLength() === 0) return false;
             
             // Max distance the cloud can be placed from the shaman
             const maxDistanceFromShaman = TILE_SIZE * 4;
-            const cloudRadius = TILE_SIZE * 3;
+            const cloudRadius = starRange(follower, TILE_SIZE * 3);
             
             // Find densest cluster of enemies, but only consider enemies near the shaman
             let bestLocation = { x: follower.x, y: follower.y };
@@ -0,0 +1,12 @@
+// Star levels for engineers. Collecting an engineer whose class is already in
+// the chain promotes that follower instead of adding a new one.
+// Multipliers scale the engineer's base stats from class-stats.csv.
+export const ENGINEER_MAX_STARS = 3;
+
+export const ENGINEER_STAR_SCALING = {
+    1: { damage: 1, cooldown: 1, range: 1, health: 1 },
+    2: { damage: 1.5, cooldown: 0.85, range: 1.15, health: 1.5 },
+    3: { damage: 2.25, cooldown: 0.7, range: 1.3, health: 2 }
+};
+
+export const ENGINEER_STAR_COLOR = '#FFD700';
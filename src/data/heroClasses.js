@@ -1,15 +1,17 @@
 import { TILE_SIZE } from '../constants.js';
 // TODO: Import or pass shootProjectile and createExplosion
 
-// Hero classes with different abilities
+// Hero classes with different abilities.
+// damageType tags the commander's attacks (damageTypes.js, default physical).
 export const heroClasses = {
     warrior: {
         key: 'warrior',
         name: 'Warrior',
         color: 0x00FFFF, // Note: TitleScene uses 0xFF0000, game uses 0x00FFFF. Standardize?
+        damageType: 'physical',
         specialAttack: function(scene, player, enemies, helpers) { // Pass needed functions/data
             // Sword sweep (damages all nearby enemies)
-            const range = TILE_SIZE * 3;
+            const range = TILE_SIZE * 3 * (player.specialRangeMultiplier || 1);
             let enemiesHit = 0;
             
             // Create spinning sword effect - 360 degrees
@@ -73,7 +75,7 @@ export const heroClasses = {
                 if (distance <= range) {
                     helpers.createExplosion(scene, enemy.x, enemy.y, 0xFFFF00);
                     // Damage enemy instead of just destroying
-                    helpers.damageEnemy(scene, enemy, 5); // Example damage value
+                    helpers.damageEnemy(scene, enemy, 5, player.heroClass.damageType); // Example damage value
                     
                     // Knockback effect
                     const knockbackAngle = Phaser.Math.Angle.Between(player.x, player.y, enemy.x, enemy.y);
@@ -99,6 +101,7 @@ export const heroClasses = {
         key: 'archer',
         name: 'Archer',
         color: 0x00FF00,
+        damageType: 'physical',
         specialAttack: function(scene, player, enemies, helpers) {
             // Fire arrows in 8 directions
             const directions = [
@@ -127,6 +130,7 @@ export const heroClasses = {
                 
                 // Set properties for collision detection
                 arrow.damage = 3;
+                arrow.damageType = player.heroClass.damageType;
                 arrow.isEnemyProjectile = false; // Ensure it's recognized as a player projectile
                 arrow.setData('type', 'arrow'); // Add a type for potential filtering
                 
@@ -159,6 +163,7 @@ export const heroClasses = {
         key: 'mage',
         name: 'Mage',
         color: 0xFF00FF, // Note: TitleScene uses 0x00FFFF, game uses 0xFF00FF. Standardize?
+        damageType: 'ice',
         specialAttack: function(scene, player, enemies, helpers) { // Pass needed functions/data
             // Freeze all enemies temporarily
             if (enemies.getLength() === 0) return false;
@@ -166,34 +171,7 @@ export const heroClasses = {
             enemies.getChildren().forEach(enemy => {
                 if (!enemy.active) return; // Check if enemy is active
                 
-                // Store original speed if not already frozen
-                 if (!enemy.isFrozen) { 
-                    // Visual effect
-                    enemy.setTint(0x00FFFF);
-                    enemy.isFrozen = true; // Custom flag to manage state
-
-                    if (!enemy.originalSpeed) {
-                        enemy.originalSpeed = enemy.speed; // Assuming speed property exists
-                    }
-
-                    // Stop enemy
-                    enemy.body.velocity.x = 0;
-                    enemy.body.velocity.y = 0;
-                    enemy.speed = 0; // Update speed property if used
-                    
-                    // Unfreeze after a delay
-                    scene.time.delayedCall(2000, () => {
-                        if (enemy.active) {
-                            enemy.clearTint();
-                            enemy.isFrozen = false;
-                            // Restore original movement toward player (if it has speed)
-                            if (enemy.originalSpeed) { 
-                                enemy.speed = enemy.originalSpeed; 
-                                scene.physics.moveToObject(enemy, player, enemy.speed); 
-                            } 
-                        }
-                    });
-                }
+                enemy.applyStatus('freeze', { duration: 2000 });
             });
             
             return true;
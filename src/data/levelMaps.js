@@ -0,0 +1,36 @@
+// Hand-authored arenas made in Tiled (mapeditor.org) and exported as JSON. A level listed here
+// loads its map instead of the procedural terrain (TerrainSystem.applyTiledMap); every other
+// level, or a map that fails to load, is generated. Each entry declares:
+//   key   - cache key the JSON is loaded under in GameScene.preload
+//   path  - file path relative to index.html
+//
+// Map format:
+//   tile layers   - tile ids of a tileset follow the terrain indices in constants.js
+//                   (0 MEADOW_TILE, 1 BUSH_TILE, 2 FOREST_TILE, 3 SWAMP_TILE, 4 FLOOR_TILE, 5 BORDER_TILE,
+//                   6 ICE_TILE, 7 LAVA_TILE, 8 CONSECRATED_TILE, 9 RUBBLE_TILE);
+//                   a tile with a string `terrain` property ('meadow', 'bush', 'forest', 'swamp',
+//                   'floor', 'border', 'ice', 'lava', 'consecrated' or 'rubble') is read as that
+//                   terrain instead. Layers stack in order, empty cells keep what is below, and
+//                   the bottom is floor. Use the CSV layer format (plain arrays) and a finite map
+//   object layers - objects are told apart by their class (type), or else their layer's name:
+//                     playerStart - point the snake starts the level at
+//                     spawnZone   - rectangle enemy portals open in (anywhere open if there are none)
+//                     pickup      - point a pickup drops at when the level starts
+//                     prop        - point a breakable prop stands at; its `prop` property names
+//                                   it (props.js, default crate). A map with props gets no others
+//                     obstacle    - rectangle filled with its `terrain` property (default border)
+//   Maps smaller than the world are centered on it, tiles and objects alike, and the border
+//   walls are always added around the world edge. Tiles larger or smaller than TILE_SIZE are
+//   fine, objects are scaled to match. Tiles are drawn in the stage's biome palette (biomes.js).
+export const levelMaps = {
+    8: { key: 'map_summoner_arena', path: 'assets/maps/summoner_arena.json' }
+};
+
+/**
+ * Map entry for a level
+ * @param {number} level - Campaign level
+ * @returns {object|null} { key, path } or null if the level is procedural
+ */
+export function getLevelMap(level) {
+    return levelMaps[level] || null;
+}
@@ -0,0 +1,89 @@
+// Upgrades offered as cards when the commander levels up.
+// Each pick adds a stack; the card's rarity decides how much value the stack adds.
+//   values    - value added per rarity (units depend on the upgrade)
+//   weight    - relative chance of the upgrade appearing as a card
+//   maxStacks - how many times it can be picked (null for no limit)
+//   describe(value) - card text for a given value
+//   describeTotal(total) - optional pause menu text for all stacks (defaults to describe)
+//   apply(scene, value) - optional one-off effect when picked; upgrades without
+//                         it are read through UpgradeSystem.getBonus(key)
+export const levelUpUpgrades = {
+    engineerDamage: {
+        key: 'engineerDamage',
+        name: 'Sharpened Tools',
+        values: { common: 10, rare: 20, epic: 35 },
+        weight: 10,
+        maxStacks: 8,
+        describe: value => `+${value}% engineer projectile damage`
+    },
+    projectilePierce: {
+        key: 'projectilePierce',
+        name: 'Piercing Rounds',
+        values: { common: 1, rare: 1, epic: 2 },
+        weight: 6,
+        maxStacks: 4,
+        describe: value => `Projectiles pass through ${value} more ${value === 1 ? 'enemy' : 'enemies'}`
+    },
+    followerMax: {
+        key: 'followerMax',
+        name: 'Bigger Barracks',
+        values: { common: 1, rare: 2, epic: 3 },
+        weight: 6,
+        maxStacks: 4,
+        describe: value => `+${value} maximum ${value === 1 ? 'engineer' : 'engineers'}`
+    },
+    pickupRadius: {
+        key: 'pickupRadius',
+        name: 'Lodestone',
+        values: { common: 1, rare: 2, epic: 3 },
+        weight: 8,
+        maxStacks: 5,
+        describe: value => `Pull in pickups from ${value} more ${value === 1 ? 'tile' : 'tiles'} away`
+    },
+    specialRange: {
+        key: 'specialRange',
+        name: 'Commanding Presence',
+        values: { common: 10, rare: 20, epic: 35 },
+        weight: 8,
+        maxStacks: 6,
+        describe: value => `+${value}% commander special range`
+    },
+    commanderVitality: {
+        key: 'commanderVitality',
+        name: 'Iron Will',
+        values: { common: 10, rare: 20, epic: 35 },
+        weight: 8,
+        maxStacks: 10,
+        describe: value => `+${value} commander max health`,
+        apply(scene, value) {
+            if (!scene.player) return;
+            scene.player.maxHealth += value;
+            scene.player.health += value;
+        }
+    },
+    fieldMedic: {
+        key: 'fieldMedic',
+        name: 'Field Medic',
+        values: { common: 25, rare: 50, epic: 100 },
+        weight: 5,
+        maxStacks: null,
+        describe: value => `Heal the whole party for ${value}% of max health`,
+        describeTotal: () => 'Heals the party when picked',
+        apply(scene, value) {
+            [scene.player, ...scene.followers].forEach(member => {
+                if (!member || !member.active) return;
+                member.health = Math.min(member.maxHealth, member.health + Math.ceil(member.maxHealth * value / 100));
+            });
+        }
+    }
+};
+
+// Rarity tiers rolled for each card
+export const LEVEL_UP_RARITIES = {
+    common: { key: 'common', name: 'Common', weight: 70, color: 0xAAAAAA },
+    rare: { key: 'rare', name: 'Rare', weight: 25, color: 0x4488FF },
+    epic: { key: 'epic', name: 'Epic', weight: 5, color: 0xAA44FF }
+};
+
+export const LEVEL_UP_CHOICE_COUNT = 3; // Cards shown per level-up
+export const LEVEL_UP_REROLLS = 3; // Rerolls available per run
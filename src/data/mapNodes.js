@@ -0,0 +1,91 @@
+// Node types for the branching stage map shown between levels.
+// enemyMultiplier scales every wave of the level, rewardMultiplier scales
+// the Victory UI experience/coins. weight is the chance of the type being
+// rolled for a regular map node (boss nodes are placed by the generator).
+// waveEvent forces that mid-stage wave event (waveEvents.js) on the level;
+// waveEventChance replaces the stage's chance of rolling one.
+export const MAP_NODE_TYPES = {
+    combat: {
+        key: 'combat',
+        name: 'Battle',
+        description: 'A standard fight.',
+        color: 0xC0C0C0,
+        icon: '⚔',
+        weight: 50,
+        minRow: 0,
+        enemyMultiplier: 1.0,
+        rewardMultiplier: 1.0
+    },
+    elite: {
+        key: 'elite',
+        name: 'Elite Battle',
+        description: 'More enemies, better rewards and a guaranteed item.',
+        color: 0xFF4444,
+        icon: '☠',
+        weight: 15,
+        minRow: 2,
+        enemyMultiplier: 1.3,
+        rewardMultiplier: 1.5,
+        guaranteedItem: true,
+        waveEvent: 'miniBoss'
+    },
+    story: {
+        key: 'story',
+        name: 'Mystery',
+        description: 'A lighter fight with extra experience.',
+        color: 0xAA66FF,
+        icon: '?',
+        weight: 12,
+        minRow: 1,
+        enemyMultiplier: 0.8,
+        rewardMultiplier: 1.25
+    },
+    shop: {
+        key: 'shop',
+        name: 'Recruiter',
+        description: 'Engineers wait to join you at the start of the level.',
+        color: 0xFFD700,
+        icon: '$',
+        weight: 10,
+        minRow: 1,
+        enemyMultiplier: 0.7,
+        rewardMultiplier: 0.75,
+        extraEngineers: 2
+    },
+    rest: {
+        key: 'rest',
+        name: 'Campfire',
+        description: 'A quiet level. Your whole party is fully healed.',
+        color: 0x44DD44,
+        icon: '♨',
+        weight: 13,
+        minRow: 2,
+        enemyMultiplier: 0.5,
+        rewardMultiplier: 0.5,
+        healFollowers: true,
+        waveEventChance: 0
+    },
+    boss: {
+        key: 'boss',
+        name: 'Boss',
+        description: 'The stage guardian awaits on the final wave.',
+        color: 0xFF00FF,
+        icon: '♛',
+        weight: 0,
+        minRow: 0,
+        enemyMultiplier: 1.0,
+        rewardMultiplier: 2.0,
+        guaranteedItem: true
+    }
+};
+
+export const DEFAULT_MAP_NODE_TYPE = 'combat';
+
+/**
+ * Look up a node type, falling back to a regular battle
+ * @param {string} key - Node type key
+ * @returns {object} Node type definition
+ */
+export function getMapNodeType(key) {
+    return MAP_NODE_TYPES[key] || MAP_NODE_TYPES[DEFAULT_MAP_NODE_TYPE];
+}
@@ -0,0 +1,355 @@
+// The 20 regular monsters from the design document, four per category.
+// Category picks the behavior in Enemy.update (melee, dasher, bomber, shooter, mage);
+// the wave tables decide how many of each category spawn, and the stage decides
+// which monsters of that category are used.
+//   health, speed        - values at level 1; Enemy.createEnemy adds level scaling
+//   damage               - contact/projectile damage
+//   resistances          - optional damage multipliers per damage type (damageTypes.js)
+//   scoreValue, experienceValue - rewards at level 1, scaled with health
+//   sprite               - texture key; falls back to the category's generated texture
+//   animation            - optional animation key played when it exists
+//   tint                 - tint applied to the (generic) texture
+//   stages               - stages (1-4) that field this monster
+//   targeting            - optional strategy key from targeting.js; defaults per category
+//   pattern              - optional bullet pattern (key from bulletPatterns.js) that shooters
+//                          and mages fire instead of a single projectile
+export const monsters = {
+    // --- Melee: slow, walk straight at the commander ---
+    goblinGrunt: {
+        key: 'goblinGrunt',
+        name: 'Goblin Grunt',
+        category: 'melee',
+        health: 1,
+        speed: 70,
+        damage: 1,
+        scoreValue: 5,
+        experienceValue: 2,
+        sprite: 'monster_goblin_grunt',
+        animation: 'monster_goblin_grunt_walk',
+        tint: 0x66CC33,
+        stages: [1, 2]
+    },
+    skeletonWarrior: {
+        key: 'skeletonWarrior',
+        name: 'Skeleton Warrior',
+        category: 'melee',
+        health: 2,
+        speed: 66,
+        damage: 1,
+        resistances: { holy: 1.5, poison: 0.5 },
+        scoreValue: 6,
+        experienceValue: 2,
+        sprite: 'monster_skeleton_warrior',
+        animation: 'monster_skeleton_warrior_walk',
+        tint: 0xE8E8D0,
+        stages: [2, 3]
+    },
+    orcBrute: {
+        key: 'orcBrute',
+        name: 'Orc Brute',
+        category: 'melee',
+        health: 3,
+        speed: 62,
+        damage: 2,
+        resistances: { poison: 0.75 },
+        scoreValue: 7,
+        experienceValue: 3,
+        sprite: 'monster_orc_brute',
+        animation: 'monster_orc_brute_walk',
+        tint: 0x4E7A2C,
+        stages: [3, 4]
+    },
+    stoneGolem: {
+        key: 'stoneGolem',
+        name: 'Stone Golem',
+        category: 'melee',
+        health: 5,
+        speed: 50,
+        damage: 2,
+        resistances: { physical: 0.5, lightning: 1.5, poison: 0 },
+        scoreValue: 8,
+        experienceValue: 4,
+        sprite: 'monster_stone_golem',
+        animation: 'monster_stone_golem_walk',
+        tint: 0x8A8A8A,
+        stages: [4]
+    },
+
+    // --- Dasher: faster, dash at the commander on a cooldown ---
+    direWolf: {
+        key: 'direWolf',
+        name: 'Dire Wolf',
+        category: 'dasher',
+        health: 1,
+        speed: 58,
+        damage: 1,
+        resistances: { fire: 1.25 },
+        scoreValue: 8,
+        experienceValue: 3,
+        sprite: 'monster_dire_wolf',
+        animation: 'monster_dire_wolf_run',
+        tint: 0x998877,
+        stages: [1, 2]
+    },
+    giantBat: {
+        key: 'giantBat',
+        name: 'Giant Bat',
+        category: 'dasher',
+        health: 1,
+        speed: 64,
+        damage: 1,
+        resistances: { lightning: 1.5 },
+        scoreValue: 8,
+        experienceValue: 3,
+        sprite: 'monster_giant_bat',
+        animation: 'monster_giant_bat_fly',
+        tint: 0x553366,
+        stages: [2, 3]
+    },
+    ghoulStalker: {
+        key: 'ghoulStalker',
+        name: 'Ghoul Stalker',
+        category: 'dasher',
+        health: 2,
+        speed: 58,
+        damage: 2,
+        resistances: { holy: 1.5, shadow: 0.5, poison: 0.5 },
+        scoreValue: 9,
+        experienceValue: 4,
+        sprite: 'monster_ghoul_stalker',
+        animation: 'monster_ghoul_stalker_run',
+        tint: 0x77AA88,
+        stages: [3]
+    },
+    shadowPanther: {
+        key: 'shadowPanther',
+        name: 'Shadow Panther',
+        category: 'dasher',
+        health: 3,
+        speed: 62,
+        damage: 2,
+        resistances: { shadow: 0.5, holy: 1.5 },
+        scoreValue: 10,
+        experienceValue: 4,
+        sprite: 'monster_shadow_panther',
+        animation: 'monster_shadow_panther_run',
+        tint: 0x332244,
+        stages: [4]
+    },
+
+    // --- Bomber: slow, explode next to the commander ---
+    bloatedSlime: {
+        key: 'bloatedSlime',
+        name: 'Bloated Slime',
+        category: 'bomber',
+        health: 1,
+        speed: 42,
+        damage: 2,
+        resistances: { physical: 0.75, poison: 0, ice: 1.5 },
+        scoreValue: 10,
+        experienceValue: 4,
+        sprite: 'monster_bloated_slime',
+        animation: 'monster_bloated_slime_walk',
+        tint: 0x33FF66,
+        stages: [1, 2]
+    },
+    fireImp: {
+        key: 'fireImp',
+        name: 'Fire Imp',
+        category: 'bomber',
+        health: 1,
+        speed: 48,
+        damage: 2,
+        resistances: { fire: 0, ice: 1.5 },
+        scoreValue: 10,
+        experienceValue: 4,
+        sprite: 'monster_fire_imp',
+        animation: 'monster_fire_imp_walk',
+        tint: 0xFF5522,
+        stages: [2, 3]
+    },
+    plagueRat: {
+        key: 'plagueRat',
+        name: 'Plague Rat',
+        category: 'bomber',
+        health: 2,
+        speed: 50,
+        damage: 3,
+        resistances: { poison: 0 },
+        scoreValue: 11,
+        experienceValue: 5,
+        sprite: 'monster_plague_rat',
+        animation: 'monster_plague_rat_walk',
+        tint: 0x99AA44,
+        stages: [3]
+    },
+    emberElemental: {
+        key: 'emberElemental',
+        name: 'Ember Elemental',
+        category: 'bomber',
+        health: 3,
+        speed: 45,
+        damage: 4,
+        resistances: { fire: 0, ice: 2, physical: 0.75 },
+        scoreValue: 12,
+        experienceValue: 5,
+        sprite: 'monster_ember_elemental',
+        animation: 'monster_ember_elemental_walk',
+        tint: 0xFFAA00,
+        stages: [4]
+    },
+
+    // --- Shooter: slow, fire slow missiles from range ---
+    koboldSlinger: {
+        key: 'koboldSlinger',
+        name: 'Kobold Slinger',
+        category: 'shooter',
+        health: 1,
+        speed: 49,
+        damage: 1,
+        scoreValue: 10,
+        experienceValue: 3,
+        sprite: 'monster_kobold_slinger',
+        animation: 'monster_kobold_slinger_walk',
+        tint: 0x3388FF,
+        stages: [1]
+    },
+    skeletonArcher: {
+        key: 'skeletonArcher',
+        name: 'Skeleton Archer',
+        category: 'shooter',
+        health: 1,
+        speed: 49,
+        damage: 1,
+        resistances: { holy: 1.5, poison: 0.5 },
+        scoreValue: 10,
+        experienceValue: 3,
+        sprite: 'monster_skeleton_archer',
+        animation: 'monster_skeleton_archer_walk',
+        tint: 0xCCCCEE,
+        stages: [1, 2]
+    },
+    darkElfRanger: {
+        key: 'darkElfRanger',
+        name: 'Dark Elf Ranger',
+        category: 'shooter',
+        health: 2,
+        speed: 52,
+        damage: 2,
+        resistances: { shadow: 0.75 },
+        pattern: 'aimedBurst',
+        scoreValue: 11,
+        experienceValue: 4,
+        sprite: 'monster_dark_elf_ranger',
+        animation: 'monster_dark_elf_ranger_walk',
+        tint: 0x5544AA,
+        stages: [2, 3]
+    },
+    gargoyleSpitter: {
+        key: 'gargoyleSpitter',
+        name: 'Gargoyle Spitter',
+        category: 'shooter',
+        health: 3,
+        speed: 45,
+        damage: 2,
+        resistances: { physical: 0.5, lightning: 1.5 },
+        pattern: 'bouncingFan',
+        scoreValue: 12,
+        experienceValue: 5,
+        sprite: 'monster_gargoyle_spitter',
+        animation: 'monster_gargoyle_spitter_walk',
+        tint: 0x667788,
+        stages: [3, 4]
+    },
+
+    // --- Mage: teleport near the commander, cast slow missiles ---
+    goblinShaman: {
+        key: 'goblinShaman',
+        name: 'Goblin Shaman',
+        category: 'mage',
+        health: 1,
+        speed: 42,
+        damage: 2,
+        resistances: { poison: 0.5 },
+        scoreValue: 15,
+        experienceValue: 4,
+        sprite: 'monster_goblin_shaman',
+        animation: 'monster_goblin_shaman_walk',
+        tint: 0xAA33FF,
+        stages: [1, 2]
+    },
+    cultist: {
+        key: 'cultist',
+        name: 'Cultist',
+        category: 'mage',
+        health: 1,
+        speed: 42,
+        damage: 2,
+        resistances: { shadow: 0.5, holy: 1.5 },
+        pattern: 'splitShot',
+        scoreValue: 15,
+        experienceValue: 4,
+        sprite: 'monster_cultist',
+        animation: 'monster_cultist_walk',
+        tint: 0x992233,
+        stages: [2, 3]
+    },
+    wraith: {
+        key: 'wraith',
+        name: 'Wraith',
+        category: 'mage',
+        health: 2,
+        speed: 46,
+        damage: 3,
+        resistances: { physical: 0.5, shadow: 0.25, holy: 2 },
+        pattern: 'homingOrbs',
+        scoreValue: 16,
+        experienceValue: 5,
+        sprite: 'monster_wraith',
+        animation: 'monster_wraith_float',
+        tint: 0x88DDFF,
+        stages: [3, 4]
+    },
+    necromancer: {
+        key: 'necromancer',
+        name: 'Necromancer',
+        category: 'mage',
+        health: 3,
+        speed: 42,
+        damage: 3,
+        resistances: { shadow: 0.5, holy: 1.5 },
+        pattern: 'gappedRing',
+        scoreValue: 18,
+        experienceValue: 6,
+        sprite: 'monster_necromancer',
+        animation: 'monster_necromancer_walk',
+        tint: 0x442266,
+        stages: [4]
+    }
+};
+
+// Generated fallback texture for each category (see textureGenerator.createEnemyVariations)
+export const MONSTER_CATEGORY_TEXTURES = {
+    melee: 'enemy',
+    dasher: 'enemy_dasher',
+    bomber: 'enemy_bomber',
+    shooter: 'enemy_shooter',
+    mage: 'enemy_mage'
+};
+
+/**
+ * Monsters of a category available in a stage
+ * @param {string} category - Enemy category (melee, dasher, bomber, shooter, mage)
+ * @param {number} stage - Stage number (1-4)
+ * @returns {object[]} Monster definitions
+ */
+export function getMonstersForStage(category, stage) {
+    const candidates = Object.values(monsters).filter(monster => monster.category === category);
+    const available = candidates.filter(monster => monster.stages.includes(stage));
+    if (available.length > 0) return available;
+
+    // Outside the staged levels (e.g. endless play), clamp to the first or last stage
+    const lastStage = Math.max(...candidates.map(monster => Math.max(...monster.stages)));
+    const clampedStage = Math.max(1, Math.min(stage, lastStage));
+    return candidates.filter(monster => monster.stages.includes(clampedStage));
+}
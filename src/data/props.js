@@ -0,0 +1,87 @@
+import { TILE_SIZE } from '../constants.js';
+
+// Breakable props PropSystem scatters over each level (how many and which ones come from
+// the stage's biome, see biomes.js). The snake can't pass through them, but projectiles,
+// sword sweeps and engineer abilities break them, and engineers with no enemies to fight
+// go after the ones in range. Each prop declares:
+//   key, name     - name is shown in the combat log
+//   texture       - generated in textureGenerator.js
+//   health        - hits to break, in damage points
+//   color         - tint of the debris when it breaks
+//   loot          - key in propLootTables, rolled when it breaks
+//   explosion     - optional { radius, damage, damageType }: the prop blows up when broken,
+//                   damaging enemies and breaking other props in the radius
+export const props = {
+    crate: {
+        key: 'crate',
+        name: 'Crate',
+        texture: 'prop_crate',
+        health: 6,
+        color: 0xB5834A,
+        loot: 'common'
+    },
+    barrel: {
+        key: 'barrel',
+        name: 'Barrel',
+        texture: 'prop_barrel',
+        health: 4,
+        color: 0x8B5A2B,
+        loot: 'common'
+    },
+    explosiveBarrel: {
+        key: 'explosiveBarrel',
+        name: 'Explosive Barrel',
+        texture: 'prop_explosive_barrel',
+        health: 3,
+        color: 0xFF5500,
+        loot: 'none',
+        explosion: { radius: TILE_SIZE * 2.5, damage: 8, damageType: 'fire' }
+    },
+    gravestone: {
+        key: 'gravestone',
+        name: 'Gravestone',
+        texture: 'prop_gravestone',
+        health: 12,
+        color: 0x8C8C96,
+        loot: 'rich'
+    },
+    crystalCluster: {
+        key: 'crystalCluster',
+        name: 'Crystal Cluster',
+        texture: 'prop_crystal',
+        health: 16,
+        color: 0x9FE8FF,
+        loot: 'crystal'
+    }
+};
+
+// What a broken prop drops: one weighted entry per break, each { weight, pickups } where
+// pickups is the number of experience pickups (SpawnSystem.spawnPickup) scattered around it
+export const propLootTables = {
+    none: [
+        { weight: 1, pickups: 0 }
+    ],
+    common: [
+        { weight: 5, pickups: 0 },
+        { weight: 4, pickups: 1 },
+        { weight: 1, pickups: 2 }
+    ],
+    rich: [
+        { weight: 2, pickups: 1 },
+        { weight: 3, pickups: 2 },
+        { weight: 1, pickups: 4 }
+    ],
+    crystal: [
+        { weight: 3, pickups: 3 },
+        { weight: 1, pickups: 5 }
+    ]
+};
+
+/**
+ * Loot table for a prop, falling back to no loot for unknown keys
+ * @param {string} key - Key in propLootTables
+ * @returns {Array} Weighted loot entries
+ */
+export function getPropLootTable(key) {
+    return propLootTables[key] || propLootTables.none;
+}
@@ -0,0 +1,138 @@
+import { TILE_SIZE } from '../constants.js';
+import { getSceneRandom } from '../utils/SeededRandom.js';
+
+// Relics are passive items carried by the commander for the rest of the run.
+// Each relic can declare:
+//   modifiers  - stat bonuses summed by RelicSystem.getModifier(stat)
+//                (damage: +% projectile damage, damageReduction: -% damage taken)
+//   onAcquire(scene, relic)                         - once, when picked up
+//   onEnemyKilled(scene, { enemy })                 - Enemy.die()
+//   onDamageTaken(scene, { target, amount })        - player or follower was hit
+//   onFollowerJoined(scene, { follower, engineerClass }) - engineer recruited
+//   onWaveStart(scene, { wave, level, isBossWave })      - SpawnSystem.startNextWave()
+// icon is a texture key; color tints the icon in the HUD strip.
+export const relics = {
+    whetstone: {
+        key: 'whetstone',
+        name: 'Whetstone',
+        description: '+15% projectile damage',
+        icon: 'item_weapon',
+        color: 0xFFFFFF,
+        rarity: 'common',
+        modifiers: { damage: 0.15 }
+    },
+    ironPlating: {
+        key: 'ironPlating',
+        name: 'Iron Plating',
+        description: 'The snake takes 15% less damage',
+        icon: 'item_armor',
+        color: 0xFFFFFF,
+        rarity: 'common',
+        modifiers: { damageReduction: 0.15 }
+    },
+    heartyStew: {
+        key: 'heartyStew',
+        name: 'Hearty Stew',
+        description: '+20 commander max health',
+        icon: 'item_potion',
+        color: 0xFF8844,
+        rarity: 'common',
+        onAcquire(scene) {
+            if (!scene.player) return;
+            scene.player.maxHealth += 20;
+            scene.player.health += 20;
+        }
+    },
+    secondWind: {
+        key: 'secondWind',
+        name: 'Second Wind',
+        description: 'Heal 10% of max health at the start of each wave',
+        icon: 'item_potion',
+        color: 0x44FF44,
+        rarity: 'common',
+        onWaveStart(scene) {
+            const player = scene.player;
+            if (!player || !player.active) return;
+            player.health = Math.min(player.maxHealth, player.health + Math.ceil(player.maxHealth * 0.1));
+        }
+    },
+    bountyCharm: {
+        key: 'bountyCharm',
+        name: 'Bounty Charm',
+        description: 'Enemies give 50% more score',
+        icon: 'item_weapon',
+        color: 0xFFD700,
+        rarity: 'uncommon',
+        onEnemyKilled(scene, { enemy }) {
+            const bonus = Math.ceil((enemy.scoreValue || 0) * 0.5);
+            if (bonus <= 0) return;
+            scene.score += bonus;
+            if (scene.uiManager) scene.uiManager.updateScore(scene.score);
+        }
+    },
+    vampireFang: {
+        key: 'vampireFang',
+        name: 'Vampire Fang',
+        description: '15% chance to heal the commander 1 HP on kill',
+        icon: 'item_weapon',
+        color: 0xCC0000,
+        rarity: 'uncommon',
+        onEnemyKilled(scene) {
+            const player = scene.player;
+            if (!player || !player.active || !getSceneRandom(scene, 'relics').chance(0.15)) return;
+            player.health = Math.min(player.maxHealth, player.health + 1);
+        }
+    },
+    thornMail: {
+        key: 'thornMail',
+        name: 'Thorn Mail',
+        description: 'When the snake is hit, nearby enemies take 1 damage',
+        icon: 'item_armor',
+        color: 0x88CC44,
+        rarity: 'uncommon',
+        onDamageTaken(scene, { target }) {
+            if (!scene.enemies || !target) return;
+            scene.enemies.getChildren().forEach(enemy => {
+                if (enemy.active && Phaser.Math.Distance.Between(target.x, target.y, enemy.x, enemy.y) <= TILE_SIZE * 2) {
+                    enemy.damage(1, 'holy');
+                }
+            });
+        }
+    },
+    rallyBanner: {
+        key: 'rallyBanner',
+        name: 'Rally Banner',
+        description: 'New engineers fully heal the whole party',
+        icon: 'item_armor',
+        color: 0x4488FF,
+        rarity: 'rare',
+        onFollowerJoined(scene) {
+            if (scene.player && scene.player.active) {
+                scene.player.health = scene.player.maxHealth;
+            }
+            scene.followers.forEach(follower => {
+                if (follower.active) follower.health = follower.maxHealth;
+            });
+        }
+    },
+    warDrum: {
+        key: 'warDrum',
+        name: 'War Drum',
+        description: '+30% projectile damage during boss waves',
+        icon: 'item_weapon',
+        color: 0xAA44FF,
+        rarity: 'rare',
+        onWaveStart(scene, { isBossWave }) {
+            if (scene.relicSystem) {
+                scene.relicSystem.setTemporaryModifier('warDrum', 'damage', isBossWave ? 0.3 : 0);
+            }
+        }
+    }
+};
+
+// Relative chance of each rarity being picked for a reward
+export const RELIC_RARITY_WEIGHTS = {
+    common: 60,
+    uncommon: 30,
+    rare: 10
+};
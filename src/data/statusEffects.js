@@ -0,0 +1,58 @@
+// Status effects run by StatusEffectSystem on enemies, followers and the commander alike.
+// Each effect declares:
+//   key, name, color, icon     - tint while active and the status icon drawn over the entity
+//   stacking                   - what re-applying does while the effect is active:
+//                                'refresh' (restart the duration, keep the stronger potency),
+//                                'stack' (each new source adds a stack up to maxStacks; the same
+//                                source only restarts the duration),
+//                                'extend' (add the new duration to the remaining time)
+//   maxStacks                  - cap for 'stack'
+//   defaultDuration, defaultPotency - used when the caller doesn't pass them
+//   speedMultiplier(potency, stacks) - movement speed while active (enemy speed, commander step rate)
+//   stopsActions               - the entity can't move or attack while this is active
+//   tickInterval, tickDamage(potency, stacks) - damage over time, every tickInterval ms
+//   damageType                 - damage type of the ticks (damageTypes.js)
+//   immunityAfter              - ms the entity ignores this effect once it wears off
+//   bossDurationMultiplier     - bosses shrug effects off faster
+//   bossConvertsTo             - bosses get this weaker effect instead (e.g. freeze becomes slow)
+// potency is passed by the caller: the speed factor for slows, damage per tick for poison.
+export const statusEffects = {
+    slow: {
+        key: 'slow',
+        name: 'Slowed',
+        color: 0xAA88FF,
+        icon: 'S',
+        stacking: 'refresh',
+        defaultDuration: 2000,
+        defaultPotency: 0.5,
+        speedMultiplier: potency => potency,
+        bossDurationMultiplier: 0.5
+    },
+    freeze: {
+        key: 'freeze',
+        name: 'Frozen',
+        color: 0x00FFFF,
+        icon: 'F',
+        stacking: 'refresh',
+        defaultDuration: 1500,
+        speedMultiplier: () => 0,
+        stopsActions: true,
+        immunityAfter: 1000, // A thawed enemy gets a moment to move before the next freeze
+        bossConvertsTo: { key: 'slow', potency: 0.5 }
+    },
+    poison: {
+        key: 'poison',
+        name: 'Poisoned',
+        color: 0x00FF00,
+        icon: 'P',
+        stacking: 'stack',
+        maxStacks: 5,
+        defaultDuration: 3000,
+        defaultPotency: 1,
+        speedMultiplier: () => 0.6,
+        tickInterval: 500,
+        tickDamage: (potency, stacks) => potency * stacks,
+        damageType: 'poison',
+        bossDurationMultiplier: 0.5
+    }
+};
@@ -0,0 +1,63 @@
+// How enemies choose which snake member to chase and shoot at. Each strategy declares:
+//   pick(enemy, player, followers) - returns the target (commander or an active follower)
+// Enemies use their monster's `targeting` key (monsters.js) or their category default below.
+// Targets are re-picked every TARGET_REPICK_INTERVAL ms, or at once if the target dies.
+function nearest(enemy, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = Phaser.Math.Distance.Between(enemy.x, enemy.y, candidate.x, candidate.y);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = candidate;
+        }
+    });
+    return best;
+}
+
+export const targetingStrategies = {
+    commander: {
+        key: 'commander',
+        name: 'Commander Only',
+        pick(enemy, player) {
+            return player;
+        }
+    },
+    nearestSegment: {
+        key: 'nearestSegment',
+        name: 'Nearest Segment',
+        pick(enemy, player, followers) {
+            return nearest(enemy, [player, ...followers]);
+        }
+    },
+    weakestFollower: {
+        key: 'weakestFollower',
+        name: 'Weakest Follower',
+        pick(enemy, player, followers) {
+            if (followers.length === 0) return player;
+            return followers.reduce((weakest, follower) =>
+                follower.health / follower.maxHealth < weakest.health / weakest.maxHealth ? follower : weakest);
+        }
+    },
+    backline: {
+        key: 'backline',
+        name: 'Backline Support',
+        pick(enemy, player, followers) {
+            // Go for support engineers (Holy Bard, Shaman), otherwise the tail of the chain
+            const supports = followers.filter(follower => follower.engineerClass && follower.engineerClass.support);
+            if (supports.length > 0) return nearest(enemy, supports);
+            return followers.length > 0 ? followers[followers.length - 1] : player;
+        }
+    }
+};
+
+export const DEFAULT_TARGETING_BY_CATEGORY = {
+    melee: 'nearestSegment',
+    dasher: 'weakestFollower',
+    bomber: 'nearestSegment',
+    shooter: 'backline',
+    mage: 'backline',
+    boss: 'commander'
+};
+
+export const TARGET_REPICK_INTERVAL = 500;
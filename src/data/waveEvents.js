@@ -0,0 +1,192 @@
+import { TILE_SIZE } from '../constants.js';
+
+// Mid-stage wave events. SpawnSystem schedules at most one per level on one of its middle
+// waves (never the first or last wave, never a boss wave) and starts it a few seconds into
+// that wave, on top of the wave's regular enemies. Each event declares:
+//   name              - shown when the event is cleared
+//   announcement      - headline shown through UIManager.showNotification
+//   description       - second line of the announcement; {direction} and {name} are filled in
+//   color             - announcement color
+//   formation         - how the enemies arrive:
+//                         'ring'     closing in around the commander at `radius`
+//                         'line'     a column along the far edge of the map, charging across
+//                         'cluster'  one group within `radius` of a portal site
+//                         'scatter'  dropped all around the commander, up to `radius` away
+//                         'miniBoss' a single mini-boss for the stage (see miniBosses)
+//   category          - enemy category from monsters.js (the stage picks the monster)
+//   count             - enemies at stage 1; countPerStage adds to it every later stage
+//   warning           - portal warning in ms before the enemies emerge
+//   reward            - dropped where the last event enemy dies:
+//                         { pickups (experience pickups), engineer (true drops one), relic (true grants one) }
+//   weight, minStage  - chance of being picked, and the first stage that can roll it
+export const waveEvents = {
+    miniBoss: {
+        key: 'miniBoss',
+        name: 'Mini-Boss',
+        announcement: 'MINI-BOSS!',
+        description: '{name} approaches from the {direction}',
+        color: '#FF6600',
+        formation: 'miniBoss',
+        warning: 2000,
+        reward: { pickups: 4, relic: true },
+        weight: 3,
+        minStage: 1
+    },
+    ambushRing: {
+        key: 'ambushRing',
+        name: 'Ambush',
+        announcement: 'AMBUSH!',
+        description: 'Enemies on every side',
+        color: '#FF4444',
+        formation: 'ring',
+        category: 'melee',
+        count: 8,
+        countPerStage: 2,
+        radius: TILE_SIZE * 8,
+        warning: 1500,
+        reward: { pickups: 3 },
+        weight: 3,
+        minStage: 1
+    },
+    stampede: {
+        key: 'stampede',
+        name: 'Stampede',
+        announcement: 'STAMPEDE!',
+        description: 'Dashers charging from the {direction}',
+        color: '#FFAA00',
+        formation: 'line',
+        category: 'dasher',
+        count: 8,
+        countPerStage: 2,
+        warning: 1500,
+        reward: { pickups: 3 },
+        weight: 2,
+        minStage: 2
+    },
+    mageCoven: {
+        key: 'mageCoven',
+        name: 'Mage Coven',
+        announcement: 'MAGE COVEN!',
+        description: 'A coven gathers to the {direction}',
+        color: '#CC66FF',
+        formation: 'cluster',
+        category: 'mage',
+        count: 4,
+        countPerStage: 1,
+        radius: TILE_SIZE * 2,
+        warning: 1800,
+        reward: { pickups: 3, engineer: true },
+        weight: 2,
+        minStage: 3
+    },
+    bomberRain: {
+        key: 'bomberRain',
+        name: 'Bomber Rain',
+        announcement: 'BOMBER RAIN!',
+        description: 'Bombers dropping all around you',
+        color: '#FF2222',
+        formation: 'scatter',
+        category: 'bomber',
+        count: 6,
+        countPerStage: 2,
+        radius: TILE_SIZE * 10,
+        warning: 1500,
+        reward: { pickups: 3 },
+        weight: 2,
+        minStage: 2
+    }
+};
+
+// Mini-bosses for the 'miniBoss' event: a regular monster made much tougher and turned into
+// an elite with fixed affixes. One is picked among those fielded by the current stage.
+//   monster           - key from monsters.js
+//   healthMultiplier  - health relative to the regular monster (before the elite bonus)
+//   damageMultiplier  - attack damage relative to the regular monster
+//   scale             - size relative to the regular monster
+//   affixes           - keys from eliteAffixes.js
+//   pattern           - optional bullet pattern (bulletPatterns.js) for shooter and mage mini-bosses
+//   stages            - stages (1-4) that field this mini-boss
+export const miniBosses = {
+    goblinWarchief: {
+        key: 'goblinWarchief',
+        name: 'Goblin Warchief',
+        monster: 'goblinGrunt',
+        healthMultiplier: 12,
+        damageMultiplier: 2,
+        scale: 1.8,
+        affixes: ['shielded'],
+        stages: [1]
+    },
+    alphaDireWolf: {
+        key: 'alphaDireWolf',
+        name: 'Alpha Dire Wolf',
+        monster: 'direWolf',
+        healthMultiplier: 10,
+        damageMultiplier: 2,
+        scale: 1.6,
+        affixes: ['hasted'],
+        stages: [1, 2]
+    },
+    darkElfCaptain: {
+        key: 'darkElfCaptain',
+        name: 'Dark Elf Captain',
+        monster: 'darkElfRanger',
+        healthMultiplier: 10,
+        damageMultiplier: 1.5,
+        scale: 1.6,
+        affixes: ['vampiric'],
+        pattern: 'fan',
+        stages: [2, 3]
+    },
+    gargoyleMatriarch: {
+        key: 'gargoyleMatriarch',
+        name: 'Gargoyle Matriarch',
+        monster: 'gargoyleSpitter',
+        healthMultiplier: 10,
+        damageMultiplier: 1.5,
+        scale: 1.8,
+        affixes: ['shielded'],
+        pattern: 'spiral',
+        stages: [3, 4]
+    },
+    stoneColossus: {
+        key: 'stoneColossus',
+        name: 'Stone Colossus',
+        monster: 'stoneGolem',
+        healthMultiplier: 8,
+        damageMultiplier: 2,
+        scale: 1.6,
+        affixes: ['shielded', 'explosive'],
+        stages: [4]
+    }
+};
+
+// Chance that a level gets a wave event, by stage (map nodes can override, see mapNodes.js)
+export const WAVE_EVENT_CHANCE_BY_STAGE = { 1: 0.35, 2: 0.5, 3: 0.6, 4: 0.75 };
+
+// Time into the event's wave before it starts, so it doesn't overlap the wave announcement
+export const WAVE_EVENT_DELAY = 6000;
+
+// Score and experience of a mini-boss relative to its regular monster (before the elite bonus)
+export const MINI_BOSS_REWARD_MULTIPLIER = 5;
+
+/**
+ * Events a stage can roll
+ * @param {number} stage - Stage number (1-4)
+ * @returns {object[]} Event definitions
+ */
+export function getWaveEventsForStage(stage) {
+    return Object.values(waveEvents).filter(event => event.minStage <= stage);
+}
+
+/**
+ * Mini-bosses available in a stage, clamped to the first or last stage outside the staged levels
+ * @param {number} stage - Stage number (1-4)
+ * @returns {object[]} Mini-boss definitions
+ */
+export function getMiniBossesForStage(stage) {
+    const candidates = Object.values(miniBosses);
+    const lastStage = Math.max(...candidates.map(miniBoss => Math.max(...miniBoss.stages)));
+    const clampedStage = Math.max(1, Math.min(stage, lastStage));
+    return candidates.filter(miniBoss => miniBoss.stages.includes(clampedStage));
+}
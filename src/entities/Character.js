@@ -1,5 +1,6 @@
 import { TILE_SIZE } from '../constants.js';
 import * as VisualEffects from '../utils/VisualEffects.js';
+import { DEFAULT_DAMAGE_TYPE, getDamageType } from '../data/damageTypes.js';
 
 /**
  * Base Character class that all game characters will extend
@@ -18,6 +19,9 @@ export default class Character extends Phaser.Physics.Arcade.Sprite {
         this.maxHealth = config.maxHealth || this.health;
         this.healthBar = null;
         
+        // Damage multipliers per damage type (see damageTypes.js)
+        this.resistances = config.resistances || {};
+        
         // Movement properties
         this.direction = config.direction || 'right';
         this.speed = config.speed || 50;
@@ -53,16 +57,41 @@ export default class Character extends Phaser.Physics.Arcade.Sprite {
     /**
      * Apply damage to the character
      * @param {number} amount - Amount of damage to apply
+     * @param {string} damageType - Key from damageTypes.js
      * @returns {boolean} - Whether the character died from this damage
      */
-    damage(amount) {
+    damage(amount, damageType = DEFAULT_DAMAGE_TYPE) {
         if (!this.active) return false;
         
+        // Resistances and weaknesses, then shields and other absorbs
+        const resistance = this.getResistance(damageType);
+        if (resistance <= 0) {
+            // Log immune hits so the combat log shows why nothing happened
+            if (this.scene.combatLogSystem) {
+                this.scene.combatLogSystem.record(this, 0, damageType);
+            }
+            return false;
+        }
+        
+        amount = this.absorbDamage(amount * resistance);
+        if (amount <= 0) return false;
+        
+        // Relics protect the snake (commander and followers)
+        const isSnakeSegment = this.constructor.name === 'Player' || this.constructor.name === 'Follower';
+        if (isSnakeSegment && this.scene.relicSystem) {
+            amount *= Math.max(0, 1 - this.scene.relicSystem.getModifier('damageReduction'));
+            this.scene.relicSystem.trigger('onDamageTaken', { target: this, amount });
+        }
+        
         this.health = Math.max(0, this.health - amount);
         this.updateHealthBar();
         
         // Enhanced damage text with scaling
-        this.createDamageText(amount);
+        this.createDamageText(amount, damageType);
+        
+        if (this.scene.combatLogSystem) {
+            this.scene.combatLogSystem.record(this, amount, damageType);
+        }
         
         // Determine if this is the player
         const isPlayer = this.constructor.name === 'Player';
@@ -145,6 +174,64 @@ export default class Character extends Phaser.Physics.Arcade.Sprite {
         return false;
     }
     
+    /**
+     * Apply a status effect through the scene's StatusEffectSystem
+     * @param {string} key - Key from statusEffects.js
+     * @param {object} options - { duration, potency, source }
+     * @returns {boolean} True if the effect was applied
+     */
+    applyStatus(key, options = {}) {
+        if (!this.scene.statusEffectSystem) return false;
+        return this.scene.statusEffectSystem.apply(this, key, options);
+    }
+    
+    /**
+     * Check whether a status effect is active on this character
+     * @param {string} key - Key from statusEffects.js
+     * @returns {boolean} True if active
+     */
+    hasStatus(key) {
+        return !!this.scene.statusEffectSystem && this.scene.statusEffectSystem.has(this, key);
+    }
+    
+    /**
+     * Whether the character can move and attack (false while frozen)
+     * @returns {boolean} True if not stopped by a status effect
+     */
+    canAct() {
+        return !this.scene.statusEffectSystem || !this.scene.statusEffectSystem.isStopped(this);
+    }
+    
+    /**
+     * Current movement speed with status effects applied
+     * @returns {number} Speed in pixels per second
+     */
+    getMoveSpeed() {
+        const multiplier = this.scene.statusEffectSystem
+            ? this.scene.statusEffectSystem.getSpeedMultiplier(this)
+            : 1;
+        return this.speed * multiplier;
+    }
+    
+    /**
+     * Damage multiplier for a damage type
+     * @param {string} damageType - Key from damageTypes.js
+     * @returns {number} Multiplier (below 1 resists, above 1 is a weakness)
+     */
+    getResistance(damageType) {
+        const multiplier = this.resistances[damageType];
+        return multiplier === undefined ? 1 : multiplier;
+    }
+    
+    /**
+     * Let the character soak damage before it lands (overridden by Enemy for elite shields)
+     * @param {number} amount - Incoming damage after resistances
+     * @returns {number} Damage left to apply
+     */
+    absorbDamage(amount) {
+        return amount;
+    }
+    
     /**
      * Handle character death
      */
@@ -169,20 +256,26 @@ export default class Character extends Phaser.Physics.Arcade.Sprite {
     
     /**
      * Create floating damage text
+     * @param {number} amount - Damage taken
+     * @param {string} damageType - Key from damageTypes.js (colors the number)
      */
-    createDamageText(amount) {
+    createDamageText(amount, damageType = DEFAULT_DAMAGE_TYPE) {
         // Determine if this damage is significant (> 20% of max health)
         const isSignificant = amount > this.maxHealth * 0.2;
         const isPlayer = this.constructor.name === 'Player';
         
+        // Physical hits keep the default colors; elemental hits use their type's color
+        const color = damageType === DEFAULT_DAMAGE_TYPE ? null : getDamageType(damageType).color;
+        
         VisualEffects.createDamageText(
             this.scene,
             this.x,
             this.y,
-            amount,
+            Math.round(amount * 10) / 10,
             isSignificant,
             isPlayer,
-            this.maxHealth
+            this.maxHealth,
+            color
         );
     }
     
@@ -2,6 +2,17 @@ import Character from './Character.js';
 import { TILE_SIZE, WORLD_WIDTH, WORLD_HEIGHT } from '../constants.js';
 import * as VisualEffects from '../utils/VisualEffects.js';
 import Projectile from './Projectile.js';
+import { getSceneRandom } from '../utils/SeededRandom.js';
+import { getStageForLevel } from '../utils/stageMap.js';
+import { monsters, getMonstersForStage, MONSTER_CATEGORY_TEXTURES } from '../data/monsters.js';
+import { getBossScriptForStage } from '../data/bossScripts.js';
+import { targetingStrategies, DEFAULT_TARGETING_BY_CATEGORY, TARGET_REPICK_INTERVAL } from '../data/targeting.js';
+import { DEFAULT_DAMAGE_TYPE } from '../data/damageTypes.js';
+import { eliteAffixes, ELITE_HEALTH_MULTIPLIER, ELITE_REWARD_MULTIPLIER, ELITE_BONUS_DROPS } from '../data/eliteAffixes.js';
+import { MINI_BOSS_REWARD_MULTIPLIER } from '../data/waveEvents.js';
+
+const ENEMY_PROJECTILE_SPEED = 150; // Shooter and mage projectiles (Projectile.createEnemyProjectile default)
+const MAGE_CAST_TIME = 600; // Telegraphed wind-up before a mage spell fires
 
 /**
  * Enemy class representing monsters that chase the player
@@ -13,15 +24,26 @@ export default class Enemy extends Character {
             health: config.health || 1,
             maxHealth: config.health || 1, // Set max to initial health
             tint: config.tint || 0xFF0000,
+            resistances: config.resistances,
             bodySize: (config.isBoss && config.texture === 'boss_summoner') ? null : 
                       ((config.isBoss && config.texture !== 'enemy') ? null : { width: TILE_SIZE * 0.8, height: TILE_SIZE * 0.8 })
         });
         
         // Enemy type and behavior
         this.enemyType = config.enemyType || 'melee';
+        this.monsterKey = config.monsterKey || null; // Entry in monsters.js (null for bosses)
+        this.name = config.name || this.enemyType;
         this.isBoss = config.isBoss || false;
         this.bossType = config.bossType || 'summoner';
         
+        // Which snake member to chase (see targeting.js)
+        this.targeting = config.targeting || DEFAULT_TARGETING_BY_CATEGORY[this.enemyType] || 'commander';
+        this.target = null;
+        this.targetRepickTimer = 0;
+        
+        // Shooters and mages with a bullet pattern fire it instead of single shots (see bulletPatterns.js)
+        this.pattern = config.pattern || null;
+        
         // Movement and targeting - 1.5x speed instead of 2x
         this.speed = (config.speed || 50) * 3;
         this.originalSpeed = this.speed;
@@ -40,32 +62,33 @@ export default class Enemy extends Character {
         this.teleportCooldownMax = config.teleportCooldownMax || 5000;
         this.bossPhase = 1; // Boss phase (1: 100-50% health, 2: 50-25% health, 3: <25% health)
         
-        // Status flags
-        this.isFrozen = false;
-        this.isPoisoned = false;
+        // Status flags (slow, freeze and poison live in StatusEffectSystem)
         this.isDashing = false;
         this.isTeleporting = false;
         this.isBombing = false;
+        this.isCasting = false;
         this.hasDealtDamage = false;
         this.hasDealtDamageToFollower = false;
         
-        // Keep track of active effects
-        this.activeEffects = new Map();
-        
-        // Cooldown for Summoner's 8-way shot
-        if (this.bossType === 'summoner') {
-            this.eightWayShotCooldown = 0; // Starts ready or with a delay? Let's start with 0 (ready after first max cooldown period)
-            this.eightWayShotCooldownMax = 8000; // 8 seconds
-        }
-        
-        // Cooldown for Berserker's Dash Attack
-        if (this.bossType === 'berserker') {
-            this.berserkerDashCooldown = 0; // Start ready after first max cooldown
-            this.berserkerDashCooldownMax = 4000; // 4 seconds
-            // Ensure dashSpeed is configured for Berserker if not already
-            if (!config.dashSpeed) {
-                this.dashSpeed = (this.speed * 1.8) * 2; // Example: 80% faster than its already fast base speed, then x2
+        // Elite affixes (see eliteAffixes.js), rolled by SpawnSystem
+        this.isElite = false;
+        this.affixes = [];
+        this.shield = 0;
+        
+        // Mini-boss and wave event state (see waveEvents.js), set by SpawnSystem
+        this.isMiniBoss = false;
+        this.waveEvent = null;
+        
+        // Scripted boss state (see bossScripts.js)
+        this.bossScript = config.bossScript || null;
+        this.bossName = this.bossScript ? this.bossScript.name : null;
+        if (this.bossScript) {
+            if (this.bossScript.dashSpeedMultiplier) {
+                this.dashSpeed = (this.speed * this.bossScript.dashSpeedMultiplier) * 2;
             }
+            this.baseSpeed = this.speed;
+            this.baseAttackDamage = this.attackDamage;
+            this.enterBossPhase(1);
         }
         
         // Initialize special boss visuals if this is a boss
@@ -124,7 +147,12 @@ export default class Enemy extends Character {
             }
         }
         
-        console.log(`Enemy created: type=${this.enemyType}, speed=${this.speed} (1.5x original speed)`);
+        // Monster animation, once its spritesheet is loaded
+        if (config.animation && this.scene.anims.exists(config.animation)) {
+            this.play(config.animation);
+        }
+        
+        console.log(`Enemy created: type=${this.enemyType}${this.monsterKey ? ` (${this.name})` : ''}, speed=${this.speed} (1.5x original speed)`);
     }
     
     /**
@@ -133,7 +161,14 @@ export default class Enemy extends Character {
     update(time, delta) {
         super.update(time, delta);
         
-        if (!this.active || this.isFrozen) return;
+        if (!this.active) return;
+        
+        // Frozen enemies neither move nor tick their abilities
+        if (!this.canAct()) {
+            this.body.velocity.x = 0;
+            this.body.velocity.y = 0;
+            return;
+        }
         
         // Update cooldowns
         if (this.specialAbilityCooldown > 0) {
@@ -144,6 +179,10 @@ export default class Enemy extends Character {
             this.teleportCooldown -= delta;
         }
         
+        if (this.targetRepickTimer > 0) {
+            this.targetRepickTimer -= delta;
+        }
+        
         // Check boss phase transition
         if (this.isBoss) {
             this.checkBossPhaseTransition();
@@ -152,7 +191,7 @@ export default class Enemy extends Character {
         // Enemy behavior based on type
         switch (this.enemyType) {
             case 'melee':
-                this.moveTowardPlayer();
+                this.moveTowardTarget();
                 break;
             case 'dasher':
                 this.updateDasherBehavior();
@@ -167,30 +206,89 @@ export default class Enemy extends Character {
                 this.updateMageBehavior();
                 break;
             case 'boss':
-                this.updateBossBehavior();
+                this.updateBossBehavior(delta);
                 break;
             default:
-                this.moveTowardPlayer();
+                this.moveTowardTarget();
         }
     }
     
     /**
-     * Move toward the player at current speed
+     * Snake member this enemy is after, re-picked by its targeting strategy
+     * @returns {Character|null} Commander or follower (null if the commander is gone)
      */
-    moveTowardPlayer() {
+    getTarget() {
         const player = this.scene.player;
-        if (!player || !player.active) return;
+        if (!player || !player.active) return null;
+        
+        if (this.target && this.target.active && this.targetRepickTimer > 0) {
+            return this.target;
+        }
+        
+        const strategy = targetingStrategies[this.targeting] || targetingStrategies.commander;
+        const followers = (this.scene.followers || []).filter(follower => follower && follower.active);
+        this.target = strategy.pick(this, player, followers) || player;
+        this.targetRepickTimer = TARGET_REPICK_INTERVAL;
+        
+        return this.target;
+    }
+    
+    /**
+     * Angle to fire at a moving target so the shot meets it, using the snake's move cadence
+     * @param {Character} target - Commander or follower
+     * @param {number} projectileSpeed - Projectile speed in pixels per second
+     * @param {number} delay - Time in ms before the shot is fired (e.g. a cast wind-up)
+     * @returns {number} Angle in radians
+     */
+    getLeadAngle(target, projectileSpeed, delay = 0) {
+        let aimX = target.x;
+        let aimY = target.y;
+        
+        const movementSystem = this.scene.movementSystem;
+        if (movementSystem && projectileSpeed > 0) {
+            // Refine the intercept point: aim where the target will be when the shot arrives
+            for (let i = 0; i < 3; i++) {
+                const flightTime = Phaser.Math.Distance.Between(this.x, this.y, aimX, aimY) / projectileSpeed * 1000;
+                const predicted = movementSystem.predictSegmentPosition(target, delay + flightTime);
+                aimX = predicted.x;
+                aimY = predicted.y;
+            }
+        }
+        
+        return Phaser.Math.Angle.Between(this.x, this.y, aimX, aimY);
+    }
+    
+    /**
+     * Move toward the current target at current speed
+     */
+    moveTowardTarget() {
+        const target = this.getTarget();
+        if (!target) return;
         
         // Check for terrain effects (optional - if terrain system exists)
         this.checkTerrainEffects();
         
-        // Move toward player using physics
-        this.scene.physics.moveToObject(this, player, this.speed);
+        // Follow the shared flow field (built toward the commander) around costly terrain
+        // while far away; close to the chain, head straight for the target
+        const farFromTarget = target === this.scene.player ||
+            Phaser.Math.Distance.Between(this.x, this.y, target.x, target.y) > TILE_SIZE * 6;
+        const direction = this.scene.flowFieldSystem && farFromTarget
+            ? this.scene.flowFieldSystem.getDirection(this.x, this.y)
+            : null;
+        if (direction) {
+            this.body.velocity.x = direction.x * this.getMoveSpeed();
+            this.body.velocity.y = direction.y * this.getMoveSpeed();
+            this.rotation = Math.atan2(direction.y, direction.x);
+            return;
+        }
+        
+        // Move toward target using physics
+        this.scene.physics.moveToObject(this, target, this.getMoveSpeed());
         
-        // Set rotation to face player
+        // Set rotation to face target
         this.rotation = Phaser.Math.Angle.Between(
             this.x, this.y, 
-            player.x, player.y
+            target.x, target.y
         );
     }
     
@@ -200,7 +298,7 @@ export default class Enemy extends Character {
     updateDasherBehavior() {
         if (this.isDashing) return;
         
-        this.moveTowardPlayer();
+        this.moveTowardTarget();
         
         // Try to dash if cooldown is ready
         if (this.specialAbilityCooldown <= 0) {
@@ -209,11 +307,11 @@ export default class Enemy extends Character {
     }
     
     /**
-     * Perform a dash toward the player
+     * Perform a dash toward the current target
      */
     performDash() {
-        const player = this.scene.player;
-        if (!player || !player.active) return;
+        const target = this.getTarget();
+        if (!target) return;
         
         // Set dashing state
         this.isDashing = true;
@@ -223,10 +321,10 @@ export default class Enemy extends Character {
         // Visual effect
         this.setTint(0xFFFF00);
         
-        // Dash toward player
-        const angle = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
-        this.body.velocity.x = Math.cos(angle) * this.speed;
-        this.body.velocity.y = Math.sin(angle) * this.speed;
+        // Dash toward target
+        const angle = Phaser.Math.Angle.Between(this.x, this.y, target.x, target.y);
+        this.body.velocity.x = Math.cos(angle) * this.getMoveSpeed();
+        this.body.velocity.y = Math.sin(angle) * this.getMoveSpeed();
         
         // Dash duration
         this.scene.time.delayedCall(500, () => {
@@ -242,20 +340,20 @@ export default class Enemy extends Character {
     }
     
     /**
-     * Bomber enemy behavior - move toward player and explode when close
+     * Bomber enemy behavior - move toward its target and explode when close
      */
     updateBomberBehavior() {
-        const player = this.scene.player;
-        if (!player || !player.active) return;
+        const target = this.getTarget();
+        if (!target) return;
         
-        this.moveTowardPlayer();
+        this.moveTowardTarget();
         
         // Check if close enough to explode
-        const distanceToPlayer = Phaser.Math.Distance.Between(
-            this.x, this.y, player.x, player.y
+        const distanceToTarget = Phaser.Math.Distance.Between(
+            this.x, this.y, target.x, target.y
         );
         
-        if (distanceToPlayer < TILE_SIZE * 2 && !this.isBombing) {
+        if (distanceToTarget < TILE_SIZE * 2 && !this.isBombing) {
             this.startBombSequence();
         }
     }
@@ -277,16 +375,32 @@ export default class Enemy extends Character {
             yoyo: true,
             repeat: 5,
             onComplete: () => {
-                if (!this.active) return;
+                if (!this.active || this.scene.telegraphSystem) return;
                 this.explode();
             }
         });
+        
+        // Mark the blast area; the telegraph deals the damage when the fuse runs out
+        if (this.scene.telegraphSystem) {
+            this.scene.telegraphSystem.telegraph({
+                shape: 'circle',
+                radius: TILE_SIZE * 3,
+                windup: 2400, // Matches the flash tween
+                damage: this.attackDamage * 2,
+                followerDamage: this.attackDamage,
+                damageType: 'fire',
+                follow: this,
+                source: this,
+                onResolve: () => this.explode(false)
+            });
+        }
     }
     
     /**
      * Explode the bomber enemy
+     * @param {boolean} dealDamage - False when a telegraph already resolved the damage
      */
-    explode() {
+    explode(dealDamage = true) {
         if (!this.active) return;
         
         const explosionRadius = TILE_SIZE * 3;
@@ -308,16 +422,16 @@ export default class Enemy extends Character {
         
         // Damage player and followers if in range
         const player = this.scene.player;
-        if (player && player.active && 
+        if (dealDamage && player && player.active && 
             Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y) <= explosionRadius) {
-            player.damage(this.attackDamage * 2);
+            player.damage(this.attackDamage * 2, 'fire');
         }
         
         // Damage followers
         this.scene.followersGroup.getChildren().forEach(follower => {
-            if (follower.active && 
+            if (dealDamage && follower.active && 
                 Phaser.Math.Distance.Between(this.x, this.y, follower.x, follower.y) <= explosionRadius) {
-                follower.damage(this.attackDamage);
+                follower.damage(this.attackDamage, 'fire');
             }
         });
         
@@ -340,27 +454,27 @@ export default class Enemy extends Character {
      * Shooter enemy behavior - keep distance and shoot projectiles
      */
     updateShooterBehavior() {
-        const player = this.scene.player;
-        if (!player || !player.active) return;
+        const target = this.getTarget();
+        if (!target) return;
         
-        const distanceToPlayer = Phaser.Math.Distance.Between(
-            this.x, this.y, player.x, player.y
+        const distanceToTarget = Phaser.Math.Distance.Between(
+            this.x, this.y, target.x, target.y
         );
         
-        // Set rotation to face player
+        // Set rotation to face target
         this.rotation = Phaser.Math.Angle.Between(
-            this.x, this.y, player.x, player.y
+            this.x, this.y, target.x, target.y
         );
         
-        // Move toward player if far away
-        if (distanceToPlayer > this.shootRange) {
-            this.moveTowardPlayer();
+        // Move toward target if far away
+        if (distanceToTarget > this.shootRange) {
+            this.moveTowardTarget();
         } 
-        // Move away from player if too close
-        else if (distanceToPlayer < this.shootRange / 2) {
-            const angle = Phaser.Math.Angle.Between(player.x, player.y, this.x, this.y);
-            this.body.velocity.x = Math.cos(angle) * this.speed;
-            this.body.velocity.y = Math.sin(angle) * this.speed;
+        // Move away from target if too close
+        else if (distanceToTarget < this.shootRange / 2) {
+            const angle = Phaser.Math.Angle.Between(target.x, target.y, this.x, this.y);
+            this.body.velocity.x = Math.cos(angle) * this.getMoveSpeed();
+            this.body.velocity.y = Math.sin(angle) * this.getMoveSpeed();
         }
         // Shoot if within range and cooldown ready
         else {
@@ -368,17 +482,23 @@ export default class Enemy extends Character {
             this.body.velocity.y = 0;
             
             if (this.specialAbilityCooldown <= 0) {
-                this.shootAtPlayer();
+                this.shootAtTarget();
             }
         }
     }
     
     /**
-     * Shoot a projectile at the player
+     * Shoot a projectile where the target will be when it arrives
      */
-    shootAtPlayer() {
-        const player = this.scene.player;
-        if (!player || !player.active) return;
+    shootAtTarget() {
+        const target = this.getTarget();
+        if (!target) return;
+        
+        if (this.pattern && this.scene.bulletPatternSystem) {
+            this.scene.bulletPatternSystem.emit(this, this.pattern);
+            this.specialAbilityCooldown = this.specialAbilityCooldownMax;
+            return;
+        }
         
         // Get access to the combat system
         const combatSystem = this.scene.combatSystem || this.scene;
@@ -387,7 +507,7 @@ export default class Enemy extends Character {
             return;
         }
         
-        const angle = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
+        const angle = this.getLeadAngle(target, ENEMY_PROJECTILE_SPEED);
         const dirX = Math.cos(angle);
         const dirY = Math.sin(angle);
         
@@ -399,7 +519,7 @@ export default class Enemy extends Character {
         // Instead of manually creating and configuring a projectile
         // Use the factory method to create an enemy projectile
         const projectile = Projectile.createEnemyProjectile(
-            this.scene, spawnX, spawnY, dirX, dirY, this.attackDamage
+            this.scene, spawnX, spawnY, dirX, dirY, this.attackDamage, ENEMY_PROJECTILE_SPEED
         );
         
         if (projectile) {
@@ -421,8 +541,8 @@ export default class Enemy extends Character {
      * Mage enemy behavior - teleport and cast spells
      */
     updateMageBehavior() {
-        const player = this.scene.player;
-        if (!player || !player.active) return;
+        const target = this.getTarget();
+        if (!target || this.isCasting) return;
         
         // Try to teleport if cooldown is ready
         if (this.teleportCooldown <= 0 && !this.isTeleporting) {
@@ -431,16 +551,16 @@ export default class Enemy extends Character {
         }
         
         // Shoot if within range and cooldown ready
-        const distanceToPlayer = Phaser.Math.Distance.Between(
-            this.x, this.y, player.x, player.y
+        const distanceToTarget = Phaser.Math.Distance.Between(
+            this.x, this.y, target.x, target.y
         );
         
-        if (distanceToPlayer < this.shootRange && this.specialAbilityCooldown <= 0) {
+        if (distanceToTarget < this.shootRange && this.specialAbilityCooldown <= 0) {
             this.castSpell();
         }
-        // Otherwise move slowly toward player
+        // Otherwise move slowly toward target
         else {
-            this.moveTowardPlayer();
+            this.moveTowardTarget();
         }
     }
     
@@ -467,8 +587,9 @@ export default class Enemy extends Character {
                 if (!this.active) return;
                 
                 // Find new position
-                const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
-                const distance = Phaser.Math.Between(TILE_SIZE * 5, TILE_SIZE * 10);
+                const random = getSceneRandom(this.scene, 'enemies');
+                const angle = random.floatBetween(0, Math.PI * 2);
+                const distance = random.between(TILE_SIZE * 5, TILE_SIZE * 10);
                 const newX = Phaser.Math.Clamp(
                     player.x + Math.cos(angle) * distance,
                     TILE_SIZE, WORLD_WIDTH - TILE_SIZE
@@ -496,11 +617,58 @@ export default class Enemy extends Character {
     }
     
     /**
-     * Cast a spell attack
+     * Cast a spell attack: warn along the spell's path, then fire it
      */
     castSpell() {
-        const player = this.scene.player;
-        if (!player || !player.active) return;
+        const target = this.getTarget();
+        if (!target) return;
+        
+        // Aim where the target will be once the wind-up ends and the spell arrives
+        const castTime = this.scene.telegraphSystem ? MAGE_CAST_TIME : 0;
+        const angle = this.getLeadAngle(target, ENEMY_PROJECTILE_SPEED, castTime);
+        
+        // Reset cooldown
+        this.specialAbilityCooldown = this.specialAbilityCooldownMax;
+        
+        if (!this.scene.telegraphSystem) {
+            this.fireSpell(angle);
+            return;
+        }
+        
+        // Stand still while the line fills, then fire along it
+        this.isCasting = true;
+        this.body.velocity.x = 0;
+        this.body.velocity.y = 0;
+        this.scene.telegraphSystem.telegraph({
+            shape: 'line',
+            x: this.x,
+            y: this.y,
+            angle,
+            length: this.shootRange,
+            width: TILE_SIZE,
+            windup: MAGE_CAST_TIME,
+            damage: 0, // The spell projectile does the damage
+            color: 0xA020F0,
+            source: this,
+            onResolve: () => {
+                this.isCasting = false;
+                this.fireSpell(angle);
+            }
+        });
+    }
+    
+    /**
+     * Fire the mage's spell projectile
+     * @param {number} angle - Direction in radians
+     */
+    fireSpell(angle) {
+        if (!this.active) return;
+        
+        // Patterns fire along the telegraphed line rather than re-aiming
+        if (this.pattern && this.scene.bulletPatternSystem) {
+            this.scene.bulletPatternSystem.emit(this, this.pattern, { aim: false, angle });
+            return;
+        }
         
         // Get access to the combat system
         const combatSystem = this.scene.combatSystem || this.scene;
@@ -509,7 +677,6 @@ export default class Enemy extends Character {
             return;
         }
         
-        const angle = Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y);
         const dirX = Math.cos(angle);
         const dirY = Math.sin(angle);
         
@@ -520,7 +687,7 @@ export default class Enemy extends Character {
 
         // Use the factory method to create an enemy projectile
         const projectile = Projectile.createEnemyProjectile(
-            this.scene, spawnX, spawnY, dirX, dirY, this.attackDamage
+            this.scene, spawnX, spawnY, dirX, dirY, this.attackDamage, ENEMY_PROJECTILE_SPEED
         );
         
         if (projectile) {
@@ -530,6 +697,7 @@ export default class Enemy extends Character {
             // Set magic-specific properties
             projectile.setTint(0xA020F0); // Purple for magic
             projectile.setScale(1.5); // Larger projectile
+            projectile.setDamageType('shadow');
             
             // Add a lifespan to ensure cleanup
             projectile.setLifespan(5000); // 5 seconds max lifetime
@@ -537,184 +705,252 @@ export default class Enemy extends Character {
             // Debug output
             console.log(`Enemy spell fired: vx=${projectile.body.velocity.x}, vy=${projectile.body.velocity.y}`);
         }
-        
-        // Reset cooldown
-        this.specialAbilityCooldown = this.specialAbilityCooldownMax;
     }
     
     /**
-     * Update boss behavior based on the current phase
+     * Run the boss script for the current phase: movement, attacks and enrage
+     * @param {number} delta - Time since last frame in ms
      */
-    updateBossBehavior() {
-        if (!this.active) return;
+    updateBossBehavior(delta) {
+        if (!this.active || !this.bossScript) return;
         
-        // Basic movement
-        this.moveTowardPlayer();
+        const phase = this.getBossPhaseScript();
         
-        // Execute phase-specific behavior
-        switch (this.bossType) {
-            case 'summoner':
-                this.updateSummonerBossBehavior();
-                break;
-            case 'berserker':
-                this.updateBerserkerBossBehavior();
-                break;
-            case 'alchemist':
-                this.updateAlchemistBossBehavior();
-                break;
-            case 'lichking':
-                this.updateLichKingBossBehavior();
-                break;
-            default:
-                this.moveTowardPlayer();
+        // Tick attack cooldowns
+        this.attackCooldowns = this.attackCooldowns.map(cooldown => Math.max(0, cooldown - delta));
+        if (this.attackDelayTimer > 0) {
+            this.attackDelayTimer -= delta;
         }
-    }
-    
-    /**
-     * Summoner Boss behavior - summons minions and attacks
-     */
-    updateSummonerBossBehavior() {
-        if (!this.active) return;
         
-        // Handle summoning cooldown
-        if (!this.summonCooldown) {
-            this.summonCooldown = 0;
+        // Enrage if the phase drags on
+        this.phaseTime += delta;
+        if (phase.enrage && !this.isEnraged && this.phaseTime >= phase.enrage.after) {
+            this.enrage(phase.enrage);
         }
         
-        // Update cooldown timer
-        if (this.summonCooldown > 0) {
-            this.summonCooldown -= this.scene.game.loop.delta;
+        // Dashes, teleports and channelled casts move the boss until they finish
+        if (this.isDashing || this.isTeleporting) return;
+        if (this.isCasting) {
+            this.body.velocity.x = 0;
+            this.body.velocity.y = 0;
+            return;
         }
         
-        // Summon minions if cooldown is ready
-        if (this.summonCooldown <= 0) {
-            this.summonMinions();
-            
-            // Reset cooldown based on boss phase
-            // More frequent summons in later phases
-            switch (this.bossPhase) {
-                case 3:
-                    this.summonCooldown = 5000; // 5 seconds in phase 3
-                    break;
-                case 2:
-                    this.summonCooldown = 8000; // 8 seconds in phase 2
-                    break;
-                default:
-                    this.summonCooldown = 12000; // 12 seconds in phase 1
-                    break;
-            }
-        }
+        this.updateBossMovement(phase);
         
-        // Slow movement when summoning
-        if (this.summonCooldown <= 0) {
-            this.speed = this.originalSpeed * 0.5;
-        } else {
-            // Restore normal speed
-            if (this.originalSpeed) {
-                this.speed = this.originalSpeed;
+        if (this.attackDelayTimer <= 0) {
+            const index = this.selectBossAttack(phase);
+            if (index !== -1) {
+                const attack = phase.attacks[index];
+                this.attackCooldowns[index] = (attack.cooldown || 0) * this.cooldownMultiplier;
+                this.attackDelayTimer = phase.attackDelay || 0;
+                this.performBossAttack(attack);
             }
         }
+    }
 
-        // Handle 8-way shot cooldown for Summoner
-        if (this.eightWayShotCooldown > 0) {
-            this.eightWayShotCooldown -= this.scene.game.loop.delta;
-        }
-
-        // Perform 8-way shot if cooldown is ready
-        if (this.eightWayShotCooldown <= 0) {
-            this.performEightWayShot();
-            this.eightWayShotCooldown = this.eightWayShotCooldownMax;
-        }
+    /**
+     * Script of the phase the boss is in
+     * @returns {object} Phase entry from bossScripts.js
+     */
+    getBossPhaseScript() {
+        const phases = this.bossScript.phases;
+        return phases[Math.min(this.bossPhase, phases.length) - 1];
     }
-    
+
     /**
-     * Berserker Boss behavior - dashes and area attacks
+     * Enter a scripted phase: reset attack timers and apply the phase's stats
+     * @param {number} phaseNumber - Phase number (1-based)
      */
-    updateBerserkerBossBehavior() {
-        if (!this.active || this.isDashing) return; // Don't do other actions if already dashing
+    enterBossPhase(phaseNumber) {
+        this.bossPhase = phaseNumber;
+        const phase = this.getBossPhaseScript();
+        
+        this.phaseTime = 0;
+        this.isEnraged = false;
+        this.cooldownMultiplier = 1;
+        this.attackCooldowns = (phase.attacks || []).map(() => 0);
+        this.attackDelayTimer = 0;
+        
+        this.speed = this.baseSpeed * (phase.speedMultiplier || 1);
+        this.originalSpeed = this.speed;
+        this.attackDamage = Math.floor(this.baseAttackDamage * (phase.damageMultiplier || 1));
+    }
 
-        // Handle Berserker Dash Cooldown
-        if (this.berserkerDashCooldown > 0) {
-            this.berserkerDashCooldown -= this.scene.game.loop.delta;
+    /**
+     * Move according to the phase's movement mode
+     * @param {object} phase - Phase script
+     */
+    updateBossMovement(phase) {
+        const player = this.scene.player;
+        if (!player || !player.active) return;
+        
+        const range = (phase.range || 8) * TILE_SIZE;
+        const distanceToPlayer = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
+        
+        switch (phase.movement) {
+            case 'hold':
+                this.body.velocity.x = 0;
+                this.body.velocity.y = 0;
+                break;
+            case 'kite':
+                // Close in when far, back off when the snake gets too close
+                if (distanceToPlayer > range) {
+                    this.moveTowardTarget();
+                } else if (distanceToPlayer < range / 2) {
+                    const angle = Phaser.Math.Angle.Between(player.x, player.y, this.x, this.y);
+                    this.body.velocity.x = Math.cos(angle) * this.getMoveSpeed();
+                    this.body.velocity.y = Math.sin(angle) * this.getMoveSpeed();
+                } else {
+                    this.body.velocity.x = 0;
+                    this.body.velocity.y = 0;
+                }
+                break;
+            case 'orbit': {
+                // Aim a little ahead on the circle around the commander
+                const angle = Phaser.Math.Angle.Between(player.x, player.y, this.x, this.y) + 0.5;
+                this.scene.physics.moveTo(
+                    this,
+                    player.x + Math.cos(angle) * range,
+                    player.y + Math.sin(angle) * range,
+                    this.getMoveSpeed()
+                );
+                break;
+            }
+            default:
+                this.moveTowardTarget();
         }
+    }
 
-        // Try to dash if cooldown is ready
-        if (this.berserkerDashCooldown <= 0) {
-            this.performDash(); // Reusing the existing dash logic
-            this.berserkerDashCooldown = this.berserkerDashCooldownMax; // Reset cooldown
-            // After initiating a dash, the performDash method handles the dashing state.
-            // We don't want to immediately moveTowardPlayer in the same frame.
-            return; 
-        }
+    /**
+     * Pick the next ready attack of the phase
+     * @param {object} phase - Phase script
+     * @returns {number} Index into phase.attacks, or -1 if none is ready
+     */
+    selectBossAttack(phase) {
+        const ready = (phase.attacks || [])
+            .map((attack, index) => index)
+            .filter(index => this.attackCooldowns[index] <= 0);
+        if (ready.length === 0) return -1;
+        
+        if (phase.attackSelection !== 'weighted') return ready[0];
         
-        // If not dashing and dash is on cooldown, move toward player
-        this.moveTowardPlayer();
+        const random = getSceneRandom(this.scene, 'enemies');
+        return random.weightedPick(ready, index => phase.attacks[index].weight || 1);
     }
-    
+
     /**
-     * Alchemist Boss behavior - teleports and casts area spells
+     * Perform one scripted attack
+     * @param {object} attack - Attack entry from the phase script
      */
-    updateAlchemistBossBehavior() {
-        if (!this.active) return;
-        
-        // Implement alchemist boss behavior
-        // This can be implemented later if needed
-        this.moveTowardPlayer();
+    performBossAttack(attack) {
+        switch (attack.action) {
+            case 'summon':
+                this.summonMinions(attack.summon);
+                break;
+            case 'radialShot':
+                this.performRadialShot(attack.count, attack.projectileSpeed);
+                break;
+            case 'aimedShot':
+                this.performAimedShot(attack.count, attack.spread, attack.projectileSpeed);
+                break;
+            case 'pattern':
+                this.performPatternAttack(attack);
+                break;
+            case 'dash':
+                this.performDash();
+                break;
+            case 'teleport':
+                this.teleport();
+                break;
+            case 'area':
+                this.performAreaAttack(attack);
+                break;
+            default:
+                console.warn(`[Enemy] Unknown boss attack "${attack.action}" for ${this.bossType}`);
+        }
     }
-    
+
     /**
-     * Lich King Boss behavior - summons minions and casts powerful spells
+     * Speed the boss up and shorten its cooldowns for the rest of the phase
+     * @param {object} enrage - Enrage settings from the phase script
      */
-    updateLichKingBossBehavior() {
-        if (!this.active) return;
+    enrage(enrage) {
+        this.isEnraged = true;
+        this.speed *= enrage.speedMultiplier || 1;
+        this.originalSpeed = this.speed;
+        this.attackDamage = Math.floor(this.attackDamage * (enrage.damageMultiplier || 1));
+        this.cooldownMultiplier *= enrage.cooldownMultiplier || 1;
         
-        // Implement lich king boss behavior
-        // This can be implemented later if needed
-        this.moveTowardPlayer();
+        this.scene.cameras.main.shake(300, 0.01);
+        const enrageText = this.scene.add.text(
+            this.x,
+            this.y - this.height,
+            'ENRAGED!',
+            {
+                fontSize: '24px',
+                fontFamily: 'Arial',
+                color: '#FF3300',
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5).setDepth(1000);
+        
+        this.scene.tweens.add({
+            targets: enrageText,
+            y: enrageText.y - 50,
+            alpha: 0,
+            duration: 1500,
+            ease: 'Power1',
+            onComplete: () => enrageText.destroy()
+        });
+        
+        console.log(`[Enemy] ${this.bossName || this.bossType} enraged in phase ${this.bossPhase}`);
     }
-    
+
     /**
      * Summon minion enemies around the boss
+     * @param {object} summon - Summon table: { count, distance, table: [{ type, weight }] }
      */
-    summonMinions() {
+    summonMinions(summon = {}) {
         if (!this.active) return;
         
         // Create visual effect for summoning
         VisualEffects.createFlashEffect(
-            this.scene, 
-            this.x, 
-            this.y, 
-            this.width * 3, 
-            this.height * 3, 
-            0x00FF00, 
-            0.5, 
+            this.scene,
+            this.x,
+            this.y,
+            this.width * 3,
+            this.height * 3,
+            0x00FF00,
+            0.5,
             500
         );
         
-        // Number of minions to summon based on boss phase
-        let minionCount = 3;
-        if (this.bossPhase >= 2) minionCount = 5;
-        if (this.bossPhase >= 3) minionCount = 7;
+        const minionCount = summon.count || 3;
+        const distance = this.width * (summon.distance || 2);
+        const table = summon.table || [{ type: 'melee', weight: 1 }];
+        const random = getSceneRandom(this.scene, 'enemies');
         
         // Spawn minions in a circle around the boss
         for (let i = 0; i < minionCount; i++) {
             const angle = (i / minionCount) * Math.PI * 2;
-            const distance = this.width * 2;
             const x = this.x + Math.cos(angle) * distance;
             const y = this.y + Math.sin(angle) * distance;
-            
+            const type = random.weightedPick(table, entry => entry.weight || 1).type;
+        
             // Create a basic enemy minion
             if (this.scene.spawnSystem) {
                 // Use the newly added spawnEnemyAtPosition method
-                this.scene.spawnSystem.spawnEnemyAtPosition(x, y, 'melee');
+                this.scene.spawnSystem.spawnEnemyAtPosition(x, y, type);
             } else {
                 // Fallback if spawn system isn't available
-                const minion = Enemy.createEnemy(this.scene, x, y, 1, 'melee');
+                const minion = Enemy.createEnemy(this.scene, x, y, 1, type);
                 if (this.scene.enemies) {
                     this.scene.enemies.add(minion);
                 }
             }
-            
+        
             // Add spawn particle effect
             VisualEffects.createEntitySpawnEffect(this.scene, x, y, 0x00FF00);
         }
@@ -724,39 +960,55 @@ export default class Enemy extends Character {
             this.scene.audioManager.playSFX('summon');
         }
     }
-    
+
     /**
-     * Check if boss should transition to the next phase
+     * Check if boss should transition to the next scripted phase
      */
     checkBossPhaseTransition() {
-        const healthPercent = this.health / this.maxHealth * 100;
+        if (!this.bossScript || this.health <= 0) return;
         
-        if (healthPercent <= 25 && this.bossPhase < 3) {
-            this.bossPhase = 3;
-            this.onBossPhaseChange();
-        } 
-        else if (healthPercent <= 50 && this.bossPhase < 2) {
-            this.bossPhase = 2;
+        const healthFraction = this.health / this.maxHealth;
+        const phases = this.bossScript.phases;
+        
+        // Skip straight to the deepest phase the health has reached
+        let nextPhase = this.bossPhase;
+        while (nextPhase < phases.length && healthFraction <= phases[nextPhase].healthBelow) {
+            nextPhase++;
+        }
+        
+        if (nextPhase > this.bossPhase) {
+            this.enterBossPhase(nextPhase);
             this.onBossPhaseChange();
         }
     }
-    
+
     /**
      * Handle boss phase transition
      */
     onBossPhaseChange() {
+        const phase = this.getBossPhaseScript();
+        const visualPhase = Math.min(this.bossPhase, 3); // Boss visuals have three phase styles
+        
+        // Invulnerable while the transition plays out
+        if (phase.invulnerableFor) {
+            this.isInvulnerable = true;
+            this.scene.time.delayedCall(phase.invulnerableFor, () => {
+                if (this.active) this.isInvulnerable = false;
+            });
+        }
+        
         // Visual feedback for phase change
         this.scene.cameras.main.shake(300, 0.01);
         
         // Create intense flash effect around boss
         VisualEffects.createFlashEffect(
-            this.scene, 
-            this.x, 
-            this.y, 
-            this.width * 2, 
-            this.height * 2, 
-            0xFFFFFF, 
-            0.8, 
+            this.scene,
+            this.x,
+            this.y,
+            this.width * 2,
+            this.height * 2,
+            0xFFFFFF,
+            0.8,
             400
         );
         
@@ -771,41 +1023,29 @@ export default class Enemy extends Character {
             onComplete: () => {
                 if (!this.active) return;
                 this.setAlpha(1);
-                
+        
                 // Update visuals for new phase
                 if (this.auraContainer) {
                     this.auraContainer.destroy();
-                    VisualEffects.createBossAura(this.scene, this, this.bossPhase, this.tintTopLeft);
+                    VisualEffects.createBossAura(this.scene, this, visualPhase, this.tintTopLeft);
                 }
-                
+        
                 if (this.phaseEmitter) {
                     this.phaseEmitter.destroy();
-                    VisualEffects.createBossPhaseParticles(this.scene, this, this.bossPhase, this.bossType);
+                    VisualEffects.createBossPhaseParticles(this.scene, this, visualPhase, this.bossType);
                 }
-                
+        
                 // Create explosive particle burst to mark phase change
                 VisualEffects.createDeathEffect(this.scene, this.x, this.y, this.tintTopLeft, 30);
-                
+        
                 // Play phase transition sound if audio manager exists
                 if (this.scene.audioManager) {
                     this.scene.audioManager.playSFX('boss_phase_change');
                 }
-                
+        
                 // Scale back to normal size but slightly larger than before
                 this.setScale(this.scale * 1.1);
-                
-                // Reduce cooldowns and increase damage for later phases
-                this.specialAbilityCooldownMax *= 0.7;
-                this.teleportCooldownMax *= 0.7;
-                this.attackDamage = Math.floor(this.attackDamage * 1.5);
-                this.speed *= 1.2;
-                
-                // Add temporary invulnerability
-                this.isInvulnerable = true;
-                this.scene.time.delayedCall(1000, () => {
-                    if (this.active) this.isInvulnerable = false;
-                });
-                
+        
                 // Show phase change text
                 const phaseText = this.scene.add.text(
                     this.x,
@@ -819,7 +1059,7 @@ export default class Enemy extends Character {
                         strokeThickness: 4
                     }
                 ).setOrigin(0.5).setDepth(1000);
-                
+        
                 // Animate and remove the text
                 this.scene.tweens.add({
                     targets: phaseText,
@@ -832,116 +1072,120 @@ export default class Enemy extends Character {
             }
         });
     }
+
+    /**
+     * Check terrain effects at current position
+     */
+    checkTerrainEffects() {
+        // Optional - if terrain system exists
+        const terrainLayer = this.scene.terrainLayer;
+        if (!terrainLayer) return;
+        
+        const tile = terrainLayer.getTileAtWorldXY(this.x, this.y);
+        if (tile && tile.properties && tile.properties.slows) {
+            // Apply terrain slowdown
+            if (this.originalSpeed === undefined) {
+                this.originalSpeed = this.speed;
+            }
+            const terrainSlowFactor = 0.4; // Significantly slower in forest
+            this.speed = this.originalSpeed * terrainSlowFactor;
+        } 
+        else if (this.originalSpeed !== undefined) {
+            // Reset speed once off the slowing tile
+            this.speed = this.originalSpeed;
+            delete this.originalSpeed;
+        }
+    }
     
     /**
-     * Apply frost status effect
-     * @param {number} duration - Duration in ms
-     * @param {number} slowFactor - Factor to slow movement (0-1)
+     * Turn this enemy into an elite with the given affixes
+     * @param {string[]} affixKeys - Keys from eliteAffixes.js
      */
-    applyFrost(duration, slowFactor = 0.5) {
-        if (this.isFrozen) return;
+    makeElite(affixKeys) {
+        const affixes = affixKeys.map(key => eliteAffixes[key]).filter(Boolean);
+        if (this.isElite || this.isBoss || affixes.length === 0) return;
         
-        this.setTint(0x00FFFF);
-        this.isFrozen = true;
+        this.isElite = true;
+        this.affixes = affixes;
         
-        if (!this.originalSpeed) this.originalSpeed = this.speed;
-        this.speed = this.originalSpeed * slowFactor;
+        this.maxHealth *= ELITE_HEALTH_MULTIPLIER;
+        this.health = this.maxHealth;
+        this.scoreValue *= ELITE_REWARD_MULTIPLIER;
+        this.experienceValue *= ELITE_REWARD_MULTIPLIER;
         
-        // Store original velocity to apply slow
-        if (this.body.velocity.x !== 0 || this.body.velocity.y !== 0) {
-            this.body.velocity.x *= slowFactor;
-            this.body.velocity.y *= slowFactor;
-        }
+        this.triggerAffixes('apply');
+        this.originalSpeed = this.speed;
+        
+        this.name = `${affixes.map(affix => affix.name).join(' ')} ${this.name}`;
+        this.setScale(this.scaleX * 1.25);
+        VisualEffects.createEliteAura(this.scene, this, affixes.map(affix => affix.color));
         
-        // Clear existing frost timer if any
-        if (this.activeEffects.has('frost')) {
-            this.activeEffects.get('frost').remove();
+        console.log(`[Enemy] Elite spawned: ${this.name}`);
+    }
+    
+    /**
+     * Turn this enemy into a mini-boss: much tougher, bigger and worth more,
+     * and an elite with the mini-boss's fixed affixes
+     * @param {object} miniBoss - Definition from miniBosses in waveEvents.js
+     */
+    makeMiniBoss(miniBoss) {
+        if (this.isMiniBoss || this.isBoss) return;
+        
+        this.isMiniBoss = true;
+        this.maxHealth *= miniBoss.healthMultiplier || 1;
+        this.health = this.maxHealth;
+        this.attackDamage *= miniBoss.damageMultiplier || 1;
+        this.scoreValue *= MINI_BOSS_REWARD_MULTIPLIER;
+        this.experienceValue *= MINI_BOSS_REWARD_MULTIPLIER;
+        if (miniBoss.pattern) {
+            this.pattern = miniBoss.pattern;
         }
+        this.setScale(this.scaleX * (miniBoss.scale || 1));
         
-        // Set timer to clear frost
-        const frostTimer = this.scene.time.delayedCall(duration, () => {
-            if (this.active) {
-                this.clearFrost();
-            }
-            this.activeEffects.delete('frost');
-        });
+        this.makeElite(miniBoss.affixes || []);
+        this.name = miniBoss.name;
+        this.updateHealthBar();
         
-        this.activeEffects.set('frost', frostTimer);
+        console.log(`[Enemy] Mini-boss spawned: ${this.name}`);
     }
     
     /**
-     * Clear frost status effect
+     * Run an affix hook on every affix of this elite
+     * @param {string} hook - Hook name (apply, onDamaged, onDealDamage, onDeath)
+     * @param {object} context - Extra hook argument
      */
-    clearFrost() {
-        this.clearTint();
-        this.isFrozen = false;
-        if (this.originalSpeed) {
-            this.speed = this.originalSpeed;
-        }
+    triggerAffixes(hook, context) {
+        this.affixes.forEach(affix => {
+            if (typeof affix[hook] === 'function') {
+                affix[hook](this, context);
+            }
+        });
     }
     
     /**
-     * Apply poison status effect
-     * @param {number} damagePerTick - Damage per tick
-     * @param {number} ticks - Number of damage ticks
+     * Let elite affixes (e.g. shields) soak a hit after resistances
+     * @param {number} amount - Incoming damage
+     * @returns {number} Damage left to apply
      */
-    applyPoison(damagePerTick, ticks) {
-        if (!this.active || this.isPoisoned) return;
-        
-        this.isPoisoned = true;
-        this.setTint(0x90EE90);
+    absorbDamage(amount) {
+        if (!this.isElite || amount <= 0) return amount;
         
-        // Clear existing poison timer if any
-        if (this.activeEffects.has('poison')) {
-            this.activeEffects.get('poison').remove();
+        const remaining = this.affixes.reduce((left, affix) =>
+            typeof affix.onDamaged === 'function' ? affix.onDamaged(this, left) : left, amount);
+        if (remaining <= 0) {
+            VisualEffects.createDamageParticles(this.scene, this.x, this.y, 0x66CCFF, 3);
         }
-        
-        let currentTicks = 0;
-        const poisonTimer = this.scene.time.addEvent({
-            delay: 1000,
-            callback: () => {
-                if (!this.active) {
-                    poisonTimer.remove();
-                    return;
-                }
-                
-                this.damage(damagePerTick);
-                currentTicks++;
-                
-                if (currentTicks >= ticks) {
-                    this.isPoisoned = false;
-                    this.clearTint();
-                    poisonTimer.remove();
-                    this.activeEffects.delete('poison');
-                }
-            },
-            loop: true
-        });
-        
-        this.activeEffects.set('poison', poisonTimer);
+        return remaining;
     }
     
     /**
-     * Check terrain effects at current position
+     * Called by CombatSystem when this enemy hurts the commander or a follower
+     * @param {Character} target - The damaged snake member
+     * @param {number} amount - Damage dealt
      */
-    checkTerrainEffects() {
-        // Optional - if terrain system exists
-        const terrainLayer = this.scene.terrainLayer;
-        if (!terrainLayer) return;
-        
-        const tile = terrainLayer.getTileAtWorldXY(this.x, this.y);
-        if (tile && tile.properties && tile.properties.slows) {
-            // Apply terrain slowdown
-            if (this.originalSpeed === undefined) {
-                this.originalSpeed = this.speed;
-            }
-            const terrainSlowFactor = 0.4; // Significantly slower in forest
-            this.speed = this.originalSpeed * terrainSlowFactor;
-        } 
-        else if (this.originalSpeed !== undefined && !this.isFrozen) {
-            // Reset speed if not slowed by other effects
-            this.speed = this.originalSpeed;
-            delete this.originalSpeed;
+    onDealtDamage(target, amount) {
+        if (this.isElite) {
+            this.triggerAffixes('onDealDamage', { target, amount });
         }
     }
     
@@ -949,13 +1193,30 @@ export default class Enemy extends Character {
      * Override die method to add game-specific logic
      */
     die() {
-        // Clear all active effect timers
-        this.activeEffects.forEach(timer => {
-            if (timer && timer.remove) {
-                timer.remove();
+        // Drop status effects and their icons
+        if (this.scene.statusEffectSystem) {
+            this.scene.statusEffectSystem.clearEntity(this);
+        }
+        
+        // Elite death effects and bonus loot
+        if (this.isElite) {
+            this.triggerAffixes('onDeath');
+            
+            if (this.scene.spawnSystem) {
+                const random = getSceneRandom(this.scene, 'drops');
+                for (let i = 0; i < ELITE_BONUS_DROPS; i++) {
+                    this.scene.spawnSystem.spawnPickup(
+                        this.x + random.between(-TILE_SIZE, TILE_SIZE),
+                        this.y + random.between(-TILE_SIZE, TILE_SIZE)
+                    );
+                }
             }
-        });
-        this.activeEffects.clear();
+        }
+        
+        // Wave events drop their reward where their last enemy dies
+        if (this.waveEvent && this.scene.spawnSystem) {
+            this.scene.spawnSystem.onWaveEventEnemyDied(this);
+        }
         
         // Add score and experience
         if (this.scene.score !== undefined) {
@@ -969,6 +1230,15 @@ export default class Enemy extends Character {
             this.scene.addExperience(this.experienceValue);
         }
         
+        if (typeof this.scene.kills === 'number') {
+            this.scene.kills++;
+        }
+        
+        // Let relics react to the kill
+        if (this.scene.relicSystem) {
+            this.scene.relicSystem.trigger('onEnemyKilled', { enemy: this });
+        }
+        
         // Track enemy kill in SpawnSystem ONLY if not already counted in damage()
         // Check for special property that indicates this enemy was already counted
         if (this.scene.spawnSystem && !this._killCounted) {
@@ -1009,9 +1279,15 @@ export default class Enemy extends Character {
     
     /**
      * Factory method to create different enemy types with appropriate difficulty scaling
+     * @param {Phaser.Scene} scene - Scene to add the enemy to
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @param {number} level - Campaign level, decides the stage's monsters and scaling
+     * @param {string} type - Category (melee, dasher, ...) or a monster key from monsters.js
+     * @returns {Enemy} The created enemy
      */
     static createEnemy(scene, x, y, level = 1, type = null) {
-        // Determine type if not specified
+        // Determine category if not specified
         if (!type) {
             // As level increases, introduce more complex enemy types
             if (level <= 3) {
@@ -1033,7 +1309,7 @@ export default class Enemy extends Character {
                 
                 // Select type based on weights
                 const weightSum = weights.slice(0, enemyTypes.length).reduce((a, b) => a + b, 0);
-                let random = Phaser.Math.Between(1, weightSum);
+                let random = getSceneRandom(scene, 'enemies').between(1, weightSum);
                 let index = 0;
                 
                 for (let i = 0; i < enemyTypes.length; i++) {
@@ -1048,61 +1324,51 @@ export default class Enemy extends Character {
             }
         }
         
-        // Base configuration for level scaling - speed is multiplied by 1.5 in constructor
+        // A monster key spawns that monster, a category picks one of the stage's monsters
+        let monster = monsters[type];
+        if (!monster) {
+            const candidates = getMonstersForStage(type, getStageForLevel(level));
+            monster = candidates.length > 0
+                ? getSceneRandom(scene, 'enemies').pick(candidates)
+                : monsters.goblinGrunt;
+        }
+        const category = monster.category;
+        
+        // Level scaling on top of the monster's base stats - speed is multiplied by 1.5 in constructor
         const baseSpeed = 70 + (level * 2);
-        const baseHealth = 1 + Math.floor(level / 3);
+        const growth = 1 + Math.floor(level / 3);
         
-        // Configure based on enemy type
         let config = {
-            enemyType: type,
-            health: baseHealth,
-            speed: baseSpeed, // Will be multiplied by 1.5 in constructor
-            attackDamage: 1,
-            scoreValue: baseHealth * 5,
-            experienceValue: baseHealth * 2,
+            enemyType: category,
+            monsterKey: monster.key,
+            name: monster.name,
+            texture: Enemy.getMonsterTexture(scene, monster),
+            animation: monster.animation,
+            tint: monster.tint,
+            health: monster.health + growth - 1,
+            speed: monster.speed + (level * 2),
+            damage: monster.damage,
+            resistances: monster.resistances,
+            targeting: monster.targeting,
+            pattern: monster.pattern,
+            scoreValue: monster.scoreValue * growth,
+            experienceValue: monster.experienceValue * growth,
             specialAbilityCooldownMax: 3000
         };
         
-        // Customize based on enemy type
-        switch (type) {
-            case 'melee':
-                config.tint = 0xFF0000;
-                config.speed = baseSpeed;
-                break;
+        // Category behavior tuning
+        switch (category) {
             case 'dasher':
-                config.tint = 0xFF6600;
-                config.speed = baseSpeed * 0.8;
                 config.dashSpeed = baseSpeed * 3;
                 config.specialAbilityCooldownMax = 5000 - (level * 100);
-                config.scoreValue *= 1.5;
-                config.experienceValue *= 1.5;
-                break;
-            case 'bomber':
-                config.tint = 0x00FF00;
-                config.speed = baseSpeed * 0.6;
-                config.health = Math.max(1, baseHealth - 1);
-                config.attackDamage = 2;
-                config.scoreValue *= 2;
-                config.experienceValue *= 2;
                 break;
             case 'shooter':
-                config.tint = 0x0000FF;
-                config.speed = baseSpeed * 0.7;
                 config.shootRange = TILE_SIZE * 12;
                 config.specialAbilityCooldownMax = 2000 - (level * 50);
-                config.attackDamage = Math.ceil(baseHealth / 2);
-                config.scoreValue *= 2;
-                config.experienceValue *= 1.5;
                 break;
             case 'mage':
-                config.tint = 0x9900FF;
-                config.speed = baseSpeed * 0.6;
-                config.health = Math.max(1, baseHealth - 1);
-                config.attackDamage = Math.ceil(baseHealth / 2) + 1;
                 config.teleportCooldownMax = 6000 - (level * 100);
                 config.specialAbilityCooldownMax = 3000 - (level * 75);
-                config.scoreValue *= 3;
-                config.experienceValue *= 2;
                 break;
         }
         
@@ -1110,79 +1376,57 @@ export default class Enemy extends Character {
     }
     
     /**
-     * Factory method to create a boss enemy
+     * Texture for a monster: its own sprite once the art is loaded,
+     * otherwise the generated texture of its category
+     * @param {Phaser.Scene} scene - Scene owning the texture manager
+     * @param {object} monster - Definition from monsters.js
+     * @returns {string} Texture key
+     */
+    static getMonsterTexture(scene, monster) {
+        if (scene.textures.exists(monster.sprite)) return monster.sprite;
+        
+        const categoryTexture = MONSTER_CATEGORY_TEXTURES[monster.category];
+        return categoryTexture && scene.textures.exists(categoryTexture) ? categoryTexture : 'enemy';
+    }
+    
+    /**
+     * Factory method to create a boss enemy from its script in bossScripts.js
+     * @param {Phaser.Scene} scene - Scene to add the boss to
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @param {number} stageNumber - Stage whose boss to create
+     * @returns {Enemy} The created boss
      */
     static createBoss(scene, x, y, stageNumber) {
-        let bossType;
-        let config = {
+        const script = getBossScriptForStage(stageNumber);
+        const bossType = script.key;
+        const config = {
             isBoss: true,
-            enemyType: 'boss'
+            enemyType: 'boss',
+            bossType,
+            bossScript: script,
+            health: script.health,
+            speed: script.speed,
+            damage: script.damage,
+            resistances: script.resistances,
+            texture: script.texture,
+            scale: script.scale,
+            tint: script.tint
         };
         
-        switch (stageNumber) {
-            case 1:
-                bossType = 'summoner';
-                // config.tint = 0x00FF00; // Green - Will be cleared for dedicated sprite
-                config.health = 100;
-                config.speed = 50;
-                config.attackDamage = 2;
-                config.texture = 'boss_summoner'; 
-                config.scale = 2.5; 
-                break;
-            case 2:
-                bossType = 'berserker';
-                // config.tint = 0xFF0000; // Red - Will be cleared for dedicated sprite
-                config.health = 200;
-                config.speed = 70;
-                config.attackDamage = 3;
-                config.texture = 'boss_berserker'; // Use the boss_berserker sprite
-                config.scale = 2.5; 
-                break;
-            case 3:
-                bossType = 'alchemist';
-                // config.tint = 0x9900FF; // Purple - Will be cleared for dedicated sprite
-                config.health = 200;
-                config.speed = 35;
-                config.attackDamage = 3;
-                config.texture = 'boss_alchemist'; // Use the boss_alchemist sprite
-                config.scale = 2.5;
-                break;
-            case 4:
-                bossType = 'lichking';
-                // config.tint = 0x6600CC; // Dark purple - Will be cleared for dedicated sprite
-                config.health = 450;
-                config.speed = 50;
-                config.attackDamage = 4;
-                config.texture = 'boss_lichking'; // Use the boss_lichking sprite
-                config.scale = 2.5;
-                break;
-            default:
-                bossType = 'summoner'; // Default to summoner if stageNumber is out of bounds
-                config.health = 50;
-                config.speed = 30;
-                config.texture = 'boss_summoner'; 
-                config.scale =  2.5; 
-        }
-        
-        config.bossType = bossType;
         config.scoreValue = config.health * 5;
         config.experienceValue = config.health * 3;
         config.specialAbilityCooldownMax = 5000;
-        // config.scale is now set per boss type
         
         const boss = new Enemy(scene, x, y, config);
         
-        // Play animations based on boss type if they exist
-        if (bossType === 'summoner' || bossType === 'berserker' || bossType === 'alchemist' || bossType === 'lichking') {
-            // Ensure the texture is set, but don't play animation (for now)
-            if (scene.textures.exists(config.texture)) {
-                // boss.play('animation_key_if_any'); 
-                boss.clearTint(); // Remove tint if using dedicated sprite
-            } else {
-                console.warn(`[Enemy.js] Texture "${config.texture}" not found. Boss will use tint.`);
-                if (config.tint && !boss.texture.key.startsWith('boss_')) { 
-                    boss.setTint(config.tint);
-                }
+        // Use the dedicated sprite untinted when it is loaded
+        if (scene.textures.exists(config.texture)) {
+            boss.clearTint(); // Remove tint if using dedicated sprite
+        } else {
+            console.warn(`[Enemy.js] Texture "${config.texture}" not found. Boss will use tint.`);
+            if (config.tint && !boss.texture.key.startsWith('boss_')) { 
+                boss.setTint(config.tint);
             }
         }
         
@@ -1190,13 +1434,7 @@ export default class Enemy extends Character {
         scene.cameras.main.shake(500, 0.02);
         
         // Create a large warning text
-        const bossNames = {
-            'summoner': 'Summoner',
-            'berserker': 'Berserker',
-            'alchemist': 'Mad Alchemist',
-            'lichking': 'Lich King'
-        };
-        const bossName = bossNames[bossType] || 'Boss';
+        const bossName = script.name || 'Boss';
         const warningText = scene.add.text(
             scene.cameras.main.worldView.centerX,
             scene.cameras.main.worldView.centerY,
@@ -1236,17 +1474,15 @@ export default class Enemy extends Character {
     /**
      * Override the damage method to handle boss invulnerability and update visuals
      * @param {number} amount - Amount of damage to apply
+     * @param {string} damageType - Key from damageTypes.js
      */
-    damage(amount) {
+    damage(amount, damageType = DEFAULT_DAMAGE_TYPE) {
         // Prevent damage if invulnerable
         if (this.isInvulnerable) return;
         
-        // Store previous health to detect boss phase transitions
-        const previousHealth = this.health;
-        
         // Call parent damage method (or implement directly if no parent method exists)
         if (typeof super.damage === 'function') {
-            super.damage(amount);
+            super.damage(amount, damageType);
         } else {
             this.health = Math.max(0, this.health - amount);
             
@@ -1266,69 +1502,129 @@ export default class Enemy extends Character {
         }
         
         // Check for boss phase transition
-        if (this.isBoss) {
-            const previousHealthPercent = previousHealth / this.maxHealth * 100;
-            const currentHealthPercent = this.health / this.maxHealth * 100;
-            
-            // Phase 1 -> 2 transition at 50% health
-            if (previousHealthPercent > 50 && currentHealthPercent <= 50 && this.bossPhase < 2) {
-                this.bossPhase = 2;
-                this.onBossPhaseChange();
-            } 
-            // Phase 2 -> 3 transition at 25% health
-            else if (previousHealthPercent > 25 && currentHealthPercent <= 25 && this.bossPhase < 3) {
-                this.bossPhase = 3;
-                this.onBossPhaseChange();
-            }
+        if (this.isBoss && this.active) {
+            this.checkBossPhaseTransition();
         }
     }
 
     /**
-     * Perform an 8-directional shot (Summoner Boss)
+     * Fire projectiles evenly in every direction
+     * @param {number} numProjectiles - Number of projectiles
+     * @param {number} projectileSpeed - Projectile speed
      */
-    performEightWayShot() {
-        if (!this.active || !this.scene || !this.scene.bullets) return;
+    performRadialShot(numProjectiles = 8, projectileSpeed = 225) {
+        if (!this.active || !this.scene.bulletPatternSystem) return;
 
-        const numProjectiles = 8;
-        const angleStep = (Math.PI * 2) / numProjectiles; // 360 degrees / 8 = 45 degrees in radians
+        this.scene.bulletPatternSystem.emit(this, { shape: 'ring', count: numProjectiles, speed: projectileSpeed });
 
-        for (let i = 0; i < numProjectiles; i++) {
-            const angle = i * angleStep;
-            const dirX = Math.cos(angle);
-            const dirY = Math.sin(angle);
+        // Play a distinct sound for the 8-way shot ability
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playSFX('boss_spell_multi'); // A new sfx key, or reuse one
+        }
+        console.log(`${this.bossType} boss performed ${numProjectiles}-way shot.`);
+    }
 
-            // Calculate spawn offset
-            const offsetDistance = Math.max(this.displayWidth * 0.75, TILE_SIZE * 1.5); // Increased for safety, with a minimum
-            const spawnX = this.x + dirX * offsetDistance;
-            const spawnY = this.y + dirY * offsetDistance;
+    /**
+     * Fire a fan of projectiles aimed at the boss's target
+     * @param {number} numProjectiles - Number of projectiles
+     * @param {number} spread - Total fan angle in radians
+     * @param {number} projectileSpeed - Projectile speed
+     */
+    performAimedShot(numProjectiles = 3, spread = 0.5, projectileSpeed = 200) {
+        if (!this.active || !this.scene.bulletPatternSystem) return;
 
-            // Use the factory method to create an enemy projectile
-            const projectile = Projectile.createEnemyProjectile(
-                this.scene,
-                spawnX,
-                spawnY,
-                dirX,
-                dirY,
-                this.attackDamage, // Use boss's attack damage
-                225 // New, faster speed for 8-way shot
-            );
+        this.scene.bulletPatternSystem.emit(this, {
+            shape: 'fan',
+            count: numProjectiles,
+            spread,
+            speed: projectileSpeed,
+            aim: true
+        });
+
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playSFX('boss_spell_multi');
+        }
+    }
 
-            if (projectile) {
-                // Add to bullets group
-                this.scene.bullets.add(projectile);
-                // Add a lifespan to ensure cleanup
-                projectile.setLifespan(5000); // 5 seconds max lifetime
+    /**
+     * Fire a bullet pattern (see the 'pattern' action in bossScripts.js)
+     * @param {object} attack - Attack entry from the phase script
+     */
+    performPatternAttack(attack) {
+        if (!this.active || !this.scene.bulletPatternSystem) return;
 
-                // Optional: play a sound effect for each shot if desired
-                // if (this.scene.audioManager) {
-                //     this.scene.audioManager.playSFX('enemy_shoot'); 
-                // }
-            }
+        // Everything besides the scheduling fields overrides the pattern
+        const { action, cooldown, weight, pattern, ...overrides } = attack;
+        this.scene.bulletPatternSystem.emit(this, pattern, overrides);
+
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playSFX('boss_spell_multi');
         }
-        // Play a distinct sound for the 8-way shot ability
+    }
+
+    /**
+     * Telegraphed area attack (see the 'area' action in bossScripts.js)
+     * @param {object} attack - Attack entry from the phase script
+     * @returns {object|null} The telegraph, or null if it couldn't be cast
+     */
+    performAreaAttack(attack) {
+        const player = this.scene.player;
+        if (!this.active || !this.scene.telegraphSystem || !player || !player.active) return null;
+        
+        const atPlayer = attack.at === 'player';
+        const damage = Math.max(1, Math.floor(this.attackDamage * (attack.damageMultiplier || 1)));
+        
+        // Channelled casts root the boss and pulse it until the blast lands
+        let castTween = null;
+        if (attack.channel) {
+            this.isCasting = true;
+            castTween = this.scene.tweens.add({
+                targets: this,
+                alpha: 0.6,
+                duration: 250,
+                yoyo: true,
+                repeat: -1
+            });
+        }
+        
+        const endCast = () => {
+            if (castTween) castTween.stop();
+            if (!this.active) return;
+            this.setAlpha(1);
+            this.isCasting = false;
+        };
+        
+        const telegraph = this.scene.telegraphSystem.telegraph({
+            shape: attack.shape || 'circle',
+            x: atPlayer ? player.x : this.x,
+            y: atPlayer ? player.y : this.y,
+            radius: (attack.radius || 4) * TILE_SIZE,
+            innerRadius: (attack.innerRadius || 0) * TILE_SIZE,
+            length: (attack.length || 10) * TILE_SIZE,
+            width: (attack.width || 1) * TILE_SIZE,
+            arc: attack.arc,
+            angle: Phaser.Math.Angle.Between(this.x, this.y, player.x, player.y),
+            windup: attack.windup || 1000,
+            damage,
+            damageType: attack.damageType,
+            color: attack.color,
+            follow: atPlayer ? null : this,
+            source: this,
+            onResolve: () => {
+                endCast();
+                this.scene.cameras.main.shake(200, 0.008);
+            }
+        });
+        
+        // A boss killed mid-cast cancels the telegraph; make sure the tween stops too
+        this.once('destroy', () => {
+            if (castTween) castTween.stop();
+        });
+        
         if (this.scene.audioManager) {
-            this.scene.audioManager.playSFX('boss_spell_multi'); // A new sfx key, or reuse one
+            this.scene.audioManager.playSFX('boss_spell_multi');
         }
-        console.log(`${this.bossType} boss performed 8-way shot.`);
+        
+        return telegraph;
     }
 } 
\ No newline at end of file
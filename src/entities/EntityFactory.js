@@ -4,8 +4,8 @@
  */
 import Player from './Player.js';
 import Follower from './Follower.js';
-import { TILE_SIZE } from '../constants.js';
-import * as VisualEffects from '../utils/VisualEffects.js';
+import Enemy from './Enemy.js';
+import { getStageForLevel } from '../utils/stageMap.js';
 
 export default class EntityFactory {
     /**
@@ -58,131 +58,22 @@ export default class EntityFactory {
     }
     
     /**
-     * Create an enemy
+     * Create an enemy from the monster roster
      * @param {number} x - X position
      * @param {number} y - Y position
-     * @param {string} type - Enemy type
-     * @returns {Phaser.GameObjects.Sprite} The created enemy
+     * @param {string} type - Category (melee, dasher, bomber, shooter, mage), a monster key from monsters.js, or 'boss'
+     * @param {number} level - Campaign level used for the stage's monsters and scaling
+     * @returns {Enemy} The created enemy
      */
-    createEnemy(x, y, type = 'melee') {
-        const enemy = this.scene.physics.add.sprite(x, y, 'enemy');
+    createEnemy(x, y, type = 'melee', level = 1) {
+        const enemy = type === 'boss'
+            ? Enemy.createBoss(this.scene, x, y, getStageForLevel(level))
+            : Enemy.createEnemy(this.scene, x, y, level, type);
         
-        // Set common properties
-        enemy.setCollideWorldBounds(true);
-        enemy.setDepth(5);
-        
-        // Set type-specific properties
-        switch (type) {
-            case 'melee':
-                enemy.setTint(0xFF0000);
-                enemy.health = 10;
-                enemy.maxHealth = 10;
-                enemy.speed = 80;
-                enemy.damage = 1;
-                enemy.enemyType = 'melee';
-                break;
-                
-            case 'dasher':
-                enemy.setTint(0xFF8800);
-                enemy.health = 8;
-                enemy.maxHealth = 8;
-                enemy.speed = 100;
-                enemy.damage = 2;
-                enemy.dashCooldown = 0;
-                enemy.dashCooldownMax = 3000;
-                enemy.enemyType = 'dasher';
-                break;
-                
-            case 'bomber':
-                enemy.setTint(0xFFAA00);
-                enemy.health = 12;
-                enemy.maxHealth = 12;
-                enemy.speed = 70;
-                enemy.damage = 4;
-                enemy.explosionRadius = TILE_SIZE * 3;
-                enemy.enemyType = 'bomber';
-                break;
-                
-            case 'shooter':
-                enemy.setTint(0x00AAFF);
-                enemy.health = 8;
-                enemy.maxHealth = 8;
-                enemy.speed = 60;
-                enemy.damage = 1;
-                enemy.attackRange = TILE_SIZE * 6;
-                enemy.attackCooldown = 0;
-                enemy.attackCooldownMax = 2000;
-                enemy.enemyType = 'shooter';
-                break;
-                
-            case 'mage':
-                enemy.setTint(0xAA00FF);
-                enemy.health = 15;
-                enemy.maxHealth = 15;
-                enemy.speed = 50;
-                enemy.damage = 3;
-                enemy.attackRange = TILE_SIZE * 5;
-                enemy.attackCooldown = 0;
-                enemy.attackCooldownMax = 3000;
-                enemy.teleportCooldown = 0;
-                enemy.teleportCooldownMax = 5000;
-                enemy.enemyType = 'mage';
-                break;
-                
-            case 'boss':
-                enemy.setTint(0xFF00FF);
-                enemy.health = 100;
-                enemy.maxHealth = 100;
-                enemy.speed = 40;
-                enemy.damage = 4;
-                enemy.setScale(2);
-                enemy.enemyType = 'boss';
-                enemy.stage = 1; // Used to track boss stages (100%, 50%, 25%)
-                break;
+        if (this.scene.enemies) {
+            this.scene.enemies.add(enemy);
         }
         
-        // Add damage method
-        enemy.damage = function(amount) {
-            this.health -= amount;
-            
-            // Flash red on damage using VisualEffects utility
-            VisualEffects.createEntityFlashEffect(this.scene, this, 0.7, 100, 1);
-            
-            // Create hit effect using VisualEffects utility
-            VisualEffects.createDamageParticles(this.scene, this.x, this.y, 0xFFFFFF, 5);
-            
-            // Die if health is depleted
-            if (this.health <= 0) {
-                this.die();
-            }
-        };
-        
-        // Add die method
-        enemy.die = function() {
-            // Death animation and particles using VisualEffects utility
-            VisualEffects.createDeathEffect(this.scene, this.x, this.y, this.tintTopLeft, 15);
-            
-            // Play sound
-            if (this.scene.audioManager) {
-                this.scene.audioManager.playSFX('enemy_death');
-            }
-            
-            // Award experience to player
-            if (this.scene.player) {
-                const expAmount = this.enemyType === 'boss' ? 50 : 10;
-                this.scene.addExperience(expAmount);
-            }
-            
-            // Spawn rewards
-            if (Math.random() < 0.2) { // 20% chance
-                this.scene.spawnSystem.spawnPickup(this.x, this.y);
-            }
-            
-            // Destroy the enemy
-            this.destroy();
-        };
-        
-        // Return the created enemy
         return enemy;
     }
 } 
\ No newline at end of file
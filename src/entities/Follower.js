@@ -1,5 +1,6 @@
 import Character from './Character.js';
 import { TILE_SIZE } from '../constants.js';
+import { ENGINEER_MAX_STARS, ENGINEER_STAR_SCALING, ENGINEER_STAR_COLOR } from '../data/engineerStars.js';
 
 /**
  * Follower class representing snake body segments
@@ -56,6 +57,13 @@ export default class Follower extends Character {
         
         if (this.isEngineerFollower && config.engineerClass) {
             this.engineerClass = config.engineerClass;
+            
+            // Star level from merging duplicates (1-3)
+            this.starLevel = 1;
+            this.starBadge = null;
+            this.damageMultiplier = 1;
+            this.rangeMultiplier = 1;
+            
             // Initialize cooldown values
             this.specialAttackCooldown = 0; // Start at 0 to allow first attack quickly
             this.specialAttackCooldownMax = 0; // Will be set in initEngineerCooldown
@@ -258,32 +266,40 @@ export default class Follower extends Character {
         if (!this.engineerClass) return;
         
         let baseAttackCooldown = 3000;
+        const baseStats = this.getBaseStats();
         
-        // Set base cooldown by class type
-        switch (this.engineerClass.name) {
-            case 'Shotgunner': case 'Holy Bard': case 'Shaman': 
-                baseAttackCooldown = 4000; 
-                break;
-            case 'Sniper': case 'Dark Mage': case 'Thunder Mage': 
-                baseAttackCooldown = 5000; 
-                break;
-            case 'Ninja': case 'Voltaic': 
-                baseAttackCooldown = 3500; 
-                break;
-            case 'Chronotemporal': case 'Ice Mage': 
-                baseAttackCooldown = 4500; 
-                break;
-            case 'Goblin Trapper': 
-                baseAttackCooldown = 15000; // 15 seconds for Mega Bomb
-                break;
-            case 'Shroom Pixie': 
-                baseAttackCooldown = 4000; 
-                break;
-            default:
-                baseAttackCooldown = 3000;
-                console.log(`Unknown engineer class: ${this.engineerClass.name}, using default cooldown`);
+        // Prefer the cooldown from class-stats.csv, fall back to the built-in table
+        if (baseStats && baseStats.cooldown > 0) {
+            baseAttackCooldown = baseStats.cooldown;
+        } else {
+            switch (this.engineerClass.name) {
+                case 'Shotgunner': case 'Holy Bard': case 'Shaman': 
+                    baseAttackCooldown = 4000; 
+                    break;
+                case 'Sniper': case 'Dark Mage': case 'Thunder Mage': 
+                    baseAttackCooldown = 5000; 
+                    break;
+                case 'Ninja': case 'Voltaic': 
+                    baseAttackCooldown = 3500; 
+                    break;
+                case 'Chronotemporal': case 'Ice Mage': 
+                    baseAttackCooldown = 4500; 
+                    break;
+                case 'Goblin Trapper': 
+                    baseAttackCooldown = 15000; // 15 seconds for Mega Bomb
+                    break;
+                case 'Shroom Pixie': 
+                    baseAttackCooldown = 4000; 
+                    break;
+                default:
+                    baseAttackCooldown = 3000;
+                    console.log(`Unknown engineer class: ${this.engineerClass.name}, using default cooldown`);
+            }
         }
         
+        // Higher star levels attack faster
+        baseAttackCooldown *= this.getStarScaling().cooldown;
+        
         // Apply level-based cooldown reduction
         const cooldownReduction = Math.min(0.4, this.scene.levelSystem?.currentLevel * 0.03 || 0);
         baseAttackCooldown = Math.max(1500, baseAttackCooldown * (1 - cooldownReduction));
@@ -295,17 +311,145 @@ export default class Follower extends Character {
         console.log(`Engineer ${this.name} (${this.engineerClass.name}) initialized with cooldown: ${this.specialAttackCooldownMax}ms`);
     }
     
+    /**
+     * Base stats for this engineer's class from class-stats.csv
+     * @returns {object|null} Parsed CSV row, or null if the CSV isn't loaded
+     */
+    getBaseStats() {
+        const classLoader = this.scene.classLoader;
+        if (!classLoader || !this.engineerClass) return null;
+        return classLoader.getEngineerClass(this.engineerClass.name) || null;
+    }
+    
+    /**
+     * Stat multipliers for the current star level
+     * @returns {object} Entry from ENGINEER_STAR_SCALING
+     */
+    getStarScaling() {
+        return ENGINEER_STAR_SCALING[this.starLevel] || ENGINEER_STAR_SCALING[1];
+    }
+    
+    /**
+     * Current attack stats (CSV base stats scaled by star level)
+     * @returns {object} { damage, range, cooldown }
+     */
+    getAttackStats() {
+        const baseStats = this.getBaseStats() || {};
+        const scaling = this.getStarScaling();
+        
+        return {
+            damage: (baseStats.damage || 0) * scaling.damage,
+            range: (baseStats.range || 0) * scaling.range,
+            cooldown: this.specialAttackCooldownMax
+        };
+    }
+    
+    /**
+     * Set the star level and rescale stats
+     * @param {number} starLevel - Star level (1 to ENGINEER_MAX_STARS)
+     */
+    setStarLevel(starLevel) {
+        if (!this.isEngineerFollower) return;
+        
+        this.starLevel = Phaser.Math.Clamp(Math.floor(starLevel), 1, ENGINEER_MAX_STARS);
+        
+        const scaling = this.getStarScaling();
+        const baseStats = this.getBaseStats();
+        const baseHealth = (baseStats && baseStats.health) || 2;
+        
+        this.damageMultiplier = scaling.damage;
+        this.rangeMultiplier = scaling.range;
+        this.maxHealth = Math.round(baseHealth * scaling.health);
+        this.health = Math.min(this.health, this.maxHealth);
+        this.initEngineerCooldown();
+        
+        this.updateStarBadge();
+    }
+    
+    /**
+     * Merge a duplicate engineer into this one
+     * @returns {boolean} Whether the star level went up (false if already maxed)
+     */
+    promote() {
+        if (!this.isEngineerFollower || this.starLevel >= ENGINEER_MAX_STARS) return false;
+        
+        this.setStarLevel(this.starLevel + 1);
+        this.health = this.maxHealth;
+        
+        // Flash to show the promotion
+        this.scene.tweens.add({
+            targets: this,
+            scaleX: 1.5,
+            scaleY: 1.5,
+            duration: 150,
+            yoyo: true
+        });
+        
+        console.log(`Engineer ${this.name} (${this.engineerClass.name}) promoted to ${this.starLevel} stars`);
+        return true;
+    }
+    
+    /**
+     * Create, move or remove the star badge under the follower
+     */
+    updateStarBadge() {
+        if (!this.active || this.starLevel <= 1) {
+            if (this.starBadge) {
+                this.starBadge.destroy();
+                this.starBadge = null;
+            }
+            return;
+        }
+        
+        const stars = '★'.repeat(this.starLevel);
+        if (!this.starBadge) {
+            this.starBadge = this.scene.add.text(this.x, this.y, stars, {
+                fontSize: '12px',
+                fontFamily: 'Arial',
+                fill: ENGINEER_STAR_COLOR,
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(this.depth + 2);
+        } else if (this.starBadge.text !== stars) {
+            this.starBadge.setText(stars);
+        }
+        
+        this.starBadge.setPosition(this.x, this.y + TILE_SIZE * 0.6);
+    }
+    
+    /**
+     * Clean up the star badge along with the health bar
+     */
+    onDestroy() {
+        super.onDestroy();
+        
+        if (this.starBadge) {
+            this.starBadge.destroy();
+            this.starBadge = null;
+        }
+    }
+    
     /**
      * Update engineer's special ability cooldown and try to use it
+     * @param {number} delta - Time since last frame in ms
+     * @param {Phaser.Physics.Arcade.Group} enemies - Targets, the props group is used between waves
      */
     updateEngineerAttack(delta, enemies) {
         if (!this.isEngineerFollower || !this.engineerClass) return;
         
+        // Frozen engineers can't attack and their cooldown waits
+        if (!this.canAct()) return;
+        
         // Update cooldown
         if (this.specialAttackCooldown > 0) {
             this.specialAttackCooldown -= delta;
         }
         
+        // With no enemies around, break the props in range instead
+        if (enemies.countActive(true) === 0 && this.scene.propSystem && this.scene.propSystem.hasPropInRange(this.x, this.y)) {
+            enemies = this.scene.props;
+        }
+        
         // Try to use special attack if off cooldown and enemies exist
         if (this.specialAttackCooldown <= 0 && enemies.countActive(true) > 0) {
             // Set initial cooldown if not set yet
@@ -355,6 +499,7 @@ export default class Follower extends Character {
         
         // Update engineer abilities
         if (this.isEngineerFollower && this.active) {
+            this.updateStarBadge();
             this.updateEngineerAttack(delta, this.scene.enemies);
         }
     }
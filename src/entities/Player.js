@@ -34,6 +34,12 @@ export default class Player extends Character {
         this.specialAttackCooldownMax = 3000;
         this.basicAttackCooldownTimer = 0;
         
+        // Relic keys carried this run (managed by RelicSystem)
+        this.relics = [];
+        
+        // Scales special attack ranges (Commanding Presence upgrade)
+        this.specialRangeMultiplier = 1;
+        
         // Invulnerability flag
         this.isInvulnerable = false;
         
@@ -184,7 +190,7 @@ export default class Player extends Character {
      * Use the player's special attack
      */
     useSpecialAttack(enemies, helpers) {
-        if (this.specialAttackCooldown > 0) return false;
+        if (this.specialAttackCooldown > 0 || !this.canAct()) return false;
         
         const success = this.heroClass.specialAttack(this.scene, this, enemies, helpers);
         
@@ -206,7 +212,7 @@ export default class Player extends Character {
      * @param {Phaser.Math.Vector2|null} targetPosition - Position to attack toward (null for current direction)
      */
     performBasicAttack(targetPosition) {
-        if (this.basicAttackCooldownTimer > 0) return false;
+        if (this.basicAttackCooldownTimer > 0 || !this.canAct()) return false;
         
         let dx, dy, angle;
         
@@ -346,7 +352,10 @@ export default class Player extends Character {
         
         let hitCount = 0;
         
-        enemies.children.each(enemy => {
+        // The sweep breaks props as well
+        const targets = [...enemies.getChildren(), ...(this.scene.props ? this.scene.props.getChildren() : [])];
+        
+        targets.forEach(enemy => {
             if (!enemy.active) return;
             
             // Get enemy bounds
@@ -363,7 +372,7 @@ export default class Player extends Character {
                 this.pointInTriangle({x: enemyBounds.left, y: enemyBounds.bottom}, pointA, pointB, pointC) ||
                 this.pointInTriangle({x: enemyBounds.right, y: enemyBounds.bottom}, pointA, pointB, pointC)) {
                 
-                enemy.damage(2);
+                enemy.damage(2, this.heroClass.damageType);
                 
                 // Knockback
                 const knockbackAngle = Phaser.Math.Angle.Between(this.x, this.y, enemy.x, enemy.y);
@@ -438,6 +447,7 @@ export default class Player extends Character {
         
         // Critical properties for collision detection
         arrow.damage = 3;
+        arrow.damageType = this.heroClass.damageType;
         arrow.isEnemyProjectile = false; // Ensure it's recognized as a player projectile
         arrow.setData('type', 'arrow'); // Add a type for potential filtering
         
@@ -532,75 +542,8 @@ export default class Player extends Character {
         
         if (scene.enemies && scene.enemies.getChildren) {
             scene.enemies.getChildren().forEach(enemy => {
-                if (enemy && enemy.active) {
-                    // Use the enemy's built-in frost mechanism if it exists
-                    if (enemy.applyFrost && typeof enemy.applyFrost === 'function') {
-                        // Completely freeze the enemy (slowFactor = 0)
-                        enemy.applyFrost(freezeDuration, 0);
-                        
-                        // Force velocity to zero to ensure they're completely frozen
-                        if (enemy.body) {
-                            enemy.body.velocity.x = 0;
-                            enemy.body.velocity.y = 0;
-                        }
-                    } else {
-                        // Fallback for enemies without the applyFrost method
-                        // Store the enemy's original speed
-                        if (!enemy.originalSpeed) {
-                            enemy.originalSpeed = enemy.speed || 100;
-                        }
-                        
-                        // Apply freeze effect
-                        enemy.isFrozen = true;
-                        enemy.speed = 0;
-                        enemy.setTint(0xADD8E6); // Light blue color
-                        
-                        // Force velocity to zero
-                        if (enemy.body) {
-                            enemy.body.velocity.x = 0;
-                            enemy.body.velocity.y = 0;
-                        }
-                        
-                        // Add frost particles to the enemy
-                        try {
-                            const frostParticles = scene.add.particles(enemy.x, enemy.y, 'particle', {
-                                follow: enemy,
-                                scale: { start: 0.2, end: 0 },
-                                speed: 5,
-                                lifespan: 300,
-                                quantity: 1,
-                                frequency: 50,
-                                tint: 0xADD8E6 // Light blue color
-                            });
-                            
-                            // Store particles reference for cleanup
-                            enemy.frostParticles = frostParticles;
-                            
-                            // Remove frost effect after duration
-                            scene.time.delayedCall(freezeDuration, () => {
-                                if (enemy && enemy.active) {
-                                    enemy.isFrozen = false;
-                                    enemy.speed = enemy.originalSpeed;
-                                    enemy.clearTint();
-                                    
-                                    if (enemy.frostParticles && enemy.frostParticles.active) {
-                                        enemy.frostParticles.destroy();
-                                        enemy.frostParticles = null;
-                                    }
-                                }
-                            });
-                        } catch (error) {
-                            console.error('Error applying frost effect:', error);
-                            // Ensure enemy unfreezes even if particles fail
-                            scene.time.delayedCall(freezeDuration, () => {
-                                if (enemy && enemy.active) {
-                                    enemy.isFrozen = false;
-                                    enemy.speed = enemy.originalSpeed;
-                                    enemy.clearTint();
-                                }
-                            });
-                        }
-                    }
+                if (enemy && enemy.active && typeof enemy.applyStatus === 'function') {
+                    enemy.applyStatus('freeze', { duration: freezeDuration });
                 }
             });
         }
@@ -1,4 +1,5 @@
 import { TILE_SIZE } from '../constants.js';
+import { DEFAULT_DAMAGE_TYPE } from '../data/damageTypes.js';
 
 /**
  * Projectile class for bullets, arrows, and other attacks
@@ -13,6 +14,7 @@ export default class Projectile extends Phaser.Physics.Arcade.Sprite {
         
         // Default properties
         this.damage = 1;
+        this.damageType = DEFAULT_DAMAGE_TYPE;
         this.speed = 300;
         this.lifespan = null; // Infinite by default
         this.type = texture;
@@ -24,6 +26,10 @@ export default class Projectile extends Phaser.Physics.Arcade.Sprite {
         this.freezeEffect = false;
         this.hitEnemies = null; // For tracking enemies hit by piercing projectiles
         this.target = null; // For targeted projectiles
+        this.homingTarget = null; // Steered toward while homingTime lasts
+        this.homingTurnRate = 0; // Radians per second
+        this.homingTime = 0;
+        this.bouncesLeft = 0; // Rebounds off the world edge before leaving it
         
         // Set depth
         this.setDepth(5);
@@ -85,6 +91,15 @@ export default class Projectile extends Phaser.Physics.Arcade.Sprite {
         return this;
     }
     
+    /**
+     * Set the damage type dealt on hit
+     * @param {string} damageType - Key from damageTypes.js
+     */
+    setDamageType(damageType) {
+        this.damageType = damageType;
+        return this;
+    }
+    
     /**
      * Set the velocity directly
      */
@@ -183,6 +198,75 @@ export default class Projectile extends Phaser.Physics.Arcade.Sprite {
         return this;
     }
     
+    /**
+     * Steer toward a target for a while (bullet patterns)
+     * @param {Phaser.GameObjects.Sprite} target - Sprite to home in on
+     * @param {number} turnRate - Maximum turn in radians per second
+     * @param {number} duration - Time in ms before the projectile flies straight
+     */
+    setHoming(target, turnRate = 2, duration = 2000) {
+        this.homingTarget = target;
+        this.homingTurnRate = turnRate;
+        this.homingTime = duration;
+        return this;
+    }
+    
+    /**
+     * Rebound off the edge of the world instead of leaving it
+     * @param {number} bounces - Number of rebounds
+     */
+    setBouncing(bounces = 1) {
+        this.bouncesLeft = bounces;
+        return this;
+    }
+    
+    /**
+     * Turn the velocity toward the homing target
+     * @param {number} delta - Time since last frame in ms
+     */
+    updateHoming(delta) {
+        this.homingTime -= delta;
+        if (this.homingTime <= 0 || !this.homingTarget || !this.homingTarget.active) {
+            this.homingTarget = null;
+            return;
+        }
+        // Enemy projectiles start with their body disabled; wait until they're moving
+        if (!this.body.enable) return;
+        
+        const velocity = this.body.velocity;
+        const current = Math.atan2(velocity.y, velocity.x);
+        const desired = Phaser.Math.Angle.Between(this.x, this.y, this.homingTarget.x, this.homingTarget.y);
+        const angle = Phaser.Math.Angle.RotateTo(current, desired, this.homingTurnRate * delta / 1000);
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y) || this.speed;
+        
+        velocity.x = Math.cos(angle) * speed;
+        velocity.y = Math.sin(angle) * speed;
+        this.rotation = angle;
+    }
+    
+    /**
+     * Reflect the velocity off any world edge the projectile has crossed
+     * @param {Phaser.Geom.Rectangle} bounds - World bounds
+     */
+    updateBounce(bounds) {
+        const velocity = this.body.velocity;
+        let bounced = false;
+        
+        if ((this.x < bounds.x && velocity.x < 0) || (this.x > bounds.right && velocity.x > 0)) {
+            velocity.x = -velocity.x;
+            bounced = true;
+        }
+        if ((this.y < bounds.y && velocity.y < 0) || (this.y > bounds.bottom && velocity.y > 0)) {
+            velocity.y = -velocity.y;
+            bounced = true;
+        }
+        
+        if (bounced) {
+            this.bouncesLeft--;
+            this.rotation = Math.atan2(velocity.y, velocity.x);
+        }
+    }
+    
     /**
      * Update method called each frame
      * @param {number} time - The current time
@@ -195,6 +279,16 @@ export default class Projectile extends Phaser.Physics.Arcade.Sprite {
             console.log(`Enemy Projectile preUpdate: x=${this.x.toFixed(2)}, y=${this.y.toFixed(2)}, vx=${this.body.velocity.x.toFixed(2)}, vy=${this.body.velocity.y.toFixed(2)}, moves: ${this.body.moves}, immovable: ${this.body.immovable}`);
         }
         
+        // Pattern behaviors hold still while the game is paused
+        if (this.active && this.body && !this.scene.physics.world.isPaused) {
+            if (this.homingTarget) {
+                this.updateHoming(delta);
+            }
+            if (this.bouncesLeft > 0) {
+                this.updateBounce(this.scene.physics.world.bounds);
+            }
+        }
+        
         // Check for out-of-bounds and clean up
         const padding = TILE_SIZE * 2;
         const bounds = this.scene.physics.world.bounds;
@@ -231,6 +325,7 @@ export default class Projectile extends Phaser.Physics.Arcade.Sprite {
         const frost = new Projectile(scene, x, y, 'bullet');
         frost.setTint(0x00FFFF);  // Cyan/bright blue color
         frost.setDamage(1);
+        frost.setDamageType('ice');
         frost.freezeEffect = true;
         frost.setSpeed(350);
         
@@ -0,0 +1,87 @@
+import Character from './Character.js';
+import * as VisualEffects from '../utils/VisualEffects.js';
+
+/**
+ * Breakable prop (crate, barrel, gravestone, ...) from props.js.
+ * Takes damage like an enemy so any attack can break it; PropSystem
+ * handles the loot and explosions once it does
+ */
+export default class Prop extends Character {
+    /**
+     * @param {Phaser.Scene} scene - The game scene
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {object} propType - Prop definition from props.js
+     */
+    constructor(scene, x, y, propType) {
+        super(scene, x, y, propType.texture, { health: propType.health });
+        
+        this.propType = propType;
+        this.name = propType.name;
+        this.isBroken = false;
+        
+        // Props stand still: attacks that knock enemies back don't move them
+        this.body.setImmovable(true);
+        this.body.moves = false;
+        this.setDepth(1);
+    }
+    
+    /**
+     * Apply damage, with a wobble while the prop holds
+     * @param {number} amount - Amount of damage to apply
+     * @param {string} damageType - Key from damageTypes.js
+     * @returns {boolean} Whether the prop broke from this damage
+     */
+    damage(amount, damageType) {
+        const broke = super.damage(amount, damageType);
+        
+        if (!broke && this.active) {
+            this.scene.tweens.add({
+                targets: this,
+                angle: { from: -8, to: 8 },
+                duration: 50,
+                yoyo: true,
+                repeat: 1,
+                onComplete: () => {
+                    if (this.active) this.angle = 0;
+                }
+            });
+        }
+        
+        return broke;
+    }
+    
+    /**
+     * Props don't take status effects
+     * @returns {boolean} Always false
+     */
+    applyStatus() {
+        return false;
+    }
+    
+    /**
+     * Only show the health bar once the prop has been hit
+     */
+    updateHealthBar() {
+        if (this.health >= this.maxHealth) return;
+        super.updateHealthBar();
+    }
+    
+    /**
+     * Break apart, dropping loot (and exploding, for explosive props)
+     */
+    die() {
+        if (this.isBroken) return;
+        this.isBroken = true;
+        
+        // Inactive first so explosions that reach this prop don't break it twice
+        this.setActive(false);
+        
+        VisualEffects.createDeathEffect(this.scene, this.x, this.y, this.propType.color);
+        if (this.scene.propSystem) {
+            this.scene.propSystem.onPropBroken(this);
+        }
+        
+        this.destroy();
+    }
+}
@@ -2,6 +2,8 @@ import { GAME_WIDTH, GAME_HEIGHT } from './constants.js';
 import TitleScene from './scenes/TitleScene.js';
 import GameScene from './scenes/GameScene.js';
 import StoryScene from './scenes/StoryScene.js';
+import MapScene from './scenes/MapScene.js';
+import BarracksScene from './scenes/BarracksScene.js';
 
 // Configure the game
 const config = {
@@ -31,7 +33,7 @@ const config = {
         maxParallelDownloads: 32,
         path: '' // Empty path to prevent automatic path additions
     },
-    scene: [TitleScene, GameScene, StoryScene] // Add scenes here
+    scene: [TitleScene, GameScene, StoryScene, MapScene, BarracksScene] // Add scenes here
 };
 
 // Initialize the game when the window loads
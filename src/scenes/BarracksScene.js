@@ -0,0 +1,164 @@
+import { GAME_WIDTH, GAME_HEIGHT, UI_FONT_FAMILY, UI_FONT_SIZES, UI_COLORS } from '../constants.js';
+import { barracksUpgrades } from '../data/barracksUpgrades.js';
+import MetaProgression from '../utils/MetaProgression.js';
+
+/**
+ * Barracks screen where coins earned across runs buy permanent upgrades
+ */
+export default class BarracksScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'BarracksScene' });
+        this.metaProgression = null;
+        this.rows = [];
+    }
+
+    create() {
+        this.metaProgression = new MetaProgression();
+
+        // Reuse the title background
+        if (this.textures.exists('background')) {
+            this.add.image(963, 540, 'background');
+        }
+        this.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.6).setOrigin(0, 0);
+
+        this.add.text(GAME_WIDTH / 2, 100, 'Barracks', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: '48px',
+            color: UI_COLORS.TEXT,
+            stroke: '#000000',
+            strokeThickness: 6
+        }).setOrigin(0.5);
+
+        this.coinsText = this.add.text(GAME_WIDTH / 2, 170, '', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: '#FFD700',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+
+        this.rows = [];
+        Object.values(barracksUpgrades).forEach((upgrade, index) => {
+            this.rows.push(this.createUpgradeRow(upgrade, 280 + index * 150));
+        });
+
+        this.createBackButton();
+        this.refresh();
+    }
+
+    /**
+     * Create the display and buy button for one upgrade
+     * @param {object} upgrade - Entry from barracksUpgrades
+     * @param {number} y - Row center
+     * @returns {object} Row elements
+     */
+    createUpgradeRow(upgrade, y) {
+        this.add.rectangle(GAME_WIDTH / 2, y, 1100, 130, 0x222222, 0.85)
+            .setStrokeStyle(2, 0x555555);
+
+        this.add.text(GAME_WIDTH / 2 - 520, y - 35, upgrade.name, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: UI_COLORS.TEXT
+        });
+
+        this.add.text(GAME_WIDTH / 2 - 520, y + 5, upgrade.description, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.SMALL,
+            color: '#CCCCCC'
+        });
+
+        const rankText = this.add.text(GAME_WIDTH / 2 + 130, y, '', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: UI_COLORS.EXPERIENCE
+        }).setOrigin(0.5);
+
+        const button = this.add.rectangle(GAME_WIDTH / 2 + 400, y, 220, 60, 0x666666)
+            .setInteractive({ useHandCursor: true });
+        const buttonText = this.add.text(GAME_WIDTH / 2 + 400, y, '', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: UI_COLORS.TEXT
+        }).setOrigin(0.5);
+
+        const row = { upgrade, rankText, button, buttonText };
+
+        button.on('pointerover', () => {
+            if (this.metaProgression.canPurchase(upgrade.key)) button.fillColor = 0x888888;
+        });
+        button.on('pointerout', () => this.refreshRow(row));
+        button.on('pointerdown', () => {
+            if (this.metaProgression.purchase(upgrade.key)) {
+                this.playSelectSound();
+                this.refresh();
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Back to the title menu
+     */
+    createBackButton() {
+        const backButton = this.add.image(GAME_WIDTH / 2, 940, 'button4_01')
+            .setInteractive({ useHandCursor: true });
+
+        this.add.text(GAME_WIDTH / 2, 940, 'BACK', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: UI_COLORS.TEXT,
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+
+        backButton.on('pointerover', () => backButton.setScale(1.05));
+        backButton.on('pointerout', () => backButton.setScale(1.0));
+        backButton.on('pointerdown', () => {
+            this.playSelectSound();
+            this.scene.start('TitleScene');
+        });
+    }
+
+    /**
+     * Update coins and every upgrade row
+     */
+    refresh() {
+        this.coinsText.setText(`Coins: ${this.metaProgression.coins}`);
+        this.rows.forEach(row => this.refreshRow(row));
+    }
+
+    /**
+     * Update the rank and button state of one row
+     * @param {object} row - Row from createUpgradeRow()
+     */
+    refreshRow(row) {
+        const { upgrade } = row;
+        const rank = this.metaProgression.getRank(upgrade.key);
+        const cost = this.metaProgression.getUpgradeCost(upgrade.key);
+
+        row.rankText.setText(`Rank ${rank}/${upgrade.maxRank}`);
+
+        if (cost === null) {
+            row.buttonText.setText('MAX');
+            row.button.fillColor = 0x335533;
+        } else {
+            row.buttonText.setText(`Buy (${cost})`);
+            row.button.fillColor = this.metaProgression.canPurchase(upgrade.key) ? 0x666666 : 0x333333;
+        }
+    }
+
+    /**
+     * Play the menu selection sound if audio is available
+     */
+    playSelectSound() {
+        try {
+            if (this.cache.audio.exists('pickup')) {
+                this.sound.play('pickup');
+            }
+        } catch (error) {
+            console.warn('Failed to play pickup sound:', error);
+        }
+    }
+}
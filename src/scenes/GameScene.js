@@ -1,4 +1,4 @@
-import { GAME_WIDTH, GAME_HEIGHT, TILE_SIZE, WORLD_WIDTH, WORLD_HEIGHT, UI_PADDING, WAVE_COUNT } from '../constants.js';
+import { GAME_WIDTH, GAME_HEIGHT, TILE_SIZE, WORLD_WIDTH, WORLD_HEIGHT, UI_PADDING, WAVE_COUNT, BOSS_LEVEL_INTERVAL } from '../constants.js';
 import { createGameTextures } from '../utils/textureGenerator.js';
 import * as Helpers from '../utils/helpers.js';
 import { heroClasses } from '../data/heroClasses.js';
@@ -17,6 +17,29 @@ import UIManager from '../ui/UIManager.js';
 import TerrainSystem from '../systems/TerrainSystem.js';
 import AudioManager from '../audio/AudioManager.js';
 import VictoryUI from '../ui/VictoryUI.js';
+import PartyPanel from '../ui/PartyPanel.js';
+import CombatLogPanel from '../ui/CombatLogPanel.js';
+import RelicSystem from '../systems/RelicSystem.js';
+import UpgradeSystem from '../systems/UpgradeSystem.js';
+import TelegraphSystem from '../systems/TelegraphSystem.js';
+import BulletPatternSystem from '../systems/BulletPatternSystem.js';
+import SpawnPortalSystem from '../systems/SpawnPortalSystem.js';
+import FlowFieldSystem from '../systems/FlowFieldSystem.js';
+import StatusEffectSystem from '../systems/StatusEffectSystem.js';
+import CombatLogSystem from '../systems/CombatLogSystem.js';
+import BossRushSystem from '../systems/BossRushSystem.js';
+import PropSystem from '../systems/PropSystem.js';
+import WaveLoader from '../data/WaveLoader.js';
+import ClassLoader from '../data/ClassLoader.js';
+import SaveManager from '../utils/SaveManager.js';
+import MetaProgression from '../utils/MetaProgression.js';
+import SeededRandom, { createRunSeed } from '../utils/SeededRandom.js';
+import DailyLeaderboard from '../utils/DailyLeaderboard.js';
+import { dailyModifiers } from '../data/dailyModifiers.js';
+import { bossRush } from '../data/bossRush.js';
+import { generateStageMap, getStageForLevel, getRowForLevel } from '../utils/stageMap.js';
+import { getMapNodeType, DEFAULT_MAP_NODE_TYPE } from '../data/mapNodes.js';
+import { levelMaps } from '../data/levelMaps.js';
 
 /**
  * Main game scene that coordinates all game systems and entities
@@ -55,6 +78,31 @@ export default class GameScene extends Phaser.Scene {
         this.entityFactory = null;
         this.resourceManager = null; // Resource manager for object pooling
         this.victoryUI = null;  // Victory UI for level completion
+        this.partyPanel = null; // Follower reorder/dismiss panel
+        this.combatLogSystem = null; // Damage totals per damage type
+        this.combatLogPanel = null; // Pause menu view of the combat log
+        this.relicSystem = null; // Relic inventory and hooks
+        this.upgradeSystem = null; // Level-up upgrade cards
+        this.waveLoader = null; // Wave composition tables
+        this.classLoader = null; // Engineer/commander base stats from the class CSVs
+        this.saveManager = null; // Campaign persistence
+        this.metaProgression = null; // Coins and Barracks upgrades across runs
+        this.saveData = null;    // Snapshot to restore when continuing a run
+        this.dailyChallenge = null; // Today's challenge from getDailyChallenge() when playing the daily
+        this.dailyRank = 0;      // Leaderboard rank of the finished daily run (0 if unranked)
+        this.isBossRush = false; // Fighting the bosses back-to-back (see bossRush.js)
+        this.bossRushSystem = null;
+        this.propSystem = null;  // Breakable props and their loot
+        this.kills = 0;          // Enemies killed this run
+        this.runTime = 0;        // Gameplay time this run in ms (pauses excluded)
+        
+        // Branching stage map state
+        this.runSeed = 0;
+        this.rng = null;         // Seeded random streams for the run
+        this.stageMaps = {};     // Generated maps keyed by stage number
+        this.mapNodeId = null;   // Node of the level currently being played
+        this.mapPath = [];       // Node ids visited this run
+        this.currentNodeType = DEFAULT_MAP_NODE_TYPE;
     }
     
     /**
@@ -70,8 +118,40 @@ export default class GameScene extends Phaser.Scene {
         // Check if we should skip intro story (already shown in TitleScene)
         this.skipIntroStory = data.skipIntroStory || false;
         
+        // Continuing a saved campaign overrides the hero and skips the intro
+        this.saveData = data.saveData || null;
+        if (this.saveData) {
+            this.selectedHeroKey = this.saveData.heroKey;
+            this.skipIntroStory = true;
+        }
+        
+        // The Daily Challenge fixes the commander and the seed
+        this.dailyChallenge = this.saveData ? null : (data.dailyChallenge || null);
+        if (this.dailyChallenge) {
+            this.selectedHeroKey = this.dailyChallenge.heroKey;
+            this.skipIntroStory = true;
+        }
+        
+        // Boss Rush fixes the commander and party, and has no story
+        this.isBossRush = !this.saveData && !this.dailyChallenge && !!data.bossRush;
+        if (this.isBossRush) {
+            this.selectedHeroKey = bossRush.heroKey;
+            this.skipIntroStory = true;
+        }
+        
         // Reset state variables that persist across scene restarts
         this.resetGameState();
+        
+        // A seed entered on the title screen (or the saved one) replays the same run
+        let seed = data.seed;
+        if (this.saveData) {
+            seed = this.saveData.runSeed;
+        } else if (this.dailyChallenge) {
+            seed = this.dailyChallenge.seed;
+        }
+        if (typeof seed === 'number') {
+            this.runSeed = seed;
+        }
     }
 
     /**
@@ -82,6 +162,17 @@ export default class GameScene extends Phaser.Scene {
         this.gameActive = true;
         this.score = 0;
         this.followers = [];
+        this.deathCoinReward = null;
+        this.dailyRank = 0;
+        this.kills = 0;
+        this.runTime = 0;
+        
+        // Fresh stage maps for a new run
+        this.runSeed = createRunSeed();
+        this.stageMaps = {};
+        this.mapNodeId = null;
+        this.mapPath = [];
+        this.currentNodeType = DEFAULT_MAP_NODE_TYPE;
         
         // Systems will reset themselves in create()
         console.log('Game state reset for hero:', this.selectedHeroKey);
@@ -264,6 +355,17 @@ export default class GameScene extends Phaser.Scene {
         this.load.image('particle', 'assets/images/effects/particle.png');
         this.load.image('arrow', 'assets/images/projectiles/arrow.png');
         
+        // Load wave compositions (tuned by designers in wave-tables.csv)
+        this.waveLoader = new WaveLoader(this);
+        this.waveLoader.preload();
+        
+        // Load class base stats (engineer star levels scale these)
+        this.classLoader = new ClassLoader(this);
+        this.classLoader.preload();
+        
+        // Load hand-authored level maps (Tiled JSON, see levelMaps.js)
+        Object.values(levelMaps).forEach(levelMap => this.load.json(levelMap.key, levelMap.path));
+        
         console.log('GameScene preload - Assets loaded');
     }
 
@@ -278,6 +380,9 @@ export default class GameScene extends Phaser.Scene {
         // Initialize resource manager first for other systems to use
         this.resourceManager = new ResourceManager(this);
         console.log('Resource manager initialized');
+        
+        this.saveManager = new SaveManager();
+        this.metaProgression = new MetaProgression();
 
         // Create the game map - directly use imported constants 
         
@@ -294,9 +399,13 @@ export default class GameScene extends Phaser.Scene {
             this.audioManager.stopMusic(0);
         }
 
+        // --- Seeded RNG for terrain, spawns, drops and enemy AI ---
+        this.rng = new SeededRandom(this.runSeed);
+        console.log(`Run seed: ${this.runSeed}`);
+
         // --- Create Terrain System ---
         this.terrainSystem = new TerrainSystem(this);
-        this.terrainSystem.createTerrain();
+        this.terrainSystem.createTerrain(this.rng.stream('terrain'));
 
         // --- Set Hero Class ---
         const currentHeroClass = heroClasses[this.selectedHeroKey];
@@ -341,6 +450,20 @@ export default class GameScene extends Phaser.Scene {
         // Set initial level
         this.currentLevel = 1;
         
+        // Restore a continued campaign on top of the fresh systems
+        if (this.saveData) {
+            this.restoreFromSave(this.saveData);
+        } else if (this.dailyChallenge) {
+            this.applyDailyChallenge();
+        } else if (this.isBossRush) {
+            this.applyBossRush();
+        } else {
+            this.addStartingFollowers();
+        }
+        
+        // Start the snake where the level's map wants it
+        this.applyLevelMapLayout();
+        
         // Ensure audio context is unlocked by user interaction before playing music
         this.input.once('pointerdown', () => {
             console.log('User interaction detected, trying to play level music');
@@ -349,7 +472,20 @@ export default class GameScene extends Phaser.Scene {
         
         // Decide whether to show intro stories or start gameplay directly
         this.time.delayedCall(500, () => {
-            if (this.skipIntroStory) {
+            if (this.saveData) {
+                console.log(`🚀 Game starting: Continuing saved campaign at level ${this.currentLevel}`);
+                // Pick the next map node before the first wave starts
+                this.showStageMap(() => {
+                    if (this.spawnSystem) {
+                        this.spawnSystem.setNodeType(this.currentNodeType);
+                    }
+                    this.startActualGameplay();
+                });
+            } else if (this.isBossRush) {
+                console.log('🚀 Game starting: Boss Rush');
+                this.startActualGameplay();
+                this.bossRushSystem.start();
+            } else if (this.skipIntroStory) {
                 console.log('🚀 Game starting: Skipping intro story (already shown)');
                 // Only show level 1 story if needed and start gameplay
                 if (this.showLevelStory(1)) {
@@ -384,23 +520,26 @@ export default class GameScene extends Phaser.Scene {
             runChildUpdate: true
         });
         
-        // Group for pickups
-         this.pickups = this.physics.add.group({ 
-            maxSize: 10
-        }); 
+        // Group for pickups (uncapped so dropped loot always fits; SpawnSystem.spawnPickup
+        // limits the random ones)
+         this.pickups = this.physics.add.group(); 
         
-        // Group for projectiles
+        // Group for projectiles (room for several enemy bullet patterns on top of the party's shots)
          this.bullets = this.physics.add.group({ 
               runChildUpdate: true, 
-            maxSize: 50,
+            maxSize: 250,
             collideWorldBounds: true,
             bounceX: 0,
             bounceY: 0
         });
         
-        // Group for engineer collectibles
-        this.engineers = this.physics.add.group({
-            maxSize: 5
+        // Group for engineer collectibles (uncapped so reward engineers always fit;
+        // SpawnSystem.spawnEngineer limits the random ones)
+        this.engineers = this.physics.add.group();
+        
+        // Group for breakable props (crates, barrels, ...)
+        this.props = this.physics.add.group({
+            immovable: true
         });
 
         // Set debug configuration if needed
@@ -448,8 +587,88 @@ export default class GameScene extends Phaser.Scene {
         this.player = this.entityFactory.createPlayer(startX, startY, heroClass);
         console.log('Player created at:', this.player.x, this.player.y);
         
+        // Apply permanent Barracks upgrades
+        const bonusHealth = this.getMetaBonus('startingHealth');
+        this.player.maxHealth += bonusHealth;
+        this.player.health = this.player.maxHealth;
+        
+        const cooldownReduction = this.getMetaBonus('specialCooldown');
+        this.player.specialAttackCooldownMax = Math.round(this.player.specialAttackCooldownMax * (1 - cooldownReduction));
+        
         return this.player;
     }
+    
+    /**
+     * Bonus from a permanent Barracks upgrade, or 0 in a Daily Challenge or
+     * Boss Rush where every attempt has to start from the same setup
+     * @param {string} key - Upgrade key from barracksUpgrades
+     * @returns {number} Bonus for this run
+     */
+    getMetaBonus(key) {
+        if (!this.metaProgression || this.dailyChallenge || this.isBossRush) return 0;
+        return this.metaProgression.getBonus(key);
+    }
+    
+    /**
+     * Add the random engineers granted by the Recruitment Office upgrade
+     */
+    addStartingFollowers() {
+        if (!this.combatSystem) return;
+        
+        const count = this.getMetaBonus('startingFollower');
+        const classes = Object.values(engineerClasses);
+        const random = this.rng.stream('recruits');
+        for (let i = 0; i < count; i++) {
+            this.combatSystem.createClassFollower(random.pick(classes));
+        }
+    }
+
+    /**
+     * Give the Daily Challenge's fixed starting engineer and apply the day's modifiers
+     */
+    applyDailyChallenge() {
+        const challenge = this.dailyChallenge;
+        console.log(`[Daily] ${challenge.dateKey}: ${challenge.heroKey} + ${challenge.engineerKey}, modifiers: ${challenge.modifiers.join(', ')}`);
+        
+        const engineerClass = engineerClasses[challenge.engineerKey];
+        if (engineerClass && this.combatSystem) {
+            this.combatSystem.createClassFollower(engineerClass);
+        }
+        
+        challenge.modifiers.forEach(key => {
+            const modifier = dailyModifiers[key];
+            if (!modifier) return;
+            
+            if (modifier.modifiers && this.relicSystem) {
+                Object.entries(modifier.modifiers).forEach(([stat, value]) => {
+                    this.relicSystem.setTemporaryModifier(`daily:${key}`, stat, value);
+                });
+            }
+            if (typeof modifier.apply === 'function') {
+                modifier.apply(this);
+            }
+        });
+    }
+
+    /**
+     * Give the Boss Rush's preset party
+     */
+    applyBossRush() {
+        if (!this.combatSystem) return;
+        
+        bossRush.roster.forEach(entry => {
+            const engineerClass = engineerClasses[entry.classKey];
+            if (!engineerClass) {
+                console.warn(`Boss Rush follower class "${entry.classKey}" not found, skipping`);
+                return;
+            }
+            
+            const follower = this.combatSystem.createClassFollower(engineerClass);
+            if (follower && entry.starLevel > 1) {
+                follower.setStarLevel(entry.starLevel);
+            }
+        });
+    }
 
     /**
      * Set up the camera to follow the player
@@ -599,6 +818,16 @@ export default class GameScene extends Phaser.Scene {
         
         // Listen for game pause
         this.input.keyboard.on('keydown-ESC', () => {
+            // ESC closes the party and combat log panels first, leaving the game paused underneath
+            if (this.partyPanel && this.partyPanel.visible) {
+                this.partyPanel.hide();
+                return;
+            }
+            if (this.combatLogPanel && this.combatLogPanel.visible) {
+                this.combatLogPanel.hide();
+                return;
+            }
+            
             if (this.gameActive && !this.gameOver) {
                 console.log('Attempting to pause game (manual pause)...');
                 this.gameActive = false; 
@@ -707,6 +936,16 @@ export default class GameScene extends Phaser.Scene {
             this.uiManager = new UIManager(this);
         }
         
+        // Parse wave tables before the spawn system needs them
+        if (this.waveLoader) {
+            this.waveLoader.load();
+        }
+        
+        // Parse class stats before any engineers are recruited
+        if (this.classLoader) {
+            this.classLoader.load();
+        }
+        
         // Create spawn system
         this.spawnSystem = new SpawnSystem(this);
         
@@ -723,6 +962,43 @@ export default class GameScene extends Phaser.Scene {
         // Create combat system
         this.combatSystem = new CombatSystem(this);
         
+        // Create telegraph system (wind-up markers for area attacks)
+        this.telegraphSystem = new TelegraphSystem(this);
+        
+        // Create bullet pattern system (enemy and boss projectile patterns)
+        this.bulletPatternSystem = new BulletPatternSystem(this);
+        
+        // Create spawn portal system (warning cracks where wave enemies emerge)
+        this.spawnPortalSystem = new SpawnPortalSystem(this);
+        
+        // Create status effect system (slow, freeze, poison on any entity)
+        this.statusEffectSystem = new StatusEffectSystem(this);
+        
+        // Create combat log (damage dealt and taken per damage type)
+        this.combatLogSystem = new CombatLogSystem(this);
+        
+        // Create boss rush system (fight order, clocks and personal bests) for Boss Rush runs
+        this.bossRushSystem = this.isBossRush ? new BossRushSystem(this) : null;
+        
+        // Create prop system (breakable props, their loot and explosions)
+        this.propSystem = new PropSystem(this);
+        
+        // Create flow field system (enemy pathfinding over the terrain)
+        this.flowFieldSystem = new FlowFieldSystem(this);
+        this.flowFieldSystem.buildCostGrid();
+        
+        // Create relic system (inventory lives on the player)
+        this.relicSystem = new RelicSystem(this);
+        
+        // Create upgrade system (level-up cards)
+        this.upgradeSystem = new UpgradeSystem(this);
+        
+        // Create party management panel (opened from pause menu and victory screen)
+        this.partyPanel = new PartyPanel(this);
+        
+        // Create combat log panel (opened from pause menu)
+        this.combatLogPanel = new CombatLogPanel(this);
+        
         // Create level system after UI manager (to appear on top of the UI background)
         this.levelSystem = new LevelSystem(this);
         this.levelSystem.createUI();
@@ -753,6 +1029,113 @@ export default class GameScene extends Phaser.Scene {
         */
     }
     
+    /**
+     * Build a snapshot of campaign progress for the save system
+     * @returns {object} Serializable campaign state
+     */
+    createSaveSnapshot() {
+        const followers = this.followers
+            .filter(follower => follower.active && follower.engineerClass)
+            .map(follower => ({
+                classKey: Object.keys(engineerClasses).find(key => engineerClasses[key].name === follower.engineerClass.name),
+                health: follower.health,
+                starLevel: follower.starLevel
+            }))
+            .filter(follower => follower.classKey);
+        
+        return {
+            level: this.currentLevel,
+            heroKey: this.selectedHeroKey,
+            followers,
+            relics: this.player ? [...this.player.relics] : [],
+            upgrades: this.upgradeSystem ? this.upgradeSystem.getSaveData() : null,
+            score: this.score,
+            runSeed: this.runSeed,
+            mapNodeId: this.mapNodeId,
+            mapPath: this.mapPath,
+            experience: this.levelSystem ? this.levelSystem.experience : 0,
+            experienceToNextLevel: this.levelSystem ? this.levelSystem.experienceToNextLevel : 100,
+            player: this.player ? {
+                health: this.player.health,
+                maxHealth: this.player.maxHealth
+            } : null
+        };
+    }
+    
+    /**
+     * Save campaign progress (called once a completed level's rewards are granted)
+     */
+    saveProgress() {
+        // Daily runs can't be continued, they go straight to the leaderboard; Boss Rush isn't a campaign
+        if (!this.saveManager || this.gameOver || this.dailyChallenge || this.isBossRush) return;
+        this.saveManager.saveCampaign(this.createSaveSnapshot());
+    }
+    
+    /**
+     * Restore campaign progress from a save snapshot
+     * @param {object} save - Snapshot from createSaveSnapshot()
+     */
+    restoreFromSave(save) {
+        console.log(`Restoring saved campaign: level ${save.level}, hero ${save.heroKey}`);
+        
+        // Stage map progress
+        this.runSeed = save.runSeed || this.runSeed;
+        this.mapNodeId = save.mapNodeId || null;
+        this.mapPath = save.mapPath || [];
+        
+        // Score
+        this.score = save.score || 0;
+        if (this.uiManager) {
+            this.uiManager.updateScore(this.score);
+        }
+        
+        // Player health
+        if (this.player && save.player) {
+            this.player.maxHealth = save.player.maxHealth || this.player.maxHealth;
+            this.player.health = Math.min(this.player.maxHealth, save.player.health || this.player.maxHealth);
+        }
+        
+        // Campaign level
+        if (this.spawnSystem) {
+            this.spawnSystem.currentLevel = save.level;
+        }
+        this.updateLevel(save.level);
+        
+        // Experience
+        if (this.levelSystem) {
+            this.levelSystem.experience = save.experience || 0;
+            this.levelSystem.experienceToNextLevel = save.experienceToNextLevel || this.levelSystem.experienceToNextLevel;
+            this.levelSystem.updateExperienceBar();
+        }
+        
+        // Relics (effects like max health are already part of the saved stats)
+        if (this.relicSystem) {
+            (save.relics || []).forEach(key => this.relicSystem.addRelic(key, false));
+        }
+        
+        // Level-up upgrade stacks
+        if (this.upgradeSystem) {
+            this.upgradeSystem.restore(save.upgrades);
+        }
+        
+        // Follower roster, in chain order
+        (save.followers || []).forEach(saved => {
+            const engineerClass = engineerClasses[saved.classKey];
+            if (!engineerClass) {
+                console.warn(`Saved follower class "${saved.classKey}" no longer exists, skipping`);
+                return;
+            }
+            
+            const follower = this.combatSystem.createClassFollower(engineerClass);
+            if (follower && saved.starLevel > 1) {
+                follower.setStarLevel(saved.starLevel);
+            }
+            if (follower && saved.health) {
+                follower.health = Math.min(follower.maxHealth, saved.health);
+            }
+        });
+    }
+    
     /**
      * Set up UI elements
      */
@@ -797,6 +1180,8 @@ export default class GameScene extends Phaser.Scene {
             }
             return;
         }
+        
+        this.runTime += delta;
 
         // Update player and related gameplay elements
         if (this.player && this.player.active) {
@@ -815,6 +1200,34 @@ export default class GameScene extends Phaser.Scene {
             this.terrainSystem.update();
         }
         
+        if (this.flowFieldSystem) {
+            this.flowFieldSystem.update();
+        }
+        
+        if (this.upgradeSystem) {
+            this.upgradeSystem.update(delta);
+        }
+        
+        if (this.telegraphSystem) {
+            this.telegraphSystem.update(delta);
+        }
+        
+        if (this.bulletPatternSystem) {
+            this.bulletPatternSystem.update(delta);
+        }
+        
+        if (this.spawnPortalSystem) {
+            this.spawnPortalSystem.update(delta);
+        }
+        
+        if (this.statusEffectSystem) {
+            this.statusEffectSystem.update(delta);
+        }
+        
+        if (this.bossRushSystem) {
+            this.bossRushSystem.update(delta);
+        }
+        
         // Update UI
         if (this.uiManager) {
         this.uiManager.update();
@@ -903,12 +1316,32 @@ export default class GameScene extends Phaser.Scene {
      * @param {number} damage - Damage amount
      */
     createTimedExplosion(x, y, radius, delay, damage) {
-        // If we have a resource manager, use it for graphics objects
-        if (this.resourceManager) {
-            return this.helpers.createTimedExplosionPooled(this, x, y, radius, delay, damage, this.resourceManager);
-        } else {
-            return this.helpers.createTimedExplosion(this, x, y, radius, delay, damage);
-        }
+        // Telegraph the blast like enemy area attacks, then knock survivors back
+        return this.telegraphSystem.telegraph({
+            shape: 'circle',
+            x,
+            y,
+            radius,
+            windup: delay,
+            damage,
+            damageType: 'fire',
+            targets: 'enemies',
+            color: 0xFF5500,
+            onResolve: hits => {
+                this.helpers.createExplosion(this, x, y, 0xFF5500);
+                this.cameras.main.shake(300, 0.01);
+                
+                hits.forEach(enemy => {
+                    if (!enemy.active || !enemy.body) return;
+                    
+                    const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
+                    const angle = Phaser.Math.Angle.Between(x, y, enemy.x, enemy.y);
+                    const knockbackForce = 200 * (1 - distance / radius); // More force closer to center
+                    enemy.body.velocity.x += Math.cos(angle) * knockbackForce;
+                    enemy.body.velocity.y += Math.sin(angle) * knockbackForce;
+                });
+            }
+        });
     }
     
     /**
@@ -920,6 +1353,31 @@ export default class GameScene extends Phaser.Scene {
          console.log("GAME OVER triggered");
          this.gameOver = true;
          this.physics.pause();
+         
+        // Fallen commanders still earn coins for the Barracks (Boss Rush starts deep in the
+        // campaign with a preset party, so it doesn't pay out)
+        if (!this.isBossRush) {
+            this.deathCoinReward = Math.floor(this.score / 10) + 10 * Math.max(0, this.currentLevel - 1);
+            if (this.metaProgression) {
+                this.metaProgression.addCoins(this.deathCoinReward, 'run ended');
+            }
+        }
+        
+        // A lost campaign can't be continued (Daily and Boss Rush runs never saved one,
+        // so they leave the player's campaign alone)
+        if (this.saveManager && !this.dailyChallenge && !this.isBossRush) {
+            this.saveManager.clearCampaign();
+        }
+        
+        // Record the Daily Challenge run for the game over leaderboard
+        if (this.dailyChallenge) {
+            this.dailyRank = new DailyLeaderboard().addEntry(this.dailyChallenge.dateKey, {
+                score: this.score,
+                level: this.currentLevel,
+                kills: this.kills,
+                time: this.runTime
+            });
+        }
         
          // Stop timed events
          this.time.removeAllEvents(); 
@@ -1014,6 +1472,18 @@ export default class GameScene extends Phaser.Scene {
         // Update background image for the current level
         this.updateBackgroundForLevel(level);
         
+        // Switch terrain when the level has its own map (or leaves one)
+        if (this.terrainSystem && this.terrainSystem.setLevel(level)) {
+            if (this.flowFieldSystem) {
+                this.flowFieldSystem.buildCostGrid();
+            }
+            
+            // New procedural terrain may have landed on the snake (maps place it at their start)
+            if (!this.terrainSystem.playerStart) {
+                this.moveSnakeToOpenGround();
+            }
+        }
+        
         // Adjust game difficulty based on level
         this.spawnSystem.adjustEnemySpawnRate(level);
     }
@@ -1040,40 +1510,20 @@ export default class GameScene extends Phaser.Scene {
             this.spawnSystem.pauseTimers();
         }
         
-        // Calculate rewards based on level, player performance, etc.
-        const experienceReward = 100 * completedLevel;
-        const coinReward = 50 * completedLevel;
-        
-        // Example item rewards (for demonstration)
-        const itemRewards = [];
+        // Calculate rewards based on level and the stage map node that was played
+        const nodeType = getMapNodeType(this.spawnSystem ? this.spawnSystem.currentNodeType : this.currentNodeType);
+        const experienceReward = Math.round(100 * completedLevel * nodeType.rewardMultiplier);
+        const coinReward = Math.round(50 * completedLevel * nodeType.rewardMultiplier);
         
-        // Give different items based on level
-        if (completedLevel % 3 === 0) {
-            // Every 3rd level gives a potion
-            itemRewards.push({
-                key: 'item_potion',
-                name: 'Health Potion',
-                description: 'Restores 50 health'
-            });
-        }
+        // Relic rewards: one more on every 3rd, 5th and 8th level
+        let relicCount = [3, 5, 8].filter(interval => completedLevel % interval === 0).length;
         
-        if (completedLevel % 5 === 0) {
-            // Every 5th level gives a weapon
-            itemRewards.push({
-                key: 'item_weapon',
-                name: 'Weapon Upgrade',
-                description: '+10% damage'
-            });
+        // Elite and boss nodes always drop something
+        if (nodeType.guaranteedItem && relicCount === 0) {
+            relicCount = 1;
         }
         
-        if (completedLevel % 8 === 0) {
-            // Every 8th level (boss levels) gives armor
-            itemRewards.push({
-                key: 'item_armor',
-                name: 'Armor Upgrade',
-                description: '+15% defense'
-            });
-        }
+        const itemRewards = this.relicSystem ? this.relicSystem.grantRewardRelics(relicCount) : [];
         
         // Show the UI with rewards
         this.victoryUI.show({
@@ -1086,6 +1536,14 @@ export default class GameScene extends Phaser.Scene {
         if (this.levelSystem) {
             this.levelSystem.addExperience(experienceReward);
         }
+        
+        // Bank the coins for Barracks upgrades
+        if (this.metaProgression) {
+            this.metaProgression.addCoins(coinReward, `level ${completedLevel} complete`);
+        }
+        
+        // Checkpoint the campaign with the rewards so it can be continued later
+        this.saveProgress();
     }
     
     /**
@@ -1099,17 +1557,82 @@ export default class GameScene extends Phaser.Scene {
             this.victoryUI.hide();
         }
         
-        // Check if there's a story to show before the next level
-        // We use the current level rather than currentLevel+1 because the level
-        // has already been incremented in SpawnSystem.completeLevel
-        if (this.showLevelStory(this.currentLevel)) {
-            // The showLevelStory method will handle the transition to the next level when the story ends
-            console.log(`Showing story for level ${this.currentLevel} before starting gameplay`);
+        // Let the player choose the next node on the stage map first
+        this.showStageMap(() => {
+            // Check if there's a story to show before the next level
+            // We use the current level rather than currentLevel+1 because the level
+            // has already been incremented in SpawnSystem.completeLevel
+            if (this.showLevelStory(this.currentLevel)) {
+                // The showLevelStory method will handle the transition to the next level when the story ends
+                console.log(`Showing story for level ${this.currentLevel} before starting gameplay`);
+                return;
+            }
+            
+            // If no story to show, continue directly to the next level
+            this.startNextLevel();
+        });
+    }
+    
+    /**
+     * Get (or generate) the branching map for a stage
+     * @param {number} stage - Stage number
+     * @returns {object} Stage map from generateStageMap()
+     */
+    getStageMap(stage) {
+        if (!this.stageMaps[stage]) {
+            // Rows whose level has a boss wave in the wave tables become boss nodes
+            const bossRows = [];
+            if (this.waveLoader) {
+                for (let row = 0; row < BOSS_LEVEL_INTERVAL; row++) {
+                    if (this.waveLoader.hasBossWave((stage - 1) * BOSS_LEVEL_INTERVAL + row + 1)) {
+                        bossRows.push(row);
+                    }
+                }
+            }
+            this.stageMaps[stage] = generateStageMap(stage, this.runSeed, bossRows);
+        }
+        return this.stageMaps[stage];
+    }
+    
+    /**
+     * Pause the game and show the stage map so the player can pick the next node
+     * @param {function} onChosen - Called after the node for currentLevel is chosen
+     */
+    showStageMap(onChosen) {
+        const level = this.currentLevel;
+        const stageMap = this.getStageMap(getStageForLevel(level));
+        
+        if (!this.scene.get('MapScene')) {
+            console.error('MapScene is not registered, continuing without a map choice');
+            this.currentNodeType = DEFAULT_MAP_NODE_TYPE;
+            onChosen();
             return;
         }
         
-        // If no story to show, continue directly to the next level
-        this.startNextLevel();
+        this.scene.pause();
+        this.scene.stop('MapScene');
+        this.scene.launch('MapScene', {
+            stageMap,
+            level,
+            row: getRowForLevel(level),
+            currentNodeId: this.mapNodeId,
+            visited: this.mapPath,
+            onSelect: (node) => {
+                this.mapNodeId = node.id;
+                this.mapPath.push(node.id);
+                this.currentNodeType = node.type;
+                
+                // Campfire nodes patch up the whole party before the level
+                if (getMapNodeType(node.type).healFollowers) {
+                    this.followers.forEach(follower => {
+                        if (follower.active) follower.health = follower.maxHealth;
+                    });
+                }
+                
+                this.scene.resume();
+                onChosen();
+            }
+        });
     }
     
     /**
@@ -1250,21 +1773,22 @@ export default class GameScene extends Phaser.Scene {
             try {
                 console.log('Resuming timers and starting new level');
                 this.spawnSystem.resumeTimers(); // Resume any paused timers
-                this.spawnSystem.startNewLevel(this.currentLevel);
+                this.spawnSystem.startNewLevel(this.currentLevel, this.currentNodeType);
             } catch (error) {
                 console.error('Error starting new level:', error);
                 // Fallback approach if error occurs
                 this.time.delayedCall(500, () => {
                     console.log('Fallback: Starting new level with delay');
-                    this.spawnSystem.startNewLevel(this.currentLevel);
+                    this.spawnSystem.startNewLevel(this.currentLevel, this.currentNodeType);
                 });
             }
         }
         
-        // Remove all remaining enemies
-        if (this.enemies) {
-            this.enemies.clear(true, true);
-        }
+        // Remove all remaining enemies and their pending attacks
+        this.clearBattlefield();
+        
+        // Place the snake and drop the pickups of the level's map
+        this.applyLevelMapLayout();
         
         // Create a new pickup to start the level
         if (this.spawnSystem) {
@@ -1279,6 +1803,116 @@ export default class GameScene extends Phaser.Scene {
         console.log('Game resumed - gameActive:', this.gameActive);
     }
 
+    /**
+     * Remove all enemies, their pending attacks and open spawn portals
+     */
+    clearBattlefield() {
+        if (this.enemies) {
+            this.enemies.clear(true, true);
+        }
+        if (this.telegraphSystem) {
+            this.telegraphSystem.clear();
+        }
+        if (this.bulletPatternSystem) {
+            this.bulletPatternSystem.clear();
+        }
+        if (this.spawnPortalSystem) {
+            this.spawnPortalSystem.clear();
+        }
+        if (this.statusEffectSystem) {
+            this.statusEffectSystem.clear();
+        }
+    }
+
+    /**
+     * Whether a snake segment can stand on a world position: the same wall and prop
+     * check as SpawnSystem.findOpenSpawnLocation, and no damaging terrain
+     * @param {number} x - World x position
+     * @param {number} y - World y position
+     * @returns {boolean} True if the ground there is open
+     */
+    isOpenGround(x, y) {
+        const effect = this.terrainSystem.getTerrainAt(x, y);
+        if (!effect || effect.blocksMovement || effect.damage > 0) return false;
+        return !(this.propSystem && this.propSystem.isBlockedAt(x, y));
+    }
+    
+    /**
+     * Move the snake, keeping its shape, to the nearest spot where every segment
+     * is on open ground. Nothing moves if it already is
+     */
+    moveSnakeToOpenGround() {
+        if (!this.player || !this.terrainSystem) return;
+        
+        const originX = this.player.x;
+        const originY = this.player.y;
+        const segments = [this.player, ...this.followers.filter(follower => follower.active)];
+        const fits = (x, y) => segments.every(segment =>
+            this.isOpenGround(x + segment.x - originX, y + segment.y - originY)
+        );
+        
+        if (fits(originX, originY)) return;
+        
+        // Search square rings of tiles outward from the commander
+        const maxRadius = Math.max(WORLD_WIDTH, WORLD_HEIGHT) / TILE_SIZE;
+        for (let radius = 1; radius < maxRadius; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                    
+                    const x = originX + dx * TILE_SIZE;
+                    const y = originY + dy * TILE_SIZE;
+                    if (!fits(x, y)) continue;
+                    
+                    segments.forEach(segment => {
+                        segment.setPosition(x + segment.x - originX, y + segment.y - originY);
+                    });
+                    if (this.movementSystem) {
+                        this.movementSystem.isMoving = false;
+                    }
+                    console.log(`Moved the snake off the new terrain to ${x}, ${y}`);
+                    return;
+                }
+            }
+        }
+        
+        console.warn('No open ground found for the snake after the terrain changed');
+    }
+    
+    /**
+     * Move the snake to the current map's player start and drop its pickups.
+     * Procedural levels have neither, so the snake stays where it is.
+     * Then lay out the level's breakable props around the snake
+     */
+    applyLevelMapLayout() {
+        const terrain = this.terrainSystem;
+        if (!terrain) return;
+        
+        const start = terrain.playerStart;
+        if (start && this.player) {
+            // Line the followers up behind the commander, against the direction of travel
+            const direction = this.movementSystem ? this.movementSystem.direction : 'right';
+            const step = { left: [1, 0], right: [-1, 0], up: [0, 1], down: [0, -1] }[direction] || [-1, 0];
+            
+            this.player.setPosition(start.x, start.y);
+            this.followers.forEach((follower, index) => {
+                const distance = TILE_SIZE * (index + 1);
+                follower.setPosition(start.x + step[0] * distance, start.y + step[1] * distance);
+            });
+            if (this.movementSystem) {
+                this.movementSystem.isMoving = false;
+            }
+        }
+        
+        if (this.spawnSystem) {
+            terrain.pickupPoints.forEach(point => this.spawnSystem.spawnPickup(point.x, point.y));
+        }
+        
+        if (this.propSystem) {
+            this.propSystem.placeProps(this.currentLevel);
+        }
+    }
+
     /**
      * Start level music
      */
@@ -0,0 +1,202 @@
+import { GAME_WIDTH, GAME_HEIGHT, UI_FONT_FAMILY, UI_FONT_SIZES } from '../constants.js';
+import { getMapNodeType } from '../data/mapNodes.js';
+import { MAP_LANES, findMapNode } from '../utils/stageMap.js';
+
+const ROW_SPACING = 110;
+const LANE_SPACING = 200;
+const NODE_RADIUS = 30;
+
+/**
+ * Scene showing the branching stage map between levels.
+ * Launched on top of a paused GameScene; calls onSelect(node) with the chosen node.
+ */
+export default class MapScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'MapScene' });
+        this.stageMap = null;
+        this.row = 0;
+        this.currentNodeId = null;
+        this.visited = [];
+        this.onSelectCallback = null;
+    }
+
+    /**
+     * Initialize with data from the caller scene
+     * @param {object} data - { stageMap, row, level, currentNodeId, visited, onSelect }
+     */
+    init(data) {
+        this.stageMap = data.stageMap;
+        this.row = data.row || 0;
+        this.level = data.level || 1;
+        this.currentNodeId = data.currentNodeId || null;
+        this.visited = data.visited || [];
+        this.onSelectCallback = data.onSelect || null;
+        this.selectionMade = false;
+    }
+
+    create() {
+        console.log(`[MapScene] Showing stage ${this.stageMap.stage} map, choosing row ${this.row} (level ${this.level})`);
+
+        // Dim the paused game behind the map
+        this.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.85).setOrigin(0, 0);
+
+        this.add.text(GAME_WIDTH / 2, 40, `Stage ${this.stageMap.stage} - Choose your path`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.TITLE,
+            color: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5, 0);
+
+        this.infoText = this.add.text(GAME_WIDTH / 2, GAME_HEIGHT - 50, `Next: Level ${this.level}`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: '#DDDDDD',
+            align: 'center'
+        }).setOrigin(0.5, 0.5);
+
+        const selectable = this.getSelectableNodes();
+        this.drawEdges(selectable);
+        this.drawNodes(selectable);
+        this.drawLegend();
+    }
+
+    /**
+     * Nodes the player can pick for the next level
+     * @returns {object[]} Selectable nodes
+     */
+    getSelectableNodes() {
+        const rowNodes = this.stageMap.rows[this.row] || [];
+        const current = findMapNode(this.stageMap, this.currentNodeId);
+
+        // First level of a stage (or an unknown current node): any node in the row
+        if (!current || current.row !== this.row - 1) {
+            return rowNodes;
+        }
+
+        const reachable = rowNodes.filter(node => current.next.includes(node.id));
+        return reachable.length > 0 ? reachable : rowNodes;
+    }
+
+    /**
+     * Screen position of a map node (row 0 at the bottom)
+     * @param {object} node - Map node
+     * @returns {{x: number, y: number}} Position
+     */
+    getNodePosition(node) {
+        return {
+            x: GAME_WIDTH / 2 + (node.lane - (MAP_LANES - 1) / 2) * LANE_SPACING,
+            y: GAME_HEIGHT - 160 - node.row * ROW_SPACING
+        };
+    }
+
+    /**
+     * Draw connections between rows, highlighting the ones the player can take
+     * @param {object[]} selectable - Selectable nodes
+     */
+    drawEdges(selectable) {
+        const graphics = this.add.graphics();
+
+        this.stageMap.rows.forEach(rowNodes => {
+            rowNodes.forEach(node => {
+                const from = this.getNodePosition(node);
+                node.next.forEach(nextId => {
+                    const next = findMapNode(this.stageMap, nextId);
+                    if (!next) return;
+
+                    const to = this.getNodePosition(next);
+                    const isOpen = node.id === this.currentNodeId && selectable.includes(next);
+                    const isTaken = this.visited.includes(node.id) && this.visited.includes(next.id);
+
+                    graphics.lineStyle(isOpen ? 5 : 3, isOpen ? 0xFFFF00 : (isTaken ? 0xFFFFFF : 0x666666), isOpen || isTaken ? 1 : 0.6);
+                    graphics.lineBetween(from.x, from.y, to.x, to.y);
+                });
+            });
+        });
+    }
+
+    /**
+     * Draw every node; selectable nodes pulse and respond to clicks
+     * @param {object[]} selectable - Selectable nodes
+     */
+    drawNodes(selectable) {
+        this.stageMap.rows.forEach(rowNodes => {
+            rowNodes.forEach(node => {
+                const nodeType = getMapNodeType(node.type);
+                const { x, y } = this.getNodePosition(node);
+                const isSelectable = selectable.includes(node);
+                const isVisited = this.visited.includes(node.id);
+                const isPast = node.row < this.row;
+
+                const radius = node.type === 'boss' ? NODE_RADIUS * 1.4 : NODE_RADIUS;
+                const circle = this.add.circle(x, y, radius, nodeType.color, isPast && !isVisited ? 0.25 : 1);
+                circle.setStrokeStyle(isSelectable ? 4 : 2, isVisited ? 0xFFFFFF : 0x000000);
+
+                this.add.text(x, y, nodeType.icon, {
+                    fontFamily: UI_FONT_FAMILY,
+                    fontSize: UI_FONT_SIZES.LARGE,
+                    color: '#000000'
+                }).setOrigin(0.5).setAlpha(isPast && !isVisited ? 0.4 : 1);
+
+                if (!isSelectable) return;
+
+                this.tweens.add({
+                    targets: circle,
+                    scale: 1.15,
+                    duration: 500,
+                    yoyo: true,
+                    repeat: -1
+                });
+
+                circle.setInteractive({ useHandCursor: true })
+                    .on('pointerover', () => {
+                        this.infoText.setText(`Level ${this.level} - ${nodeType.name}: ${nodeType.description}`);
+                    })
+                    .on('pointerout', () => {
+                        this.infoText.setText(`Next: Level ${this.level}`);
+                    })
+                    .on('pointerdown', () => this.selectNode(node));
+            });
+        });
+    }
+
+    /**
+     * Draw a key explaining the node icons
+     */
+    drawLegend() {
+        const types = ['combat', 'elite', 'story', 'shop', 'rest', 'boss'];
+        types.forEach((key, index) => {
+            const nodeType = getMapNodeType(key);
+            const y = 200 + index * 50;
+            this.add.circle(100, y, 16, nodeType.color);
+            this.add.text(100, y, nodeType.icon, {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.SMALL,
+                color: '#000000'
+            }).setOrigin(0.5);
+            this.add.text(130, y, nodeType.name, {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.SMALL,
+                color: '#FFFFFF'
+            }).setOrigin(0, 0.5);
+        });
+    }
+
+    /**
+     * Confirm a node and hand control back to the game
+     * @param {object} node - Chosen node
+     */
+    selectNode(node) {
+        if (this.selectionMade) return;
+        this.selectionMade = true;
+
+        console.log(`[MapScene] Selected ${node.type} node ${node.id}`);
+
+        this.cameras.main.fadeOut(250, 0, 0, 0);
+        this.cameras.main.once('camerafadeoutcomplete', () => {
+            const callback = this.onSelectCallback;
+            this.scene.stop();
+            if (callback) callback(node);
+        });
+    }
+}
@@ -1,6 +1,15 @@
 import { GAME_WIDTH, GAME_HEIGHT } from '../constants.js';
 import { createGameTextures } from '../utils/textureGenerator.js';
 import AudioManager from '../audio/AudioManager.js';
+import SaveManager from '../utils/SaveManager.js';
+import MetaProgression from '../utils/MetaProgression.js';
+import { parseSeed } from '../utils/SeededRandom.js';
+import { getDailyChallenge, formatRunTime } from '../utils/dailyChallenge.js';
+import DailyLeaderboard from '../utils/DailyLeaderboard.js';
+import BossRushRecords from '../utils/BossRushRecords.js';
+import { heroClasses } from '../data/heroClasses.js';
+import { engineerClasses } from '../data/engineerClasses.js';
+import { dailyModifiers } from '../data/dailyModifiers.js';
 
 export default class TitleScene extends Phaser.Scene {
     constructor() {
@@ -8,6 +17,7 @@ export default class TitleScene extends Phaser.Scene {
         console.log('TitleScene constructor called');
         this.audioManager = null;
         this.audioInitialized = false;
+        this.customSeed = null; // Seed for the next run (null for a random one)
     }
     
     preload() {
@@ -49,9 +59,13 @@ export default class TitleScene extends Phaser.Scene {
         const playButton = this.add.image(427, 493, 'button1_01')
             .setInteractive({ useHandCursor: true });
         
-        // Options button    
-        const optionsButton = this.add.image(427, 618, 'button2_01')
+        // Continue button - only usable when a campaign save exists
+        const savedCampaign = new SaveManager().loadCampaign();
+        const continueButton = this.add.image(427, 618, 'button2_01')
             .setInteractive({ useHandCursor: true });
+        if (!savedCampaign) {
+            continueButton.setAlpha(0.5);
+        }
         
         // Help button
         const helpButton = this.add.image(427, 752, 'button3_01')
@@ -61,8 +75,51 @@ export default class TitleScene extends Phaser.Scene {
         const exitButton = this.add.image(427, 890, 'button4_01')
             .setInteractive({ useHandCursor: true });
         
+        // Barracks button - permanent upgrades bought with coins
+        const barracksButton = this.createMenuButton(GAME_WIDTH - 300, 890, 'BARRACKS');
+        this.add.text(GAME_WIDTH - 300, 820, `Coins: ${new MetaProgression().coins}`, {
+            fontSize: '22px',
+            fontFamily: 'Arial',
+            fill: '#FFD700',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        // Seed button - replay or share a run by entering its seed
+        const seedButton = this.createMenuButton(GAME_WIDTH - 300, 700, 'SEED');
+        const seedText = this.add.text(GAME_WIDTH - 300, 630, this.getSeedLabel(), {
+            fontSize: '22px',
+            fontFamily: 'Arial',
+            fill: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        // Daily Challenge button - same seed, commander, engineer and rules for everyone today
+        const dailyChallenge = getDailyChallenge();
+        const dailyButton = this.createMenuButton(GAME_WIDTH - 300, 520, 'DAILY');
+        this.add.text(GAME_WIDTH - 300, 420, this.getDailyLabel(dailyChallenge), {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            fill: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 3,
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Boss Rush button - the four bosses back-to-back with a preset party, against the clock
+        const bossRushButton = this.createMenuButton(GAME_WIDTH - 300, 290, 'BOSS RUSH');
+        this.add.text(GAME_WIDTH - 300, 210, this.getBossRushLabel(), {
+            fontSize: '20px',
+            fontFamily: 'Arial',
+            fill: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 3,
+            align: 'center'
+        }).setOrigin(0.5);
+        
         // Button hover effects
-        const buttons = [playButton, optionsButton, helpButton, exitButton];
+        const buttons = [playButton, continueButton, helpButton, exitButton, barracksButton, seedButton, dailyButton, bossRushButton];
         buttons.forEach(button => {
             button.on('pointerover', () => {
                 button.setScale(1.05);
@@ -90,10 +147,17 @@ export default class TitleScene extends Phaser.Scene {
             this.showIntroStory();
         });
         
-        // Other button actions (placeholders)
-        optionsButton.on('pointerdown', () => {
-            console.log('Options button clicked');
-            // Play a selection sound
+        // Continue button action - resume the saved campaign
+        continueButton.on('pointerdown', () => {
+            if (!savedCampaign) {
+                console.log('Continue clicked but no saved campaign exists');
+                return;
+            }
+            this.continueCampaign(savedCampaign);
+        });
+        
+        // Barracks button action
+        barracksButton.on('pointerdown', () => {
             if (this.audioManager) {
                 try {
                     this.audioManager.playSFX('pickup');
@@ -101,8 +165,32 @@ export default class TitleScene extends Phaser.Scene {
                     console.warn('Failed to play pickup sound:', error);
                 }
             }
+            this.scene.start('BarracksScene');
         });
         
+        // Daily button action - skip the intro and character selection
+        dailyButton.on('pointerdown', () => {
+            this.startDailyChallenge(dailyChallenge);
+        });
+        
+        // Boss Rush button action - skip the intro and character selection
+        bossRushButton.on('pointerdown', () => {
+            this.startBossRush();
+        });
+        
+        // Seed button action - an empty entry goes back to a random seed
+        seedButton.on('pointerdown', () => {
+            const entered = window.prompt('Enter a run seed (number or text), or leave empty for random:',
+                this.customSeed !== null ? String(this.customSeed) : '');
+            if (entered === null) return; // Cancelled
+            
+            this.customSeed = parseSeed(entered);
+            seedText.setText(this.getSeedLabel());
+            console.log('Run seed set to:', this.customSeed);
+        });
+        
+        // Other button actions (placeholders)
+        
         helpButton.on('pointerdown', () => {
             console.log('Help button clicked');
             // Play a selection sound
@@ -130,6 +218,152 @@ export default class TitleScene extends Phaser.Scene {
         console.log('TitleScene create completed');
     }
     
+    /**
+     * Create a plain labelled button for menu entries that have no button artwork
+     * (the menu images have their labels drawn in)
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Button text
+     * @returns {Phaser.GameObjects.Rectangle} The interactive button
+     */
+    createMenuButton(x, y, label) {
+        const button = this.add.rectangle(x, y, 360, 80, 0x3A2A1A, 0.9)
+            .setStrokeStyle(3, 0xD4A017)
+            .setInteractive({ useHandCursor: true });
+        this.add.text(x, y, label, {
+            fontSize: '28px',
+            fontFamily: 'Arial',
+            fill: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        return button;
+    }
+    
+    /**
+     * Text shown above the daily button: the day's setup and best run
+     * @param {object} challenge - Challenge from getDailyChallenge()
+     * @returns {string} Multi-line label
+     */
+    getDailyLabel(challenge) {
+        const hero = heroClasses[challenge.heroKey];
+        const engineer = engineerClasses[challenge.engineerKey];
+        const modifierNames = challenge.modifiers
+            .map(key => dailyModifiers[key] ? dailyModifiers[key].name : key)
+            .join(', ');
+        const best = new DailyLeaderboard().getBest(challenge.dateKey);
+        
+        return [
+            `Daily Challenge ${challenge.dateKey}`,
+            `${hero ? hero.name : challenge.heroKey} + ${engineer ? engineer.name : challenge.engineerKey}`,
+            modifierNames,
+            `Best: ${best ? best.score : '-'}`
+        ].join('\n');
+    }
+    
+    /**
+     * Start today's Daily Challenge in GameScene
+     * @param {object} challenge - Challenge from getDailyChallenge()
+     */
+    startDailyChallenge(challenge) {
+        console.log(`Starting Daily Challenge ${challenge.dateKey}`);
+        
+        // Play a selection sound
+        if (this.audioManager) {
+            try {
+                this.audioManager.playSFX('pickup');
+            } catch (error) {
+                console.warn('Failed to play pickup sound:', error);
+            }
+        }
+        
+        // Fade out everything, then hand the challenge to GameScene.init(data)
+        this.tweens.add({
+            targets: [...this.children.list],
+            alpha: 0,
+            duration: 300,
+            onComplete: () => {
+                this.scene.start('GameScene', { dailyChallenge: challenge });
+            }
+        });
+    }
+    
+    /**
+     * Text shown above the Boss Rush button: the best full clear
+     * @returns {string} Multi-line label
+     */
+    getBossRushLabel() {
+        const best = new BossRushRecords().getBestTotal();
+        return [
+            'Boss Rush',
+            `Best: ${best !== null ? formatRunTime(best) : '-'}`
+        ].join('\n');
+    }
+    
+    /**
+     * Start a Boss Rush in GameScene
+     */
+    startBossRush() {
+        console.log('Starting Boss Rush');
+        
+        // Play a selection sound
+        if (this.audioManager) {
+            try {
+                this.audioManager.playSFX('pickup');
+            } catch (error) {
+                console.warn('Failed to play pickup sound:', error);
+            }
+        }
+        
+        // Fade out everything; the seed entered on the title screen still applies
+        this.tweens.add({
+            targets: [...this.children.list],
+            alpha: 0,
+            duration: 300,
+            onComplete: () => {
+                this.scene.start('GameScene', {
+                    bossRush: true,
+                    seed: this.customSeed !== null ? this.customSeed : undefined
+                });
+            }
+        });
+    }
+    
+    /**
+     * Text shown above the seed button
+     * @returns {string} Current seed label
+     */
+    getSeedLabel() {
+        return `Seed: ${this.customSeed !== null ? this.customSeed : 'Random'}`;
+    }
+    
+    /**
+     * Resume a saved campaign in GameScene
+     * @param {object} saveData - Campaign snapshot from SaveManager
+     */
+    continueCampaign(saveData) {
+        console.log(`Continuing campaign at level ${saveData.level} with ${saveData.heroKey}`);
+        
+        // Play a selection sound
+        if (this.audioManager) {
+            try {
+                this.audioManager.playSFX('pickup');
+            } catch (error) {
+                console.warn('Failed to play pickup sound:', error);
+            }
+        }
+        
+        // Fade out everything, then hand the snapshot to GameScene.init(data)
+        this.tweens.add({
+            targets: [...this.children.list],
+            alpha: 0,
+            duration: 300,
+            onComplete: () => {
+                this.scene.start('GameScene', { saveData });
+            }
+        });
+    }
+    
     /**
      * Show the intro story (level0) before character selection
      */
@@ -290,7 +524,8 @@ export default class TitleScene extends Phaser.Scene {
                             // Don't show level0 story again since we already showed it
                             this.scene.start('GameScene', { 
                                 selectedHeroKey: char.key,
-                                skipIntroStory: true 
+                                skipIntroStory: true,
+                                seed: this.customSeed !== null ? this.customSeed : undefined
                             }); 
                         }
                     });
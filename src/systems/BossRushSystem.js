@@ -0,0 +1,173 @@
+import { bossRush } from '../data/bossRush.js';
+import { getBossScriptForStage } from '../data/bossScripts.js';
+import BossRushRecords from '../utils/BossRushRecords.js';
+
+/**
+ * Boss Rush mode (see bossRush.js): the stage bosses one after another with
+ * no waves in between. Times each fight and the run (the sum of the fights,
+ * intermissions excluded) and keeps personal bests in BossRushRecords.
+ * Driven from GameScene.update so the clock stops while the game is paused.
+ */
+export default class BossRushSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.records = new BossRushRecords();
+        this.fights = bossRush.fights;
+        this.fightIndex = -1;
+        this.boss = null;
+        this.state = 'idle';          // 'idle', 'fighting', 'intermission' or 'complete'
+        this.fightTime = 0;           // ms into the current fight
+        this.totalTime = 0;           // ms over all fights so far
+        this.intermissionRemaining = 0;
+        this.splits = [];             // { key, name, time, isNewBest } per defeated boss
+        this.isNewTotalBest = false;
+    }
+
+    /**
+     * Start the first fight after the intermission
+     */
+    start() {
+        console.log(`[BossRushSystem] Starting Boss Rush: ${this.fights.length} bosses`);
+        this.beginIntermission();
+    }
+
+    /**
+     * Advance the clocks and move on when the boss falls
+     * @param {number} delta - Time since last frame in ms
+     */
+    update(delta) {
+        if (this.state === 'intermission') {
+            this.intermissionRemaining -= delta;
+            if (this.intermissionRemaining <= 0) {
+                this.startFight(this.fightIndex + 1);
+            }
+        } else if (this.state === 'fighting') {
+            this.fightTime += delta;
+            this.totalTime += delta;
+            if (!this.boss || !this.boss.active) {
+                this.finishFight();
+            }
+        }
+
+        this.updateDisplay();
+    }
+
+    /**
+     * Spawn a fight's boss in its level's surroundings
+     * @param {number} index - Index in bossRush.fights
+     */
+    startFight(index) {
+        const fight = this.fights[index];
+        const script = getBossScriptForStage(fight.stage);
+        this.fightIndex = index;
+        this.fightTime = 0;
+
+        // The level sets the backdrop, music and spawn stream; bosses keep their authored stats
+        if (this.scene.updateLevel) {
+            this.scene.updateLevel(fight.level);
+            this.scene.applyLevelMapLayout();
+        }
+        if (this.scene.spawnSystem) {
+            this.scene.spawnSystem.currentLevel = fight.level;
+            this.boss = this.scene.spawnSystem.spawnBoss(fight.stage);
+        }
+
+        if (this.scene.uiManager) {
+            this.scene.uiManager.showNotification(
+                `BOSS ${index + 1} / ${this.fights.length}\n${script.name.toUpperCase()}`, null, true
+            );
+        }
+
+        this.state = 'fighting';
+        console.log(`[BossRushSystem] Fight ${index + 1}: ${script.name}`);
+    }
+
+    /**
+     * Record the fallen boss's time and set up the next fight, or end the run
+     */
+    finishFight() {
+        const script = getBossScriptForStage(this.fights[this.fightIndex].stage);
+        const isNewBest = this.records.recordFight(script.key, this.fightTime);
+        this.splits.push({ key: script.key, name: script.name, time: this.fightTime, isNewBest });
+        this.boss = null;
+
+        console.log(`[BossRushSystem] ${script.name} defeated in ${Math.floor(this.fightTime)}ms${isNewBest ? ' (new best)' : ''}`);
+
+        // Leftover summons and projectiles would eat into the next fight
+        if (this.scene.clearBattlefield) {
+            this.scene.clearBattlefield();
+        }
+
+        if (this.fightIndex >= this.fights.length - 1) {
+            this.complete();
+            return;
+        }
+
+        if (this.scene.uiManager) {
+            this.scene.uiManager.showNotification(
+                `${script.name.toUpperCase()} DEFEATED!${isNewBest ? '\nNEW BEST!' : ''}`, '#FFD700'
+            );
+        }
+
+        this.healParty();
+        this.beginIntermission();
+    }
+
+    /**
+     * Wait before the next boss appears
+     */
+    beginIntermission() {
+        this.state = 'intermission';
+        this.intermissionRemaining = bossRush.intermission;
+    }
+
+    /**
+     * Restore part of the commander's and every follower's health between fights
+     */
+    healParty() {
+        [this.scene.player, ...(this.scene.followers || [])].forEach(member => {
+            if (!member || !member.active) return;
+            member.health = Math.min(member.maxHealth, member.health + member.maxHealth * bossRush.healBetween);
+        });
+    }
+
+    /**
+     * Record the full clear and show the results
+     */
+    complete() {
+        this.state = 'complete';
+        this.isNewTotalBest = this.records.recordTotal(this.totalTime);
+        console.log(`[BossRushSystem] Boss Rush cleared in ${Math.floor(this.totalTime)}ms${this.isNewTotalBest ? ' (new best)' : ''}`);
+
+        // Freeze the field behind the results
+        this.scene.gameActive = false;
+        this.scene.physics.pause();
+
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playVictorySound();
+        }
+        if (this.scene.uiManager) {
+            this.scene.uiManager.showBossRushResults(this);
+        }
+    }
+
+    /**
+     * Number of bosses defeated this run
+     * @returns {number} Defeated bosses
+     */
+    getDefeatedCount() {
+        return this.splits.length;
+    }
+
+    /**
+     * Keep the wave panel showing the fight number and the clocks
+     */
+    updateDisplay() {
+        if (!this.scene.uiManager || this.fightIndex < 0 || this.state === 'complete') return;
+
+        const script = getBossScriptForStage(this.fights[this.fightIndex].stage);
+        this.scene.uiManager.updateBossRushInfo(
+            this.fightIndex + 1, this.fights.length, script.name, this.fightTime, this.totalTime
+        );
+    }
+}
@@ -0,0 +1,245 @@
+import { TILE_SIZE } from '../constants.js';
+import { resolveBulletPattern } from '../data/bulletPatterns.js';
+import Projectile from '../entities/Projectile.js';
+
+const DEFAULT_LIFESPAN = 5000;
+
+/**
+ * Fires enemy bullet patterns (see bulletPatterns.js): rings, fans and spirals
+ * over several volleys, plus the projectiles that split after a delay.
+ * Driven from GameScene.update so volleys and splits freeze while the game is paused.
+ */
+export default class BulletPatternSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.emissions = []; // Patterns with volleys left to fire
+        this.splits = []; // Projectiles waiting to burst
+    }
+
+    /**
+     * Start firing a pattern; the first volley goes out immediately
+     * @param {Enemy} source - Enemy or boss firing the pattern
+     * @param {string|object} pattern - Key from bulletPatterns.js or an inline pattern
+     * @param {object} overrides - Pattern fields to replace (e.g. speed, count, angle)
+     * @returns {object|null} The emission (pass to cancel()), or null if nothing was fired
+     */
+    emit(source, pattern, overrides = {}) {
+        const resolved = resolveBulletPattern(pattern, overrides);
+        if (!resolved) {
+            console.warn(`[BulletPatternSystem] Unknown bullet pattern "${pattern}"`);
+            return null;
+        }
+        if (!source || !source.active || !this.scene.bullets) return null;
+
+        const emission = {
+            source,
+            pattern: resolved,
+            volley: 0,
+            volleys: resolved.volleys || 1,
+            timer: 0
+        };
+
+        this.fireVolley(emission);
+        if (emission.volley < emission.volleys) {
+            emission.timer = resolved.interval || 0;
+            this.emissions.push(emission);
+        }
+        return emission;
+    }
+
+    /**
+     * Fire due volleys and burst due splitting projectiles
+     * @param {number} delta - Time since last frame in ms
+     */
+    update(delta) {
+        // Copy so emissions finished (or started) during the loop don't disturb it
+        [...this.emissions].forEach(emission => {
+            if (!emission.source.active) {
+                this.cancel(emission);
+                return;
+            }
+
+            emission.timer -= delta;
+            while (emission.timer <= 0 && emission.volley < emission.volleys) {
+                this.fireVolley(emission);
+                emission.timer += emission.pattern.interval || 0;
+            }
+            if (emission.volley >= emission.volleys) {
+                this.cancel(emission);
+            }
+        });
+
+        [...this.splits].forEach(split => {
+            split.timer -= delta;
+            if (!split.projectile.active) {
+                this.splits.splice(this.splits.indexOf(split), 1);
+            } else if (split.timer <= 0) {
+                this.splits.splice(this.splits.indexOf(split), 1);
+                this.burst(split);
+            }
+        });
+    }
+
+    /**
+     * Stop an emission's remaining volleys
+     * @param {object} emission - Emission returned by emit()
+     */
+    cancel(emission) {
+        const index = this.emissions.indexOf(emission);
+        if (index !== -1) {
+            this.emissions.splice(index, 1);
+        }
+    }
+
+    /**
+     * Stop every emission and pending split, e.g. when a level ends
+     */
+    clear() {
+        this.emissions = [];
+        this.splits = [];
+    }
+
+    /**
+     * Fire the emission's next volley from the source
+     * @param {object} emission - Emission to advance
+     */
+    fireVolley(emission) {
+        const { source, pattern } = emission;
+        const target = this.getTarget(source);
+        const speed = (pattern.speed || 150) + (pattern.speedStep || 0) * emission.volley;
+
+        let baseAngle = pattern.angle || 0;
+        if (pattern.aim && target) {
+            baseAngle = pattern.lead && typeof source.getLeadAngle === 'function'
+                ? source.getLeadAngle(target, speed)
+                : Phaser.Math.Angle.Between(source.x, source.y, target.x, target.y);
+        }
+        baseAngle += (pattern.rotation || 0) * emission.volley;
+
+        // Spawn clear of the firer so the shot doesn't start inside its body
+        const offsetDistance = Math.max(source.displayWidth * 0.75, TILE_SIZE * 1.5);
+        const damage = source.attackDamage * (pattern.damageMultiplier !== undefined ? pattern.damageMultiplier : 1);
+
+        this.getVolleyAngles(pattern, baseAngle).forEach(angle => {
+            this.createProjectile(
+                source.x + Math.cos(angle) * offsetDistance,
+                source.y + Math.sin(angle) * offsetDistance,
+                angle,
+                speed,
+                damage,
+                pattern,
+                target
+            );
+        });
+
+        emission.volley++;
+    }
+
+    /**
+     * Directions of one volley
+     * @param {object} pattern - Resolved pattern
+     * @param {number} baseAngle - Volley direction in radians
+     * @returns {Array<number>} Angles in radians
+     */
+    getVolleyAngles(pattern, baseAngle) {
+        const count = Math.max(1, pattern.count || 1);
+        const angles = [];
+
+        if (pattern.shape === 'ring') {
+            // Skip `gap` slots centered on the base direction
+            const step = (Math.PI * 2) / count;
+            const gap = Math.min(pattern.gap || 0, count - 1);
+            const offset = gap > 0 ? (gap - 1) / 2 : 0;
+            for (let i = gap; i < count; i++) {
+                angles.push(baseAngle + (i - offset) * step);
+            }
+        } else {
+            const spread = count > 1 ? pattern.spread || 0 : 0;
+            const step = count > 1 ? spread / (count - 1) : 0;
+            for (let i = 0; i < count; i++) {
+                angles.push(baseAngle - spread / 2 + i * step);
+            }
+        }
+
+        return angles;
+    }
+
+    /**
+     * Create one enemy projectile with the pattern's look and behaviors
+     * @param {number} x - Spawn x
+     * @param {number} y - Spawn y
+     * @param {number} angle - Direction in radians
+     * @param {number} speed - Projectile speed
+     * @param {number} damage - Projectile damage
+     * @param {object} pattern - Resolved pattern
+     * @param {Character} target - Target for homing projectiles
+     * @returns {Projectile|null} The projectile, or null if the bullets group is full
+     */
+    createProjectile(x, y, angle, speed, damage, pattern, target) {
+        // A full group would refuse the projectile, leaving one that never collides
+        if (this.scene.bullets.isFull()) return null;
+
+        const projectile = Projectile.createEnemyProjectile(
+            this.scene, x, y, Math.cos(angle), Math.sin(angle), damage, speed
+        );
+        if (!projectile) return null;
+
+        this.scene.bullets.add(projectile);
+        projectile.setLifespan(pattern.lifespan || DEFAULT_LIFESPAN);
+
+        if (pattern.damageType) projectile.setDamageType(pattern.damageType);
+        if (pattern.tint !== undefined) projectile.setTint(pattern.tint);
+        if (pattern.scale) projectile.setScale(pattern.scale);
+        if (pattern.homing && target) {
+            projectile.setHoming(target, pattern.homing.turnRate, pattern.homing.duration);
+        }
+        if (pattern.bounces) projectile.setBouncing(pattern.bounces);
+        if (pattern.split) {
+            this.splits.push({ projectile, pattern, damage, timer: pattern.split.delay || 500 });
+        }
+
+        return projectile;
+    }
+
+    /**
+     * Replace a splitting projectile with its fragments
+     * @param {object} split - Pending split entry
+     */
+    burst(split) {
+        const { projectile, pattern, damage } = split;
+        const velocity = projectile.body ? projectile.body.velocity : { x: 1, y: 0 };
+        const heading = Math.atan2(velocity.y, velocity.x);
+
+        // Fragments fan around the heading, or form a full ring when no spread is given
+        const fragment = {
+            ...pattern,
+            shape: pattern.split.spread ? 'fan' : 'ring',
+            count: pattern.split.count || 6,
+            spread: pattern.split.spread,
+            gap: 0,
+            split: null,
+            homing: null,
+            scale: null
+        };
+        const speed = pattern.split.speed || pattern.speed || 150;
+        const { x, y } = projectile;
+
+        // Free the parent's slot in the bullets group before adding its fragments
+        projectile.destroy();
+
+        this.getVolleyAngles(fragment, heading).forEach(angle => {
+            this.createProjectile(x, y, angle, speed, damage, fragment, null);
+        });
+    }
+
+    /**
+     * Who a source's aimed volleys and homing projectiles go after
+     * @param {Enemy} source - Firing enemy
+     * @returns {Character|null} Target, or null if there is nothing to aim at
+     */
+    getTarget(source) {
+        if (typeof source.getTarget === 'function') return source.getTarget();
+        const player = this.scene.player;
+        return player && player.active ? player : null;
+    }
+}
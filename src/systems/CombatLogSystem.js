@@ -0,0 +1,92 @@
+import { getDamageType } from '../data/damageTypes.js';
+
+const MAX_RECENT_HITS = 10;
+
+/**
+ * Running totals of the damage dealt to enemies and taken by the snake, per
+ * damage type, plus the most recent hits. Fed by Character.damage and shown in
+ * the CombatLogPanel. Created with the scene, so it covers one run.
+ */
+export default class CombatLogSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.reset();
+    }
+
+    /**
+     * Forget every recorded hit
+     */
+    reset() {
+        this.dealt = {}; // Damage type -> { amount, hits } against enemies
+        this.taken = {}; // Damage type -> { amount, hits } against the commander and followers
+        this.recentHits = [];
+    }
+
+    /**
+     * Record a hit after resistances and shields
+     * @param {Character} target - Character that took the damage
+     * @param {number} amount - Damage applied
+     * @param {string} damageType - Key from damageTypes.js
+     */
+    record(target, amount, damageType) {
+        // Breaking crates and barrels isn't damage dealt to enemies
+        if (target.constructor.name === 'Prop') return;
+
+        const isSnakeSegment = target.constructor.name === 'Player' || target.constructor.name === 'Follower';
+        const totals = isSnakeSegment ? this.taken : this.dealt;
+        const type = getDamageType(damageType).key;
+
+        if (!totals[type]) {
+            totals[type] = { amount: 0, hits: 0 };
+        }
+        totals[type].amount += amount;
+        totals[type].hits++;
+
+        this.recentHits.unshift({
+            targetName: this.getTargetName(target),
+            amount,
+            damageType: type,
+            taken: isSnakeSegment,
+            resistance: typeof target.getResistance === 'function' ? target.getResistance(type) : 1
+        });
+        if (this.recentHits.length > MAX_RECENT_HITS) {
+            this.recentHits.length = MAX_RECENT_HITS;
+        }
+    }
+
+    /**
+     * Totals per damage type, largest first
+     * @param {boolean} taken - True for damage taken by the snake, false for damage dealt
+     * @returns {Array<object>} [{ damageType, amount, hits }]
+     */
+    getTotals(taken = false) {
+        const totals = taken ? this.taken : this.dealt;
+        return Object.entries(totals)
+            .map(([damageType, total]) => ({ damageType, amount: total.amount, hits: total.hits }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    /**
+     * Sum of every damage type
+     * @param {boolean} taken - True for damage taken by the snake, false for damage dealt
+     * @returns {number} Total damage
+     */
+    getTotalDamage(taken = false) {
+        return this.getTotals(taken).reduce((sum, total) => sum + total.amount, 0);
+    }
+
+    /**
+     * Display name of a hit target
+     * @param {Character} target - Character that took the damage
+     * @returns {string} Name for the log
+     */
+    getTargetName(target) {
+        if (target.constructor.name === 'Player') {
+            return target.heroClass ? target.heroClass.name : 'Commander';
+        }
+        if (target.engineerClass) {
+            return target.engineerClass.name;
+        }
+        return target.name || 'Enemy';
+    }
+}
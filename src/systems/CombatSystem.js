@@ -1,5 +1,6 @@
 import Projectile from '../entities/Projectile.js';
 import { TILE_SIZE, MAX_FOLLOWERS } from '../constants.js';
+import { ENGINEER_MAX_STARS } from '../data/engineerStars.js';
 
 /**
  * Handles combat interactions, projectiles, and collision detection
@@ -51,6 +52,18 @@ export default class CombatSystem {
             this
         );
         
+        // Bullets vs Props
+        scene.physics.add.overlap(
+            scene.bullets, 
+            scene.props, 
+            this.handleBulletPropCollision, 
+            null, 
+            this
+        );
+        
+        // Enemies walk around props
+        scene.physics.add.collider(scene.enemies, scene.props);
+        
         // Followers vs Enemies
         scene.physics.add.overlap(
             scene.followersGroup, 
@@ -155,14 +168,22 @@ export default class CombatSystem {
         if (!engineer.active || !engineer.engineerClass) return;
         
         const engineerClass = engineer.engineerClass;
+        const maxFollowers = this.getMaxFollowers();
+        
+        // A duplicate class promotes the engineer already in the chain
+        const duplicate = this.findPromotableFollower(engineerClass);
+        if (duplicate) {
+            this.promoteFollower(duplicate, engineer);
+            return;
+        }
         
         // Check if team is already full
-        if (this.scene.followers.length >= MAX_FOLLOWERS) {
+        if (this.scene.followers.length >= maxFollowers) {
             // Show notification that team is full
             const fullTeamText = this.scene.add.text(
                 engineer.x, 
                 engineer.y - 20, 
-                `Team is full! (Max ${MAX_FOLLOWERS})`, 
+                `Team is full! (Max ${maxFollowers})`, 
                 { 
                     fontSize: '16px', 
                     fontFamily: 'Arial', 
@@ -184,7 +205,12 @@ export default class CombatSystem {
         }
         
         // Create a class follower
-        this.createClassFollower(engineerClass);
+        const follower = this.createClassFollower(engineerClass);
+        
+        // Let relics react to the new recruit
+        if (this.scene.relicSystem) {
+            this.scene.relicSystem.trigger('onFollowerJoined', { follower, engineerClass });
+        }
         
         // Play pickup sound (use a different sound if you want to differentiate)
         if (this.scene.audioManager) {
@@ -195,7 +221,7 @@ export default class CombatSystem {
         const notificationText = this.scene.add.text(
             engineer.x, 
             engineer.y - 20, 
-            `${engineerClass.name} joined! (${this.scene.followers.length}/${MAX_FOLLOWERS})`, 
+            `${engineerClass.name} joined! (${this.scene.followers.length}/${maxFollowers})`, 
             { 
                 fontSize: '16px', 
                 fontFamily: 'Arial', 
@@ -226,6 +252,9 @@ export default class CombatSystem {
     handlePlayerEnemyCollision(player, enemy) {
         if (player.active && enemy.active && !player.isInvulnerable) {
             player.damage(enemy.attackDamage);
+            if (typeof enemy.onDealtDamage === 'function') {
+                enemy.onDealtDamage(player, enemy.attackDamage);
+            }
             
             player.setInvulnerable();
         }
@@ -240,6 +269,9 @@ export default class CombatSystem {
         // Implement damage cooldown on the enemy for followers
         if (!enemy.hasDealtDamageToFollower) {
             follower.damage(1);
+            if (typeof enemy.onDealtDamage === 'function') {
+                enemy.onDealtDamage(follower, 1);
+            }
             enemy.hasDealtDamageToFollower = true;
             
             // Reset damage flag after delay
@@ -265,7 +297,18 @@ export default class CombatSystem {
         
         console.log(`[CombatSystem] PLAYER BULLET hit ENEMY. Bullet ID: ${bullet.type}-${bullet.x}, Enemy: ${enemy.enemyType}`);
         
-        const damage = bullet.damage || 1;
+        // Relic damage bonuses scale every player projectile
+        let damage = bullet.damage || 1;
+        if (this.scene.relicSystem) {
+            damage *= 1 + this.scene.relicSystem.getModifier('damage');
+        }
+        
+        // Level-up upgrades
+        const upgradeSystem = this.scene.upgradeSystem;
+        if (upgradeSystem && bullet.owner && bullet.owner.isEngineerFollower) {
+            damage *= 1 + upgradeSystem.getBonus('engineerDamage') / 100;
+        }
+        const extraPierces = upgradeSystem ? upgradeSystem.getBonus('projectilePierce') : 0;
         let destroyBullet = true;
         
         // Handle piercing bullets
@@ -275,7 +318,7 @@ export default class CombatSystem {
             if (!bullet.hitEnemies.has(enemy)) {
                 // Check if damage is a function
                 if (typeof enemy.damage === 'function') {
-                    enemy.damage(damage);
+                    enemy.damage(damage, bullet.damageType);
                 } else {
                     // Fallback if damage is not a function
                     enemy.health -= damage;
@@ -284,7 +327,7 @@ export default class CombatSystem {
                 bullet.hitEnemies.add(enemy);
                 bullet.pierceCount = (bullet.pierceCount || 0) + 1;
                 
-                if (bullet.pierceCount >= bullet.maxPierces) {
+                if (bullet.pierceCount >= bullet.maxPierces + extraPierces) {
                     destroyBullet = true;
                 } else {
                     destroyBullet = false; // Don't destroy yet
@@ -299,7 +342,7 @@ export default class CombatSystem {
             if (enemy === bullet.target || bullet.target === undefined) {
                 // Check if damage is a function
                 if (typeof enemy.damage === 'function') {
-                    enemy.damage(damage);
+                    enemy.damage(damage, bullet.damageType);
                 } else {
                     // Fallback if damage is not a function
                     enemy.health -= damage;
@@ -326,20 +369,30 @@ export default class CombatSystem {
         }
         // Default bullet behavior
         else {
+            // Piercing Rounds let ordinary shots pass through, but only hit each enemy once
+            if (bullet.hitEnemies && bullet.hitEnemies.has(enemy)) return;
+            
             console.log("Applying damage to enemy:", damage);
             // Check if damage is a function
             if (typeof enemy.damage === 'function') {
-                enemy.damage(damage);
+                enemy.damage(damage, bullet.damageType);
             } else {
                 // Fallback if damage is not a function
                 enemy.health -= damage;
                 enemy.updateHealthBar();
             }
+            
+            if (extraPierces > 0) {
+                if (!bullet.hitEnemies) bullet.hitEnemies = new Set();
+                bullet.hitEnemies.add(enemy);
+                bullet.pierceCount = (bullet.pierceCount || 0) + 1;
+                destroyBullet = bullet.pierceCount > extraPierces;
+            }
         }
         
         // Apply frost effect
-        if (bullet.freezeEffect && !enemy.isFrozen) {
-            enemy.applyFrost(1500, 0.5);
+        if (bullet.freezeEffect && enemy.active) {
+            enemy.applyStatus('slow', { duration: 1500, potency: 0.5 });
         }
         
         if (destroyBullet) {
@@ -347,6 +400,91 @@ export default class CombatSystem {
         }
     }
     
+    /**
+     * Handle collision between a player bullet and a breakable prop. Props aren't
+     * enemies: relic and upgrade bonuses don't apply, and piercing shots and sniper
+     * shots on their way to a target pass through
+     * @param {Projectile} bullet - The bullet
+     * @param {Prop} prop - The prop
+     */
+    handleBulletPropCollision(bullet, prop) {
+        if (!bullet.active || !prop.active || bullet.isEnemyProjectile) return;
+        if (bullet.isSniper && bullet.target !== undefined && bullet.target !== prop) return;
+        
+        if (!bullet.hitEnemies) bullet.hitEnemies = new Set();
+        if (bullet.hitEnemies.has(prop)) return;
+        bullet.hitEnemies.add(prop);
+        
+        prop.damage(bullet.damage || 1, bullet.damageType);
+        
+        if (!bullet.isPiercing) {
+            bullet.destroy();
+        }
+    }
+    
+    /**
+     * Find the lowest-star engineer of a class that can still be promoted
+     * @param {object} engineerClass - Class of the collected engineer
+     * @returns {Follower|null} Follower to promote, or null if none
+     */
+    findPromotableFollower(engineerClass) {
+        const candidates = this.scene.followers.filter(follower =>
+            follower.active &&
+            follower.engineerClass &&
+            follower.engineerClass.name === engineerClass.name &&
+            follower.starLevel < ENGINEER_MAX_STARS
+        );
+        if (candidates.length === 0) return null;
+        
+        return candidates.reduce((lowest, follower) => follower.starLevel < lowest.starLevel ? follower : lowest);
+    }
+    
+    /**
+     * Merge a collected engineer into a follower of the same class
+     * @param {Follower} follower - Follower to promote
+     * @param {Pickup} engineer - The engineer pickup
+     */
+    promoteFollower(follower, engineer) {
+        follower.promote();
+        
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playSFX('pickup', 1.0);
+        }
+        
+        const promotionText = this.scene.add.text(
+            follower.x, 
+            follower.y - 20, 
+            `${follower.engineerClass.name} ${'★'.repeat(follower.starLevel)}`, 
+            { 
+                fontSize: '16px', 
+                fontFamily: 'Arial', 
+                fill: '#FFD700', 
+                stroke: '#000000', 
+                strokeThickness: 3 
+            }
+        ).setOrigin(0.5);
+        
+        this.scene.tweens.add({
+            targets: promotionText,
+            y: promotionText.y - 30,
+            alpha: 0,
+            duration: 1500,
+            onComplete: () => promotionText.destroy()
+        });
+        
+        engineer.disableBody(true, true);
+        engineer.destroy();
+    }
+    
+    /**
+     * Maximum party size, including Bigger Barracks upgrades
+     * @returns {number} Maximum number of followers
+     */
+    getMaxFollowers() {
+        const bonus = this.scene.upgradeSystem ? this.scene.upgradeSystem.getBonus('followerMax') : 0;
+        return MAX_FOLLOWERS + bonus;
+    }
+    
     /**
      * Handle collision between enemy projectiles and followers
      * @param {Projectile} bullet - The enemy projectile
@@ -359,7 +497,7 @@ export default class CombatSystem {
         console.log(`[CombatSystem] ENEMY PROJECTILE hit FOLLOWER. Bullet ID: ${bullet.type}-${bullet.x}, Follower:`, follower);
 
         // Apply damage to follower
-        follower.damage(bullet.damage || 1);
+        follower.damage(bullet.damage || 1, bullet.damageType);
         
         // Destroy the bullet on impact
         bullet.destroy();
@@ -377,7 +515,7 @@ export default class CombatSystem {
         console.log(`[CombatSystem] ENEMY PROJECTILE hit PLAYER. Bullet ID: ${bullet.type}-${bullet.x}, Player:`, player);
 
         // Apply damage to player
-        player.damage(bullet.damage || 1);
+        player.damage(bullet.damage || 1, bullet.damageType);
         
         // Make player briefly invulnerable
         player.setInvulnerable();
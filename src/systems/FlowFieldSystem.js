@@ -0,0 +1,219 @@
+import { TILE_SIZE, GRID_COLS, GRID_ROWS } from '../constants.js';
+
+// Neighbour offsets with their step length (diagonals cost sqrt(2))
+const NEIGHBOURS = [
+    { dx: 1, dy: 0, step: 1 },
+    { dx: -1, dy: 0, step: 1 },
+    { dx: 0, dy: 1, step: 1 },
+    { dx: 0, dy: -1, step: 1 },
+    { dx: 1, dy: 1, step: Math.SQRT2 },
+    { dx: 1, dy: -1, step: Math.SQRT2 },
+    { dx: -1, dy: 1, step: Math.SQRT2 },
+    { dx: -1, dy: -1, step: Math.SQRT2 }
+];
+
+// Tiles with a breakable prop on them cost as much as a rubble wall to cross
+const PROP_PATH_COST = 40;
+
+/**
+ * Shared flow field toward the commander. Every tile stores its travel cost to the
+ * commander's tile (weighted by TerrainSystem pathCost), so any number of enemies
+ * can steer around forests, swamps and walls with one lookup each.
+ * Recomputed only when the commander moves to another tile.
+ */
+export default class FlowFieldSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.costs = null; // Terrain cost per tile
+        this.distances = null; // Travel cost from each tile to the target tile
+        this.targetTileX = -1;
+        this.targetTileY = -1;
+    }
+
+    /**
+     * Read tile costs from the terrain and the props standing on it. Call again
+     * whenever either changes
+     */
+    buildCostGrid() {
+        const terrainSystem = this.scene.terrainSystem;
+        this.costs = new Float32Array(GRID_COLS * GRID_ROWS).fill(1);
+
+        if (terrainSystem && terrainSystem.terrainLayer) {
+            for (let y = 0; y < GRID_ROWS; y++) {
+                for (let x = 0; x < GRID_COLS; x++) {
+                    const tile = terrainSystem.terrainLayer.getTileAt(x, y);
+                    const effect = tile ? terrainSystem.effects[tile.index] : null;
+                    this.costs[y * GRID_COLS + x] = effect && effect.pathCost ? effect.pathCost : 1;
+                }
+            }
+        }
+
+        // Enemies collide with props, so route them around
+        if (this.scene.props) {
+            this.scene.props.getChildren().forEach(prop => {
+                if (!prop.active) return;
+                const tileX = Math.floor(prop.x / TILE_SIZE);
+                const tileY = Math.floor(prop.y / TILE_SIZE);
+                if (!this.isInGrid(tileX, tileY)) return;
+                const index = tileY * GRID_COLS + tileX;
+                this.costs[index] = Math.max(this.costs[index], PROP_PATH_COST);
+            });
+        }
+
+        // Force a recompute on the next update
+        this.targetTileX = -1;
+        this.targetTileY = -1;
+        this.distances = null;
+    }
+
+    /**
+     * Recompute the field when the commander has changed tiles
+     */
+    update() {
+        const player = this.scene.player;
+        if (!player || !player.active) return;
+        if (!this.costs) this.buildCostGrid();
+
+        const tileX = Math.floor(player.x / TILE_SIZE);
+        const tileY = Math.floor(player.y / TILE_SIZE);
+        if (tileX === this.targetTileX && tileY === this.targetTileY) return;
+        if (!this.isInGrid(tileX, tileY)) return;
+
+        this.targetTileX = tileX;
+        this.targetTileY = tileY;
+        this.computeDistances(tileX, tileY);
+    }
+
+    /**
+     * Dijkstra from the target tile over the whole grid
+     * @param {number} targetX - Target tile column
+     * @param {number} targetY - Target tile row
+     */
+    computeDistances(targetX, targetY) {
+        const distances = new Float32Array(GRID_COLS * GRID_ROWS).fill(Infinity);
+        const heap = new MinHeap();
+        const start = targetY * GRID_COLS + targetX;
+
+        distances[start] = 0;
+        heap.push(start, 0);
+
+        while (heap.size > 0) {
+            const { index, priority } = heap.pop();
+            if (priority > distances[index]) continue; // Stale entry
+
+            const x = index % GRID_COLS;
+            const y = Math.floor(index / GRID_COLS);
+
+            NEIGHBOURS.forEach(({ dx, dy, step }) => {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!this.isInGrid(nx, ny)) return;
+
+                const neighbour = ny * GRID_COLS + nx;
+                // Entering a tile costs its terrain cost, scaled by the step length
+                const cost = distances[index] + step * this.costs[neighbour];
+                if (cost < distances[neighbour]) {
+                    distances[neighbour] = cost;
+                    heap.push(neighbour, cost);
+                }
+            });
+        }
+
+        this.distances = distances;
+    }
+
+    /**
+     * Direction to steer from a world position toward the commander
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {{x: number, y: number}|null} Unit vector, or null to steer straight
+     *          (no field yet, off the grid, or already next to the commander)
+     */
+    getDirection(x, y) {
+        if (!this.distances) return null;
+
+        const tileX = Math.floor(x / TILE_SIZE);
+        const tileY = Math.floor(y / TILE_SIZE);
+        if (!this.isInGrid(tileX, tileY)) return null;
+        if (Math.abs(tileX - this.targetTileX) <= 1 && Math.abs(tileY - this.targetTileY) <= 1) return null;
+
+        // Head for the centre of the cheapest neighbouring tile
+        let best = null;
+        let bestDistance = this.distances[tileY * GRID_COLS + tileX];
+        NEIGHBOURS.forEach(({ dx, dy }) => {
+            const nx = tileX + dx;
+            const ny = tileY + dy;
+            if (!this.isInGrid(nx, ny)) return;
+
+            const distance = this.distances[ny * GRID_COLS + nx];
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { x: nx, y: ny };
+            }
+        });
+        if (!best) return null;
+
+        const angle = Math.atan2(
+            (best.y + 0.5) * TILE_SIZE - y,
+            (best.x + 0.5) * TILE_SIZE - x
+        );
+        return { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+
+    /**
+     * Check whether a tile lies on the grid
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {boolean} True if on the grid
+     */
+    isInGrid(x, y) {
+        return x >= 0 && x < GRID_COLS && y >= 0 && y < GRID_ROWS;
+    }
+}
+
+// Binary min-heap of tile indices keyed by travel cost
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(index, priority) {
+        const items = this.items;
+        items.push({ index, priority });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
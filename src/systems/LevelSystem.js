@@ -12,6 +12,9 @@ export default class LevelSystem {
         this.experience = 0;
         this.experienceToNextLevel = 100;
         
+        // Barracks "War Academy" upgrade boosts all experience gains
+        this.experienceMultiplier = 1 + (scene.getMetaBonus ? scene.getMetaBonus('experienceGain') : 0);
+        
         // UI elements
         this.levelText = null;
         this.experienceBar = null;
@@ -72,10 +75,11 @@ export default class LevelSystem {
     addExperience(amount) {
         if (this.scene.gameOver) return;
         
-        this.experience += amount;
+        this.experience += Math.round(amount * this.experienceMultiplier);
         this.updateExperienceBar();
         
-        if (this.experience >= this.experienceToNextLevel) {
+        // Large rewards can be worth several level-ups
+        while (this.experience >= this.experienceToNextLevel) {
             this.levelUp();
         }
     }
@@ -111,8 +115,15 @@ export default class LevelSystem {
         // Update bar with new ratio
         this.updateExperienceBar();
         
-        // Apply level-up rewards
-        this.applyLevelUpRewards();
+        // Let the player pick an upgrade card
+        if (this.scene.upgradeSystem) {
+            this.scene.upgradeSystem.queueChoice();
+        }
+        
+        // Increase enemy spawn rate
+        if (this.scene.spawnSystem) {
+            this.scene.spawnSystem.adjustEnemySpawnRate(this.currentLevel);
+        }
         
         // Play level up sound
         if (this.scene.audioManager) {
@@ -142,38 +153,6 @@ export default class LevelSystem {
         });
     }
     
-    /**
-     * Apply rewards for leveling up
-     */
-    applyLevelUpRewards() {
-        // Increase snake movement speed
-        if (this.scene.movementSystem) {
-            this.scene.movementSystem.increaseSpeed(5);
-        }
-        
-        // Reduce special attack cooldown
-        if (this.scene.player) {
-            this.scene.player.specialAttackCooldownMax = Math.max(
-                1000, 
-                this.scene.player.specialAttackCooldownMax - 100
-            );
-        }
-        
-        // Increase enemy spawn rate
-        if (this.scene.spawnSystem) {
-            this.scene.spawnSystem.adjustEnemySpawnRate(this.currentLevel);
-        }
-        
-        // Heal player slightly
-        if (this.scene.player) {
-            const healAmount = Math.ceil(this.scene.player.maxHealth * 0.1); // 10% heal
-            this.scene.player.health = Math.min(
-                this.scene.player.maxHealth, 
-                this.scene.player.health + healAmount
-            );
-        }
-    }
-    
     /**
      * Reset the level system
      */
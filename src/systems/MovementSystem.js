@@ -1,5 +1,13 @@
 import { TILE_SIZE, WORLD_WIDTH, WORLD_HEIGHT } from '../constants.js';
 
+// Unit step for each snake direction
+const DIRECTION_VECTORS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 }
+};
+
 /**
  * Handles snake movement, direction changes, and follower positioning
  */
@@ -16,6 +24,7 @@ export default class MovementSystem {
         this.lastEffectiveDelay = 150;
         this.collisionCooldown = false;
         this.boundaryCollisionCooldown = false;
+        this.wallBumpCooldown = false;
         
         // Smooth movement properties
         this.isMoving = false;
@@ -37,9 +46,15 @@ export default class MovementSystem {
         if (this.scene.player) {
             // Get the player's current terrain slowFactor (1.0 is normal/no slowdown)
             const terrainEffect = this.scene.terrainSystem?.getTerrainAt(this.scene.player.x, this.scene.player.y);
-            const slowFactor = terrainEffect?.slowFactor || 1.0;
+            const terrainSlowFactor = terrainEffect?.slowFactor || 1.0;
+            
+            // Status effects on the commander (slow, freeze) change the step rate as well
+            const statusMultiplier = this.scene.statusEffectSystem
+                ? this.scene.statusEffectSystem.getSpeedMultiplier(this.scene.player)
+                : 1;
+            const slowFactor = terrainSlowFactor * statusMultiplier;
             
-            // Only adjust delay if the player is on slowing terrain
+            // Only adjust delay if the player is slowed
             if (slowFactor < 1.0) {
                 this.effectiveMoveDelay = this.moveDelay / slowFactor;
                 
@@ -64,8 +79,8 @@ export default class MovementSystem {
         if (this.isMoving) {
             this.updateSmoothMovement(delta);
         }
-        // Only start a new movement when the current one is complete
-        else if (time > this.moveTimer) {
+        // Only start a new movement when the current one is complete (and the commander isn't frozen)
+        else if (time > this.moveTimer && (!this.scene.player || this.scene.player.canAct())) {
             this.moveSnake();
             this.moveTimer = time + (this.effectiveMoveDelay || this.moveDelay);
         }
@@ -101,8 +116,11 @@ export default class MovementSystem {
                 }
             }
             
-            // Apply queued direction change once movement is complete
-            this.direction = this.nextDirection;
+            // Apply queued direction change once movement is complete - on ice
+            // the snake keeps sliding and the turn waits until it's off
+            if (!this.isSliding()) {
+                this.direction = this.nextDirection;
+            }
             return;
         }
         
@@ -238,6 +256,13 @@ export default class MovementSystem {
         newX = Phaser.Math.Clamp(newX, halfTile, WORLD_WIDTH - halfTile);
         newY = Phaser.Math.Clamp(newY, halfTile, WORLD_HEIGHT - halfTile);
         
+        // Walls like rubble and unbroken props stop the snake; a queued turn gets it moving again
+        if ((this.scene.terrainSystem && this.scene.terrainSystem.isBlockedAt(newX, newY)) ||
+            (this.scene.propSystem && this.scene.propSystem.isBlockedAt(newX, newY))) {
+            this.bumpIntoWall();
+            return;
+        }
+        
         // Set up target positions for smooth movement
         this.targetPositions = [];
         this.targetPositions.push({ 
@@ -286,6 +311,37 @@ export default class MovementSystem {
         this.moveDuration = this.effectiveMoveDelay || this.moveDelay;
     }
     
+    /**
+     * Whether the commander is on sliding terrain (ice)
+     * @returns {boolean} True if turns are on hold
+     */
+    isSliding() {
+        const player = this.scene.player;
+        if (!player || !this.scene.terrainSystem) return false;
+        
+        const terrainEffect = this.scene.terrainSystem.getTerrainAt(player.x, player.y);
+        return !!(terrainEffect && terrainEffect.slides);
+    }
+    
+    /**
+     * Stop in front of a wall and take the queued turn, if any
+     */
+    bumpIntoWall() {
+        this.direction = this.nextDirection;
+        
+        if (!this.wallBumpCooldown) {
+            this.scene.cameras.main.shake(80, 0.005);
+            
+            // Don't shake on every step while pressed against the wall
+            this.wallBumpCooldown = true;
+            this.scene.time.delayedCall(1000, () => {
+                this.wallBumpCooldown = false;
+            });
+            
+            console.log('Player bumped into a wall');
+        }
+    }
+    
     /**
      * Check if player has collided with any follower
      */
@@ -330,6 +386,113 @@ export default class MovementSystem {
         this.moveDelay = Math.max(70, this.moveDelay - amount);
     }
     
+    /**
+     * Move a follower to another place in the chain.
+     * Chain slots keep their positions; followers are reassigned to them.
+     * @param {number} fromIndex - Current index in scene.followers
+     * @param {number} toIndex - New index in scene.followers
+     * @returns {boolean} Whether the follower was moved
+     */
+    moveFollower(fromIndex, toIndex) {
+        const followers = this.scene.followers;
+        if (fromIndex === toIndex ||
+            fromIndex < 0 || fromIndex >= followers.length ||
+            toIndex < 0 || toIndex >= followers.length) {
+            return false;
+        }
+        
+        const slots = this.getFollowerSlots();
+        const [follower] = followers.splice(fromIndex, 1);
+        followers.splice(toIndex, 0, follower);
+        this.applyFollowerSlots(slots);
+        
+        return true;
+    }
+    
+    /**
+     * Remove a follower from the chain; the followers behind it close the gap
+     * @param {number} index - Index in scene.followers
+     * @returns {Follower|null} The removed follower (not destroyed)
+     */
+    removeFollower(index) {
+        const followers = this.scene.followers;
+        if (index < 0 || index >= followers.length) return null;
+        
+        const slots = this.getFollowerSlots();
+        const [follower] = followers.splice(index, 1);
+        this.applyFollowerSlots(slots);
+        
+        return follower;
+    }
+    
+    /**
+     * Current position and direction of every follower slot
+     * @returns {object[]} Slots ({ x, y, direction }) in chain order
+     */
+    getFollowerSlots() {
+        return this.scene.followers.map(follower => ({
+            x: follower.x,
+            y: follower.y,
+            direction: follower.direction
+        }));
+    }
+    
+    /**
+     * Put followers into slots in chain order
+     * @param {object[]} slots - Slots from getFollowerSlots()
+     */
+    applyFollowerSlots(slots) {
+        this.scene.followers.forEach((follower, index) => {
+            const slot = slots[index];
+            if (!slot) return;
+            
+            follower.setPosition(slot.x, slot.y);
+            follower.direction = slot.direction;
+            if (follower.body) follower.body.reset(slot.x, slot.y);
+            follower.updateHealthBar();
+        });
+    }
+    
+    /**
+     * Where a snake segment will be after some time. Followers step into the tile
+     * of the segment ahead once per move delay, so their path is already known;
+     * beyond the head of the chain the commander keeps going straight.
+     * @param {Character} segment - Commander or follower
+     * @param {number} ms - Time from now in ms
+     * @returns {{x: number, y: number}} Predicted position
+     */
+    predictSegmentPosition(segment, ms) {
+        const player = this.scene.player;
+        const chain = [player, ...this.scene.followers.filter(follower => follower && follower.active)];
+        const index = chain.indexOf(segment);
+        if (index === -1 || !player) return { x: segment.x, y: segment.y };
+        
+        const moves = ms / (this.effectiveMoveDelay || this.moveDelay);
+        const wholeMoves = Math.floor(moves);
+        const step = DIRECTION_VECTORS[this.direction] || { x: 0, y: 0 };
+        
+        const positionAfter = count => {
+            if (count <= index) {
+                const ahead = chain[index - count];
+                return { x: ahead.x, y: ahead.y };
+            }
+            const pastHead = count - index;
+            return {
+                x: player.x + step.x * TILE_SIZE * pastHead,
+                y: player.y + step.y * TILE_SIZE * pastHead
+            };
+        };
+        
+        // Interpolate between the two grid positions around the requested time
+        const from = positionAfter(wholeMoves);
+        const to = positionAfter(wholeMoves + 1);
+        const t = moves - wholeMoves;
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
+    }
+    
     /**
      * Reset movement properties
      */
@@ -342,6 +505,7 @@ export default class MovementSystem {
         this.lastEffectiveDelay = 150;
         this.collisionCooldown = false;
         this.boundaryCollisionCooldown = false;
+        this.wallBumpCooldown = false;
         this.isMoving = false;
         this.moveProgress = 1.0;
         this.targetPositions = [];
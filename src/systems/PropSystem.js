@@ -0,0 +1,223 @@
+import { TILE_SIZE, GRID_COLS, GRID_ROWS } from '../constants.js';
+import { props, getPropLootTable } from '../data/props.js';
+import { getBiomeForLevel } from '../data/biomes.js';
+import { createExplosion, damageEnemy } from '../utils/helpers.js';
+import { getSceneRandom } from '../utils/SeededRandom.js';
+import Prop from '../entities/Prop.js';
+
+// Props stay out of this radius around the commander when a level is laid out
+const PLAYER_CLEARANCE = TILE_SIZE * 5;
+// Engineers with no enemies to fight target props within this distance
+const PROP_TARGET_RANGE = TILE_SIZE * 6;
+
+/**
+ * Breakable props (props.js): lays them out for each level, from the level's
+ * Tiled map or the stage's biome mix (biomes.js), and drops their loot and
+ * sets off their explosions when they break
+ */
+export default class PropSystem {
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    /**
+     * Replace the props with the ones of a level
+     * @param {number} level - Campaign level
+     */
+    placeProps(level) {
+        this.clear();
+
+        const terrain = this.scene.terrainSystem;
+        const propPoints = terrain ? terrain.propPoints : [];
+
+        if (propPoints.length > 0) {
+            // The level's map places its own props
+            propPoints.forEach(point => {
+                const propType = props[point.prop] || props.crate;
+                this.spawnProp(point.x, point.y, propType);
+            });
+        } else {
+            this.scatterProps(getBiomeForLevel(level), level);
+        }
+
+        this.rebuildFlowField();
+
+        console.log(`[PropSystem] Placed ${this.scene.props.countActive()} props for level ${level}`);
+    }
+
+    /**
+     * Scatter a biome's prop mix over open tiles
+     * @param {object} biome - Biome profile from biomes.js
+     * @param {number} level - Campaign level, which picks the random stream
+     */
+    scatterProps(biome, level) {
+        const mix = biome.props;
+        if (!mix || !mix.count) return;
+
+        // Restart the level's stream so the same seed lays out the same props
+        const random = this.scene.rng ? this.scene.rng.resetStream(`props:${level}`) : getSceneRandom(this.scene, 'props');
+        const candidates = Object.keys(mix.weights).filter(key => props[key]);
+        if (candidates.length === 0) return;
+
+        const taken = new Set();
+        const maxAttempts = mix.count * 20;
+        let placed = 0;
+
+        for (let attempt = 0; attempt < maxAttempts && placed < mix.count; attempt++) {
+            const tileX = random.between(3, GRID_COLS - 4);
+            const tileY = random.between(3, GRID_ROWS - 4);
+            const x = tileX * TILE_SIZE + TILE_SIZE / 2;
+            const y = tileY * TILE_SIZE + TILE_SIZE / 2;
+
+            if (taken.has(`${tileX},${tileY}`) || !this.isOpenTile(x, y)) continue;
+
+            const key = random.weightedPick(candidates, candidate => mix.weights[candidate]);
+            this.spawnProp(x, y, props[key]);
+            taken.add(`${tileX},${tileY}`);
+            placed++;
+        }
+    }
+
+    /**
+     * Whether a prop can stand on a tile: plain ground, away from the commander
+     * @param {number} x - World x position
+     * @param {number} y - World y position
+     * @returns {boolean} True if a prop fits
+     */
+    isOpenTile(x, y) {
+        const player = this.scene.player;
+        if (player && Phaser.Math.Distance.Between(x, y, player.x, player.y) < PLAYER_CLEARANCE) {
+            return false;
+        }
+
+        const terrain = this.scene.terrainSystem;
+        const effect = terrain ? terrain.getTerrainAt(x, y) : null;
+        return !effect || (!effect.blocksMovement && !effect.damage && !effect.slides);
+    }
+
+    /**
+     * Create a prop
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {object} propType - Prop definition from props.js
+     * @returns {Prop} The prop
+     */
+    spawnProp(x, y, propType) {
+        const prop = new Prop(this.scene, x, y, propType);
+        this.scene.props.add(prop);
+        return prop;
+    }
+
+    /**
+     * Drop a broken prop's loot and set off its explosion
+     * @param {Prop} prop - The prop that broke
+     */
+    onPropBroken(prop) {
+        const propType = prop.propType;
+        const random = getSceneRandom(this.scene, 'drops');
+        const loot = random.weightedPick(getPropLootTable(propType.loot), entry => entry.weight);
+
+        if (this.scene.spawnSystem) {
+            for (let i = 0; i < loot.pickups; i++) {
+                this.scene.spawnSystem.spawnPickup(
+                    prop.x + random.between(-TILE_SIZE / 2, TILE_SIZE / 2),
+                    prop.y + random.between(-TILE_SIZE / 2, TILE_SIZE / 2)
+                );
+            }
+        }
+
+        if (propType.explosion) {
+            this.explode(prop.x, prop.y, propType.explosion, propType.color);
+        }
+
+        // Enemies can walk through where it stood
+        this.rebuildFlowField();
+
+        console.log(`[PropSystem] ${propType.name} broke, dropping ${loot.pickups} pickups`);
+    }
+
+    /**
+     * Damage every enemy and prop in an explosion's radius
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {object} explosion - { radius, damage, damageType }
+     * @param {number} color - Explosion tint
+     */
+    explode(x, y, explosion, color) {
+        createExplosion(this.scene, x, y, color);
+        this.scene.cameras.main.shake(150, 0.006);
+
+        // Blast ring
+        const ring = this.scene.add.circle(x, y, explosion.radius, color, 0.25);
+        ring.setDepth(5);
+        this.scene.tweens.add({
+            targets: ring,
+            alpha: 0,
+            scale: 1.2,
+            duration: 300,
+            onComplete: () => ring.destroy()
+        });
+
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playSFX('attack_aoe');
+        }
+
+        const inRadius = target => target.active &&
+            Phaser.Math.Distance.Between(x, y, target.x, target.y) <= explosion.radius;
+
+        // Copy the lists first: kills and chained explosions remove children as we go
+        if (this.scene.enemies) {
+            this.scene.enemies.getChildren().filter(inRadius).forEach(enemy => {
+                damageEnemy(this.scene, enemy, explosion.damage, explosion.damageType);
+            });
+        }
+        this.scene.props.getChildren().filter(inRadius).forEach(prop => {
+            prop.damage(explosion.damage, explosion.damageType);
+        });
+    }
+
+    /**
+     * Whether a prop stands on a world position's tile (the snake can't pass through)
+     * @param {number} x - World x position
+     * @param {number} y - World y position
+     * @returns {boolean} True if a prop is there
+     */
+    isBlockedAt(x, y) {
+        const tileX = Math.floor(x / TILE_SIZE);
+        const tileY = Math.floor(y / TILE_SIZE);
+        return this.scene.props.getChildren().some(prop =>
+            prop.active && Math.floor(prop.x / TILE_SIZE) === tileX && Math.floor(prop.y / TILE_SIZE) === tileY
+        );
+    }
+
+    /**
+     * Whether any prop is close enough for an idle engineer to attack
+     * @param {number} x - Engineer x
+     * @param {number} y - Engineer y
+     * @returns {boolean} True if a prop is in range
+     */
+    hasPropInRange(x, y) {
+        return this.scene.props.getChildren().some(prop =>
+            prop.active && Phaser.Math.Distance.Between(x, y, prop.x, prop.y) <= PROP_TARGET_RANGE
+        );
+    }
+
+    /**
+     * Update the enemies' flow field after props appear or break (FlowFieldSystem
+     * routes around props)
+     */
+    rebuildFlowField() {
+        if (this.scene.flowFieldSystem) {
+            this.scene.flowFieldSystem.buildCostGrid();
+        }
+    }
+
+    /**
+     * Remove every prop without dropping loot
+     */
+    clear() {
+        if (this.scene.props) {
+            this.scene.props.clear(true, true);
+        }
+    }
+}
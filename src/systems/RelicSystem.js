@@ -0,0 +1,146 @@
+import { relics, RELIC_RARITY_WEIGHTS } from '../data/relics.js';
+import { getSceneRandom } from '../utils/SeededRandom.js';
+
+/**
+ * Manages the commander's relic inventory, stat modifiers and gameplay hooks
+ */
+export default class RelicSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.temporaryModifiers = {}; // { sourceKey: { stat: value } }
+    }
+
+    /**
+     * Relic keys carried by the player
+     * @returns {string[]} Relic keys
+     */
+    getInventory() {
+        const player = this.scene.player;
+        if (!player) return [];
+        if (!player.relics) player.relics = [];
+        return player.relics;
+    }
+
+    /**
+     * Check whether the player already carries a relic
+     * @param {string} key - Relic key
+     * @returns {boolean} True if owned
+     */
+    hasRelic(key) {
+        return this.getInventory().includes(key);
+    }
+
+    /**
+     * Give the player a relic
+     * @param {string} key - Relic key from relics.js
+     * @param {boolean} applyEffects - Run onAcquire (false when restoring a save)
+     * @returns {object|null} The relic definition or null if unknown
+     */
+    addRelic(key, applyEffects = true) {
+        const relic = relics[key];
+        if (!relic) {
+            console.warn(`[RelicSystem] Unknown relic "${key}"`);
+            return null;
+        }
+
+        this.getInventory().push(key);
+        console.log(`[RelicSystem] Acquired ${relic.name}`);
+
+        if (applyEffects && typeof relic.onAcquire === 'function') {
+            relic.onAcquire(this.scene, relic);
+        }
+
+        if (this.scene.uiManager) {
+            this.scene.uiManager.updateRelicDisplay(this.getInventory());
+        }
+
+        return relic;
+    }
+
+    /**
+     * Call a hook on every carried relic
+     * @param {string} hook - Hook name, e.g. 'onEnemyKilled'
+     * @param {object} context - Hook-specific data
+     */
+    trigger(hook, context = {}) {
+        this.getInventory().forEach(key => {
+            const relic = relics[key];
+            if (relic && typeof relic[hook] === 'function') {
+                try {
+                    relic[hook](this.scene, context);
+                } catch (error) {
+                    console.error(`[RelicSystem] ${key}.${hook} failed:`, error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Total bonus for a stat from carried relics and temporary effects
+     * @param {string} stat - Modifier name, e.g. 'damage'
+     * @returns {number} Summed modifier (0 if none)
+     */
+    getModifier(stat) {
+        let total = 0;
+
+        this.getInventory().forEach(key => {
+            const relic = relics[key];
+            if (relic && relic.modifiers && relic.modifiers[stat]) {
+                total += relic.modifiers[stat];
+            }
+        });
+
+        Object.values(this.temporaryModifiers).forEach(modifiers => {
+            total += modifiers[stat] || 0;
+        });
+
+        return total;
+    }
+
+    /**
+     * Set a modifier that a relic toggles on and off during play
+     * @param {string} source - Relic key owning the modifier
+     * @param {string} stat - Modifier name
+     * @param {number} value - Bonus (0 clears it)
+     */
+    setTemporaryModifier(source, stat, value) {
+        if (!this.temporaryModifiers[source]) this.temporaryModifiers[source] = {};
+        this.temporaryModifiers[source][stat] = value;
+    }
+
+    /**
+     * Pick a random relic the player doesn't own yet, weighted by rarity
+     * @returns {string|null} Relic key or null if all are owned
+     */
+    rollRelic() {
+        const candidates = Object.values(relics).filter(relic => !this.hasRelic(relic.key));
+        if (candidates.length === 0) return null;
+
+        const random = getSceneRandom(this.scene, 'drops');
+        return random.weightedPick(candidates, relic => RELIC_RARITY_WEIGHTS[relic.rarity] || 1).key;
+    }
+
+    /**
+     * Grant random relics as level rewards
+     * @param {number} count - Number of relics to grant
+     * @returns {object[]} Reward entries for VictoryUI ({ key, name, description, tint })
+     */
+    grantRewardRelics(count) {
+        const rewards = [];
+
+        for (let i = 0; i < count; i++) {
+            const key = this.rollRelic();
+            if (!key) break;
+
+            const relic = this.addRelic(key);
+            rewards.push({
+                key: relic.icon,
+                name: relic.name,
+                description: relic.description,
+                tint: relic.color
+            });
+        }
+
+        return rewards;
+    }
+}
@@ -0,0 +1,127 @@
+import { TILE_SIZE } from '../constants.js';
+import * as VisualEffects from '../utils/VisualEffects.js';
+
+const DEFAULT_WARNING = 1200; // ms a portal is visible before its enemy emerges
+const DEFAULT_COLOR = 0x8A2BE2;
+const CRACK_COUNT = 6;
+
+/**
+ * Spawn portals: a ground crack opens where an enemy is about to appear and
+ * widens over its warning time, then the enemy emerges (see SpawnSystem).
+ * Driven from GameScene.update so portals freeze while the game is paused.
+ */
+export default class SpawnPortalSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.portals = [];
+    }
+
+    /**
+     * Open a portal
+     * @param {number} x - Portal x
+     * @param {number} y - Portal y
+     * @param {function} onEmerge - Called with the portal when the warning runs out
+     * @param {object} options - { warning (ms), color, radius }
+     * @returns {object} The portal (pass to cancel())
+     */
+    open(x, y, onEmerge, options = {}) {
+        const portal = {
+            x,
+            y,
+            onEmerge,
+            warning: options.warning || DEFAULT_WARNING,
+            color: options.color !== undefined ? options.color : DEFAULT_COLOR,
+            radius: options.radius || TILE_SIZE * 0.8,
+            elapsed: 0
+        };
+
+        portal.graphics = this.scene.add.graphics();
+        portal.graphics.setDepth(1); // Above terrain, below pickups and entities
+
+        this.portals.push(portal);
+        this.draw(portal, 0);
+        return portal;
+    }
+
+    /**
+     * Widen open portals and release enemies from finished ones
+     * @param {number} delta - Time since last frame in ms
+     */
+    update(delta) {
+        // Copy so portals finished (or opened) during the loop don't disturb it
+        [...this.portals].forEach(portal => {
+            portal.elapsed += delta;
+            const progress = Math.min(1, portal.elapsed / portal.warning);
+            this.draw(portal, progress);
+
+            if (progress >= 1) {
+                this.cancel(portal);
+                if (this.scene.gameOver) return;
+
+                VisualEffects.createEntitySpawnEffect(this.scene, portal.x, portal.y, portal.color);
+                if (typeof portal.onEmerge === 'function') {
+                    portal.onEmerge(portal);
+                }
+            }
+        });
+    }
+
+    /**
+     * Close a portal without releasing its enemy
+     * @param {object} portal - Portal returned by open()
+     */
+    cancel(portal) {
+        const index = this.portals.indexOf(portal);
+        if (index === -1) return;
+
+        this.portals.splice(index, 1);
+        portal.graphics.destroy();
+    }
+
+    /**
+     * Close every portal, e.g. when a level ends
+     */
+    clear() {
+        [...this.portals].forEach(portal => this.cancel(portal));
+    }
+
+    /**
+     * Number of portals still waiting to release an enemy
+     * @returns {number} Open portals
+     */
+    getPendingCount() {
+        return this.portals.length;
+    }
+
+    /**
+     * Redraw a portal: cracks spread out first, then the rift opens between them
+     * @param {object} portal - Portal
+     * @param {number} progress - Warning progress (0-1)
+     */
+    draw(portal, progress) {
+        const { graphics, x, y, radius, color } = portal;
+        graphics.clear();
+
+        // Ground cracks reach full length halfway through the warning
+        const crackLength = radius * 1.6 * Math.min(1, progress * 2);
+        graphics.lineStyle(2, color, 0.9);
+        for (let i = 0; i < CRACK_COUNT; i++) {
+            const angle = (i / CRACK_COUNT) * Math.PI * 2 + (i % 2) * 0.35;
+            const bend = angle + (i % 2 ? 0.3 : -0.3);
+            const midX = x + Math.cos(angle) * crackLength * 0.5;
+            const midY = y + Math.sin(angle) * crackLength * 0.5;
+            graphics.beginPath();
+            graphics.moveTo(x, y);
+            graphics.lineTo(midX, midY);
+            graphics.lineTo(midX + Math.cos(bend) * crackLength * 0.5, midY + Math.sin(bend) * crackLength * 0.5);
+            graphics.strokePath();
+        }
+
+        // The rift itself, flattened like a hole in the ground and pulsing as it opens
+        const pulse = 0.85 + Math.sin(portal.elapsed / 80) * 0.15;
+        graphics.fillStyle(0x000000, 0.6);
+        graphics.fillEllipse(x, y, radius * 2 * progress, radius * progress);
+        graphics.lineStyle(3, color, 0.5 + 0.5 * progress);
+        graphics.strokeEllipse(x, y, radius * 2 * progress * pulse, radius * progress * pulse);
+    }
+}
@@ -1,6 +1,19 @@
 import { TILE_SIZE, WORLD_WIDTH, WORLD_HEIGHT } from '../constants.js';
 import Enemy from '../entities/Enemy.js';
 import Pickup from '../entities/Pickup.js';
+import { WAVE_ENEMY_TYPES } from '../data/WaveLoader.js';
+import { getMapNodeType, DEFAULT_MAP_NODE_TYPE } from '../data/mapNodes.js';
+import { getSceneRandom } from '../utils/SeededRandom.js';
+import { getStageForLevel } from '../utils/stageMap.js';
+import { eliteAffixes, ELITE_CHANCE_BY_STAGE, ELITE_MAX_AFFIXES_BY_STAGE, ELITE_NODE_CHANCE_MULTIPLIER } from '../data/eliteAffixes.js';
+import { waveEvents, getWaveEventsForStage, getMiniBossesForStage, WAVE_EVENT_CHANCE_BY_STAGE, WAVE_EVENT_DELAY } from '../data/waveEvents.js';
+
+// Spawn portals (SpawnPortalSystem)
+const PORTAL_MIN_CHAIN_DISTANCE = TILE_SIZE * 6; // Portals never open closer than this to the commander or a follower
+const PORTAL_GROUP_RADIUS = TILE_SIZE * 1.5; // Enemies of one group emerge scattered around their site
+const PORTAL_MAX_SITES = 3; // Groups per wave
+const PORTAL_SUMMON_WARNING = 600; // Summoned enemies get a shorter warning than wave spawns
+const COMPASS_DIRECTIONS = ['east', 'south-east', 'south', 'south-west', 'west', 'north-west', 'north', 'north-east'];
 
 /**
  * Handles spawning of pickups, enemies, and engineers
@@ -26,15 +39,35 @@ export default class SpawnSystem {
         this.waveSpawnInterval = null;
         this.waveCooldown = false;
         this.bossDefeated = false;
+        this.currentNodeType = DEFAULT_MAP_NODE_TYPE; // Stage map node chosen for this level
+        this.portalSites = [];          // Where this wave's enemy groups emerge
+        this.scheduledWaveEvent = null; // { key, wave } of this level's mid-stage event (waveEvents.js)
+        this.activeWaveEvent = null;    // Event in progress, tracking its enemies until the reward drops
+        this.waveEventTimer = null;
         
         // Setup spawn timers
         this.setupTimers();
     }
     
+    /**
+     * Random stream for spawn positions, enemy picks and pickups. Each level
+     * has its own stream so a seed replays the same spawns per level
+     * @returns {SeededRandom} Stream from the scene's run RNG
+     */
+    getRandom() {
+        return getSceneRandom(this.scene, `spawns:${this.currentLevel}`);
+    }
+    
     /**
      * Setup the spawn timers
      */
     setupTimers() {
+        // Boss Rush has no waves or recruits, BossRushSystem spawns its bosses
+        if (this.scene.isBossRush) {
+            this.resetWaveState();
+            return;
+        }
+        
         // Regular engineer spawns
         this.engineerTimer = this.scene.time.addEvent({
             delay: this.engineerSpawnDelay,
@@ -66,6 +99,9 @@ export default class SpawnSystem {
         this.totalEnemies = 0;
         this.waveActive = false;
         this.waveCooldown = false;
+        this.portalSites = [];
+        this.scheduledWaveEvent = null;
+        this.activeWaveEvent = null;
         
         // Clear any existing timers to prevent overlaps
         if (this.waveSpawnInterval) {
@@ -73,6 +109,11 @@ export default class SpawnSystem {
             this.waveSpawnInterval = null;
         }
         
+        if (this.waveEventTimer) {
+            this.waveEventTimer.remove();
+            this.waveEventTimer = null;
+        }
+        
         if (this.nextWaveTimer) {
             this.nextWaveTimer.remove();
             this.nextWaveTimer = null;
@@ -102,20 +143,27 @@ export default class SpawnSystem {
         this.enemiesSpawnedInWave = 0;
         this.enemiesKilledInWave = 0;
         
+        // Roll the level's mid-stage event when its first wave starts
+        if (this.currentWave === 1) {
+            this.scheduleWaveEvent();
+        }
+        
         // Check if this is a boss wave
-        const bossLevels = [4, 12, 20, 28];
-        const isBossWave = this.currentWave === this.totalWaves && bossLevels.includes(this.currentLevel);
+        const isBossWave = this.isBossWave();
         
         console.log(`[SpawnSystem] Starting wave ${this.currentWave}/${this.totalWaves} (boss: ${isBossWave}) for level ${this.currentLevel}`);
         
+        if (this.scene.relicSystem) {
+            this.scene.relicSystem.trigger('onWaveStart', {
+                wave: this.currentWave,
+                level: this.currentLevel,
+                isBossWave
+            });
+        }
+        
         if (isBossWave) {
-            // Determine stageNumber for the boss
-            let stageNumber;
-            if (this.currentLevel === 4) stageNumber = 1;      // Summoner
-            else if (this.currentLevel === 12) stageNumber = 2; // Berserker
-            else if (this.currentLevel === 20) stageNumber = 3; // Alchemist
-            else if (this.currentLevel === 28) stageNumber = 4; // Lich King
-            else stageNumber = 1; // Default fallback, though should not be reached with current logic
+            // Boss matches the stage the level belongs to (Summoner, Berserker, Alchemist, Lich King)
+            const stageNumber = Phaser.Math.Clamp(Math.ceil(this.currentLevel / 8), 1, 4);
 
             this.spawnBoss(stageNumber);
             this.enemiesRemainingInWave = 1; // The boss is the only "enemy" for this wave count
@@ -137,12 +185,24 @@ export default class SpawnSystem {
             // No waveSpawnInterval needed for boss, completion handled by boss death
         } else {
             this.startRegularWave();
+            
+            // Start the scheduled mid-stage event a few seconds into its wave
+            if (this.scheduledWaveEvent && this.scheduledWaveEvent.wave === this.currentWave) {
+                const key = this.scheduledWaveEvent.key;
+                this.waveEventTimer = this.scene.time.delayedCall(WAVE_EVENT_DELAY, () => {
+                    this.waveEventTimer = null;
+                    this.startWaveEvent(key);
+                });
+            }
         }
         
         // Update UI manager with wave information
         if (this.scene.uiManager) {
-            // Show wave notification
-            this.scene.uiManager.showWaveNotification(isBossWave ? 'BOSS WAVE!' : `WAVE ${this.currentWave} / ${this.totalWaves}`);
+            // Show wave notification, and where the wave's portals are opening
+            this.scene.uiManager.showWaveNotification(this.currentWave, this.totalWaves, isBossWave);
+            if (!isBossWave) {
+                this.scene.uiManager.showSpawnDirections(this.portalSites);
+            }
         } else {
             // Fallback to old notification if UIManager isn't available
             this.showWaveNotification(isBossWave ? 'BOSS WAVE!' : `WAVE ${this.currentWave} / ${this.totalWaves}`);
@@ -176,16 +236,21 @@ export default class SpawnSystem {
             );
         }
         
+        // Pick where this wave's groups come from
+        if (this.scene.spawnPortalSystem) {
+            this.choosePortalSites(Math.min(PORTAL_MAX_SITES, 1 + Math.ceil(this.currentWave / 2)));
+        }
+        
         // Force-spawn multiple enemies immediately (25% of the wave) to make the wave visible
         const initialSpawnCount = Math.max(3, Math.ceil(this.totalEnemies * 0.25));
         console.log(`[SpawnSystem] Force-spawning ${initialSpawnCount} enemies immediately for wave visibility`);
         
         for (let i = 0; i < initialSpawnCount && this.enemiesRemainingInWave > 0; i++) {
             const enemyType = this.selectEnemyTypeForWave(waveConfig);
-            const enemy = this.spawnEnemyOfType(enemyType);
+            const spawned = this.spawnEnemyOfType(enemyType);
             
             // Only count valid spawns
-            if (enemy) {
+            if (spawned) {
                 this.enemiesRemainingInWave--;
                 this.enemiesSpawnedInWave++;
             }
@@ -208,7 +273,7 @@ export default class SpawnSystem {
             if (!this.waveActive) return; // Check if wave was completed during delay
             
             this.waveSpawnInterval = this.scene.time.addEvent({
-                delay: 800,  // Spawn every 800ms
+                delay: waveConfig.spawnInterval || 800,
                 callback: () => {
                     if (this.scene.gameOver || !this.waveActive) {
                         if (this.waveSpawnInterval) {
@@ -226,9 +291,9 @@ export default class SpawnSystem {
                     // Spawn enemies if there's room
                     if (this.getActiveEnemyCount() < 15 && this.enemiesRemainingInWave > 0) {
                         const enemyType = this.selectEnemyTypeForWave(waveConfig);
-                        const enemy = this.spawnEnemyOfType(enemyType);
+                        const spawned = this.spawnEnemyOfType(enemyType);
                         
-                        if (enemy) {
+                        if (spawned) {
                             this.enemiesRemainingInWave--;
                             this.enemiesSpawnedInWave++;
                             
@@ -270,6 +335,9 @@ export default class SpawnSystem {
         // Only check if we're in an active wave
         if (!this.waveActive) return;
         
+        // Hold the wave open until its scheduled event has started
+        if (this.waveEventTimer) return;
+        
         // Wave is complete when all enemies are spawned and no active enemies remain
         if (this.enemiesRemainingInWave <= 0 && this.getActiveEnemyCount() === 0) {
             // Additional debug to help diagnose issues
@@ -290,7 +358,10 @@ export default class SpawnSystem {
      * Force complete the current wave (for recovery from stuck states)
      */
     forceCompleteWave() {
-        // Kill any remaining enemies
+        // Close portals that haven't released their enemy yet, then kill any remaining enemies
+        if (this.scene.spawnPortalSystem) {
+            this.scene.spawnPortalSystem.clear();
+        }
         if (this.scene.enemies) {
             this.scene.enemies.getChildren().forEach(enemy => {
                 if (enemy.active) {
@@ -470,196 +541,275 @@ export default class SpawnSystem {
     }
     
     /**
-     * Get the configuration for the current wave
+     * Get the configuration for the current wave from the wave table,
+     * falling back to a level-scaled formula for waves the table doesn't define
      */
     getWaveConfiguration() {
-        // Default configuration
+        const entry = this.scene.waveLoader ? this.scene.waveLoader.getWave(this.currentLevel, this.currentWave) : null;
+        
+        if (entry) {
+            const config = this.applyNodeModifiers({ ...entry });
+            console.log(`[SpawnSystem] L${this.currentLevel} W${this.currentWave} from wave table: Melee-${config.melee}, Dasher-${config.dasher}, Bomber-${config.bomber}, Shooter-${config.shooter}, Mage-${config.mage}`);
+            return config;
+        }
+        
+        // Fallback for levels beyond the table (or if it failed to load)
         const config = {
-            melee: 10,
-            dasher: 0,
-            bomber: 0,
-            shooter: 0,
-            mage: 0,
-            totalEnemies: 10
+            melee: 10 + (this.currentLevel * 2) + (this.currentWave * 2),
+            dasher: 5 + this.currentLevel + this.currentWave,
+            shooter: 3 + this.currentLevel + this.currentWave,
+            bomber: 2 + Math.floor(this.currentLevel / 2) + this.currentWave,
+            mage: 1 + Math.floor(this.currentLevel / 3) + Math.floor(this.currentWave / 2),
+            spawnInterval: 800,
+            boss: false
         };
         
-        // Determine stage (1-4) and stage progress (early, mid, late)
-        const stage = Math.ceil(this.currentLevel / 8);
-        const stageProgress = this.currentLevel % 8;
-        const stagePhase = stageProgress <= 2 ? 'early' : 
-                         (stageProgress <= 5 ? 'mid' : 'late');
-        
-        // Adjust config based on the wave and level design
-        switch (stage) {
-            case 1: // Forest Realm
-                if (stagePhase === 'early') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 10; break;
-                        case 2: config.melee = 6; config.dasher = 4; break;
-                        case 3: config.melee = 8; config.dasher = 6; config.shooter = 2; break;
-                        case 4: config.melee = 6; config.dasher = 8; config.shooter = 4; break;
-                        case 5: config.melee = 10; config.dasher = 10; config.shooter = 6; break;
-                    }
-                } else if (stagePhase === 'mid') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 10; config.dasher = 6; config.shooter = 4; break;
-                        case 2: config.melee = 8; config.dasher = 8; config.shooter = 6; config.bomber = 2; break;
-                        case 3: config.melee = 6; config.dasher = 10; config.shooter = 6; config.bomber = 4; break;
-                        case 4: config.melee = 12; config.dasher = 8; config.shooter = 8; config.bomber = 4; break;
-                        case 5: config.melee = 10; config.dasher = 12; config.shooter = 8; config.bomber = 6; config.mage = 2; break;
-                    }
-                } else { // Late - boss level coming up
-                    switch (this.currentWave) {
-                        case 1: config.melee = 16; config.dasher = 10; config.shooter = 6; break;
-                        case 2: config.melee = 12; config.dasher = 12; config.shooter = 10; config.bomber = 6; break;
-                        case 3: config.melee = 10; config.dasher = 10; config.shooter = 8; config.bomber = 8; config.mage = 4; break;
-                        case 4: config.melee = 14; config.dasher = 14; config.shooter = 10; config.bomber = 8; config.mage = 6; break;
-                        // Wave 5 is boss wave
-                    }
+        // Keep fallback waves at 70% like the shipped tables
+        WAVE_ENEMY_TYPES.forEach(type => {
+            config[type] = Math.round(config[type] * 0.7);
+        });
+        config.totalEnemies = WAVE_ENEMY_TYPES.reduce((sum, type) => sum + config[type], 0);
+        
+        console.log(`[SpawnSystem] L${this.currentLevel} W${this.currentWave} not in wave table, using fallback: Melee-${config.melee}, Dasher-${config.dasher}, Bomber-${config.bomber}, Shooter-${config.shooter}, Mage-${config.mage}`);
+        
+        return this.applyNodeModifiers(config);
+    }
+    
+    /**
+     * Scale a wave configuration by the current stage map node (elite, rest, ...)
+     * @param {object} config - Wave configuration
+     * @returns {object} The same config, scaled
+     */
+    applyNodeModifiers(config) {
+        const multiplier = getMapNodeType(this.currentNodeType).enemyMultiplier;
+        if (multiplier === 1 || config.totalEnemies === 0) return config;
+        
+        WAVE_ENEMY_TYPES.forEach(type => {
+            config[type] = Math.round(config[type] * multiplier);
+        });
+        config.totalEnemies = WAVE_ENEMY_TYPES.reduce((sum, type) => sum + config[type], 0);
+        
+        // Never let a scaled-down wave become empty
+        if (config.totalEnemies === 0) {
+            config.melee = 1;
+            config.totalEnemies = 1;
+        }
+        
+        return config;
+    }
+    
+    /**
+     * Check whether the current wave is a boss wave
+     * @returns {boolean} True if the boss should spawn instead of regular enemies
+     */
+    isBossWave() {
+        // Boss map nodes always end with the stage boss
+        if (this.currentNodeType === 'boss' && this.currentWave === this.totalWaves) return true;
+        
+        const entry = this.scene.waveLoader ? this.scene.waveLoader.getWave(this.currentLevel, this.currentWave) : null;
+        if (entry) return entry.boss;
+        
+        // Without table data, keep the original boss levels
+        const bossLevels = [4, 12, 20, 28];
+        return this.currentWave === this.totalWaves && bossLevels.includes(this.currentLevel);
+    }
+    
+    /**
+     * Roll whether this level gets a mid-stage wave event, which one, and on which wave.
+     * Middle waves only: never the first or last wave of the level
+     */
+    scheduleWaveEvent() {
+        this.scheduledWaveEvent = null;
+        
+        const nodeType = getMapNodeType(this.currentNodeType);
+        const stages = Object.keys(WAVE_EVENT_CHANCE_BY_STAGE).map(Number);
+        const stage = Math.max(Math.min(...stages), Math.min(getStageForLevel(this.currentLevel), Math.max(...stages)));
+        
+        let chance = nodeType.waveEventChance !== undefined ? nodeType.waveEventChance : WAVE_EVENT_CHANCE_BY_STAGE[stage];
+        if (nodeType.waveEvent) chance = 1;
+        
+        const waves = [];
+        for (let wave = 2; wave < this.totalWaves; wave++) {
+            waves.push(wave);
+        }
+        
+        const random = this.getRandom();
+        if (waves.length === 0 || !random.chance(chance)) return;
+        
+        const event = waveEvents[nodeType.waveEvent] ||
+            random.weightedPick(getWaveEventsForStage(stage), candidate => candidate.weight || 1);
+        if (!event) return;
+        
+        this.scheduledWaveEvent = { key: event.key, wave: random.pick(waves) };
+        console.log(`[SpawnSystem] Level ${this.currentLevel} wave event: ${event.name} on wave ${this.scheduledWaveEvent.wave}`);
+    }
+    
+    /**
+     * Announce a wave event and open portals for its enemies. They count toward the
+     * current wave, and the event's reward drops where the last of them dies
+     * @param {string} key - Key from waveEvents.js
+     */
+    startWaveEvent(key) {
+        const event = waveEvents[key];
+        const player = this.scene.player;
+        if (!event || !this.waveActive || this.scene.gameOver || !player) return;
+        
+        const stage = getStageForLevel(this.currentLevel);
+        const activeEvent = { event, pending: 0, alive: 0, x: player.x, y: player.y };
+        this.activeWaveEvent = activeEvent;
+        
+        const spawn = (x, y, type, onSpawn = null) => {
+            activeEvent.pending++;
+            this.spawnEnemyAtPosition(x, y, type, {
+                warning: event.warning,
+                onSpawn: enemy => {
+                    activeEvent.pending--;
+                    activeEvent.alive++;
+                    enemy.waveEvent = activeEvent;
+                    if (onSpawn) onSpawn(enemy);
                 }
-                break;
-                
-            case 2: // Mountain Caverns
-                if (stagePhase === 'early') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 14; config.dasher = 10; config.shooter = 6; break;
-                        case 2: config.melee = 12; config.dasher = 12; config.shooter = 8; config.bomber = 4; break;
-                        case 3: config.melee = 10; config.dasher = 14; config.shooter = 10; config.bomber = 6; config.mage = 2; break;
-                        case 4: config.melee = 14; config.dasher = 12; config.shooter = 12; config.bomber = 6; config.mage = 4; break;
-                        case 5: config.melee = 16; config.dasher = 16; config.shooter = 10; config.bomber = 8; config.mage = 4; break;
-                    }
-                } else if (stagePhase === 'mid') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 16; config.dasher = 14; config.shooter = 10; config.bomber = 6; config.mage = 4; break;
-                        case 2: config.melee = 14; config.dasher = 16; config.shooter = 12; config.bomber = 8; config.mage = 6; break;
-                        case 3: config.melee = 18; config.dasher = 14; config.shooter = 14; config.bomber = 8; config.mage = 6; break;
-                        case 4: config.melee = 16; config.dasher = 18; config.shooter = 14; config.bomber = 10; config.mage = 8; break;
-                        case 5: config.melee = 20; config.dasher = 16; config.shooter = 16; config.bomber = 12; config.mage = 8; break;
-                    }
-                } else { // Late
-                    switch (this.currentWave) {
-                        case 1: config.melee = 20; config.dasher = 18; config.shooter = 14; config.bomber = 10; config.mage = 8; break;
-                        case 2: config.melee = 24; config.dasher = 20; config.shooter = 16; config.bomber = 12; config.mage = 10; break;
-                        case 3: config.melee = 20; config.dasher = 24; config.shooter = 18; config.bomber = 14; config.mage = 12; break;
-                        case 4: config.melee = 28; config.dasher = 22; config.shooter = 20; config.bomber = 16; config.mage = 14; break;
-                        // Wave 5 is boss wave
-                    }
+            });
+        };
+        
+        let name = event.name;
+        let direction = null;
+        if (event.formation === 'miniBoss') {
+            const miniBoss = this.getRandom().pick(getMiniBossesForStage(stage));
+            const site = this.findPortalLocation() || { x: player.x + TILE_SIZE * 10, y: player.y };
+            name = miniBoss.name;
+            direction = this.getCompassDirection(site.x, site.y);
+            spawn(site.x, site.y, miniBoss.monster, enemy => enemy.makeMiniBoss(miniBoss));
+        } else {
+            const count = event.count + (event.countPerStage || 0) * (stage - 1);
+            const formation = this.getWaveEventFormation(event, count);
+            direction = formation.direction;
+            formation.positions.forEach(position => spawn(position.x, position.y, event.category));
+        }
+        
+        console.log(`[SpawnSystem] Wave event started: ${event.name} (${activeEvent.pending} enemies)`);
+        
+        if (this.scene.uiManager) {
+            const description = (event.description || '')
+                .replace('{name}', name)
+                .replace('{direction}', direction || 'shadows');
+            this.scene.uiManager.showNotification(
+                description ? `${event.announcement}\n${description}` : event.announcement,
+                event.color
+            );
+        }
+    }
+    
+    /**
+     * Where a wave event's enemies emerge
+     * @param {object} event - Definition from waveEvents.js
+     * @param {number} count - Number of enemies
+     * @returns {object} { positions: [{x, y}], direction } (direction is null when they come from everywhere)
+     */
+    getWaveEventFormation(event, count) {
+        const player = this.scene.player;
+        const random = this.getRandom();
+        const radius = event.radius || TILE_SIZE * 8;
+        const positions = [];
+        let direction = null;
+        
+        switch (event.formation) {
+            case 'ring':
+                // Closing in evenly from every side
+                for (let i = 0; i < count; i++) {
+                    const angle = (i / count) * Math.PI * 2;
+                    positions.push({ x: player.x + Math.cos(angle) * radius, y: player.y + Math.sin(angle) * radius });
                 }
                 break;
-                
-            case 3: // Magical Academy
-                if (stagePhase === 'early') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 20; config.dasher = 18; config.shooter = 16; config.bomber = 10; config.mage = 8; break;
-                        case 2: config.melee = 24; config.dasher = 20; config.shooter = 18; config.bomber = 12; config.mage = 10; break;
-                        case 3: config.melee = 22; config.dasher = 24; config.shooter = 20; config.bomber = 14; config.mage = 12; break;
-                        case 4: config.melee = 26; config.dasher = 22; config.shooter = 22; config.bomber = 16; config.mage = 14; break;
-                        case 5: config.melee = 28; config.dasher = 26; config.shooter = 24; config.bomber = 18; config.mage = 16; break;
-                    }
-                } else if (stagePhase === 'mid') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 30; config.dasher = 24; config.shooter = 24; config.bomber = 16; config.mage = 14; break;
-                        case 2: config.melee = 26; config.dasher = 30; config.shooter = 26; config.bomber = 18; config.mage = 16; break;
-                        case 3: config.melee = 32; config.dasher = 28; config.shooter = 28; config.bomber = 20; config.mage = 18; break;
-                        case 4: config.melee = 28; config.dasher = 32; config.shooter = 30; config.bomber = 22; config.mage = 20; break;
-                        case 5: config.melee = 34; config.dasher = 30; config.shooter = 32; config.bomber = 24; config.mage = 22; break;
-                    }
-                } else { // Late
-                    switch (this.currentWave) {
-                        case 1: config.melee = 30; config.dasher = 34; config.shooter = 30; config.bomber = 24; config.mage = 22; break;
-                        case 2: config.melee = 36; config.dasher = 32; config.shooter = 32; config.bomber = 26; config.mage = 24; break;
-                        case 3: config.melee = 32; config.dasher = 36; config.shooter = 34; config.bomber = 28; config.mage = 26; break;
-                        case 4: config.melee = 38; config.dasher = 34; config.shooter = 36; config.bomber = 30; config.mage = 28; break;
-                        // Wave 5 is boss wave
-                    }
+            case 'line': {
+                // A column along the edge farther from the commander, charging across the map
+                const fromEast = player.x < WORLD_WIDTH / 2;
+                const x = fromEast ? WORLD_WIDTH - TILE_SIZE * 2 : TILE_SIZE * 2;
+                const spacing = TILE_SIZE * 2;
+                const top = Phaser.Math.Clamp(player.y - (count - 1) * spacing / 2, TILE_SIZE * 2, WORLD_HEIGHT - TILE_SIZE * 2);
+                for (let i = 0; i < count; i++) {
+                    positions.push({ x, y: Math.min(top + i * spacing, WORLD_HEIGHT - TILE_SIZE * 2) });
                 }
+                direction = fromEast ? 'east' : 'west';
                 break;
-                
-            case 4: // Necropolis
-                if (stagePhase === 'early') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 36; config.dasher = 32; config.shooter = 30; config.bomber = 24; config.mage = 20; break;
-                        case 2: config.melee = 38; config.dasher = 36; config.shooter = 32; config.bomber = 26; config.mage = 22; break;
-                        case 3: config.melee = 40; config.dasher = 38; config.shooter = 34; config.bomber = 28; config.mage = 24; break;
-                        case 4: config.melee = 42; config.dasher = 40; config.shooter = 36; config.bomber = 30; config.mage = 26; break;
-                        case 5: config.melee = 44; config.dasher = 42; config.shooter = 38; config.bomber = 32; config.mage = 28; break;
-                    }
-                } else if (stagePhase === 'mid') {
-                    switch (this.currentWave) {
-                        case 1: config.melee = 46; config.dasher = 40; config.shooter = 38; config.bomber = 30; config.mage = 28; break;
-                        case 2: config.melee = 44; config.dasher = 44; config.shooter = 40; config.bomber = 32; config.mage = 30; break;
-                        case 3: config.melee = 48; config.dasher = 42; config.shooter = 42; config.bomber = 34; config.mage = 32; break;
-                        case 4: config.melee = 46; config.dasher = 46; config.shooter = 44; config.bomber = 36; config.mage = 34; break;
-                        case 5: config.melee = 50; config.dasher = 48; config.shooter = 46; config.bomber = 38; config.mage = 36; break;
-                    }
-                } else { // Late - Final Boss
-                    switch (this.currentWave) {
-                        case 1: config.melee = 50; config.dasher = 46; config.shooter = 44; config.bomber = 36; config.mage = 34; break;
-                        case 2: config.melee = 52; config.dasher = 50; config.shooter = 46; config.bomber = 38; config.mage = 36; break;
-                        case 3: config.melee = 54; config.dasher = 52; config.shooter = 48; config.bomber = 40; config.mage = 38; break;
-                        case 4: config.melee = 56; config.dasher = 54; config.shooter = 50; config.bomber = 42; config.mage = 40; break;
-                        // Wave 5 is the final boss
-                    }
+            }
+            case 'cluster': {
+                const site = this.findPortalLocation() || { x: player.x + TILE_SIZE * 10, y: player.y };
+                for (let i = 0; i < count; i++) {
+                    const angle = random.frac() * Math.PI * 2;
+                    const distance = random.frac() * radius;
+                    positions.push({ x: site.x + Math.cos(angle) * distance, y: site.y + Math.sin(angle) * distance });
                 }
+                direction = this.getCompassDirection(site.x, site.y);
                 break;
-
-            default: // Fallback for very high levels if not explicitly defined
-                config.melee = 10 + (this.currentLevel * 2) + (this.currentWave * 2);
-                config.dasher = 5 + this.currentLevel + this.currentWave;
-                config.shooter = 3 + this.currentLevel + this.currentWave;
-                config.bomber = 2 + Math.floor(this.currentLevel / 2) + this.currentWave;
-                config.mage = 1 + Math.floor(this.currentLevel / 3) + Math.floor(this.currentWave / 2);
-                config.totalEnemies = config.melee + config.dasher + config.bomber + config.shooter + config.mage;
-                break;
+            }
+            default:
+                // 'scatter': anywhere around the commander (portals keep clear of the snake)
+                for (let i = 0; i < count; i++) {
+                    const angle = random.frac() * Math.PI * 2;
+                    const distance = radius * (0.5 + random.frac() * 0.5);
+                    positions.push({ x: player.x + Math.cos(angle) * distance, y: player.y + Math.sin(angle) * distance });
+                }
         }
-
-        // Recalculate total enemies if not set or if it's different from sum
-        const currentTotalCalculated = config.melee + config.dasher + config.bomber + config.shooter + config.mage;
-        if (config.totalEnemies !== currentTotalCalculated) {
-            // console.warn(`[SpawnSystem] Discrepancy in totalEnemies for L${this.currentLevel} W${this.currentWave}. Stated: ${config.totalEnemies}, Calculated: ${currentTotalCalculated}. Using calculated sum.`);
-            config.totalEnemies = currentTotalCalculated;
+        
+        return { positions, direction };
+    }
+    
+    /**
+     * Called by Enemy.die for enemies of a wave event; drops the reward after the last one
+     * @param {Enemy} enemy - The enemy that died
+     */
+    onWaveEventEnemyDied(enemy) {
+        const activeEvent = enemy.waveEvent;
+        enemy.waveEvent = null;
+        if (!activeEvent || activeEvent !== this.activeWaveEvent) return;
+        
+        activeEvent.alive--;
+        activeEvent.x = enemy.x;
+        activeEvent.y = enemy.y;
+        
+        if (activeEvent.alive <= 0 && activeEvent.pending <= 0) {
+            this.activeWaveEvent = null;
+            this.grantWaveEventReward(activeEvent);
+        }
+    }
+    
+    /**
+     * Drop a cleared wave event's reward where its last enemy died
+     * @param {object} activeEvent - The finished event
+     */
+    grantWaveEventReward(activeEvent) {
+        const { event, x, y } = activeEvent;
+        const reward = event.reward || {};
+        const random = getSceneRandom(this.scene, 'drops');
+        
+        for (let i = 0; i < (reward.pickups || 0); i++) {
+            this.spawnPickup(
+                x + random.between(-TILE_SIZE, TILE_SIZE),
+                y + random.between(-TILE_SIZE, TILE_SIZE)
+            );
         }
         
-        // Store the original total before reduction
-        const originalTotalEnemies = config.totalEnemies;
-
-        // Reduce total enemy count to 70%
-        const newTotalEnemies = Math.max(1, Math.floor(originalTotalEnemies * 0.7)); // Ensure at least 1 enemy
-
-        // If originalTotalEnemies is 0, newTotalEnemies will be 0, ratio is irrelevant or 1.
-        const reductionRatio = originalTotalEnemies > 0 ? newTotalEnemies / originalTotalEnemies : 1;
-
-        config.melee = Math.round(config.melee * reductionRatio);
-        config.dasher = Math.round(config.dasher * reductionRatio);
-        config.bomber = Math.round(config.bomber * reductionRatio);
-        config.shooter = Math.round(config.shooter * reductionRatio);
-        config.mage = Math.round(config.mage * reductionRatio);
-
-        // Final total enemies based on rounded individual counts
-        config.totalEnemies = config.melee + config.dasher + config.bomber + config.shooter + config.mage;
+        if (reward.engineer) {
+            this.spawnEngineer(
+                Phaser.Math.Clamp(x, TILE_SIZE * 2, WORLD_WIDTH - TILE_SIZE * 2),
+                Phaser.Math.Clamp(y, TILE_SIZE * 2, WORLD_HEIGHT - TILE_SIZE * 2)
+            );
+        }
         
-        // Ensure totalEnemies is not less than 1 if any individual type is > 0
-        if (config.totalEnemies === 0 && (config.melee > 0 || config.dasher > 0 || config.bomber > 0 || config.shooter > 0 || config.mage > 0)) {
-            // If all rounded to 0 but some were > 0, set total to 1 and make the first available type 1
-            config.totalEnemies = 1;
-            if (originalTotalEnemies > 0) { // only if there were enemies to begin with
-                if (Math.round(originalTotalEnemies * 0.7) === 0) { // if 70% rounded to 0
-                     if (config.melee > 0 || (config.melee === 0 && config.dasher === 0 && config.bomber === 0 && config.shooter === 0 && config.mage === 0 && originalTotalEnemies > 0 && (config.melee / originalTotalEnemies > 0) ) ) config.melee = 1;
-                     else if (config.dasher > 0 || (config.dasher === 0 && config.bomber === 0 && config.shooter === 0 && config.mage === 0 && originalTotalEnemies > 0 && (config.dasher / originalTotalEnemies > 0) )) config.dasher = 1;
-                     else if (config.bomber > 0 || (config.bomber === 0 && config.shooter === 0 && config.mage === 0 && originalTotalEnemies > 0 && (config.bomber / originalTotalEnemies > 0) )) config.bomber = 1;
-                     else if (config.shooter > 0 || (config.shooter === 0 && config.mage === 0 && originalTotalEnemies > 0 && (config.shooter / originalTotalEnemies > 0) )) config.shooter = 1;
-                     else if (config.mage > 0 || (config.mage === 0 && originalTotalEnemies > 0 && (config.mage / originalTotalEnemies > 0) )) config.mage = 1;
-                     else { // If all were zero initially, but originalTotal was > 0 (e.g. only one type of enemy that rounded down)
-                        config.melee = 1; // Default to melee
-                     }
-                }
-            }
+        let relic = null;
+        if (reward.relic && this.scene.relicSystem) {
+            const relicKey = this.scene.relicSystem.rollRelic();
+            relic = relicKey ? this.scene.relicSystem.addRelic(relicKey) : null;
+        }
+        
+        console.log(`[SpawnSystem] Wave event cleared: ${event.name}${relic ? `, granted ${relic.name}` : ''}`);
+        
+        if (this.scene.uiManager) {
+            this.scene.uiManager.showNotification(
+                relic ? `${event.name.toUpperCase()} CLEARED!\nFound ${relic.name}` : `${event.name.toUpperCase()} CLEARED!`,
+                '#FFD700'
+            );
         }
-
-        console.log(`[SpawnSystem] L${this.currentLevel} W${this.currentWave}: Original total enemies: ${originalTotalEnemies}, Reduced to: ${config.totalEnemies} (Ratio: ${reductionRatio.toFixed(2)})`);
-        console.log(`[SpawnSystem] Final Config: Melee-${config.melee}, Dasher-${config.dasher}, Bomber-${config.bomber}, Shooter-${config.shooter}, Mage-${config.mage}`);
-
-        return config;
     }
     
     /**
@@ -677,7 +827,7 @@ export default class SpawnSystem {
         
         // Create a weighted selection based on remaining enemy counts
         const totalWeight = counts.reduce((a, b) => a + b, 0);
-        let random = Phaser.Math.Between(1, totalWeight);
+        let random = this.getRandom().between(1, totalWeight);
         
         for (let i = 0; i < types.length; i++) {
             random -= counts[i];
@@ -691,30 +841,240 @@ export default class SpawnSystem {
     }
     
     /**
-     * Spawn an enemy of a specific type
+     * Spawn an enemy of a specific type. With the portal system running it emerges
+     * from a portal at one of the wave's sites after a short warning
+     * @param {string} type - Enemy type
+     * @returns {Enemy|object|undefined} The enemy, or the portal it will emerge from
      */
     spawnEnemyOfType(type) {
         if (this.scene.gameOver) return;
         
+        if (this.scene.spawnPortalSystem) {
+            const position = this.getPortalSpawnPosition();
+            if (position) {
+                return this.openSpawnPortal(position.x, position.y, type, enemy => this.rollEliteAffixes(enemy));
+            }
+        }
+        
+        // No open ground for a portal: spawn outside the world and walk in
         let x, y;
-        const side = Phaser.Math.Between(0, 3);
+        const random = this.getRandom();
+        const side = random.between(0, 3);
         const buffer = TILE_SIZE * 2;
         
         // Spawn outside the world bounds initially
         switch (side) {
-            case 0: x = Phaser.Math.Between(0, WORLD_WIDTH); y = -buffer; break; // Top
-            case 1: x = WORLD_WIDTH + buffer; y = Phaser.Math.Between(0, WORLD_HEIGHT); break; // Right
-            case 2: x = Phaser.Math.Between(0, WORLD_WIDTH); y = WORLD_HEIGHT + buffer; break; // Bottom
-            case 3: x = -buffer; y = Phaser.Math.Between(0, WORLD_HEIGHT); break; // Left
+            case 0: x = random.between(0, WORLD_WIDTH); y = -buffer; break; // Top
+            case 1: x = WORLD_WIDTH + buffer; y = random.between(0, WORLD_HEIGHT); break; // Right
+            case 2: x = random.between(0, WORLD_WIDTH); y = WORLD_HEIGHT + buffer; break; // Bottom
+            case 3: x = -buffer; y = random.between(0, WORLD_HEIGHT); break; // Left
         }
         
         // Create enemy with type and level-appropriate difficulty
         const enemy = Enemy.createEnemy(this.scene, x, y, this.currentLevel, type);
         this.scene.enemies.add(enemy);
+        this.rollEliteAffixes(enemy);
         
         return enemy;
     }
     
+    /**
+     * Open a portal that releases an enemy once its warning runs out
+     * @param {number} x - Portal x
+     * @param {number} y - Portal y
+     * @param {string} type - Enemy type
+     * @param {function} onSpawn - Called with the enemy when it emerges
+     * @param {number} warning - Warning time in ms (SpawnPortalSystem default if omitted)
+     * @returns {object} The portal
+     */
+    openSpawnPortal(x, y, type, onSpawn = null, warning = undefined) {
+        return this.scene.spawnPortalSystem.open(x, y, () => {
+            const enemy = Enemy.createEnemy(this.scene, x, y, this.currentLevel, type);
+            this.scene.enemies.add(enemy);
+            if (onSpawn) onSpawn(enemy);
+        }, { warning });
+    }
+    
+    /**
+     * Pick the sites this wave's enemy groups emerge from, spread apart from each other
+     * @param {number} count - Number of sites
+     * @returns {Array<object>} Sites ({ x, y, direction })
+     */
+    choosePortalSites(count) {
+        this.portalSites = [];
+        for (let i = 0; i < count; i++) {
+            const site = this.findPortalLocation(this.portalSites);
+            if (site) this.portalSites.push(site);
+        }
+        
+        console.log(`[SpawnSystem] Wave ${this.currentWave} portals: ${this.portalSites.map(site => site.direction).join(', ') || 'none'}`);
+        return this.portalSites;
+    }
+    
+    /**
+     * Find open ground for a portal site, clear of the whole snake
+     * @param {Array<object>} avoid - Other sites to keep away from
+     * @returns {Object|null} Site { x, y, direction } or null if none found
+     */
+    findPortalLocation(avoid = []) {
+        const spawnZones = this.scene.terrainSystem ? this.scene.terrainSystem.spawnZones : [];
+        
+        for (let attempt = 0; attempt < 10; attempt++) {
+            // A hand-authored map's spawn zones come first, anywhere open if the snake is in the way
+            const position = spawnZones.length > 0 && attempt < 5
+                ? this.getSpawnZonePosition(spawnZones)
+                : this.findOpenSpawnLocation(TILE_SIZE * 2, TILE_SIZE * 2);
+            if (!position) return null;
+            
+            if (!this.isClearOfChain(position.x, position.y)) continue;
+            if (avoid.some(site => Phaser.Math.Distance.Between(position.x, position.y, site.x, site.y) < PORTAL_MIN_CHAIN_DISTANCE)) continue;
+            
+            return { ...position, direction: this.getCompassDirection(position.x, position.y) };
+        }
+        return null;
+    }
+    
+    /**
+     * Random position inside one of the map's spawn zones (see levelMaps.js)
+     * @param {Array<object>} spawnZones - Zones { x, y, width, height }
+     * @returns {Object} Position {x, y}
+     */
+    getSpawnZonePosition(spawnZones) {
+        const random = this.getRandom();
+        const zone = random.pick(spawnZones);
+        return {
+            x: zone.x + random.frac() * zone.width,
+            y: zone.y + random.frac() * zone.height
+        };
+    }
+    
+    /**
+     * Position for the next portal: scattered around a random site of the wave.
+     * A site the snake has since moved next to is replaced
+     * @returns {Object|null} Position {x, y} or null if there is no site
+     */
+    getPortalSpawnPosition() {
+        if (this.portalSites.length === 0) {
+            this.choosePortalSites(1);
+            if (this.portalSites.length === 0) return null;
+        }
+        
+        const random = this.getRandom();
+        const index = random.between(0, this.portalSites.length - 1);
+        let site = this.portalSites[index];
+        
+        if (!this.isClearOfChain(site.x, site.y)) {
+            site = this.findPortalLocation(this.portalSites.filter(other => other !== site));
+            if (!site) return null;
+            this.portalSites[index] = site;
+        }
+        
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const angle = random.frac() * Math.PI * 2;
+            const distance = random.frac() * PORTAL_GROUP_RADIUS;
+            const x = Phaser.Math.Clamp(site.x + Math.cos(angle) * distance, TILE_SIZE * 2, WORLD_WIDTH - TILE_SIZE * 2);
+            const y = Phaser.Math.Clamp(site.y + Math.sin(angle) * distance, TILE_SIZE * 2, WORLD_HEIGHT - TILE_SIZE * 2);
+            if (this.isClearOfChain(x, y)) {
+                return { x, y };
+            }
+        }
+        return { x: site.x, y: site.y };
+    }
+    
+    /**
+     * Move a requested spawn position away from the snake if it is too close
+     * @param {number} x - Requested x
+     * @param {number} y - Requested y
+     * @returns {Object} Position {x, y}
+     */
+    getSafeSpawnPosition(x, y) {
+        if (this.isClearOfChain(x, y)) return { x, y };
+        
+        // Step directly away from the closest segment
+        const segments = this.getChainSegments();
+        const closest = segments.reduce((best, segment) => (
+            Phaser.Math.Distance.Between(x, y, segment.x, segment.y) < Phaser.Math.Distance.Between(x, y, best.x, best.y) ? segment : best
+        ), segments[0]);
+        const angle = Phaser.Math.Angle.Between(closest.x, closest.y, x, y);
+        
+        for (let step = 1; step <= 6; step++) {
+            const stepX = Phaser.Math.Clamp(x + Math.cos(angle) * TILE_SIZE * step, TILE_SIZE, WORLD_WIDTH - TILE_SIZE);
+            const stepY = Phaser.Math.Clamp(y + Math.sin(angle) * TILE_SIZE * step, TILE_SIZE, WORLD_HEIGHT - TILE_SIZE);
+            if (this.isClearOfChain(stepX, stepY)) {
+                return { x: stepX, y: stepY };
+            }
+        }
+        
+        const site = this.findPortalLocation();
+        return site ? { x: site.x, y: site.y } : { x, y };
+    }
+    
+    /**
+     * Check that a position is far enough from the commander and every follower
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} minDistance - Minimum distance from each segment
+     * @returns {boolean} True if no segment is closer than minDistance
+     */
+    isClearOfChain(x, y, minDistance = PORTAL_MIN_CHAIN_DISTANCE) {
+        return this.getChainSegments().every(segment =>
+            Phaser.Math.Distance.Between(x, y, segment.x, segment.y) >= minDistance
+        );
+    }
+    
+    /**
+     * Active segments of the snake
+     * @returns {Array<Character>} Commander and followers
+     */
+    getChainSegments() {
+        return [this.scene.player, ...(this.scene.followers || [])]
+            .filter(segment => segment && segment.active);
+    }
+    
+    /**
+     * Compass direction of a position as seen from the commander
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {string} e.g. 'north-east'
+     */
+    getCompassDirection(x, y) {
+        const player = this.scene.player;
+        if (!player) return COMPASS_DIRECTIONS[0];
+        
+        const angle = Phaser.Math.Angle.Between(player.x, player.y, x, y);
+        const sector = Math.round(angle / (Math.PI / 4));
+        return COMPASS_DIRECTIONS[(sector % 8 + 8) % 8];
+    }
+    
+    /**
+     * Roll whether a regular spawn becomes an elite, and with which affixes.
+     * Chance and affix count scale with the stage; elite map nodes roll more often
+     * @param {Enemy} enemy - The freshly spawned enemy
+     */
+    rollEliteAffixes(enemy) {
+        if (!enemy || enemy.isBoss) return;
+        
+        const stages = Object.keys(ELITE_CHANCE_BY_STAGE).map(Number);
+        const stage = Math.max(Math.min(...stages), Math.min(getStageForLevel(this.currentLevel), Math.max(...stages)));
+        
+        let chance = ELITE_CHANCE_BY_STAGE[stage];
+        if (this.currentNodeType === 'elite') {
+            chance *= ELITE_NODE_CHANCE_MULTIPLIER;
+        }
+        
+        const random = this.getRandom();
+        if (!random.chance(chance)) return;
+        
+        const available = Object.keys(eliteAffixes);
+        const count = random.between(1, ELITE_MAX_AFFIXES_BY_STAGE[stage]);
+        const affixKeys = [];
+        while (affixKeys.length < count && available.length > 0) {
+            affixKeys.push(available.splice(random.between(0, available.length - 1), 1)[0]);
+        }
+        
+        enemy.makeElite(affixKeys);
+    }
+    
     /**
      * Spawn a boss based on the stage number
      * @param {number} stageNumber - The stage number (1-4)
@@ -723,7 +1083,7 @@ export default class SpawnSystem {
     spawnBoss(stageNumber) {
         // Calculate spawn position - far enough from player to give reaction time
         const distanceFromPlayer = TILE_SIZE * 15;
-        const randomAngle = Math.random() * Math.PI * 2;
+        const randomAngle = this.getRandom().frac() * Math.PI * 2;
         const spawnX = this.scene.player.x + Math.cos(randomAngle) * distanceFromPlayer;
         const spawnY = this.scene.player.y + Math.sin(randomAngle) * distanceFromPlayer;
         
@@ -784,20 +1144,26 @@ export default class SpawnSystem {
     }
     
     /**
-     * Get the current number of active enemies
+     * Get the current number of active enemies, counting those still in portals
      */
     getActiveEnemyCount() {
-        return this.scene.enemies.countActive();
+        const pending = this.scene.spawnPortalSystem ? this.scene.spawnPortalSystem.getPendingCount() : 0;
+        return this.scene.enemies.countActive() + pending;
     }
     
     /**
-     * Spawn a pickup at a random position
+     * Spawn a pickup at a random position, or at the given one (e.g. elite loot)
+     * @param {number} x - Optional x position
+     * @param {number} y - Optional y position
      */
-    spawnPickup() {
-        if (this.scene.pickups.countActive() >= 10) return; // Limit the number of active pickups
+    spawnPickup(x = null, y = null) {
+        const hasPosition = x !== null && y !== null;
+        
+        // Limit the number of random pickups; dropped loot (elites, events, maps, props) isn't capped
+        if (!hasPosition && this.scene.pickups.countActive() >= 10) return;
         
         // Find a safe, open space for the pickup
-        const spawnPosition = this.findOpenSpawnLocation(16, 16);
+        const spawnPosition = hasPosition ? { x, y } : this.findOpenSpawnLocation(16, 16);
         
         if (!spawnPosition) {
             console.warn('Could not find open space for pickup spawn');
@@ -820,7 +1186,7 @@ export default class SpawnSystem {
         pickup.body.setSize(16, 16);
         
         // Store random exp value (1-5)
-        const expValue = Phaser.Math.Between(1, 5);
+        const expValue = this.getRandom().between(1, 5);
         pickup.setData('expValue', expValue);
         
         // Add a pulsing effect to the pickup
@@ -843,20 +1209,25 @@ export default class SpawnSystem {
     }
     
     /**
-     * Spawn an engineer at a valid position
+     * Spawn an engineer at a valid position, or at the given one (e.g. event rewards)
+     * @param {number} x - Optional x position
+     * @param {number} y - Optional y position
      */
-    spawnEngineer() {
+    spawnEngineer(x = null, y = null) {
         if (this.scene.gameOver) return;
         
-        let x, y;
-        let validPosition = false;
+        let validPosition = x !== null && y !== null;
+        
+        // Limit the number of random engineers; rewards always appear
+        if (!validPosition && this.scene.engineers.countActive() >= 5) return null;
         let attempts = 0;
         const maxAttempts = 50;
+        const random = this.getRandom();
         
         while (!validPosition && attempts < maxAttempts) {
             // Generate random position within world bounds
-            x = Phaser.Math.Between(TILE_SIZE * 2, WORLD_WIDTH - TILE_SIZE * 2);
-            y = Phaser.Math.Between(TILE_SIZE * 2, WORLD_HEIGHT - TILE_SIZE * 2);
+            x = random.between(TILE_SIZE * 2, WORLD_WIDTH - TILE_SIZE * 2);
+            y = random.between(TILE_SIZE * 2, WORLD_HEIGHT - TILE_SIZE * 2);
             attempts++;
             
             // Check if position is valid (not overlapping with other objects)
@@ -877,7 +1248,7 @@ export default class SpawnSystem {
             // Get random engineer class
             const engineerClasses = this.scene.engineerClasses;
             const classKeys = Object.keys(engineerClasses);
-            const randomClass = engineerClasses[classKeys[Phaser.Math.Between(0, classKeys.length - 1)]];
+            const randomClass = engineerClasses[classKeys[random.between(0, classKeys.length - 1)]];
             
             // Create the engineer pickup
             const engineer = Pickup.createEngineer(this.scene, x, y, randomClass);
@@ -976,6 +1347,7 @@ export default class SpawnSystem {
         if (this.enemyTimer) this.enemyTimer.remove();
         if (this.engineerTimer) this.engineerTimer.remove();
         if (this.waveSpawnInterval) this.waveSpawnInterval.remove();
+        if (this.waveEventTimer) this.waveEventTimer.remove();
     }
     
     /**
@@ -992,6 +1364,7 @@ export default class SpawnSystem {
         
         const maxAttempts = 50;
         let attempts = 0;
+        const random = this.getRandom();
         
         // Get player position for distance check
         let playerX = 0, playerY = 0;
@@ -1004,12 +1377,12 @@ export default class SpawnSystem {
         
         while (attempts < maxAttempts) {
             // Generate random position within world bounds
-            const x = Phaser.Math.Between(
+            const x = random.between(
                 width + TILE_SIZE, 
                 WORLD_WIDTH - width - TILE_SIZE
             );
             
-            const y = Phaser.Math.Between(
+            const y = random.between(
                 height + TILE_SIZE, 
                 WORLD_HEIGHT - height - TILE_SIZE
             );
@@ -1034,8 +1407,9 @@ export default class SpawnSystem {
                 height
             );
             
-            // Simple overlap check with active objects
-            let collision = false;
+            // Simple overlap check with active objects, and no spawning inside walls or props
+            let collision = !!(this.scene.terrainSystem && this.scene.terrainSystem.isBlockedAt(x, y)) ||
+                !!(this.scene.propSystem && this.scene.propSystem.isBlockedAt(x, y));
             
             // Check enemies
             if (this.scene.enemies) {
@@ -1090,22 +1464,31 @@ export default class SpawnSystem {
     }
     
     /**
-     * Spawn an enemy at a specific position
+     * Spawn an enemy at a specific position. With the portal system running it emerges
+     * from a portal there (moved away from the snake if needed) after a short warning
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {string} type - Enemy type
-     * @returns {Enemy} The spawned enemy
+     * @param {object} options - { instant: skip the portal, onSpawn: called with the enemy, warning: portal ms }
+     * @returns {Enemy|object|null} The spawned enemy, or the portal it will emerge from
      */
-    spawnEnemyAtPosition(x, y, type) {
+    spawnEnemyAtPosition(x, y, type, options = {}) {
         if (this.scene.gameOver) return null;
         
         // Clamp coordinates to stay within world bounds
         x = Phaser.Math.Clamp(x, TILE_SIZE, WORLD_WIDTH - TILE_SIZE);
         y = Phaser.Math.Clamp(y, TILE_SIZE, WORLD_HEIGHT - TILE_SIZE);
         
-        // Create enemy with type and level-appropriate difficulty
-        const enemy = Enemy.createEnemy(this.scene, x, y, this.currentLevel, type);
-        this.scene.enemies.add(enemy);
+        let spawned;
+        if (this.scene.spawnPortalSystem && !options.instant) {
+            const position = this.getSafeSpawnPosition(x, y);
+            spawned = this.openSpawnPortal(position.x, position.y, type, options.onSpawn, options.warning || PORTAL_SUMMON_WARNING);
+        } else {
+            // Create enemy with type and level-appropriate difficulty
+            spawned = Enemy.createEnemy(this.scene, x, y, this.currentLevel, type);
+            this.scene.enemies.add(spawned);
+            if (options.onSpawn) options.onSpawn(spawned);
+        }
         
         // Make sure any added enemies are tracked properly in the wave
         if (this.waveActive) {
@@ -1125,7 +1508,7 @@ export default class SpawnSystem {
             }
         }
         
-        return enemy;
+        return spawned;
     }
     
     /**
@@ -1144,6 +1527,11 @@ export default class SpawnSystem {
             this.waveSpawnInterval.paused = true;
         }
         
+        // Pause a wave event that hasn't started yet
+        if (this.waveEventTimer) {
+            this.waveEventTimer.paused = true;
+        }
+        
         // Note: We only pause specific known timers that we have references to
         // Attempting to pause all timers via getAllTimers causes crashes
     }
@@ -1164,6 +1552,10 @@ export default class SpawnSystem {
             this.waveSpawnInterval.paused = false;
         }
         
+        if (this.waveEventTimer) {
+            this.waveEventTimer.paused = false;
+        }
+        
         // Note: We only resume specific known timers that we have references to
     }
     
@@ -1171,11 +1563,12 @@ export default class SpawnSystem {
      * Start a new level
      * @param {number} level - The level number to start
      */
-    startNewLevel(level) {
-        console.log(`[SpawnSystem] Starting new level: ${level}`);
+    startNewLevel(level, nodeType = DEFAULT_MAP_NODE_TYPE) {
+        console.log(`[SpawnSystem] Starting new level: ${level} (${nodeType} node)`);
         
         // Update current level
         this.currentLevel = level || this.currentLevel + 1;
+        this.setNodeType(nodeType);
         
         // Reset all wave state
         this.resetWaveState();
@@ -1190,4 +1583,19 @@ export default class SpawnSystem {
         
         return true;
     }
+    
+    /**
+     * Set the stage map node type for the current level and apply its
+     * start-of-level effects
+     * @param {string} nodeType - Key from MAP_NODE_TYPES
+     */
+    setNodeType(nodeType) {
+        this.currentNodeType = nodeType || DEFAULT_MAP_NODE_TYPE;
+        
+        // Recruiter nodes offer engineers right away
+        const extraEngineers = getMapNodeType(this.currentNodeType).extraEngineers || 0;
+        for (let i = 0; i < extraEngineers; i++) {
+            this.spawnEngineer();
+        }
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,352 @@
+import { TILE_SIZE } from '../constants.js';
+import { statusEffects } from '../data/statusEffects.js';
+
+const ICON_SPACING = 10;
+
+/**
+ * Status effects (see statusEffects.js) on enemies, followers and the commander.
+ * Owns durations, stacking, damage ticks, immunity windows and the status icons.
+ * Effects never write an entity's speed: movement code multiplies by
+ * getSpeedMultiplier(), so slows, terrain and boss phases can't undo each other.
+ * Driven from GameScene.update so effects freeze while the game is paused.
+ */
+export default class StatusEffectSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.entities = new Map(); // Entity -> { effects, immunities, icons, baseTint }
+    }
+
+    /**
+     * Apply a status effect, following the effect's stacking rule if already active
+     * @param {Character} entity - Enemy, follower or commander
+     * @param {string} key - Key from statusEffects.js
+     * @param {object} options - Effect settings
+     * @param {number} options.duration - Duration in ms (defaults to the effect's)
+     * @param {number} options.potency - Speed factor for slows, damage per tick for poison
+     * @param {object} options.source - What applied it; 'stack' effects stack once per source
+     * @returns {boolean} True if the effect was applied
+     */
+    apply(entity, key, options = {}) {
+        const effect = statusEffects[key];
+        if (!effect) {
+            console.warn(`[StatusEffectSystem] Unknown status effect "${key}"`);
+            return false;
+        }
+        if (!entity || !entity.active) return false;
+
+        // Boss resistances: weaker replacement effect, or a shorter duration
+        if (entity.isBoss && effect.bossConvertsTo) {
+            return this.apply(entity, effect.bossConvertsTo.key, {
+                ...options,
+                potency: effect.bossConvertsTo.potency
+            });
+        }
+
+        const potency = options.potency !== undefined ? options.potency : effect.defaultPotency;
+        let duration = options.duration !== undefined ? options.duration : effect.defaultDuration;
+        if (entity.isBoss) {
+            duration *= effect.bossDurationMultiplier || 1;
+        }
+
+        const state = this.getState(entity);
+        if (state.immunities.has(key)) return false;
+
+        const status = state.effects.get(key);
+        if (status) {
+            this.reapply(status, potency, duration, options.source);
+        } else {
+            state.effects.set(key, {
+                effect,
+                potency,
+                remaining: duration,
+                stacks: 1,
+                sources: new Set(options.source ? [options.source] : []),
+                tickTimer: 0
+            });
+
+            if (effect.stopsActions && entity.body) {
+                entity.body.velocity.x = 0;
+                entity.body.velocity.y = 0;
+            }
+        }
+
+        this.refreshVisuals(entity, state);
+        return true;
+    }
+
+    /**
+     * Apply the effect's stacking rule to an effect that is already active
+     * @param {object} status - Active status entry
+     * @param {number} potency - Potency of the new application
+     * @param {number} duration - Duration of the new application in ms
+     * @param {object} source - What applied it
+     */
+    reapply(status, potency, duration, source) {
+        const effect = status.effect;
+
+        switch (effect.stacking) {
+            case 'stack': {
+                const isNewSource = !source || !status.sources.has(source);
+                if (source) status.sources.add(source);
+                if (isNewSource) {
+                    status.stacks = Math.min(effect.maxStacks || 1, status.stacks + 1);
+                }
+                status.remaining = Math.max(status.remaining, duration);
+                break;
+            }
+            case 'extend':
+                status.remaining += duration;
+                break;
+            default:
+                // 'refresh': restart the timer and keep the stronger application
+                status.remaining = Math.max(status.remaining, duration);
+                if (this.getStrength(effect, potency) > this.getStrength(effect, status.potency)) {
+                    status.potency = potency;
+                }
+        }
+    }
+
+    /**
+     * How strong an application is, to compare two potencies of the same effect
+     * @param {object} effect - Effect definition
+     * @param {number} potency - Potency to rate
+     * @returns {number} Higher is stronger
+     */
+    getStrength(effect, potency) {
+        if (typeof effect.tickDamage === 'function') return effect.tickDamage(potency, 1);
+        if (typeof effect.speedMultiplier === 'function') return 1 - effect.speedMultiplier(potency, 1);
+        return 0;
+    }
+
+    /**
+     * Remove an effect early (cleanses, level end)
+     * @param {Character} entity - Affected entity
+     * @param {string} key - Effect key
+     */
+    remove(entity, key) {
+        const state = this.entities.get(entity);
+        if (!state || !state.effects.has(key)) return;
+
+        state.effects.delete(key);
+        this.refreshVisuals(entity, state);
+    }
+
+    /**
+     * Check whether an entity has an effect
+     * @param {Character} entity - Entity to check
+     * @param {string} key - Effect key
+     * @returns {boolean} True if active
+     */
+    has(entity, key) {
+        const state = this.entities.get(entity);
+        return !!state && state.effects.has(key);
+    }
+
+    /**
+     * Stacks of an active effect
+     * @param {Character} entity - Entity to check
+     * @param {string} key - Effect key
+     * @returns {number} Stack count (0 if not active)
+     */
+    getStacks(entity, key) {
+        const state = this.entities.get(entity);
+        const status = state ? state.effects.get(key) : null;
+        return status ? status.stacks : 0;
+    }
+
+    /**
+     * Combined movement multiplier of every active effect
+     * @param {Character} entity - Entity to check
+     * @returns {number} Multiplier for the entity's speed (1 when unaffected)
+     */
+    getSpeedMultiplier(entity) {
+        const state = this.entities.get(entity);
+        if (!state) return 1;
+
+        let multiplier = 1;
+        state.effects.forEach(status => {
+            if (typeof status.effect.speedMultiplier === 'function') {
+                multiplier *= status.effect.speedMultiplier(status.potency, status.stacks);
+            }
+        });
+        return multiplier;
+    }
+
+    /**
+     * Check whether an effect stops the entity from moving and attacking
+     * @param {Character} entity - Entity to check
+     * @returns {boolean} True while frozen (or otherwise stopped)
+     */
+    isStopped(entity) {
+        const state = this.entities.get(entity);
+        if (!state) return false;
+
+        return [...state.effects.values()].some(status => status.effect.stopsActions);
+    }
+
+    /**
+     * Advance durations, damage ticks and immunity windows
+     * @param {number} delta - Time since last frame in ms
+     */
+    update(delta) {
+        // Copy so entities killed by a damage tick don't disturb the loop
+        [...this.entities.entries()].forEach(([entity, state]) => {
+            if (!entity.active) {
+                this.clearEntity(entity);
+                return;
+            }
+
+            state.immunities.forEach((remaining, key) => {
+                if (remaining <= delta) {
+                    state.immunities.delete(key);
+                } else {
+                    state.immunities.set(key, remaining - delta);
+                }
+            });
+
+            let expired = false;
+            [...state.effects.entries()].forEach(([key, status]) => {
+                const effect = status.effect;
+
+                if (effect.tickInterval && typeof effect.tickDamage === 'function') {
+                    status.tickTimer += delta;
+                    while (status.tickTimer >= effect.tickInterval && entity.active) {
+                        status.tickTimer -= effect.tickInterval;
+                        entity.damage(effect.tickDamage(status.potency, status.stacks), effect.damageType);
+                    }
+                }
+
+                status.remaining -= delta;
+                if (status.remaining <= 0) {
+                    state.effects.delete(key);
+                    if (effect.immunityAfter) {
+                        state.immunities.set(key, effect.immunityAfter);
+                    }
+                    expired = true;
+                }
+            });
+
+            if (!entity.active) {
+                this.clearEntity(entity);
+                return;
+            }
+            if (expired) {
+                this.refreshVisuals(entity, state);
+            }
+            this.positionIcons(entity, state);
+
+            // Forget entities with nothing left to track
+            if (state.effects.size === 0 && state.immunities.size === 0) {
+                this.entities.delete(entity);
+            }
+        });
+    }
+
+    /**
+     * Remove every effect from an entity without immunity windows
+     * @param {Character} entity - Entity to clear
+     */
+    clearEntity(entity) {
+        const state = this.entities.get(entity);
+        if (!state) return;
+
+        state.effects.clear();
+        if (entity.active) {
+            this.refreshVisuals(entity, state);
+        } else {
+            state.icons.forEach(icon => icon.destroy());
+        }
+        this.entities.delete(entity);
+    }
+
+    /**
+     * Remove every effect from every entity, e.g. when a level ends
+     */
+    clear() {
+        [...this.entities.keys()].forEach(entity => this.clearEntity(entity));
+    }
+
+    /**
+     * Tracking state for an entity, created on first use
+     * @param {Character} entity - Entity
+     * @returns {object} State entry
+     */
+    getState(entity) {
+        let state = this.entities.get(entity);
+        if (!state) {
+            state = {
+                effects: new Map(),
+                immunities: new Map(),
+                icons: new Map(),
+                baseTint: null
+            };
+            this.entities.set(entity, state);
+        }
+        return state;
+    }
+
+    /**
+     * Sync tint and icons with the active effects
+     * @param {Character} entity - Entity
+     * @param {object} state - State entry
+     */
+    refreshVisuals(entity, state) {
+        // Tint with the most recent effect; restore the entity's own tint when none are left
+        const statuses = [...state.effects.values()];
+        if (statuses.length > 0) {
+            if (state.baseTint === null) {
+                state.baseTint = entity.isTinted ? entity.tintTopLeft : undefined;
+            }
+            entity.setTint(statuses[statuses.length - 1].effect.color);
+        } else if (state.baseTint !== null) {
+            if (state.baseTint === undefined) {
+                entity.clearTint();
+            } else {
+                entity.setTint(state.baseTint);
+            }
+            state.baseTint = null;
+        }
+
+        // Drop icons of effects that ended
+        state.icons.forEach((icon, key) => {
+            if (!state.effects.has(key)) {
+                icon.destroy();
+                state.icons.delete(key);
+            }
+        });
+
+        // Create or relabel icons of active effects
+        state.effects.forEach((status, key) => {
+            const label = status.stacks > 1 ? `${status.effect.icon}${status.stacks}` : status.effect.icon;
+            let icon = state.icons.get(key);
+            if (!icon) {
+                icon = this.scene.add.text(entity.x, entity.y, label, {
+                    fontSize: '8px',
+                    fontFamily: 'Arial',
+                    color: '#000000',
+                    backgroundColor: `#${status.effect.color.toString(16).padStart(6, '0')}`,
+                    padding: { x: 1, y: 0 }
+                }).setOrigin(0.5).setDepth(9999);
+                state.icons.set(key, icon);
+            } else if (icon.text !== label) {
+                icon.setText(label);
+            }
+        });
+
+        this.positionIcons(entity, state);
+    }
+
+    /**
+     * Keep the icons in a row above the entity's health bar
+     * @param {Character} entity - Entity
+     * @param {object} state - State entry
+     */
+    positionIcons(entity, state) {
+        const y = entity.y - Math.max(entity.displayHeight / 2, TILE_SIZE * 0.5) - 10;
+        const startX = entity.x - (state.icons.size - 1) * ICON_SPACING / 2;
+
+        [...state.icons.values()].forEach((icon, index) => {
+            icon.setPosition(startX + index * ICON_SPACING, y);
+        });
+    }
+}
@@ -0,0 +1,288 @@
+import { TILE_SIZE } from '../constants.js';
+import { DEFAULT_DAMAGE_TYPE } from '../data/damageTypes.js';
+
+/**
+ * Telegraphed area attacks: a ground marker (circle, cone, line or ring) fills
+ * over its wind-up time, then resolves damage against everything inside it.
+ * Driven from GameScene.update so wind-ups freeze while the game is paused.
+ */
+export default class TelegraphSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.telegraphs = [];
+    }
+
+    /**
+     * Start a telegraph
+     * @param {object} options - Telegraph settings
+     * @param {string} options.shape - 'circle', 'cone', 'line' or 'ring'
+     * @param {number} options.x - Origin x (center, or apex for cones and lines)
+     * @param {number} options.y - Origin y
+     * @param {number} options.radius - Circle/ring outer radius and cone length
+     * @param {number} options.innerRadius - Ring inner radius (safe zone)
+     * @param {number} options.angle - Cone/line direction in radians
+     * @param {number} options.arc - Cone width in radians
+     * @param {number} options.length - Line length
+     * @param {number} options.width - Line width
+     * @param {number} options.windup - Time before the hit in ms
+     * @param {number} options.damage - Damage to the commander (or to each enemy)
+     * @param {number} options.followerDamage - Damage to each follower (defaults to damage)
+     * @param {string} options.damageType - Key from damageTypes.js (defaults to physical)
+     * @param {string} options.targets - 'snake' (commander and followers) or 'enemies'
+     * @param {Phaser.GameObjects.GameObject} options.follow - Keep the origin on this object
+     * @param {Phaser.GameObjects.GameObject} options.source - Cancel if this dies during the wind-up
+     * @param {number} options.color - Marker color
+     * @param {function} options.onResolve - Called with the list of hit targets
+     * @returns {object} The telegraph (pass to cancel())
+     */
+    telegraph(options) {
+        const telegraph = {
+            shape: 'circle',
+            radius: TILE_SIZE * 3,
+            innerRadius: 0,
+            angle: 0,
+            arc: Math.PI / 3,
+            length: TILE_SIZE * 10,
+            width: TILE_SIZE,
+            windup: 1000,
+            damage: 1,
+            damageType: DEFAULT_DAMAGE_TYPE,
+            targets: 'snake',
+            color: 0xFF0000,
+            elapsed: 0
+        };
+        // Options left undefined keep their defaults
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined) telegraph[key] = value;
+        });
+        if (telegraph.followerDamage === undefined) {
+            telegraph.followerDamage = telegraph.damage;
+        }
+
+        telegraph.graphics = this.scene.add.graphics();
+        telegraph.graphics.setDepth(1); // Above terrain, below pickups and entities
+
+        this.telegraphs.push(telegraph);
+        this.draw(telegraph, 0);
+        return telegraph;
+    }
+
+    /**
+     * Advance wind-ups and resolve finished telegraphs
+     * @param {number} delta - Time since last frame in ms
+     */
+    update(delta) {
+        // Copy so telegraphs resolved (or started) during the loop don't disturb it
+        [...this.telegraphs].forEach(telegraph => {
+            if (telegraph.source && !telegraph.source.active) {
+                this.cancel(telegraph);
+                return;
+            }
+
+            if (telegraph.follow && telegraph.follow.active) {
+                telegraph.x = telegraph.follow.x;
+                telegraph.y = telegraph.follow.y;
+            }
+
+            telegraph.elapsed += delta;
+            const progress = Math.min(1, telegraph.elapsed / telegraph.windup);
+            this.draw(telegraph, progress);
+
+            if (progress >= 1) {
+                this.resolve(telegraph);
+            }
+        });
+    }
+
+    /**
+     * Remove a telegraph without resolving it
+     * @param {object} telegraph - Telegraph returned by telegraph()
+     */
+    cancel(telegraph) {
+        const index = this.telegraphs.indexOf(telegraph);
+        if (index === -1) return;
+
+        this.telegraphs.splice(index, 1);
+        telegraph.graphics.destroy();
+    }
+
+    /**
+     * Remove every telegraph, e.g. when a level ends
+     */
+    clear() {
+        [...this.telegraphs].forEach(telegraph => this.cancel(telegraph));
+    }
+
+    /**
+     * Hit everything inside the telegraph and play the impact flash
+     * @param {object} telegraph - Telegraph to resolve
+     */
+    resolve(telegraph) {
+        this.cancel(telegraph);
+        if (this.scene.gameOver) return;
+
+        const hits = this.getTargets(telegraph.targets)
+            .filter(target => target && target.active && this.contains(telegraph, target.x, target.y));
+
+        hits.forEach(target => {
+            const isFollower = telegraph.targets === 'snake' && target !== this.scene.player;
+            const damage = isFollower ? telegraph.followerDamage : telegraph.damage;
+            if (damage > 0 && typeof target.damage === 'function') {
+                target.damage(damage, telegraph.damageType);
+            }
+        });
+
+        // Impact flash in the telegraphed shape
+        const flash = this.scene.add.graphics();
+        flash.setDepth(1);
+        this.fillShape(flash, telegraph, 1, 0.7);
+        this.scene.tweens.add({
+            targets: flash,
+            alpha: 0,
+            duration: 400,
+            onComplete: () => flash.destroy()
+        });
+
+        if (typeof telegraph.onResolve === 'function') {
+            telegraph.onResolve(hits);
+        }
+    }
+
+    /**
+     * Objects a telegraph can hit
+     * @param {string} targets - 'snake' or 'enemies'
+     * @returns {Phaser.GameObjects.GameObject[]} Candidates
+     */
+    getTargets(targets) {
+        if (targets === 'enemies') {
+            return this.scene.enemies ? this.scene.enemies.getChildren() : [];
+        }
+        return [this.scene.player, ...(this.scene.followers || [])];
+    }
+
+    /**
+     * Check whether a point lies inside a telegraph's shape
+     * @param {object} telegraph - Telegraph
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {boolean} True if inside
+     */
+    contains(telegraph, x, y) {
+        const dx = x - telegraph.x;
+        const dy = y - telegraph.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        switch (telegraph.shape) {
+            case 'ring':
+                return distance >= telegraph.innerRadius && distance <= telegraph.radius;
+            case 'cone': {
+                if (distance > telegraph.radius) return false;
+                const offset = Phaser.Math.Angle.Wrap(Math.atan2(dy, dx) - telegraph.angle);
+                return Math.abs(offset) <= telegraph.arc / 2;
+            }
+            case 'line': {
+                // Project onto the line direction
+                const along = dx * Math.cos(telegraph.angle) + dy * Math.sin(telegraph.angle);
+                const across = -dx * Math.sin(telegraph.angle) + dy * Math.cos(telegraph.angle);
+                return along >= 0 && along <= telegraph.length && Math.abs(across) <= telegraph.width / 2;
+            }
+            default:
+                return distance <= telegraph.radius;
+        }
+    }
+
+    /**
+     * Redraw the marker: outline of the full area, fill growing with progress
+     * @param {object} telegraph - Telegraph
+     * @param {number} progress - Wind-up progress (0-1)
+     */
+    draw(telegraph, progress) {
+        const graphics = telegraph.graphics;
+        graphics.clear();
+
+        this.fillShape(graphics, telegraph, 1, 0.15);
+        this.fillShape(graphics, telegraph, progress, 0.35);
+
+        graphics.lineStyle(2, telegraph.color, 0.8);
+        this.strokeShape(graphics, telegraph);
+    }
+
+    /**
+     * Fill a telegraph's shape, scaled outward from its origin
+     * @param {Phaser.GameObjects.Graphics} graphics - Target graphics
+     * @param {object} telegraph - Telegraph
+     * @param {number} scale - Portion of the shape to fill (0-1)
+     * @param {number} alpha - Fill alpha
+     */
+    fillShape(graphics, telegraph, scale, alpha) {
+        if (scale <= 0) return;
+        const { x, y } = telegraph;
+        graphics.fillStyle(telegraph.color, alpha);
+
+        switch (telegraph.shape) {
+            case 'ring': {
+                // A thick stroke fills from the inner edge outward (fill paths can't have holes)
+                const thickness = (telegraph.radius - telegraph.innerRadius) * scale;
+                graphics.lineStyle(thickness, telegraph.color, alpha);
+                graphics.strokeCircle(x, y, telegraph.innerRadius + thickness / 2);
+                break;
+            }
+            case 'cone':
+                graphics.slice(x, y, telegraph.radius * scale,
+                    telegraph.angle - telegraph.arc / 2, telegraph.angle + telegraph.arc / 2, false);
+                graphics.fillPath();
+                break;
+            case 'line':
+                graphics.fillPoints(this.getLinePoints(telegraph, telegraph.length * scale), true);
+                break;
+            default:
+                graphics.fillCircle(x, y, telegraph.radius * scale);
+        }
+    }
+
+    /**
+     * Outline a telegraph's full shape
+     * @param {Phaser.GameObjects.Graphics} graphics - Target graphics
+     * @param {object} telegraph - Telegraph
+     */
+    strokeShape(graphics, telegraph) {
+        const { x, y } = telegraph;
+
+        switch (telegraph.shape) {
+            case 'ring':
+                graphics.strokeCircle(x, y, telegraph.radius);
+                graphics.strokeCircle(x, y, telegraph.innerRadius);
+                break;
+            case 'cone':
+                graphics.slice(x, y, telegraph.radius,
+                    telegraph.angle - telegraph.arc / 2, telegraph.angle + telegraph.arc / 2, false);
+                graphics.strokePath();
+                break;
+            case 'line':
+                graphics.strokePoints(this.getLinePoints(telegraph, telegraph.length), true);
+                break;
+            default:
+                graphics.strokeCircle(x, y, telegraph.radius);
+        }
+    }
+
+    /**
+     * Corners of a line telegraph's rectangle
+     * @param {object} telegraph - Telegraph
+     * @param {number} length - Length to cover from the origin
+     * @returns {object[]} Four {x, y} points
+     */
+    getLinePoints(telegraph, length) {
+        const cos = Math.cos(telegraph.angle);
+        const sin = Math.sin(telegraph.angle);
+        const halfWidth = telegraph.width / 2;
+        const { x, y } = telegraph;
+
+        return [
+            { x: x - sin * halfWidth, y: y + cos * halfWidth },
+            { x: x + cos * length - sin * halfWidth, y: y + sin * length + cos * halfWidth },
+            { x: x + cos * length + sin * halfWidth, y: y + sin * length - cos * halfWidth },
+            { x: x + sin * halfWidth, y: y - cos * halfWidth }
+        ];
+    }
+}
@@ -1,5 +1,8 @@
 import { TILE_SIZE, WORLD_WIDTH, WORLD_HEIGHT, GRID_COLS, GRID_ROWS } from '../constants.js';
 import { createGameTextures } from '../utils/textureGenerator.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import { getLevelMap } from '../data/levelMaps.js';
+import { getBiomeForLevel } from '../data/biomes.js';
 
 // Define terrain types and their IDs
 export const TERRAIN = {
@@ -8,9 +11,16 @@ export const TERRAIN = {
     FOREST: 2,
     SWAMP: 3,
     FLOOR: 4,
-    BORDER: 5
+    BORDER: 5,
+    ICE: 6,
+    LAVA: 7,
+    CONSECRATED: 8,
+    RUBBLE: 9
 };
 
+// Tiled stores flip and rotation flags in the top bits of a tile's global id
+const TILED_GID_MASK = 0x1FFFFFFF;
+
 /**
  * Manages terrain-related functionality and effects
  */
@@ -23,21 +33,46 @@ export default class TerrainSystem {
         this.terrainMap = null;
         this.terrainTileset = null;
         
+        // Random stream used for generation, so a run seed always builds the same map
+        this.random = null;
+        
+        // Map key of the current level (levelMaps.js), null for a procedural level
+        this.mapKey = null;
+        this.playerStart = null; // { x, y } where the snake starts the level
+        this.spawnZones = [];    // { x, y, width, height } areas enemy portals open in
+        this.pickupPoints = [];  // { x, y } where pickups drop when the level starts
+        this.propPoints = [];    // { x, y, prop } breakable props the map places (PropSystem)
+        
+        // Biome of the current level's stage (biomes.js): generation rules and tileset palette
+        this.biome = null;
+        
         // Terrain effects settings
+        // pathCost weighs the tile for enemy pathfinding (FlowFieldSystem): slow tiles
+        // cost more, damaging ones much more, and border walls are avoided entirely.
+        // damageType tags terrain damage (damageTypes.js, default physical).
+        // slides: the snake can't turn until it leaves the tile (MovementSystem);
+        // heal: health restored per second to the commander and followers;
+        // blocksMovement: the snake can't step onto the tile at all
         this.effects = {
-            [TERRAIN.MEADOW]: { name: 'Meadow', slowFactor: 1.0, damage: 0 },
-            [TERRAIN.BUSH]: { name: 'Bush', slowFactor: 0.75, damage: 0 },
-            [TERRAIN.FOREST]: { name: 'Forest', slowFactor: 0.5, damage: 0 },
-            [TERRAIN.SWAMP]: { name: 'Swamp', slowFactor: 0.9, damage: 1 },
-            [TERRAIN.FLOOR]: { name: 'Floor', slowFactor: 1.0, damage: 0 },
-            [TERRAIN.BORDER]: { name: 'Border', slowFactor: 0.5, damage: 2 }
+            [TERRAIN.MEADOW]: { name: 'Meadow', slowFactor: 1.0, damage: 0, pathCost: 1 },
+            [TERRAIN.BUSH]: { name: 'Bush', slowFactor: 0.75, damage: 0, pathCost: 1.5 },
+            [TERRAIN.FOREST]: { name: 'Forest', slowFactor: 0.5, damage: 0, pathCost: 2.5 },
+            [TERRAIN.SWAMP]: { name: 'Swamp', slowFactor: 0.9, damage: 1, damageType: 'poison', pathCost: 6 },
+            [TERRAIN.FLOOR]: { name: 'Floor', slowFactor: 1.0, damage: 0, pathCost: 1 },
+            [TERRAIN.BORDER]: { name: 'Border', slowFactor: 0.5, damage: 2, pathCost: 40 },
+            [TERRAIN.ICE]: { name: 'Ice', slowFactor: 1.0, damage: 0, slides: true, pathCost: 1.5 },
+            [TERRAIN.LAVA]: { name: 'Lava', slowFactor: 0.8, damage: 3, damageType: 'fire', pathCost: 12 },
+            [TERRAIN.CONSECRATED]: { name: 'Consecrated Ground', slowFactor: 1.0, damage: 0, heal: 1, pathCost: 1 },
+            [TERRAIN.RUBBLE]: { name: 'Rubble', slowFactor: 0.5, damage: 0, blocksMovement: true, pathCost: 40 }
         };
     }
     
     /**
      * Create and initialize the terrain
+     * @param {SeededRandom} random - Random stream for generation (unseeded if omitted)
+     * @param {number} level - Campaign level, which may have a hand-authored map
      */
-    createTerrain() {
+    createTerrain(random = null, level = 1) {
         // Create a new tilemap with the correct dimensions
         this.terrainMap = this.scene.make.tilemap({
             tileWidth: TILE_SIZE,
@@ -63,14 +98,8 @@ export default class TerrainSystem {
         this.terrainLayer.width = WORLD_WIDTH;
         this.terrainLayer.height = WORLD_HEIGHT;
         
-        // First, generate the main terrain
-        this.generateTerrain();
-        
-        // Then add border walls on top of the terrain
-        this.createBorderWalls();
-        
-        // Set collision properties for swamp and border tiles
-        this.terrainLayer.setCollisionByProperty({ index: [TERRAIN.SWAMP, TERRAIN.BORDER] });
+        // Lay out the level's map, or generate the terrain, with border walls on top
+        this.buildLevelTerrain(level, random || new SeededRandom());
         
         // Add collision for player
         if (this.scene.player) {
@@ -80,6 +109,274 @@ export default class TerrainSystem {
         console.log('Terrain created with tileset:', this.terrainTileset);
     }
     
+    /**
+     * Fill the terrain layer for a level: its Tiled map if it has one that loads,
+     * procedural terrain for its stage's biome otherwise
+     * @param {number} level - Campaign level
+     * @param {SeededRandom} random - Random stream for procedural terrain (the run's terrain stream if omitted)
+     */
+    buildLevelTerrain(level, random = null) {
+        const levelMap = getLevelMap(level);
+        this.mapKey = levelMap ? levelMap.key : null;
+        this.biome = getBiomeForLevel(level);
+        this.applyBiomeTileset(this.biome);
+        this.playerStart = null;
+        this.spawnZones = [];
+        this.pickupPoints = [];
+        this.propPoints = [];
+        
+        const map = levelMap ? this.getTiledMapData(levelMap.key) : null;
+        if (map && this.applyTiledMap(map)) {
+            console.log(`Terrain loaded from map ${levelMap.key} for level ${level}`);
+        } else {
+            // Restart the run's terrain stream so the same seed builds the same terrain again
+            this.generateTerrain(random || (this.scene.rng ? this.scene.rng.resetStream('terrain') : new SeededRandom()), this.biome);
+        }
+        
+        // Then add border walls on top of the terrain
+        this.createBorderWalls();
+        
+        // Set collision properties for swamp, border and rubble tiles
+        this.terrainLayer.setCollisionByProperty({ index: [TERRAIN.SWAMP, TERRAIN.BORDER, TERRAIN.RUBBLE] });
+    }
+    
+    /**
+     * Draw the terrain layer in a biome's palette
+     * @param {object} biome - Biome profile from biomes.js
+     */
+    applyBiomeTileset(biome) {
+        const textureKey = `terrain_${biome.key}`;
+        if (!this.terrainTileset || !this.scene.textures.exists(textureKey)) return;
+        
+        this.terrainTileset.setImage(this.scene.textures.get(textureKey));
+    }
+    
+    /**
+     * Rebuild the terrain when a level uses a different map or biome than the current one.
+     * Rebuild the flow field and place the snake afterwards (see GameScene.updateLevel)
+     * @param {number} level - Campaign level
+     * @returns {boolean} True if the terrain was rebuilt
+     */
+    setLevel(level) {
+        if (!this.terrainLayer) return false;
+        
+        const levelMap = getLevelMap(level);
+        if ((levelMap ? levelMap.key : null) === this.mapKey && getBiomeForLevel(level) === this.biome) return false;
+        
+        this.buildLevelTerrain(level);
+        return true;
+    }
+    
+    /**
+     * Parsed Tiled JSON loaded in GameScene.preload
+     * @param {string} key - Cache key from levelMaps.js
+     * @returns {object|null} Map data, or null if it didn't load
+     */
+    getTiledMapData(key) {
+        if (!this.scene.cache.json.exists(key)) {
+            console.warn(`[TerrainSystem] Map ${key} is not loaded, using procedural terrain`);
+            return null;
+        }
+        return this.scene.cache.json.get(key);
+    }
+    
+    /**
+     * Lay out the terrain, spawn zones, pickups and obstacles from a Tiled map
+     * (format in levelMaps.js)
+     * @param {object} map - Tiled JSON map
+     * @returns {boolean} False if the map can't be used, leaving the terrain untouched
+     */
+    applyTiledMap(map) {
+        if (!Array.isArray(map.layers) || map.infinite) {
+            console.warn('[TerrainSystem] Tiled map must be a finite map with layers, using procedural terrain');
+            return false;
+        }
+        
+        const layers = this.getTiledLayers(map.layers);
+        const unsupported = layers.find(layer => layer.type === 'tilelayer' && !Array.isArray(layer.data));
+        if (unsupported) {
+            console.warn(`[TerrainSystem] Tile layer "${unsupported.name}" must use the CSV layer format, using procedural terrain`);
+            return false;
+        }
+        
+        // Center smaller maps on the world and scale objects to our tile size
+        const offsetX = Math.max(0, Math.floor((GRID_COLS - map.width) / 2));
+        const offsetY = Math.max(0, Math.floor((GRID_ROWS - map.height) / 2));
+        const scale = TILE_SIZE / (map.tilewidth || TILE_SIZE);
+        const terrainByGid = this.getTiledTerrainLookup(map.tilesets || []);
+        
+        for (let y = 0; y < GRID_ROWS; y++) {
+            for (let x = 0; x < GRID_COLS; x++) {
+                this.placeTerrain(x, y, TERRAIN.FLOOR);
+            }
+        }
+        
+        layers.forEach(layer => {
+            if (layer.type === 'tilelayer') {
+                this.applyTiledTileLayer(layer, layer.width || map.width, terrainByGid, offsetX, offsetY);
+            } else if (layer.type === 'objectgroup') {
+                this.applyTiledObjectLayer(layer, scale, offsetX * TILE_SIZE, offsetY * TILE_SIZE);
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Flatten Tiled group layers into their layers, in drawing order
+     * @param {Array<object>} layers - Tiled layers
+     * @returns {Array<object>} Tile and object layers
+     */
+    getTiledLayers(layers) {
+        return layers.flatMap(layer => (layer.type === 'group' ? this.getTiledLayers(layer.layers || []) : [layer]));
+    }
+    
+    /**
+     * Terrain type of each global tile id the map's tilesets define
+     * @param {Array<object>} tilesets - Tiled tilesets
+     * @returns {object} { gid: terrain type }
+     */
+    getTiledTerrainLookup(tilesets) {
+        const lookup = {};
+        
+        tilesets.forEach(tileset => {
+            const firstgid = tileset.firstgid || 1;
+            const tileCount = tileset.tilecount || Object.keys(TERRAIN).length;
+            
+            // Tile ids follow the terrain indices...
+            Object.values(TERRAIN).forEach(terrainType => {
+                if (terrainType < tileCount) {
+                    lookup[firstgid + terrainType] = terrainType;
+                }
+            });
+            
+            // ...unless the tile names its terrain
+            (tileset.tiles || []).forEach(tile => {
+                const terrainType = this.getTerrainByName(this.getTiledProperty(tile.properties, 'terrain'));
+                if (terrainType !== undefined) {
+                    lookup[firstgid + tile.id] = terrainType;
+                }
+            });
+        });
+        
+        return lookup;
+    }
+    
+    /**
+     * Place a Tiled tile layer's terrain; empty and unknown tiles keep what is below
+     * @param {object} layer - Tiled tile layer
+     * @param {number} width - Layer width in tiles
+     * @param {object} terrainByGid - Lookup from getTiledTerrainLookup()
+     * @param {number} offsetX - Column of the map's left edge
+     * @param {number} offsetY - Row of the map's top edge
+     */
+    applyTiledTileLayer(layer, width, terrainByGid, offsetX, offsetY) {
+        layer.data.forEach((gid, i) => {
+            const terrainType = terrainByGid[gid & TILED_GID_MASK];
+            if (terrainType === undefined) return;
+            
+            const x = offsetX + (i % width);
+            const y = offsetY + Math.floor(i / width);
+            if (x < GRID_COLS && y < GRID_ROWS) {
+                this.placeTerrain(x, y, terrainType);
+            }
+        });
+    }
+    
+    /**
+     * Read the player start, spawn zones, pickups, props and obstacles of a Tiled object layer
+     * @param {object} layer - Tiled object layer
+     * @param {number} scale - World pixels per map pixel
+     * @param {number} originX - World x of the map's left edge
+     * @param {number} originY - World y of the map's top edge
+     */
+    applyTiledObjectLayer(layer, scale, originX, originY) {
+        (layer.objects || []).forEach(object => {
+            // Object class first, then the layer name (plural layer names work too)
+            const kind = (object.type || object.class || layer.name || '').replace(/s$/, '');
+            const x = originX + object.x * scale;
+            const y = originY + object.y * scale;
+            const width = (object.width || 0) * scale;
+            const height = (object.height || 0) * scale;
+            
+            switch (kind) {
+                case 'playerStart':
+                    // Snap to a tile center, the snake moves on the tile grid
+                    this.playerStart = {
+                        x: Math.floor((x + width / 2) / TILE_SIZE) * TILE_SIZE + TILE_SIZE / 2,
+                        y: Math.floor((y + height / 2) / TILE_SIZE) * TILE_SIZE + TILE_SIZE / 2
+                    };
+                    break;
+                case 'spawnZone':
+                    this.spawnZones.push({ x, y, width, height });
+                    break;
+                case 'pickup':
+                    this.pickupPoints.push({ x: x + width / 2, y: y + height / 2 });
+                    break;
+                case 'prop':
+                    // Props take up a whole tile, like the walls they stand in for
+                    this.propPoints.push({
+                        x: Math.floor((x + width / 2) / TILE_SIZE) * TILE_SIZE + TILE_SIZE / 2,
+                        y: Math.floor((y + height / 2) / TILE_SIZE) * TILE_SIZE + TILE_SIZE / 2,
+                        prop: this.getTiledProperty(object.properties, 'prop')
+                    });
+                    break;
+                case 'obstacle': {
+                    const terrainType = this.getTerrainByName(this.getTiledProperty(object.properties, 'terrain'));
+                    this.fillTerrainRect(x, y, width, height, terrainType !== undefined ? terrainType : TERRAIN.BORDER);
+                    break;
+                }
+                default:
+                    console.warn(`[TerrainSystem] Ignoring map object "${object.name || object.id}" of unknown kind "${kind}"`);
+            }
+        });
+    }
+    
+    /**
+     * Fill every tile a world rectangle touches with one terrain type
+     * @param {number} x - Left edge in world pixels
+     * @param {number} y - Top edge in world pixels
+     * @param {number} width - Width in world pixels
+     * @param {number} height - Height in world pixels
+     * @param {number} terrainType - Terrain to place
+     */
+    fillTerrainRect(x, y, width, height, terrainType) {
+        const left = Math.max(0, Math.floor(x / TILE_SIZE));
+        const top = Math.max(0, Math.floor(y / TILE_SIZE));
+        const right = Math.min(GRID_COLS - 1, Math.ceil((x + width) / TILE_SIZE) - 1);
+        const bottom = Math.min(GRID_ROWS - 1, Math.ceil((y + height) / TILE_SIZE) - 1);
+        
+        for (let tileY = top; tileY <= Math.max(top, bottom); tileY++) {
+            for (let tileX = left; tileX <= Math.max(left, right); tileX++) {
+                this.placeTerrain(tileX, tileY, terrainType);
+            }
+        }
+    }
+    
+    /**
+     * Value of a custom property on a Tiled tile or object
+     * @param {Array|object} properties - Tiled properties (an array since Tiled 1.2, an object before)
+     * @param {string} name - Property name
+     * @returns {*} Value, or undefined if not set
+     */
+    getTiledProperty(properties, name) {
+        if (!properties) return undefined;
+        if (Array.isArray(properties)) {
+            const property = properties.find(entry => entry.name === name);
+            return property ? property.value : undefined;
+        }
+        return properties[name];
+    }
+    
+    /**
+     * Terrain type for a name used in maps ('meadow', 'bush', 'forest', 'swamp', 'floor', 'border')
+     * @param {string} name - Terrain name
+     * @returns {number|undefined} Terrain type, or undefined for an unknown name
+     */
+    getTerrainByName(name) {
+        return typeof name === 'string' ? TERRAIN[name.toUpperCase()] : undefined;
+    }
+    
     /**
      * Create border walls around the map edges
      */
@@ -154,7 +451,7 @@ export default class TerrainSystem {
                 // Apply damage with a cooldown
                 const currentTime = Date.now();
                 if (!player.lastTerrainDamageTime || currentTime - player.lastTerrainDamageTime > 500) {
-                    player.damage(damage);
+                    player.damage(damage, this.effects[terrainType].damageType);
                     player.lastTerrainDamageTime = currentTime;
                     
                     // Visual feedback for damage - different color based on terrain type
@@ -180,9 +477,12 @@ export default class TerrainSystem {
     
     /**
      * Generate terrain data based on current level
+     * @param {SeededRandom} random - Random stream; the same seed gives the same terrain
+     * @param {object} biome - Biome profile whose clusters are laid out (biomes.js), the first stage's if omitted
      */
-    generateTerrain() {
-        const noise = new Perlin();
+    generateTerrain(random, biome = getBiomeForLevel(1)) {
+        this.random = random;
+        const noise = new Perlin(random);
         const scale = 0.05; // Adjust this to change the size of terrain features
         
         // First fill the entire map with floor tiles
@@ -206,13 +506,17 @@ export default class TerrainSystem {
         // Create an array to track which cells we've already processed
         const processed = Array(GRID_ROWS).fill().map(() => Array(GRID_COLS).fill(false));
         
-        // Create clusters for each terrain type
-        this.createTerrainClusters(TERRAIN.FOREST, 3, 8, 15, processed, noise);
-        this.createTerrainClusters(TERRAIN.BUSH, 4, 6, 12, processed, noise);
-        this.createTerrainClusters(TERRAIN.SWAMP, 2, 5, 10, processed, noise);
-        this.createTerrainClusters(TERRAIN.MEADOW, 3, 7, 12, processed, noise);
+        // Create the biome's clusters in order
+        biome.clusters.forEach(cluster => {
+            const terrainType = this.getTerrainByName(cluster.terrain);
+            if (terrainType === undefined) {
+                console.warn(`Unknown terrain "${cluster.terrain}" in biome ${biome.key}`);
+                return;
+            }
+            this.createTerrainClusters(terrainType, cluster.count, cluster.minSize, cluster.maxSize, processed, noise);
+        });
         
-        console.log('Terrain generated with ~95% floor tiles and clustered terrain types');
+        console.log(`${biome.name} terrain generated with ~95% floor tiles and clustered terrain types`);
     }
     
     /**
@@ -234,8 +538,8 @@ export default class TerrainSystem {
             const maxAttempts = 50;
             
             do {
-                startX = Phaser.Math.Between(5, GRID_COLS - 5);
-                startY = Phaser.Math.Between(5, GRID_ROWS - 5);
+                startX = this.random.between(5, GRID_COLS - 5);
+                startY = this.random.between(5, GRID_ROWS - 5);
                 attempts++;
                 
                 // Break if we can't find a valid spot after many attempts
@@ -248,7 +552,7 @@ export default class TerrainSystem {
             processed[startY][startX] = true;
             
             // Determine cluster size
-            const clusterSize = Phaser.Math.Between(minSize, maxSize);
+            const clusterSize = this.random.between(minSize, maxSize);
             
             // Create the cluster using a flood fill approach with randomization
             this.createCluster(startX, startY, terrainType, clusterSize, processed, noise);
@@ -283,7 +587,7 @@ export default class TerrainSystem {
         
         while (queue.length > 0 && cellsPlaced < size) {
             // Get random element from queue instead of FIFO for more natural shapes
-            const randomIndex = Math.floor(Math.random() * queue.length);
+            const randomIndex = Math.floor(this.random.frac() * queue.length);
             const current = queue[randomIndex];
             queue.splice(randomIndex, 1);
             
@@ -305,7 +609,7 @@ export default class TerrainSystem {
                 const noiseValue = noise.noise(nx * 0.2, ny * 0.2);
                 const probability = 0.7 + noiseValue * 0.3; // 40% to 100% chance based on noise
                 
-                if (Math.random() < probability) {
+                if (this.random.frac() < probability) {
                     this.placeTerrain(nx, ny, terrainType);
                     processed[ny][nx] = true;
                     queue.push({x: nx, y: ny});
@@ -357,8 +661,8 @@ export default class TerrainSystem {
             attempts++;
             
             // Random cluster center, avoiding edges
-            const centerX = Math.floor(width * 0.1) + Math.floor(Math.random() * (width * 0.8));
-            const centerY = Math.floor(height * 0.1) + Math.floor(Math.random() * (height * 0.8));
+            const centerX = Math.floor(width * 0.1) + Math.floor(this.random.frac() * (width * 0.8));
+            const centerY = Math.floor(height * 0.1) + Math.floor(this.random.frac() * (height * 0.8));
             
             // Check if this is too close to another cluster
             let tooClose = false;
@@ -382,7 +686,7 @@ export default class TerrainSystem {
             clustersCreated++;
             
             // Random cluster size
-            const clusterSize = minClusterSize + Math.floor(Math.random() * (maxClusterSize - minClusterSize));
+            const clusterSize = minClusterSize + Math.floor(this.random.frac() * (maxClusterSize - minClusterSize));
             
             // Generate the meadow cluster
             for (let y = centerY - clusterSize/2; y < centerY + clusterSize/2; y++) {
@@ -396,9 +700,9 @@ export default class TerrainSystem {
                         const meadowProb = Math.max(0, 1 - normalizedDist * 1.1);
                         
                         // Add noise for more natural edges
-                        const noise = Math.random() * 0.2;
+                        const noise = this.random.frac() * 0.2;
                         
-                        if (Math.random() < meadowProb - noise) {
+                        if (this.random.frac() < meadowProb - noise) {
                             mapData[Math.floor(y)][Math.floor(x)] = TERRAIN.MEADOW;
                         }
                     }
@@ -406,8 +710,8 @@ export default class TerrainSystem {
             }
             
             // Occasionally create connecting paths between meadow clusters
-            if (clustersCreated > 1 && Math.random() < 0.7) {
-                const previousCenterIndex = Math.floor(Math.random() * (clusterCenters.length - 1));
+            if (clustersCreated > 1 && this.random.frac() < 0.7) {
+                const previousCenterIndex = Math.floor(this.random.frac() * (clusterCenters.length - 1));
                 const prevCenter = clusterCenters[previousCenterIndex];
                 this.createMeadowPath(mapData, prevCenter.x, prevCenter.y, centerX, centerY, width, height);
             }
@@ -434,15 +738,15 @@ export default class TerrainSystem {
             const additionalPatches = Math.ceil((targetPercentage - currentPercentage) * totalTiles / 100);
             
             for (let p = 0; p < additionalPatches; p++) {
-                const patchX = Math.floor(Math.random() * width);
-                const patchY = Math.floor(Math.random() * height);
-                const patchSize = 3 + Math.floor(Math.random() * 5);
+                const patchX = Math.floor(this.random.frac() * width);
+                const patchY = Math.floor(this.random.frac() * height);
+                const patchSize = 3 + Math.floor(this.random.frac() * 5);
                 
                 for (let y = patchY - patchSize/2; y < patchY + patchSize/2; y++) {
                     for (let x = patchX - patchSize/2; x < patchX + patchSize/2; x++) {
                         if (y >= 0 && y < height && x >= 0 && x < width) {
                             const dist = Math.sqrt(Math.pow(x - patchX, 2) + Math.pow(y - patchY, 2));
-                            if (dist < patchSize/2 && Math.random() < 0.7) {
+                            if (dist < patchSize/2 && this.random.frac() < 0.7) {
                                 mapData[Math.floor(y)][Math.floor(x)] = TERRAIN.MEADOW;
                             }
                         }
@@ -465,11 +769,11 @@ export default class TerrainSystem {
         
         for (let c = 0; c < forestClusterCount; c++) {
             // Random cluster center, avoiding map edges
-            const centerX = Math.floor(width * 0.2) + Math.floor(Math.random() * (width * 0.6));
-            const centerY = Math.floor(height * 0.2) + Math.floor(Math.random() * (height * 0.6));
+            const centerX = Math.floor(width * 0.2) + Math.floor(this.random.frac() * (width * 0.6));
+            const centerY = Math.floor(height * 0.2) + Math.floor(this.random.frac() * (height * 0.6));
             
             // Random cluster size
-            const clusterSize = minClusterSize + Math.floor(Math.random() * (maxClusterSize - minClusterSize));
+            const clusterSize = minClusterSize + Math.floor(this.random.frac() * (maxClusterSize - minClusterSize));
             
             // Generate the forest cluster using a noise-based approach
             for (let y = centerY - clusterSize/2; y < centerY + clusterSize/2; y++) {
@@ -483,9 +787,9 @@ export default class TerrainSystem {
                         const forestProb = Math.max(0, 1 - normalizedDist);
                         
                         // Add noise for more natural look
-                        const noise = Math.random() * 0.2;
+                        const noise = this.random.frac() * 0.2;
                         
-                        if (Math.random() < forestProb - noise) {
+                        if (this.random.frac() < forestProb - noise) {
                             mapData[Math.floor(y)][Math.floor(x)] = TERRAIN.FOREST;
                         }
                     }
@@ -564,7 +868,7 @@ export default class TerrainSystem {
                 }
                 
                 // Higher probability of bush if near forest
-                if (hasForestNeighbor && Math.random() < 0.4) {
+                if (hasForestNeighbor && this.random.frac() < 0.4) {
                     mapData[y][x] = TERRAIN.BUSH;
                 }
             }
@@ -589,8 +893,8 @@ export default class TerrainSystem {
             attempts++;
             
             // Random cluster center, avoiding edges
-            const centerX = Math.floor(width * 0.1) + Math.floor(Math.random() * (width * 0.8));
-            const centerY = Math.floor(height * 0.1) + Math.floor(Math.random() * (height * 0.8));
+            const centerX = Math.floor(width * 0.1) + Math.floor(this.random.frac() * (width * 0.8));
+            const centerY = Math.floor(height * 0.1) + Math.floor(this.random.frac() * (height * 0.8));
             
             // Check if this is too close to another cluster
             let tooClose = false;
@@ -614,7 +918,7 @@ export default class TerrainSystem {
             clustersCreated++;
             
             // Random cluster size
-            const clusterSize = minClusterSize + Math.floor(Math.random() * (maxClusterSize - minClusterSize));
+            const clusterSize = minClusterSize + Math.floor(this.random.frac() * (maxClusterSize - minClusterSize));
             
             // Generate the bush cluster using noise-based approach
             for (let y = centerY - clusterSize/2; y < centerY + clusterSize/2; y++) {
@@ -631,9 +935,9 @@ export default class TerrainSystem {
                         const bushProb = Math.max(0, 1 - normalizedDist * 1.2);
                         
                         // Add noise for more natural look
-                        const noise = Math.random() * 0.3;
+                        const noise = this.random.frac() * 0.3;
                         
-                        if (Math.random() < bushProb - noise) {
+                        if (this.random.frac() < bushProb - noise) {
                             mapData[Math.floor(y)][Math.floor(x)] = TERRAIN.BUSH;
                         }
                     }
@@ -664,8 +968,8 @@ export default class TerrainSystem {
             attempts++;
             
             // Random cluster center, avoiding edges
-            const centerX = Math.floor(width * 0.1) + Math.floor(Math.random() * (width * 0.8));
-            const centerY = Math.floor(height * 0.1) + Math.floor(Math.random() * (height * 0.8));
+            const centerX = Math.floor(width * 0.1) + Math.floor(this.random.frac() * (width * 0.8));
+            const centerY = Math.floor(height * 0.1) + Math.floor(this.random.frac() * (height * 0.8));
             
             // Check if this is too close to another cluster
             let tooClose = false;
@@ -689,7 +993,7 @@ export default class TerrainSystem {
             clustersCreated++;
             
             // Random cluster size
-            const clusterSize = minClusterSize + Math.floor(Math.random() * (maxClusterSize - minClusterSize));
+            const clusterSize = minClusterSize + Math.floor(this.random.frac() * (maxClusterSize - minClusterSize));
             
             // Generate the swamp cluster
             for (let y = centerY - clusterSize/2; y < centerY + clusterSize/2; y++) {
@@ -706,9 +1010,9 @@ export default class TerrainSystem {
                         const swampProb = Math.max(0, 1 - normalizedDist * 1.1);
                         
                         // Add noise for more natural edges and make more contiguous
-                        const noise = Math.random() * 0.25; // Less noise for more solid swamp patches
+                        const noise = this.random.frac() * 0.25; // Less noise for more solid swamp patches
                         
-                        if (Math.random() < swampProb - noise) {
+                        if (this.random.frac() < swampProb - noise) {
                             mapData[Math.floor(y)][Math.floor(x)] = TERRAIN.SWAMP;
                         }
                     }
@@ -716,7 +1020,7 @@ export default class TerrainSystem {
             }
             
             // Add connecting streams between swamps if there's more than one
-            if (clustersCreated > 1 && clustersCreated < swampClusterCount && Math.random() < 0.6) {
+            if (clustersCreated > 1 && clustersCreated < swampClusterCount && this.random.frac() < 0.6) {
                 const prevCenter = clusterCenters[clustersCreated - 2];
                 this.createSwampStream(mapData, prevCenter.x, prevCenter.y, centerX, centerY, width, height);
             }
@@ -734,7 +1038,7 @@ export default class TerrainSystem {
         for (let i = 0; i <= steps; i++) {
             const t = i / steps;
             // Add some noise to make the stream winding
-            const noise = (Math.random() - 0.5) * 8;
+            const noise = (this.random.frac() - 0.5) * 8;
             const px = Math.floor(x1 + (x2 - x1) * t + noise);
             const py = Math.floor(y1 + (y2 - y1) * t + noise);
             points.push({x: px, y: py});
@@ -742,7 +1046,7 @@ export default class TerrainSystem {
         
         // Draw swamp along the path
         for (const point of points) {
-            const streamWidth = 2 + Math.floor(Math.random() * 3);
+            const streamWidth = 2 + Math.floor(this.random.frac() * 3);
             for (let dy = -streamWidth; dy <= streamWidth; dy++) {
                 for (let dx = -streamWidth; dx <= streamWidth; dx++) {
                     const nx = point.x + dx;
@@ -750,7 +1054,7 @@ export default class TerrainSystem {
                     
                     if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
                         // Only replace meadow with 70% chance to make it look natural
-                        if (mapData[ny][nx] === TERRAIN.MEADOW && Math.random() < 0.7) {
+                        if (mapData[ny][nx] === TERRAIN.MEADOW && this.random.frac() < 0.7) {
                             mapData[ny][nx] = TERRAIN.SWAMP;
                         }
                     }
@@ -849,6 +1153,17 @@ export default class TerrainSystem {
         return this.effects[tile.index] || null;
     }
     
+    /**
+     * Whether the snake can't step onto a world position (like rubble walls)
+     * @param {number} x - World x position
+     * @param {number} y - World y position
+     * @returns {boolean} True if the terrain there blocks movement
+     */
+    isBlockedAt(x, y) {
+        const terrainEffect = this.getTerrainAt(x, y);
+        return !!(terrainEffect && terrainEffect.blocksMovement);
+    }
+    
     /**
      * Apply terrain effects to an entity based on its position
      * @param {object} entity - The entity to apply effects to
@@ -889,7 +1204,7 @@ export default class TerrainSystem {
             // Use a damage timer to avoid applying damage every frame
             const currentTime = Date.now();
             if (!entity.lastTerrainDamageTime || currentTime - entity.lastTerrainDamageTime > 1000) {
-                entity.damage(terrainEffect.damage);
+                entity.damage(terrainEffect.damage, terrainEffect.damageType);
                 entity.lastTerrainDamageTime = currentTime;
                 
                 // Different visual effects based on terrain type
@@ -917,6 +1232,17 @@ export default class TerrainSystem {
             }
         }
         
+        // Heal the snake on healing terrain (like consecrated ground) - never enemies
+        const isSnakeSegment = entity.constructor.name === 'Player' || entity.constructor.name === 'Follower';
+        if (terrainEffect.heal > 0 && isSnakeSegment && entity.health < entity.maxHealth) {
+            const currentTime = Date.now();
+            if (!entity.lastTerrainHealTime || currentTime - entity.lastTerrainHealTime > 1000) {
+                entity.health = Math.min(entity.maxHealth, entity.health + terrainEffect.heal);
+                entity.lastTerrainHealTime = currentTime;
+                entity.updateHealthBar();
+            }
+        }
+        
         // For debugging: track terrain changes for player entity
         if (entity.constructor.name === 'Player' && entity.lastTerrainName !== terrainEffect.name) {
             entity.lastTerrainName = terrainEffect.name;
@@ -959,7 +1285,7 @@ export default class TerrainSystem {
         for (let i = 0; i <= steps; i++) {
             const t = i / steps;
             // Add some noise to make the path winding
-            const noise = (Math.random() - 0.5) * 10;
+            const noise = (this.random.frac() - 0.5) * 10;
             const px = Math.floor(x1 + (x2 - x1) * t + noise);
             const py = Math.floor(y1 + (y2 - y1) * t + noise);
             points.push({x: px, y: py});
@@ -967,7 +1293,7 @@ export default class TerrainSystem {
         
         // Draw meadow along the path
         for (const point of points) {
-            const pathWidth = 3 + Math.floor(Math.random() * 4);
+            const pathWidth = 3 + Math.floor(this.random.frac() * 4);
             for (let dy = -pathWidth; dy <= pathWidth; dy++) {
                 for (let dx = -pathWidth; dx <= pathWidth; dx++) {
                     const nx = point.x + dx;
@@ -977,7 +1303,7 @@ export default class TerrainSystem {
                         const dist = Math.sqrt(dx*dx + dy*dy);
                         // Decrease probability with distance from path center
                         const prob = 0.9 - (dist / pathWidth);
-                        if (Math.random() < prob) {
+                        if (this.random.frac() < prob) {
                             mapData[ny][nx] = TERRAIN.MEADOW;
                         }
                     }
@@ -990,9 +1316,9 @@ export default class TerrainSystem {
         const numClearings = Math.floor((GRID_COLS * GRID_ROWS) / 1000); // Scale with map size
         
         for (let i = 0; i < numClearings; i++) {
-            const centerX = Math.floor(Math.random() * GRID_COLS);
-            const centerY = Math.floor(Math.random() * GRID_ROWS);
-            const radius = Math.floor(Math.random() * 5) + 3;
+            const centerX = Math.floor(this.random.frac() * GRID_COLS);
+            const centerY = Math.floor(this.random.frac() * GRID_ROWS);
+            const radius = Math.floor(this.random.frac() * 5) + 3;
             
             // Create circular clearing
             for (let y = -radius; y <= radius; y++) {
@@ -1014,9 +1340,9 @@ export default class TerrainSystem {
         const numObstacles = Math.floor((GRID_COLS * GRID_ROWS) / 800); // Scale with map size
         
         for (let i = 0; i < numObstacles; i++) {
-            const x = Math.floor(Math.random() * GRID_COLS);
-            const y = Math.floor(Math.random() * GRID_ROWS);
-            const size = Math.floor(Math.random() * 3) + 2;
+            const x = Math.floor(this.random.frac() * GRID_COLS);
+            const y = Math.floor(this.random.frac() * GRID_ROWS);
+            const size = Math.floor(this.random.frac() * 3) + 2;
             
             // Create rectangular obstacle
             for (let dy = 0; dy < size; dy++) {
@@ -1035,10 +1361,13 @@ export default class TerrainSystem {
 
 // Simple Perlin noise implementation
 class Perlin {
-    constructor() {
+    /**
+     * @param {SeededRandom} random - Random stream used to shuffle the permutation table
+     */
+    constructor(random) {
         this.permutation = new Array(256).fill(0).map((_, i) => i);
         for (let i = 255; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random.frac() * (i + 1));
             [this.permutation[i], this.permutation[j]] = [this.permutation[j], this.permutation[i]];
         }
         this.permutation = [...this.permutation, ...this.permutation];
@@ -0,0 +1,271 @@
+import { TILE_SIZE } from '../constants.js';
+import { levelUpUpgrades, LEVEL_UP_RARITIES, LEVEL_UP_CHOICE_COUNT, LEVEL_UP_REROLLS } from '../data/levelUpUpgrades.js';
+import LevelUpUI from '../ui/LevelUpUI.js';
+import { getSceneRandom } from '../utils/SeededRandom.js';
+
+/**
+ * Offers upgrade cards on level-up and tracks the stacks picked this run
+ */
+export default class UpgradeSystem {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.stacks = {}; // { upgradeKey: { count, total } }
+        this.rerollsRemaining = LEVEL_UP_REROLLS;
+        this.pendingChoices = 0; // Level-ups waiting for a card to be picked
+        this.isChoosing = false;
+        this.currentChoices = [];
+
+        this.ui = new LevelUpUI(scene);
+
+        this.pickupMagnetSpeed = 300;
+    }
+
+    /**
+     * Queue a card choice; it opens as soon as gameplay is running
+     */
+    queueChoice() {
+        this.pendingChoices++;
+    }
+
+    /**
+     * Open queued choices and pull pickups towards the commander
+     * @param {number} delta - Delta time in ms
+     */
+    update(delta) {
+        if (this.pendingChoices > 0 && !this.isChoosing && this.scene.gameActive && !this.scene.gameOver) {
+            this.openChoice();
+            return;
+        }
+
+        this.updatePickupMagnet();
+    }
+
+    /**
+     * Pause the game and show a fresh set of cards
+     */
+    openChoice() {
+        this.isChoosing = true;
+        this.pauseGameplay();
+
+        this.currentChoices = this.rollChoices();
+        if (this.currentChoices.length === 0) {
+            // Everything is maxed out, nothing to offer
+            this.pendingChoices = 0;
+            this.isChoosing = false;
+            this.resumeGameplay();
+            return;
+        }
+
+        this.showChoices();
+    }
+
+    /**
+     * Show the current cards in the UI
+     */
+    showChoices() {
+        this.ui.show(this.currentChoices, this.rerollsRemaining, {
+            onPick: choice => this.choose(choice),
+            onReroll: () => this.reroll()
+        });
+    }
+
+    /**
+     * Replace the current cards, using up a reroll
+     */
+    reroll() {
+        if (!this.isChoosing || this.rerollsRemaining <= 0) return;
+
+        this.rerollsRemaining--;
+        this.currentChoices = this.rollChoices();
+        console.log(`[UpgradeSystem] Rerolled, ${this.rerollsRemaining} rerolls left`);
+        this.showChoices();
+    }
+
+    /**
+     * Apply the picked card and resume play
+     * @param {object} choice - Card from rollChoices()
+     */
+    choose(choice) {
+        if (!this.isChoosing) return;
+
+        const upgrade = levelUpUpgrades[choice.key];
+        const stack = this.stacks[choice.key] || { count: 0, total: 0 };
+        stack.count++;
+        stack.total += choice.value;
+        this.stacks[choice.key] = stack;
+
+        if (typeof upgrade.apply === 'function') {
+            upgrade.apply(this.scene, choice.value);
+        }
+        this.applyDerivedStats();
+
+        console.log(`[UpgradeSystem] Picked ${upgrade.name} (${choice.rarity}) x${stack.count}`);
+
+        this.pendingChoices = Math.max(0, this.pendingChoices - 1);
+        this.isChoosing = false;
+        this.currentChoices = [];
+        this.ui.hide();
+        this.resumeGameplay();
+    }
+
+    /**
+     * Draw distinct upgrade cards, weighted by upgrade and rarity
+     * @returns {object[]} Cards ({ key, name, rarity, value, description })
+     */
+    rollChoices() {
+        const available = Object.values(levelUpUpgrades).filter(upgrade =>
+            upgrade.maxStacks === null || this.getStackCount(upgrade.key) < upgrade.maxStacks
+        );
+        const choices = [];
+
+        while (choices.length < LEVEL_UP_CHOICE_COUNT && available.length > 0) {
+            const index = this.pickWeightedIndex(available.map(upgrade => upgrade.weight));
+            const upgrade = available.splice(index, 1)[0];
+
+            const rarities = Object.values(LEVEL_UP_RARITIES);
+            const rarity = rarities[this.pickWeightedIndex(rarities.map(tier => tier.weight))];
+            const value = upgrade.values[rarity.key];
+
+            choices.push({
+                key: upgrade.key,
+                name: upgrade.name,
+                rarity: rarity.key,
+                value,
+                description: upgrade.describe(value)
+            });
+        }
+
+        return choices;
+    }
+
+    /**
+     * Pick an index with probability proportional to its weight
+     * @param {number[]} weights - Relative weights
+     * @returns {number} Chosen index
+     */
+    pickWeightedIndex(weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = getSceneRandom(this.scene, 'upgrades').frac() * totalWeight;
+
+        for (let i = 0; i < weights.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return i;
+        }
+        return weights.length - 1;
+    }
+
+    /**
+     * Summed value of all stacks of an upgrade
+     * @param {string} key - Upgrade key from levelUpUpgrades
+     * @returns {number} Total bonus (0 if never picked)
+     */
+    getBonus(key) {
+        return this.stacks[key] ? this.stacks[key].total : 0;
+    }
+
+    /**
+     * Number of times an upgrade was picked
+     * @param {string} key - Upgrade key
+     * @returns {number} Stack count
+     */
+    getStackCount(key) {
+        return this.stacks[key] ? this.stacks[key].count : 0;
+    }
+
+    /**
+     * Picked upgrades for display (pause menu)
+     * @returns {object[]} Entries ({ name, count, description })
+     */
+    getTakenUpgrades() {
+        return Object.keys(this.stacks)
+            .filter(key => levelUpUpgrades[key])
+            .map(key => {
+                const upgrade = levelUpUpgrades[key];
+                const describeTotal = upgrade.describeTotal || upgrade.describe;
+                return {
+                    name: upgrade.name,
+                    count: this.stacks[key].count,
+                    description: describeTotal(this.stacks[key].total)
+                };
+            });
+    }
+
+    /**
+     * Recompute player fields that are derived from upgrade stacks
+     */
+    applyDerivedStats() {
+        if (this.scene.player) {
+            this.scene.player.specialRangeMultiplier = 1 + this.getBonus('specialRange') / 100;
+        }
+    }
+
+    /**
+     * Move experience pickups within the Lodestone radius towards the commander
+     */
+    updatePickupMagnet() {
+        const radius = this.getBonus('pickupRadius') * TILE_SIZE;
+        const player = this.scene.player;
+        if (radius <= 0 || !player || !player.active || !this.scene.pickups) return;
+
+        this.scene.pickups.getChildren().forEach(pickup => {
+            if (!pickup.active || !pickup.body) return;
+
+            if (Phaser.Math.Distance.Between(pickup.x, pickup.y, player.x, player.y) <= radius) {
+                this.scene.physics.moveToObject(pickup, player, this.pickupMagnetSpeed);
+            }
+        });
+    }
+
+    /**
+     * Stop gameplay while the cards are shown
+     */
+    pauseGameplay() {
+        this.scene.gameActive = false;
+        if (this.scene.physics && this.scene.physics.world) {
+            this.scene.physics.world.pause();
+        }
+        if (this.scene.spawnSystem) {
+            this.scene.spawnSystem.pauseTimers();
+        }
+    }
+
+    /**
+     * Resume gameplay after a card is picked
+     */
+    resumeGameplay() {
+        if (this.scene.physics && this.scene.physics.world) {
+            this.scene.physics.world.resume();
+        }
+        if (this.scene.spawnSystem) {
+            this.scene.spawnSystem.resumeTimers();
+        }
+        this.scene.gameActive = true;
+    }
+
+    /**
+     * Upgrade state for the campaign save
+     * @returns {object} Serializable state
+     */
+    getSaveData() {
+        return {
+            stacks: this.stacks,
+            rerollsRemaining: this.rerollsRemaining
+        };
+    }
+
+    /**
+     * Restore upgrade state from a campaign save
+     * One-off effects (max health, heals) are already part of the saved stats
+     * @param {object} data - Data from getSaveData()
+     */
+    restore(data) {
+        if (!data) return;
+
+        this.stacks = data.stacks || {};
+        if (typeof data.rerollsRemaining === 'number') {
+            this.rerollsRemaining = data.rerollsRemaining;
+        }
+        this.applyDerivedStats();
+    }
+}
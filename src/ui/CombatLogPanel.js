@@ -0,0 +1,239 @@
+import { GAME_WIDTH, GAME_HEIGHT, UI_FONT_FAMILY, UI_FONT_SIZES, UI_COLORS } from '../constants.js';
+import { getDamageType } from '../data/damageTypes.js';
+
+/**
+ * Combat log panel: damage dealt and taken this run broken down by damage
+ * type, and the most recent hits. Opened from the pause menu.
+ */
+export default class CombatLogPanel {
+    /**
+     * @param {Phaser.Scene} scene - The scene this panel belongs to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+        this.visible = false;
+        this.onClose = null;
+
+        this.panelWidth = 1000;
+        this.panelHeight = 760;
+        this.barWidth = 200;
+        this.rowHeight = 34;
+        this.depth = 1100; // Above the pause menu
+    }
+
+    /**
+     * Open the panel
+     * @param {function} onClose - Called after the panel is closed
+     */
+    show(onClose = null) {
+        this.onClose = onClose;
+        this.visible = true;
+        this.render();
+    }
+
+    /**
+     * Close the panel
+     */
+    hide() {
+        if (!this.visible) return;
+
+        this.destroyContainer();
+        this.visible = false;
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
+    }
+
+    /**
+     * Rebuild every element from the current combat log
+     */
+    render() {
+        this.destroyContainer();
+
+        this.container = this.scene.add.container(0, 0)
+            .setScrollFactor(0)
+            .setDepth(this.depth);
+
+        const left = GAME_WIDTH / 2 - this.panelWidth / 2;
+        const top = GAME_HEIGHT / 2 - this.panelHeight / 2;
+
+        // Block clicks from reaching whatever is underneath
+        const overlay = this.scene.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.6)
+            .setOrigin(0, 0)
+            .setScrollFactor(0)
+            .setInteractive();
+        const panel = this.scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2, this.panelWidth, this.panelHeight, 0x222222, 0.95)
+            .setStrokeStyle(2, 0xeeeeee)
+            .setScrollFactor(0);
+
+        const title = this.scene.add.text(GAME_WIDTH / 2, top + 35, 'Combat Log', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.TITLE,
+            color: '#FFFF00'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        this.container.add([overlay, panel, title]);
+
+        const combatLog = this.scene.combatLogSystem;
+        if (!combatLog) {
+            const emptyText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, 'No combat log this run', {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.LARGE,
+                color: UI_COLORS.TEXT
+            }).setOrigin(0.5).setScrollFactor(0);
+            this.container.add(emptyText);
+        } else {
+            this.createBreakdown('Damage Dealt', combatLog.getTotals(false), left + 40, top + 80);
+            this.createBreakdown('Damage Taken', combatLog.getTotals(true), left + this.panelWidth / 2 + 20, top + 80);
+            this.createRecentHits(combatLog.recentHits, left + 40, top + 390);
+        }
+
+        this.createCloseButton(GAME_WIDTH / 2, top + this.panelHeight - 40);
+    }
+
+    /**
+     * Create a column of per-type totals with bars scaled to the largest type
+     * @param {string} heading - Column heading
+     * @param {Array<object>} totals - From CombatLogSystem.getTotals
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     */
+    createBreakdown(heading, totals, x, y) {
+        const total = totals.reduce((sum, entry) => sum + entry.amount, 0);
+        const headingText = this.scene.add.text(x, y, `${heading}: ${this.formatAmount(total)}`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: UI_COLORS.TEXT
+        }).setScrollFactor(0);
+        this.container.add(headingText);
+
+        if (totals.length === 0) {
+            const noneText = this.scene.add.text(x, y + 45, 'Nothing yet', {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.SMALL,
+                color: '#AAAAAA'
+            }).setScrollFactor(0);
+            this.container.add(noneText);
+            return;
+        }
+
+        const largest = totals[0].amount || 1; // Immune-only hits log 0 damage
+        totals.forEach((entry, index) => {
+            const damageType = getDamageType(entry.damageType);
+            const rowY = y + 45 + index * this.rowHeight;
+
+            const name = this.scene.add.text(x, rowY, damageType.name, {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.SMALL,
+                color: this.toColorString(damageType.color)
+            }).setScrollFactor(0);
+
+            const barX = x + 100;
+            const barBg = this.scene.add.rectangle(barX, rowY + 2, this.barWidth, 16, 0x333333)
+                .setOrigin(0, 0)
+                .setScrollFactor(0);
+            const bar = this.scene.add.rectangle(barX, rowY + 2, Math.max(2, this.barWidth * entry.amount / largest), 16, damageType.color)
+                .setOrigin(0, 0)
+                .setScrollFactor(0);
+
+            const amount = this.scene.add.text(barX + this.barWidth + 10, rowY, `${this.formatAmount(entry.amount)} (${entry.hits} hits)`, {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.SMALL,
+                color: UI_COLORS.TEXT
+            }).setScrollFactor(0);
+
+            this.container.add([name, barBg, bar, amount]);
+        });
+    }
+
+    /**
+     * Create the list of the most recent hits, newest first
+     * @param {Array<object>} recentHits - From CombatLogSystem.recentHits
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     */
+    createRecentHits(recentHits, x, y) {
+        const heading = this.scene.add.text(x, y, 'Recent Hits', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: UI_COLORS.TEXT
+        }).setScrollFactor(0);
+        this.container.add(heading);
+
+        recentHits.forEach((hit, index) => {
+            const damageType = getDamageType(hit.damageType);
+            let note = '';
+            if (hit.resistance === 0) {
+                note = ' (immune)';
+            } else if (hit.resistance < 1) {
+                note = ' (resisted)';
+            } else if (hit.resistance > 1) {
+                note = ' (weakness)';
+            }
+
+            const line = this.scene.add.text(
+                x,
+                y + 40 + index * 24,
+                `${hit.taken ? '◀' : '▶'} ${hit.targetName} took ${this.formatAmount(hit.amount)} ${damageType.name}${note}`,
+                {
+                    fontFamily: UI_FONT_FAMILY,
+                    fontSize: UI_FONT_SIZES.SMALL,
+                    color: this.toColorString(damageType.color)
+                }
+            ).setScrollFactor(0);
+            this.container.add(line);
+        });
+    }
+
+    /**
+     * Create the close button
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     */
+    createCloseButton(x, y) {
+        const button = this.scene.add.rectangle(x, y, 180, 44, 0x555555)
+            .setScrollFactor(0)
+            .setInteractive({ useHandCursor: true });
+        const text = this.scene.add.text(x, y, 'Close', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: '#FFFF00'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        button.on('pointerover', () => button.setFillStyle(0x777777));
+        button.on('pointerout', () => button.setFillStyle(0x555555));
+        button.on('pointerdown', () => this.hide());
+
+        this.container.add([button, text]);
+    }
+
+    /**
+     * Round damage for display
+     * @param {number} amount - Damage
+     * @returns {string} Amount with at most one decimal
+     */
+    formatAmount(amount) {
+        return `${Math.round(amount * 10) / 10}`;
+    }
+
+    /**
+     * Convert a hex color number to a CSS color string
+     * @param {number} color - Color as 0xRRGGBB
+     * @returns {string} Color as #RRGGBB
+     */
+    toColorString(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * Destroy the container and everything in it
+     */
+    destroyContainer() {
+        if (this.container) {
+            this.container.destroy(true);
+            this.container = null;
+        }
+    }
+}
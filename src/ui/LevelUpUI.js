@@ -0,0 +1,172 @@
+import { GAME_WIDTH, GAME_HEIGHT, UI_DEPTH, UI_FONT_FAMILY, UI_FONT_SIZES, UI_COLORS } from '../constants.js';
+import { LEVEL_UP_RARITIES } from '../data/levelUpUpgrades.js';
+
+/**
+ * Level-up screen showing upgrade cards to pick from
+ */
+export default class LevelUpUI {
+    /**
+     * @param {Phaser.Scene} scene - The scene this UI belongs to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+        this.visible = false;
+
+        this.cardWidth = 300;
+        this.cardHeight = 380;
+        this.cardSpacing = 340;
+    }
+
+    /**
+     * Show (or refresh) the cards
+     * @param {object[]} choices - Cards from UpgradeSystem.rollChoices()
+     * @param {number} rerollsRemaining - Rerolls left this run
+     * @param {object} callbacks - { onPick(choice), onReroll() }
+     */
+    show(choices, rerollsRemaining, callbacks) {
+        this.destroyContainer();
+
+        this.container = this.scene.add.container(0, 0)
+            .setScrollFactor(0)
+            .setDepth(UI_DEPTH + 30);
+
+        const overlay = this.scene.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.7)
+            .setOrigin(0, 0)
+            .setScrollFactor(0);
+        this.container.add(overlay);
+
+        const titleText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 - 280, 'LEVEL UP! Choose an upgrade', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.TITLE,
+            color: '#FFFF00',
+            stroke: '#000000',
+            strokeThickness: 6
+        }).setOrigin(0.5).setScrollFactor(0);
+        this.container.add(titleText);
+
+        const firstX = GAME_WIDTH / 2 - (choices.length - 1) * this.cardSpacing / 2;
+        choices.forEach((choice, index) => {
+            this.createCard(choice, firstX + index * this.cardSpacing, GAME_HEIGHT / 2, callbacks.onPick);
+        });
+
+        this.createRerollButton(rerollsRemaining, callbacks.onReroll);
+
+        this.visible = true;
+    }
+
+    /**
+     * Create one upgrade card
+     * @param {object} choice - Card data
+     * @param {number} x - Card center x
+     * @param {number} y - Card center y
+     * @param {function} onPick - Called with the choice when clicked
+     */
+    createCard(choice, x, y, onPick) {
+        const rarity = LEVEL_UP_RARITIES[choice.rarity];
+        const owned = this.scene.upgradeSystem ? this.scene.upgradeSystem.getStackCount(choice.key) : 0;
+
+        const card = this.scene.add.rectangle(x, y, this.cardWidth, this.cardHeight, 0x222222, 0.95)
+            .setStrokeStyle(4, rarity.color)
+            .setScrollFactor(0)
+            .setInteractive({ useHandCursor: true });
+
+        const rarityText = this.scene.add.text(x, y - 150, rarity.name.toUpperCase(), {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.SMALL,
+            color: Phaser.Display.Color.IntegerToColor(rarity.color).rgba
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        const nameText = this.scene.add.text(x, y - 100, choice.name, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: UI_COLORS.TEXT,
+            align: 'center',
+            wordWrap: { width: this.cardWidth - 30 }
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        const descriptionText = this.scene.add.text(x, y, choice.description, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: '#CCCCCC',
+            align: 'center',
+            wordWrap: { width: this.cardWidth - 40 }
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        const ownedText = this.scene.add.text(x, y + 150, owned > 0 ? `Owned: x${owned}` : 'New!', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.SMALL,
+            color: owned > 0 ? UI_COLORS.EXPERIENCE : '#FFFF00'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        card.on('pointerover', () => card.setFillStyle(0x333333, 0.95));
+        card.on('pointerout', () => card.setFillStyle(0x222222, 0.95));
+        card.on('pointerdown', () => {
+            this.playSelectSound();
+            onPick(choice);
+        });
+
+        this.container.add([card, rarityText, nameText, descriptionText, ownedText]);
+    }
+
+    /**
+     * Create the reroll button under the cards
+     * @param {number} rerollsRemaining - Rerolls left this run
+     * @param {function} onReroll - Called when clicked
+     */
+    createRerollButton(rerollsRemaining, onReroll) {
+        const y = GAME_HEIGHT / 2 + 260;
+        const enabled = rerollsRemaining > 0;
+
+        const button = this.scene.add.rectangle(GAME_WIDTH / 2, y, 220, 50, enabled ? 0x555555 : 0x333333)
+            .setScrollFactor(0);
+        const buttonText = this.scene.add.text(GAME_WIDTH / 2, y, `Reroll (${rerollsRemaining})`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: enabled ? UI_COLORS.TEXT : '#777777'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        if (enabled) {
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerover', () => button.setFillStyle(0x777777));
+            button.on('pointerout', () => button.setFillStyle(0x555555));
+            button.on('pointerdown', () => {
+                this.playSelectSound();
+                onReroll();
+            });
+        }
+
+        this.container.add([button, buttonText]);
+    }
+
+    /**
+     * Hide the cards
+     */
+    hide() {
+        this.destroyContainer();
+        this.visible = false;
+    }
+
+    /**
+     * Destroy the container and all cards in it
+     */
+    destroyContainer() {
+        if (this.container) {
+            this.container.destroy(true);
+            this.container = null;
+        }
+    }
+
+    /**
+     * Play the selection sound if audio is available
+     */
+    playSelectSound() {
+        if (this.scene.audioManager) {
+            try {
+                this.scene.audioManager.playSFX('button_click');
+            } catch (error) {
+                console.warn('Failed to play button sound:', error);
+            }
+        }
+    }
+}
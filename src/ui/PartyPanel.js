@@ -0,0 +1,314 @@
+import { GAME_WIDTH, GAME_HEIGHT, UI_FONT_FAMILY, UI_FONT_SIZES, UI_COLORS, TILE_SIZE } from '../constants.js';
+import { ENGINEER_STAR_COLOR } from '../data/engineerStars.js';
+import { getDamageType } from '../data/damageTypes.js';
+
+/**
+ * Party management panel: reorder the follower chain, dismiss followers and
+ * inspect engineer stats. Opened from the pause menu and the victory screen.
+ */
+export default class PartyPanel {
+    /**
+     * @param {Phaser.Scene} scene - The scene this panel belongs to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+        this.visible = false;
+        this.onClose = null;
+
+        this.selectedIndex = 0;
+        this.pendingDismissIndex = -1; // Row waiting for a second click to confirm dismissal
+
+        this.panelWidth = 1200;
+        this.panelHeight = 820;
+        this.maxRowHeight = 44;
+        this.rowHeight = this.maxRowHeight;
+        this.listHeight = 630; // Rows shrink to fit long chains
+        this.depth = 1100; // Above the pause menu and the victory UI
+    }
+
+    /**
+     * Open the panel
+     * @param {function} onClose - Called after the panel is closed
+     */
+    show(onClose = null) {
+        this.onClose = onClose;
+        this.selectedIndex = 0;
+        this.pendingDismissIndex = -1;
+        this.visible = true;
+        this.render();
+    }
+
+    /**
+     * Close the panel
+     */
+    hide() {
+        if (!this.visible) return;
+
+        this.destroyContainer();
+        this.visible = false;
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
+    }
+
+    /**
+     * Rebuild every element from the current follower chain
+     */
+    render() {
+        this.destroyContainer();
+
+        // Drop destroyed followers so list indices match the chain (as moveSnake does)
+        this.scene.followers = this.scene.followers.filter(follower => follower.active);
+        const followers = this.scene.followers;
+        this.selectedIndex = Phaser.Math.Clamp(this.selectedIndex, 0, Math.max(0, followers.length - 1));
+
+        this.container = this.scene.add.container(0, 0)
+            .setScrollFactor(0)
+            .setDepth(this.depth);
+
+        const left = GAME_WIDTH / 2 - this.panelWidth / 2;
+        const top = GAME_HEIGHT / 2 - this.panelHeight / 2;
+
+        // Block clicks from reaching whatever is underneath
+        const overlay = this.scene.add.rectangle(0, 0, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.6)
+            .setOrigin(0, 0)
+            .setScrollFactor(0)
+            .setInteractive();
+        const panel = this.scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2, this.panelWidth, this.panelHeight, 0x222222, 0.95)
+            .setStrokeStyle(2, 0xeeeeee)
+            .setScrollFactor(0);
+
+        const maxFollowers = this.scene.combatSystem ? this.scene.combatSystem.getMaxFollowers() : followers.length;
+        const title = this.scene.add.text(GAME_WIDTH / 2, top + 35, `Party (${followers.length}/${maxFollowers})`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.TITLE,
+            color: '#FFFF00'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        const hint = this.scene.add.text(GAME_WIDTH / 2, top + 70, 'The commander leads; followers are listed front to back', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.SMALL,
+            color: '#AAAAAA'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        this.container.add([overlay, panel, title, hint]);
+
+        if (followers.length === 0) {
+            const emptyText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2, 'No followers yet', {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.LARGE,
+                color: UI_COLORS.TEXT
+            }).setOrigin(0.5).setScrollFactor(0);
+            this.container.add(emptyText);
+        } else {
+            this.rowHeight = Math.min(this.maxRowHeight, Math.floor(this.listHeight / followers.length));
+            followers.forEach((follower, index) => {
+                this.createRow(follower, index, followers.length, left + 30, top + 110 + index * this.rowHeight);
+            });
+            this.createDetails(followers[this.selectedIndex], left + 700, top + 110);
+        }
+
+        this.createCloseButton(GAME_WIDTH / 2, top + this.panelHeight - 40);
+    }
+
+    /**
+     * Create one row of the follower list
+     * @param {Follower} follower - Follower shown in the row
+     * @param {number} index - Chain index
+     * @param {number} count - Number of followers
+     * @param {number} x - Row left edge
+     * @param {number} y - Row top edge
+     */
+    createRow(follower, index, count, x, y) {
+        const selected = index === this.selectedIndex;
+        const rowWidth = 640;
+
+        const rowBg = this.scene.add.rectangle(x, y, rowWidth, this.rowHeight - 4, selected ? 0x444466 : 0x333333)
+            .setOrigin(0, 0)
+            .setScrollFactor(0)
+            .setInteractive({ useHandCursor: true });
+        rowBg.on('pointerdown', () => {
+            this.selectedIndex = index;
+            this.pendingDismissIndex = -1;
+            this.render();
+        });
+
+        const name = follower.engineerClass ? follower.engineerClass.name : 'Follower';
+        const textY = y + (this.rowHeight - 4) / 2;
+        const label = this.scene.add.text(x + 12, textY, `${index + 1}. ${name}`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: UI_COLORS.TEXT
+        }).setOrigin(0, 0.5).setScrollFactor(0);
+
+        const stars = this.scene.add.text(x + 250, textY, '★'.repeat(follower.starLevel || 1), {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: ENGINEER_STAR_COLOR
+        }).setOrigin(0, 0.5).setScrollFactor(0);
+
+        const health = this.scene.add.text(x + 320, textY, `HP ${Math.ceil(follower.health)}/${follower.maxHealth}`, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.SMALL,
+            color: UI_COLORS.HEALTH
+        }).setOrigin(0, 0.5).setScrollFactor(0);
+
+        this.container.add([rowBg, label, stars, health]);
+
+        const buttonY = textY;
+        if (index > 0) {
+            this.createButton(x + 450, buttonY, 40, '▲', () => this.moveFollower(index, index - 1));
+        }
+        if (index < count - 1) {
+            this.createButton(x + 495, buttonY, 40, '▼', () => this.moveFollower(index, index + 1));
+        }
+
+        const confirming = this.pendingDismissIndex === index;
+        this.createButton(x + 580, buttonY, 100, confirming ? 'Confirm?' : 'Dismiss', () => {
+            if (confirming) {
+                this.dismissFollower(index);
+            } else {
+                this.pendingDismissIndex = index;
+                this.render();
+            }
+        }, confirming ? 0xAA3333 : 0x663333);
+    }
+
+    /**
+     * Create the stats and ability description of the selected follower
+     * @param {Follower} follower - Selected follower
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     */
+    createDetails(follower, x, y) {
+        const engineerClass = follower.engineerClass;
+        const lines = [];
+
+        if (engineerClass) {
+            const stats = typeof follower.getAttackStats === 'function' ? follower.getAttackStats() : null;
+            lines.push(`${engineerClass.name}  ${'★'.repeat(follower.starLevel || 1)}`, '');
+            lines.push(`Health: ${Math.ceil(follower.health)}/${follower.maxHealth}`);
+            if (stats) {
+                lines.push(`Damage: ${Math.round(stats.damage * 10) / 10}`);
+                lines.push(`Range: ${Math.round(stats.range * 10) / 10}`);
+                lines.push(`Cooldown: ${(stats.cooldown / 1000).toFixed(1)}s`);
+            }
+            lines.push(`Damage type: ${getDamageType(engineerClass.damageType).name}`);
+            lines.push('', `Ability: ${engineerClass.ability || 'None'}`, engineerClass.description || '');
+        } else {
+            lines.push('Follower', '', `Health: ${Math.ceil(follower.health)}/${follower.maxHealth}`);
+        }
+
+        const details = this.scene.add.text(x, y, lines.join('\n'), {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            color: UI_COLORS.TEXT,
+            lineSpacing: 6,
+            wordWrap: { width: 440 }
+        }).setScrollFactor(0);
+
+        // Preview of the follower sprite
+        const preview = this.scene.add.image(x + 400, y + 20, follower.texture.key, follower.frame.name)
+            .setDisplaySize(TILE_SIZE * 1.5, TILE_SIZE * 1.5)
+            .setScrollFactor(0);
+
+        this.container.add([details, preview]);
+    }
+
+    /**
+     * Create a small rectangle button
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {number} width - Button width
+     * @param {string} label - Button text
+     * @param {function} onClick - Click handler
+     * @param {number} color - Fill color
+     */
+    createButton(x, y, width, label, onClick, color = 0x555555) {
+        const button = this.scene.add.rectangle(x, y, width, Math.min(32, this.rowHeight - 8), color)
+            .setScrollFactor(0)
+            .setInteractive({ useHandCursor: true });
+        const text = this.scene.add.text(x, y, label, {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.SMALL,
+            color: UI_COLORS.TEXT
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        button.on('pointerover', () => button.setAlpha(0.8));
+        button.on('pointerout', () => button.setAlpha(1));
+        button.on('pointerdown', onClick);
+
+        this.container.add([button, text]);
+    }
+
+    /**
+     * Create the close button
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     */
+    createCloseButton(x, y) {
+        const button = this.scene.add.rectangle(x, y, 180, 44, 0x555555)
+            .setScrollFactor(0)
+            .setInteractive({ useHandCursor: true });
+        const text = this.scene.add.text(x, y, 'Close', {
+            fontFamily: UI_FONT_FAMILY,
+            fontSize: UI_FONT_SIZES.LARGE,
+            color: '#FFFF00'
+        }).setOrigin(0.5).setScrollFactor(0);
+
+        button.on('pointerover', () => button.setFillStyle(0x777777));
+        button.on('pointerout', () => button.setFillStyle(0x555555));
+        button.on('pointerdown', () => this.hide());
+
+        this.container.add([button, text]);
+    }
+
+    /**
+     * Move a follower up or down the chain
+     * @param {number} fromIndex - Current index
+     * @param {number} toIndex - New index
+     */
+    moveFollower(fromIndex, toIndex) {
+        if (!this.scene.movementSystem) return;
+
+        if (this.scene.movementSystem.moveFollower(fromIndex, toIndex)) {
+            this.selectedIndex = toIndex;
+            this.pendingDismissIndex = -1;
+            this.render();
+        }
+    }
+
+    /**
+     * Dismiss a follower to free its slot
+     * @param {number} index - Chain index
+     */
+    dismissFollower(index) {
+        if (!this.scene.movementSystem) return;
+
+        const follower = this.scene.movementSystem.removeFollower(index);
+        if (follower) {
+            console.log(`[PartyPanel] Dismissed ${follower.engineerClass ? follower.engineerClass.name : follower.name}`);
+
+            if (this.scene.followersGroup && this.scene.followersGroup.contains(follower)) {
+                this.scene.followersGroup.remove(follower, true, true);
+            } else {
+                follower.destroy();
+            }
+        }
+
+        this.pendingDismissIndex = -1;
+        this.render();
+    }
+
+    /**
+     * Destroy the container and everything in it
+     */
+    destroyContainer() {
+        if (this.container) {
+            this.container.destroy(true);
+            this.container = null;
+        }
+    }
+}
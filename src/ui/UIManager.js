@@ -1,4 +1,8 @@
 import { GAME_WIDTH, GAME_HEIGHT, UI_PADDING, UI_FONT_FAMILY, UI_BAR_HEIGHT, UI_DEPTH, UI_FONT_SIZES, UI_COLORS } from '../constants.js';
+import { relics } from '../data/relics.js';
+import DailyLeaderboard from '../utils/DailyLeaderboard.js';
+import { formatRunTime } from '../utils/dailyChallenge.js';
+import { getBossScriptForStage } from '../data/bossScripts.js';
 
 /**
  * Manages all UI elements in the game
@@ -30,6 +34,10 @@ export default class UIManager {
         this.bossWarningActive = false;
         this._lastKilledCount = 0;
         
+        // Relic strip below the top bar
+        this.relicIcons = [];
+        this.relicTooltip = null;
+        
         // Pause menu elements
         this.pauseMenuContainer = null;
         this.isPaused = false;
@@ -382,15 +390,24 @@ export default class UIManager {
     showWaveNotification(waveNumber, totalWaves, isBossWave = false) {
         // Create text for wave notification
         const waveText = isBossWave ? 'BOSS WAVE!' : `WAVE ${waveNumber} / ${totalWaves}`;
-        
+        this.showNotification(waveText, null, isBossWave);
+    }
+    
+    /**
+     * Show an announcement in the center of the screen (wave events, boss fights)
+     * @param {string} text - Text to show, may span several lines
+     * @param {string} color - Text color (defaults to white, or red for a boss)
+     * @param {boolean} isBossWave - Show the boss warning first and use the boss style
+     */
+    showNotification(text, color = null, isBossWave = false) {
         const notification = this.scene.add.text(
             GAME_WIDTH / 2, 
             GAME_HEIGHT / 2, 
-            waveText, 
+            text, 
             {
                 fontFamily: UI_FONT_FAMILY,
                 fontSize: isBossWave ? UI_FONT_SIZES.TITLE : UI_FONT_SIZES.LARGE,
-                color: isBossWave ? '#FF0000' : '#FFFFFF',
+                color: color || (isBossWave ? '#FF0000' : '#FFFFFF'),
                 stroke: '#000000',
                 strokeThickness: isBossWave ? 6 : 4,
                 align: 'center'
@@ -438,6 +455,73 @@ export default class UIManager {
         }
     }
     
+    /**
+     * Show where a wave's enemy groups are coming from: a line under the wave
+     * notification and an arrow at the screen edge pointing toward each portal site
+     * @param {Array<object>} sites - Portal sites from SpawnSystem ({ x, y, direction })
+     */
+    showSpawnDirections(sites) {
+        if (!sites || sites.length === 0) return;
+
+        const directions = [...new Set(sites.map(site => site.direction))];
+        const label = directions.length > 1
+            ? `${directions.slice(0, -1).join(', ')} and ${directions[directions.length - 1]}`
+            : directions[0];
+
+        const text = this.scene.add.text(
+            GAME_WIDTH / 2,
+            GAME_HEIGHT / 2 + 60,
+            `Portals opening to the ${label}`,
+            {
+                fontFamily: UI_FONT_FAMILY,
+                fontSize: UI_FONT_SIZES.MEDIUM,
+                color: '#DDA0FF',
+                stroke: '#000000',
+                strokeThickness: 3,
+                align: 'center'
+            }
+        ).setOrigin(0.5)
+         .setDepth(UI_DEPTH + 10)
+         .setScrollFactor(0)
+         .setAlpha(0);
+        const elements = [text];
+
+        // Arrows sit on an ellipse inside the screen edge, below the top bar
+        const player = this.scene.player;
+        if (player) {
+            const centerX = GAME_WIDTH / 2;
+            const centerY = (GAME_HEIGHT + UI_BAR_HEIGHT) / 2;
+            const radiusX = GAME_WIDTH / 2 - 80;
+            const radiusY = (GAME_HEIGHT - UI_BAR_HEIGHT) / 2 - 60;
+
+            sites.forEach(site => {
+                const angle = Math.atan2(site.y - player.y, site.x - player.x);
+                const arrow = this.scene.add.graphics()
+                    .setPosition(centerX + Math.cos(angle) * radiusX, centerY + Math.sin(angle) * radiusY)
+                    .setRotation(angle)
+                    .setDepth(UI_DEPTH + 10)
+                    .setScrollFactor(0)
+                    .setAlpha(0);
+                arrow.fillStyle(0xDDA0FF, 1);
+                arrow.fillTriangle(24, 0, -12, -16, -12, 16);
+                arrow.lineStyle(2, 0x000000, 1);
+                arrow.strokeTriangle(24, 0, -12, -16, -12, 16);
+                elements.push(arrow);
+            });
+        }
+
+        this.scene.tweens.add({
+            targets: elements,
+            alpha: 1,
+            duration: 600,
+            hold: 2200,
+            yoyo: true,
+            onComplete: () => {
+                elements.forEach(element => element.destroy());
+            }
+        });
+    }
+
     /**
      * Show wave complete notification
      */
@@ -531,6 +615,21 @@ export default class UIManager {
             }
         ).setOrigin(0.5).setDepth(UI_DEPTH + 11).setScrollFactor(0);
         
+        // Coins banked for the Barracks
+        if (typeof scene.deathCoinReward === 'number') {
+            const bank = scene.metaProgression ? ` (Bank: ${scene.metaProgression.coins})` : '';
+            scene.add.text(
+                GAME_WIDTH / 2, 
+                GAME_HEIGHT / 2 + 80, 
+                `Coins: +${scene.deathCoinReward}${bank}`, 
+                { 
+                    fontSize: UI_FONT_SIZES.SMALL, 
+                    fontFamily: UI_FONT_FAMILY, 
+                    fill: '#FFD700' 
+                }
+            ).setOrigin(0.5).setDepth(UI_DEPTH + 11).setScrollFactor(0);
+        }
+        
         // Restart button
         const restartButton = scene.add.rectangle(
             GAME_WIDTH / 2, 
@@ -551,6 +650,12 @@ export default class UIManager {
             }
         ).setOrigin(0.5).setDepth(UI_DEPTH + 11).setScrollFactor(0);
         
+        if (scene.dailyChallenge) {
+            this.showDailyLeaderboard(scene.dailyChallenge.dateKey, scene.dailyRank);
+        } else if (scene.bossRushSystem) {
+            this.showBossRushSplits(GAME_WIDTH / 2 + 560, scene.bossRushSystem);
+        }
+        
         // Button interactions
         restartButton.on('pointerover', () => restartButton.fillColor = 0x888888);
         restartButton.on('pointerout', () => restartButton.fillColor = 0x666666);
@@ -559,6 +664,187 @@ export default class UIManager {
         });
     }
     
+    /**
+     * Show today's Daily Challenge leaderboard beside the game over text
+     * @param {string} dateKey - Day of the challenge
+     * @param {number} rank - Rank of the run that just ended (0 if unranked)
+     */
+    showDailyLeaderboard(dateKey, rank) {
+        const scene = this.scene;
+        const entries = new DailyLeaderboard().getEntries(dateKey);
+        const x = GAME_WIDTH / 2 + 560;
+        const top = GAME_HEIGHT / 2 - 380;
+        
+        scene.add.rectangle(x, GAME_HEIGHT / 2, 620, 820, 0x222222, 0.95)
+            .setStrokeStyle(2, 0xeeeeee)
+            .setDepth(UI_DEPTH + 11)
+            .setScrollFactor(0);
+        
+        scene.add.text(x, top, `Daily Challenge ${dateKey}`, {
+            fontSize: UI_FONT_SIZES.LARGE,
+            fontFamily: UI_FONT_FAMILY,
+            fill: '#FFFF00'
+        }).setOrigin(0.5).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+        
+        scene.add.text(x, top + 40, rank > 0 ? `Your run placed #${rank}` : 'Your run did not make the top runs', {
+            fontSize: UI_FONT_SIZES.SMALL,
+            fontFamily: UI_FONT_FAMILY,
+            fill: UI_COLORS.EXPERIENCE
+        }).setOrigin(0.5).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+        
+        const columns = [
+            { label: '#', offset: -270 },
+            { label: 'Score', offset: -200 },
+            { label: 'Level', offset: -60 },
+            { label: 'Kills', offset: 50 },
+            { label: 'Time', offset: 170 }
+        ];
+        const rowHeight = 32;
+        const rows = [
+            columns.map(column => column.label),
+            ...entries.map((entry, index) => [
+                `${index + 1}`, `${entry.score}`, `${entry.level}`, `${entry.kills}`, formatRunTime(entry.time)
+            ])
+        ];
+        
+        rows.forEach((row, rowIndex) => {
+            const isHeader = rowIndex === 0;
+            const isCurrentRun = rowIndex === rank;
+            const color = isHeader ? '#AAAAAA' : (isCurrentRun ? '#FFD700' : UI_COLORS.TEXT);
+            
+            row.forEach((value, columnIndex) => {
+                scene.add.text(x + columns[columnIndex].offset, top + 90 + rowIndex * rowHeight, value, {
+                    fontSize: UI_FONT_SIZES.SMALL,
+                    fontFamily: UI_FONT_FAMILY,
+                    fill: color
+                }).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+            });
+        });
+    }
+    
+    /**
+     * Show the Boss Rush wave panel: fight number, boss and both clocks
+     * @param {number} fightNumber - Current fight (1-based)
+     * @param {number} totalFights - Fights in the rush
+     * @param {string} bossName - Boss of the current fight
+     * @param {number} fightTime - ms into the current fight
+     * @param {number} totalTime - ms over all fights so far
+     */
+    updateBossRushInfo(fightNumber, totalFights, bossName, fightTime, totalTime) {
+        if (this.waveInfoText) {
+            this.waveInfoText.setText(`Boss ${fightNumber}/${totalFights}: ${bossName}`);
+        }
+        if (this.waveEnemiesText) {
+            this.waveEnemiesText.setText(`Fight: ${formatRunTime(fightTime)}`);
+        }
+        if (this.waveEnemiesSpawnedText) {
+            this.waveEnemiesSpawnedText.setText(`Total: ${formatRunTime(totalTime)}`);
+        }
+    }
+    
+    /**
+     * Show the Boss Rush results after the last boss falls, with a way back to the title
+     * @param {BossRushSystem} bossRushSystem - The finished rush
+     */
+    showBossRushResults(bossRushSystem) {
+        const scene = this.scene;
+        
+        scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2, GAME_WIDTH, GAME_HEIGHT, 0x000000, 0.7)
+            .setDepth(UI_DEPTH + 10)
+            .setScrollFactor(0);
+        
+        scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 - 300, 'BOSS RUSH CLEARED!', {
+            fontSize: UI_FONT_SIZES.TITLE,
+            fontFamily: UI_FONT_FAMILY,
+            fill: '#FFD700',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5).setDepth(UI_DEPTH + 11).setScrollFactor(0);
+        
+        this.showBossRushSplits(GAME_WIDTH / 2, bossRushSystem);
+        
+        const titleButton = scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 300, 200, 50, 0x666666)
+            .setInteractive({ useHandCursor: true })
+            .setDepth(UI_DEPTH + 11)
+            .setScrollFactor(0);
+        scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 300, 'Title', {
+            fontSize: UI_FONT_SIZES.MEDIUM,
+            fontFamily: UI_FONT_FAMILY,
+            fill: UI_COLORS.TEXT
+        }).setOrigin(0.5).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+        
+        titleButton.on('pointerover', () => titleButton.fillColor = 0x888888);
+        titleButton.on('pointerout', () => titleButton.fillColor = 0x666666);
+        titleButton.on('pointerdown', () => {
+            scene.scene.start('TitleScene');
+        });
+    }
+    
+    /**
+     * Show a Boss Rush's time per boss and in total next to the personal bests
+     * @param {number} x - Panel center x
+     * @param {BossRushSystem} bossRushSystem - Rush to show
+     */
+    showBossRushSplits(x, bossRushSystem) {
+        const scene = this.scene;
+        const records = bossRushSystem.records;
+        const top = GAME_HEIGHT / 2 - 220;
+        const cleared = bossRushSystem.state === 'complete';
+        
+        scene.add.rectangle(x, GAME_HEIGHT / 2 - 40, 620, 420, 0x222222, 0.95)
+            .setStrokeStyle(2, 0xeeeeee)
+            .setDepth(UI_DEPTH + 11)
+            .setScrollFactor(0);
+        
+        scene.add.text(x, top, 'Boss Rush', {
+            fontSize: UI_FONT_SIZES.LARGE,
+            fontFamily: UI_FONT_FAMILY,
+            fill: '#FFFF00'
+        }).setOrigin(0.5).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+        
+        const summary = cleared
+            ? `Cleared in ${formatRunTime(bossRushSystem.totalTime)}${bossRushSystem.isNewTotalBest ? ' - NEW BEST!' : ''}`
+            : `Defeated ${bossRushSystem.getDefeatedCount()} of ${bossRushSystem.fights.length} bosses`;
+        scene.add.text(x, top + 40, summary, {
+            fontSize: UI_FONT_SIZES.SMALL,
+            fontFamily: UI_FONT_FAMILY,
+            fill: UI_COLORS.EXPERIENCE
+        }).setOrigin(0.5).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+        
+        // Bosses not reached show only their record
+        const columns = [
+            { label: 'Boss', offset: -270 },
+            { label: 'Time', offset: 20 },
+            { label: 'Best', offset: 170 }
+        ];
+        const rowHeight = 32;
+        const rows = [{ values: columns.map(column => column.label), color: '#AAAAAA' }];
+        bossRushSystem.fights.forEach((fight, index) => {
+            const script = getBossScriptForStage(fight.stage);
+            const split = bossRushSystem.splits[index];
+            const best = records.getBestFight(script.key);
+            rows.push({
+                values: [script.name, split ? formatRunTime(split.time) : '-', best !== null ? formatRunTime(best) : '-'],
+                color: split && split.isNewBest ? '#FFD700' : UI_COLORS.TEXT
+            });
+        });
+        const bestTotal = records.getBestTotal();
+        rows.push({
+            values: ['Total', cleared ? formatRunTime(bossRushSystem.totalTime) : '-', bestTotal !== null ? formatRunTime(bestTotal) : '-'],
+            color: bossRushSystem.isNewTotalBest ? '#FFD700' : UI_COLORS.TEXT
+        });
+        
+        rows.forEach((row, rowIndex) => {
+            row.values.forEach((value, columnIndex) => {
+                scene.add.text(x + columns[columnIndex].offset, top + 90 + rowIndex * rowHeight, value, {
+                    fontSize: UI_FONT_SIZES.SMALL,
+                    fontFamily: UI_FONT_FAMILY,
+                    fill: row.color
+                }).setDepth(UI_DEPTH + 12).setScrollFactor(0);
+            });
+        });
+    }
+    
     /**
      * Update the stage and level information display
      * @param {number} level - Current game level
@@ -608,6 +894,66 @@ export default class UIManager {
         // Ensure health bar is updated correctly (Not shown in current snippet but assuming it exists)
     }
     
+    /**
+     * Redraw the strip of carried relics below the top bar
+     * @param {string[]} relicKeys - Relic keys in pickup order
+     */
+    updateRelicDisplay(relicKeys) {
+        this.relicIcons.forEach(icon => icon.destroy());
+        this.relicIcons = [];
+        this.hideRelicTooltip();
+        
+        relicKeys.forEach((key, index) => {
+            const relic = relics[key];
+            if (!relic || !this.scene.textures.exists(relic.icon)) return;
+            
+            const icon = this.scene.add.image(
+                UI_PADDING + 16 + index * 40,
+                UI_BAR_HEIGHT + 30,
+                relic.icon
+            )
+                .setDisplaySize(32, 32)
+                .setTint(relic.color)
+                .setScrollFactor(0)
+                .setDepth(UI_DEPTH)
+                .setInteractive();
+            
+            icon.on('pointerover', () => this.showRelicTooltip(relic, icon.x, icon.y + 24));
+            icon.on('pointerout', () => this.hideRelicTooltip());
+            
+            this.relicIcons.push(icon);
+        });
+    }
+    
+    /**
+     * Show a relic's name and description under its HUD icon
+     * @param {object} relic - Relic definition
+     * @param {number} x - Tooltip left edge
+     * @param {number} y - Tooltip top edge
+     */
+    showRelicTooltip(relic, x, y) {
+        this.hideRelicTooltip();
+        this.relicTooltip = this.scene.add.text(x, y, `${relic.name}\n${relic.description}`, {
+            fontSize: UI_FONT_SIZES.SMALL,
+            fontFamily: UI_FONT_FAMILY,
+            fill: UI_COLORS.TEXT,
+            backgroundColor: '#000000CC',
+            padding: { x: 8, y: 6 }
+        })
+            .setScrollFactor(0)
+            .setDepth(UI_DEPTH + 1);
+    }
+    
+    /**
+     * Remove the relic tooltip if shown
+     */
+    hideRelicTooltip() {
+        if (this.relicTooltip) {
+            this.relicTooltip.destroy();
+            this.relicTooltip = null;
+        }
+    }
+    
     /**
      * Show the pause menu
      */
@@ -630,7 +976,7 @@ export default class UIManager {
         // .setInteractive(); // Remove interactivity from overlay, let buttons handle it
 
         // Menu background panel (centered)
-        const menuBg = this.scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2, 300, 250, 0x222222, 0.95)
+        const menuBg = this.scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 60, 300, 370, 0x222222, 0.95)
             .setStrokeStyle(2, 0xeeeeee);
 
         const titleStyle = { fontSize: UI_FONT_SIZES.TITLE || '32px', fontFamily: UI_FONT_FAMILY || 'Arial', fill: '#FFFF00' }; // Bright Yellow
@@ -641,7 +987,9 @@ export default class UIManager {
 
         const targetButtonX = GAME_WIDTH / 2;
         const targetResumeY = GAME_HEIGHT / 2 - 10;
-        const targetMainMenuY = GAME_HEIGHT / 2 + 50;
+        const targetPartyY = GAME_HEIGHT / 2 + 50;
+        const targetCombatLogY = GAME_HEIGHT / 2 + 110;
+        const targetMainMenuY = GAME_HEIGHT / 2 + 170;
         console.log(`[UIManager] Target Coords: ResumeBtn=(${targetButtonX}, ${targetResumeY}), MainMenuBtn=(${targetButtonX}, ${targetMainMenuY})`);
 
         const pausedText = this.scene.add.text(targetButtonX, GAME_HEIGHT / 2 - 80, 'Paused', titleStyle)
@@ -674,6 +1022,34 @@ export default class UIManager {
             .setOrigin(0.5)
             .setScrollFactor(0);
 
+        // Party Button - opens the party panel on top of the pause menu
+        const partyButtonBg = this.scene.add.rectangle(targetButtonX, targetPartyY, 180, 40, 0x555555)
+            .setInteractive({ useHandCursor: true })
+            .setScrollFactor(0)
+            .on('pointerdown', () => {
+                console.log("[UIManager] Party button clicked");
+                if (this.scene.partyPanel) {
+                    this.scene.partyPanel.show();
+                }
+            });
+        const partyButtonText = this.scene.add.text(targetButtonX, targetPartyY, 'Party', buttonTextStyle)
+            .setOrigin(0.5)
+            .setScrollFactor(0);
+
+        // Combat Log Button - damage breakdown by damage type
+        const combatLogButtonBg = this.scene.add.rectangle(targetButtonX, targetCombatLogY, 180, 40, 0x555555)
+            .setInteractive({ useHandCursor: true })
+            .setScrollFactor(0)
+            .on('pointerdown', () => {
+                console.log("[UIManager] Combat Log button clicked");
+                if (this.scene.combatLogPanel) {
+                    this.scene.combatLogPanel.show();
+                }
+            });
+        const combatLogButtonText = this.scene.add.text(targetButtonX, targetCombatLogY, 'Combat Log', buttonTextStyle)
+            .setOrigin(0.5)
+            .setScrollFactor(0);
+
         // Main Menu Button
         const mainMenuButtonBg = this.scene.add.rectangle(targetButtonX, targetMainMenuY, 180, 40, 0x555555)
             .setInteractive({ useHandCursor: true })
@@ -700,13 +1076,48 @@ export default class UIManager {
             .setOrigin(0.5)
             .setScrollFactor(0);
 
-        this.pauseMenuContainer.add([overlay, menuBg, pausedText]);
+        // Run seed, so a run can be shared and replayed from the title screen
+        const dailyChallenge = this.scene.dailyChallenge;
+        const seedLabel = `Seed: ${this.scene.runSeed}${dailyChallenge ? ` (Daily ${dailyChallenge.dateKey})` : ''}`;
+        const seedText = this.scene.add.text(targetButtonX, GAME_HEIGHT / 2 + 220, seedLabel, {
+            fontSize: UI_FONT_SIZES.SMALL,
+            fontFamily: UI_FONT_FAMILY,
+            fill: '#AAAAAA'
+        })
+            .setOrigin(0.5)
+            .setScrollFactor(0);
+
+        this.pauseMenuContainer.add([overlay, menuBg, pausedText, seedText]);
+
+        // List the level-up upgrades picked this run below the menu
+        if (this.scene.upgradeSystem) {
+            const taken = this.scene.upgradeSystem.getTakenUpgrades();
+            const lines = taken.length > 0
+                ? taken.map(upgrade => `${upgrade.name} x${upgrade.count}  (${upgrade.description})`)
+                : ['No upgrades yet'];
+            
+            const upgradesText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 260, ['Upgrades', ...lines].join('\n'), {
+                fontSize: UI_FONT_SIZES.SMALL,
+                fontFamily: UI_FONT_FAMILY,
+                fill: UI_COLORS.TEXT,
+                align: 'center',
+                backgroundColor: '#222222F2',
+                padding: { x: 12, y: 8 }
+            })
+                .setOrigin(0.5, 0)
+                .setScrollFactor(0);
+            this.pauseMenuContainer.add(upgradesText);
+        }
 
         // Store buttons as properties to destroy them later
         this.resumeButtonBg = resumeButtonBg;
         this.resumeButtonText = resumeButtonText;
         this.mainMenuButtonBg = mainMenuButtonBg;
         this.mainMenuButtonText = mainMenuButtonText;
+        this.partyButtonBg = partyButtonBg;
+        this.partyButtonText = partyButtonText;
+        this.combatLogButtonBg = combatLogButtonBg;
+        this.combatLogButtonText = combatLogButtonText;
 
         // Set a very high depth for buttons and log their properties
         const highButtonDepth = UI_DEPTH + 50;
@@ -714,6 +1125,10 @@ export default class UIManager {
         this.resumeButtonText.setDepth(highButtonDepth + 1); 
         this.mainMenuButtonBg.setDepth(highButtonDepth);
         this.mainMenuButtonText.setDepth(highButtonDepth + 1);
+        this.partyButtonBg.setDepth(highButtonDepth);
+        this.partyButtonText.setDepth(highButtonDepth + 1);
+        this.combatLogButtonBg.setDepth(highButtonDepth);
+        this.combatLogButtonText.setDepth(highButtonDepth + 1);
 
         console.log('[UIManager] Resume Btn BG:', {
             x: this.resumeButtonBg.x, y: this.resumeButtonBg.y, 
@@ -745,11 +1160,19 @@ export default class UIManager {
         if (this.resumeButtonText && this.resumeButtonText.scene) this.resumeButtonText.destroy();
         if (this.mainMenuButtonBg && this.mainMenuButtonBg.scene) this.mainMenuButtonBg.destroy();
         if (this.mainMenuButtonText && this.mainMenuButtonText.scene) this.mainMenuButtonText.destroy();
+        if (this.partyButtonBg && this.partyButtonBg.scene) this.partyButtonBg.destroy();
+        if (this.partyButtonText && this.partyButtonText.scene) this.partyButtonText.destroy();
+        if (this.combatLogButtonBg && this.combatLogButtonBg.scene) this.combatLogButtonBg.destroy();
+        if (this.combatLogButtonText && this.combatLogButtonText.scene) this.combatLogButtonText.destroy();
 
         this.resumeButtonBg = null;
         this.resumeButtonText = null;
         this.mainMenuButtonBg = null;
         this.mainMenuButtonText = null;
+        this.partyButtonBg = null;
+        this.partyButtonText = null;
+        this.combatLogButtonBg = null;
+        this.combatLogButtonText = null;
     }
     
     /**
@@ -23,6 +23,7 @@ export default class VictoryUI {
         this.titleText = null;
         this.nextButton = null; // Next button
         this.mainMenuButton = null;
+        this.partyButton = null;
         
         // Initialize UI elements
         this.create();
@@ -126,6 +127,24 @@ export default class VictoryUI {
         this.mainMenuButton.setScrollFactor(0); // Fixed to camera
         this.container.add(this.mainMenuButton);
         
+        // Party button - manage the follower chain before the next level
+        this.partyButton = this.scene.add.rectangle(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 240, 180, 44, 0x555555);
+        this.partyButton.setInteractive({ useHandCursor: true });
+        this.partyButton.on('pointerover', () => this.partyButton.setScale(1.05));
+        this.partyButton.on('pointerout', () => this.partyButton.setScale(1.0));
+        this.partyButton.on('pointerdown', () => this.onParty());
+        this.partyButton.setScrollFactor(0); // Fixed to camera
+        this.container.add(this.partyButton);
+        
+        const partyText = this.scene.add.text(GAME_WIDTH / 2, GAME_HEIGHT / 2 + 240, 'Party', {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#FFFFFF'
+        });
+        partyText.setOrigin(0.5);
+        partyText.setScrollFactor(0); // Fixed to camera
+        this.container.add(partyText);
+        
         // Set depth to ensure it appears above everything else
         this.container.setDepth(1000);
     }
@@ -156,6 +175,11 @@ export default class VictoryUI {
             
             if (item) {
                 slot.itemImage.setTexture(item.key);
+                if (item.tint !== undefined) {
+                    slot.itemImage.setTint(item.tint);
+                } else {
+                    slot.itemImage.clearTint();
+                }
                 slot.itemImage.setVisible(true);
             } else {
                 slot.itemImage.setVisible(false);
@@ -238,6 +262,23 @@ export default class VictoryUI {
         this.scene.continueToNextLevel();
     }
     
+    /**
+     * Open the party panel over the victory screen
+     */
+    onParty() {
+        if (this.scene.audioManager) {
+            try {
+                this.scene.audioManager.playSFX('button_click');
+            } catch (error) {
+                console.warn('Failed to play button sound:', error);
+            }
+        }
+        
+        if (this.scene.partyPanel) {
+            this.scene.partyPanel.show();
+        }
+    }
+    
     /**
      * Return to main menu
      */
@@ -0,0 +1,91 @@
+import { getStorage } from './SaveManager.js';
+
+const RECORDS_KEY = 'bossRushRecords';
+
+/**
+ * Local Boss Rush personal bests: the fastest kill of each boss
+ * and the fastest full clear
+ */
+export default class BossRushRecords {
+    /**
+     * @param {object} storage - Optional storage adapter, defaults to the shared one
+     */
+    constructor(storage = null) {
+        this.storage = storage || getStorage();
+        this.bosses = {};  // { bossKey: ms }
+        this.total = null; // ms, null until a full clear
+        this.load();
+    }
+
+    /**
+     * Load the records from storage
+     */
+    load() {
+        const raw = this.storage.getItem(RECORDS_KEY);
+        if (!raw) return;
+
+        try {
+            const data = JSON.parse(raw);
+            this.bosses = data.bosses || {};
+            this.total = typeof data.total === 'number' ? data.total : null;
+        } catch (error) {
+            console.error('[BossRushRecords] Records save is corrupt, starting fresh:', error);
+            this.bosses = {};
+            this.total = null;
+        }
+    }
+
+    /**
+     * Write the records to storage
+     */
+    save() {
+        this.storage.setItem(RECORDS_KEY, JSON.stringify({ bosses: this.bosses, total: this.total }));
+    }
+
+    /**
+     * Fastest kill of a boss
+     * @param {string} bossKey - Key from bossScripts.js
+     * @returns {number|null} Time in ms, or null if never beaten
+     */
+    getBestFight(bossKey) {
+        return typeof this.bosses[bossKey] === 'number' ? this.bosses[bossKey] : null;
+    }
+
+    /**
+     * Fastest full clear
+     * @returns {number|null} Time in ms, or null if never cleared
+     */
+    getBestTotal() {
+        return this.total;
+    }
+
+    /**
+     * Record a boss kill
+     * @param {string} bossKey - Key from bossScripts.js
+     * @param {number} time - Fight time in ms
+     * @returns {boolean} True if it's a new personal best
+     */
+    recordFight(bossKey, time) {
+        const best = this.getBestFight(bossKey);
+        if (best !== null && best <= time) return false;
+
+        this.bosses[bossKey] = Math.floor(time);
+        this.save();
+        console.log(`[BossRushRecords] New best for ${bossKey}: ${this.bosses[bossKey]}ms`);
+        return true;
+    }
+
+    /**
+     * Record a full clear
+     * @param {number} time - Total time in ms
+     * @returns {boolean} True if it's a new personal best
+     */
+    recordTotal(time) {
+        if (this.total !== null && this.total <= time) return false;
+
+        this.total = Math.floor(time);
+        this.save();
+        console.log(`[BossRushRecords] New best full clear: ${this.total}ms`);
+        return true;
+    }
+}
@@ -0,0 +1,101 @@
+import { getStorage } from './SaveManager.js';
+import { DAILY_LEADERBOARD_SIZE } from '../data/dailyModifiers.js';
+
+const LEADERBOARD_KEY = 'dailyLeaderboard';
+const KEPT_DAYS = 7; // Older boards are dropped when a run is recorded
+
+/**
+ * Local Daily Challenge leaderboard: the best runs of each day with
+ * score, level reached, kills and time
+ */
+export default class DailyLeaderboard {
+    /**
+     * @param {object} storage - Optional storage adapter, defaults to the shared one
+     */
+    constructor(storage = null) {
+        this.storage = storage || getStorage();
+        this.boards = {}; // { dateKey: [{ score, level, kills, time, recordedAt }] }
+        this.load();
+    }
+
+    /**
+     * Load all boards from storage
+     */
+    load() {
+        const raw = this.storage.getItem(LEADERBOARD_KEY);
+        if (!raw) return;
+
+        try {
+            const data = JSON.parse(raw);
+            this.boards = data.boards || {};
+        } catch (error) {
+            console.error('[DailyLeaderboard] Leaderboard save is corrupt, starting fresh:', error);
+            this.boards = {};
+        }
+    }
+
+    /**
+     * Write all boards to storage
+     */
+    save() {
+        this.storage.setItem(LEADERBOARD_KEY, JSON.stringify({ boards: this.boards }));
+    }
+
+    /**
+     * Ranked runs of a day
+     * @param {string} dateKey - Day (YYYY-MM-DD)
+     * @returns {object[]} Entries, best first
+     */
+    getEntries(dateKey) {
+        return this.boards[dateKey] || [];
+    }
+
+    /**
+     * Best run of a day
+     * @param {string} dateKey - Day (YYYY-MM-DD)
+     * @returns {object|null} Top entry or null if nobody played
+     */
+    getBest(dateKey) {
+        return this.getEntries(dateKey)[0] || null;
+    }
+
+    /**
+     * Record a finished run
+     * @param {string} dateKey - Day of the challenge
+     * @param {object} run - { score, level, kills, time }
+     * @returns {number} 1-based rank, or 0 if the run didn't make the board
+     */
+    addEntry(dateKey, run) {
+        const entry = {
+            score: Math.floor(run.score || 0),
+            level: run.level || 1,
+            kills: run.kills || 0,
+            time: Math.floor(run.time || 0),
+            recordedAt: Date.now()
+        };
+
+        // Higher score first, then further level, then faster time
+        const entries = [...this.getEntries(dateKey), entry]
+            .sort((a, b) => b.score - a.score || b.level - a.level || a.time - b.time)
+            .slice(0, DAILY_LEADERBOARD_SIZE);
+
+        this.boards[dateKey] = entries;
+        this.pruneOldBoards();
+        this.save();
+
+        const rank = entries.indexOf(entry) + 1;
+        console.log(`[DailyLeaderboard] Recorded ${entry.score} for ${dateKey}, rank ${rank || 'unranked'}`);
+        return rank;
+    }
+
+    /**
+     * Keep only the most recent days
+     */
+    pruneOldBoards() {
+        Object.keys(this.boards)
+            .sort()
+            .reverse()
+            .slice(KEPT_DAYS)
+            .forEach(dateKey => delete this.boards[dateKey]);
+    }
+}
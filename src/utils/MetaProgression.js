@@ -0,0 +1,122 @@
+import { getStorage } from './SaveManager.js';
+import { barracksUpgrades } from '../data/barracksUpgrades.js';
+
+const META_KEY = 'meta';
+
+/**
+ * Persistent meta-progression: coins carried between runs and the
+ * permanent Barracks upgrades bought with them
+ */
+export default class MetaProgression {
+    /**
+     * @param {object} storage - Optional storage adapter, defaults to the shared one
+     */
+    constructor(storage = null) {
+        this.storage = storage || getStorage();
+        this.coins = 0;
+        this.upgrades = {}; // Rank per upgrade key
+        this.load();
+    }
+
+    /**
+     * Load coins and upgrade ranks from storage
+     */
+    load() {
+        const raw = this.storage.getItem(META_KEY);
+        if (!raw) return;
+
+        try {
+            const data = JSON.parse(raw);
+            this.coins = Math.max(0, Math.floor(data.coins || 0));
+            this.upgrades = data.upgrades || {};
+        } catch (error) {
+            console.error('[MetaProgression] Meta save is corrupt, starting fresh:', error);
+            this.coins = 0;
+            this.upgrades = {};
+        }
+    }
+
+    /**
+     * Write coins and upgrade ranks to storage
+     */
+    save() {
+        this.storage.setItem(META_KEY, JSON.stringify({
+            coins: this.coins,
+            upgrades: this.upgrades
+        }));
+    }
+
+    /**
+     * Add coins to the bank
+     * @param {number} amount - Coins to add
+     * @param {string} reason - Why the coins were earned (for logging)
+     */
+    addCoins(amount, reason = '') {
+        const coins = Math.max(0, Math.floor(amount));
+        if (coins === 0) return;
+
+        this.coins += coins;
+        this.save();
+        console.log(`[MetaProgression] +${coins} coins${reason ? ` (${reason})` : ''}, bank: ${this.coins}`);
+    }
+
+    /**
+     * Current rank of an upgrade
+     * @param {string} key - Upgrade key from barracksUpgrades
+     * @returns {number} Rank (0 if never bought)
+     */
+    getRank(key) {
+        return this.upgrades[key] || 0;
+    }
+
+    /**
+     * Cost of the next rank of an upgrade
+     * @param {string} key - Upgrade key
+     * @returns {number|null} Cost, or null if maxed/unknown
+     */
+    getUpgradeCost(key) {
+        const upgrade = barracksUpgrades[key];
+        if (!upgrade) return null;
+
+        const rank = this.getRank(key);
+        if (rank >= upgrade.maxRank) return null;
+
+        return Math.round(upgrade.baseCost * Math.pow(upgrade.costGrowth, rank));
+    }
+
+    /**
+     * Check whether the next rank can be bought
+     * @param {string} key - Upgrade key
+     * @returns {boolean} True if affordable and not maxed
+     */
+    canPurchase(key) {
+        const cost = this.getUpgradeCost(key);
+        return cost !== null && this.coins >= cost;
+    }
+
+    /**
+     * Buy the next rank of an upgrade
+     * @param {string} key - Upgrade key
+     * @returns {boolean} Whether the purchase went through
+     */
+    purchase(key) {
+        if (!this.canPurchase(key)) return false;
+
+        this.coins -= this.getUpgradeCost(key);
+        this.upgrades[key] = this.getRank(key) + 1;
+        this.save();
+
+        console.log(`[MetaProgression] Bought ${key} rank ${this.upgrades[key]}, bank: ${this.coins}`);
+        return true;
+    }
+
+    /**
+     * Total bonus an upgrade gives at its current rank
+     * @param {string} key - Upgrade key
+     * @returns {number} rank * valuePerRank
+     */
+    getBonus(key) {
+        const upgrade = barracksUpgrades[key];
+        return upgrade ? this.getRank(key) * upgrade.valuePerRank : 0;
+    }
+}
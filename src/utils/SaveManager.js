@@ -0,0 +1,158 @@
+/**
+ * Storage adapter backed by window.localStorage.
+ * All adapters expose the same getItem/setItem/removeItem interface so the
+ * save system can be pointed at other backends (cloud, IndexedDB, tests).
+ */
+export class LocalStorageAdapter {
+    constructor(prefix = 'snakeSurvivors.') {
+        this.prefix = prefix;
+    }
+
+    getItem(key) {
+        try {
+            return window.localStorage.getItem(this.prefix + key);
+        } catch (error) {
+            console.warn('[SaveManager] localStorage read failed:', error);
+            return null;
+        }
+    }
+
+    setItem(key, value) {
+        try {
+            window.localStorage.setItem(this.prefix + key, value);
+            return true;
+        } catch (error) {
+            console.warn('[SaveManager] localStorage write failed:', error);
+            return false;
+        }
+    }
+
+    removeItem(key) {
+        try {
+            window.localStorage.removeItem(this.prefix + key);
+        } catch (error) {
+            console.warn('[SaveManager] localStorage remove failed:', error);
+        }
+    }
+}
+
+/**
+ * In-memory storage adapter, used when localStorage is unavailable
+ * (private browsing, sandboxed iframes)
+ */
+export class MemoryStorageAdapter {
+    constructor() {
+        this.data = {};
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+
+    setItem(key, value) {
+        this.data[key] = String(value);
+        return true;
+    }
+
+    removeItem(key) {
+        delete this.data[key];
+    }
+}
+
+/**
+ * Pick the best available adapter for this browser
+ */
+function createDefaultStorage() {
+    try {
+        const testKey = '__storage_test__';
+        window.localStorage.setItem(testKey, testKey);
+        window.localStorage.removeItem(testKey);
+        return new LocalStorageAdapter();
+    } catch (error) {
+        console.warn('[SaveManager] localStorage unavailable, progress will only last this session');
+        return new MemoryStorageAdapter();
+    }
+}
+
+let defaultStorage = null;
+
+/**
+ * Get the shared storage adapter used by SaveManager instances
+ * @returns {object} Storage adapter
+ */
+export function getStorage() {
+    if (!defaultStorage) {
+        defaultStorage = createDefaultStorage();
+    }
+    return defaultStorage;
+}
+
+/**
+ * Replace the shared storage adapter (e.g. with a cloud-backed one)
+ * @param {object} adapter - Object implementing getItem/setItem/removeItem
+ */
+export function setStorage(adapter) {
+    defaultStorage = adapter;
+}
+
+const CAMPAIGN_KEY = 'campaign';
+const SAVE_VERSION = 1;
+
+/**
+ * Persists campaign progress between sessions
+ */
+export default class SaveManager {
+    /**
+     * @param {object} storage - Optional storage adapter, defaults to the shared one
+     */
+    constructor(storage = null) {
+        this.storage = storage || getStorage();
+    }
+
+    /**
+     * Save a campaign snapshot
+     * @param {object} snapshot - Campaign state from GameScene.createSaveSnapshot()
+     * @returns {boolean} Whether the save succeeded
+     */
+    saveCampaign(snapshot) {
+        const data = {
+            ...snapshot,
+            version: SAVE_VERSION,
+            savedAt: Date.now()
+        };
+
+        const saved = this.storage.setItem(CAMPAIGN_KEY, JSON.stringify(data));
+        if (saved) {
+            console.log(`[SaveManager] Saved campaign at level ${data.level}`);
+        }
+        return saved;
+    }
+
+    /**
+     * Load the saved campaign, if any
+     * @returns {object|null} Campaign snapshot or null if missing/corrupt
+     */
+    loadCampaign() {
+        const raw = this.storage.getItem(CAMPAIGN_KEY);
+        if (!raw) return null;
+
+        try {
+            const data = JSON.parse(raw);
+            if (!data || data.version !== SAVE_VERSION || !data.level || !data.heroKey) {
+                console.warn('[SaveManager] Ignoring incompatible campaign save');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('[SaveManager] Campaign save is corrupt:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete the saved campaign
+     */
+    clearCampaign() {
+        this.storage.removeItem(CAMPAIGN_KEY);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Small deterministic PRNG (mulberry32) so the same seed always
+ * produces the same sequence
+ * @param {number} seed - Integer seed
+ * @returns {function} Function returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a fresh random seed for a new run
+ * @returns {number} Integer seed
+ */
+export function createRunSeed() {
+    return Math.floor(Math.random() * 0x7FFFFFFF);
+}
+
+/**
+ * Turn player-entered text into a seed. Whole numbers are used as-is,
+ * anything else is hashed (FNV-1a) so words work as seeds too
+ * @param {string|number} value - Seed text
+ * @returns {number|null} Integer seed or null if empty
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) % 0x7FFFFFFF;
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % 0x7FFFFFFF;
+}
+
+let unseededRandom = null;
+
+/**
+ * Named stream of a scene's run RNG (scene.rng), or an unseeded stream when
+ * the scene has none (e.g. entities created outside GameScene)
+ * @param {Phaser.Scene} scene - Scene that may own an rng
+ * @param {string} name - Stream name
+ * @returns {SeededRandom} Random stream
+ */
+export function getSceneRandom(scene, name) {
+    if (scene && scene.rng) return scene.rng.stream(name);
+    if (!unseededRandom) unseededRandom = new SeededRandom();
+    return unseededRandom;
+}
+
+/**
+ * Seedable random number service shared by the run. Each consumer takes its
+ * own named stream so extra rolls in one place (e.g. an enemy teleporting)
+ * don't shift the terrain or spawns of the same seed.
+ */
+export default class SeededRandom {
+    /**
+     * @param {number} seed - Integer seed (random if omitted)
+     */
+    constructor(seed = createRunSeed()) {
+        this.seed = seed >>> 0;
+        this.next = createSeededRandom(this.seed);
+        this.streams = {};
+    }
+
+    /**
+     * Named sub-stream derived from this seed
+     * @param {string} name - Stream name, e.g. 'terrain'
+     * @returns {SeededRandom} The same instance for the same name until reset
+     */
+    stream(name) {
+        if (!this.streams[name]) {
+            this.streams[name] = new SeededRandom(parseSeed(`${this.seed}:${name}`));
+        }
+        return this.streams[name];
+    }
+
+    /**
+     * Restart a named stream from its initial state
+     * @param {string} name - Stream name
+     * @returns {SeededRandom} The fresh stream
+     */
+    resetStream(name) {
+        delete this.streams[name];
+        return this.stream(name);
+    }
+
+    /**
+     * Float in [0, 1), drop-in for Math.random()
+     * @returns {number} Random float
+     */
+    frac() {
+        return this.next();
+    }
+
+    /**
+     * Integer between min and max inclusive, like Phaser.Math.Between
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @returns {number} Random integer
+     */
+    between(min, max) {
+        return Math.floor(this.next() * (max - min + 1) + min);
+    }
+
+    /**
+     * Float between min and max, like Phaser.Math.FloatBetween
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @returns {number} Random float
+     */
+    floatBetween(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance in [0, 1]
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     * @param {Array} array - Candidates
+     * @returns {*} Chosen element (undefined if empty)
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Random element of an array, with probability proportional to its weight
+     * @param {Array} array - Candidates
+     * @param {function} getWeight - Returns an element's relative weight
+     * @returns {*} Chosen element (undefined if empty)
+     */
+    weightedPick(array, getWeight) {
+        const totalWeight = array.reduce((sum, item) => sum + getWeight(item), 0);
+        let roll = this.next() * totalWeight;
+        for (const item of array) {
+            roll -= getWeight(item);
+            if (roll < 0) return item;
+        }
+        return array[array.length - 1];
+    }
+}
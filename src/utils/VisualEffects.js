@@ -115,11 +115,15 @@ export function createImpactScaleEffect(scene, entity, scale = 1.2, duration = 5
  * @param {boolean} isSignificant - Whether this is significant damage
  * @param {boolean} isPlayer - Whether this is for the player
  * @param {number} maxHealth - Max health of entity (for comparison)
+ * @param {number|null} color - Damage type color (null for the default colors)
  */
-export function createDamageText(scene, x, y, text, isSignificant = false, isPlayer = false, maxHealth = 100) {
-    // Adjust text size and color based on damage significance and character type
+export function createDamageText(scene, x, y, text, isSignificant = false, isPlayer = false, maxHealth = 100, color = null) {
+    // Adjust text size and color based on damage significance and character type;
+    // typed (elemental) damage always shows in its type's color
     const fontSize = isSignificant ? '18px' : (isPlayer ? '16px' : '14px');
-    const textColor = isSignificant ? '#FF0000' : (isPlayer ? '#FFFF00' : '#FFFFFF');
+    const textColor = color !== null
+        ? `#${color.toString(16).padStart(6, '0')}`
+        : (isSignificant ? '#FF0000' : (isPlayer ? '#FFFF00' : '#FFFFFF'));
     
     // Create the damage text
     const damageText = scene.add.text(x, y - 15, text.toString(), {
@@ -362,6 +366,56 @@ export function createBossAura(scene, boss, phase = 1, color = 0xFF0000) {
     return container;
 }
 
+/**
+ * Create a pulsing aura around an elite enemy, one ring per affix color
+ * @param {Phaser.Scene} scene - The game scene
+ * @param {Phaser.GameObjects.Sprite} enemy - The elite enemy
+ * @param {number[]} colors - Affix colors, outermost ring last
+ * @returns {Phaser.GameObjects.Container} Container with aura elements
+ */
+export function createEliteAura(scene, enemy, colors = [0xFFD700]) {
+    if (enemy.eliteAuraContainer) {
+        enemy.eliteAuraContainer.destroy();
+    }
+    
+    const container = scene.add.container(enemy.x, enemy.y);
+    container.setDepth(enemy.depth - 1); // Place behind the enemy
+    enemy.eliteAuraContainer = container;
+    
+    const baseRadius = Math.max(enemy.displayWidth, enemy.displayHeight) * 0.6;
+    colors.forEach((color, index) => {
+        const ring = scene.add.circle(0, 0, baseRadius + index * 4, color, index === 0 ? 0.25 : 0)
+            .setStrokeStyle(2, color, 0.9);
+        container.add(ring);
+        
+        scene.tweens.add({
+            targets: ring,
+            scale: { from: 0.95, to: 1.15 },
+            alpha: { from: 1, to: 0.5 },
+            duration: 700 + index * 150,
+            yoyo: true,
+            repeat: -1,
+            ease: 'Sine.easeInOut'
+        });
+    });
+    
+    // Keep the aura on the enemy
+    const updateAura = () => {
+        if (enemy.active && container.active) {
+            container.setPosition(enemy.x, enemy.y);
+            container.setVisible(enemy.visible);
+        }
+    };
+    scene.events.on('update', updateAura);
+    
+    enemy.once('destroy', () => {
+        scene.events.off('update', updateAura);
+        container.destroy();
+    });
+    
+    return container;
+}
+
 /**
  * Create a crown emblem above a boss
  * @param {Phaser.Scene} scene - The game scene
@@ -579,7 +633,7 @@ export function createBossHealthBar(scene, boss) {
         'alchemist': 'Alchemist',
         'lichking': 'Lich King'
     };
-    const bossName = bossNames[boss.bossType] || 'Boss';
+    const bossName = boss.bossName || bossNames[boss.bossType] || 'Boss';
     const healthText = scene.add.text(0, -barHeight - 5, `${bossName} (Phase ${boss.bossPhase})`, {
         fontSize: '14px',
         fontFamily: 'Arial',
@@ -0,0 +1,50 @@
+import SeededRandom, { parseSeed } from './SeededRandom.js';
+import { heroClasses } from '../data/heroClasses.js';
+import { engineerClasses } from '../data/engineerClasses.js';
+import { dailyModifiers, DAILY_MODIFIER_COUNT } from '../data/dailyModifiers.js';
+
+/**
+ * Local calendar date used to key the Daily Challenge
+ * @param {Date} date - Date to format
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+export function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Build the Daily Challenge for a date. Everyone playing on the same day
+ * gets the same seed, commander, starting engineer and modifiers
+ * @param {Date} date - Day of the challenge
+ * @returns {object} { dateKey, seed, heroKey, engineerKey, modifiers }
+ */
+export function getDailyChallenge(date = new Date()) {
+    const dateKey = getDateKey(date);
+    const seed = parseSeed(`daily:${dateKey}`);
+    const random = new SeededRandom(seed).stream('daily');
+
+    const heroKey = random.pick(Object.keys(heroClasses));
+    const engineerKey = random.pick(Object.keys(engineerClasses));
+
+    const pool = Object.keys(dailyModifiers);
+    const modifiers = [];
+    while (modifiers.length < DAILY_MODIFIER_COUNT && pool.length > 0) {
+        modifiers.push(pool.splice(random.between(0, pool.length - 1), 1)[0]);
+    }
+
+    return { dateKey, seed, heroKey, engineerKey, modifiers };
+}
+
+/**
+ * Format a run time for the leaderboard
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Time as m:ss
+ */
+export function formatRunTime(ms) {
+    const totalSeconds = Math.floor((ms || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
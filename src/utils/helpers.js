@@ -1,4 +1,5 @@
 import { TILE_SIZE, GAME_WIDTH, GAME_HEIGHT } from '../constants.js';
+import { DEFAULT_DAMAGE_TYPE } from '../data/damageTypes.js';
 
 // --- Damage & Effects ---
 
@@ -66,9 +67,14 @@ function handleCharacterDeath(scene, character) {
     }
 }
 
-// Simplified damageEnemy calls damageCharacter
-export function damageEnemy(scene, enemy, amount) {
-     damageCharacter(scene, enemy, amount);
+// damageEnemy goes through the enemy's own damage() (resistances, shields, kill credit),
+// falling back to damageCharacter for plain sprites
+export function damageEnemy(scene, enemy, amount, damageType = DEFAULT_DAMAGE_TYPE) {
+    if (enemy && typeof enemy.damage === 'function') {
+        enemy.damage(amount, damageType);
+        return;
+    }
+    damageCharacter(scene, enemy, amount);
 }
 
 // --- Visual Effects ---
@@ -242,7 +248,7 @@ export function createPoisonCloud(scene, x, y, radius) {
         bounds: { radius: radius * 0.8 }
     });
     
-    // Damage interval (damage enemies every 500ms)
+    // Poison interval (re-apply poison to enemies inside every 500ms)
     let damageTimer = scene.time.addEvent({
         delay: 500,
         callback: () => {
@@ -250,20 +256,10 @@ export function createPoisonCloud(scene, x, y, radius) {
                 if (!enemy.active) return;
                 
                 const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
-                if (distance <= radius) {
-                    // Apply poison damage
-                    damageEnemy(scene, enemy, 1);
-                    
-                    // Slow the enemy
-                    if (!enemy.isPoisoned) {
-                        enemy.isPoisoned = true;
-                        enemy.setTint(0x00FF00);
-                        
-                        if (!enemy.originalSpeed) {
-                            enemy.originalSpeed = enemy.speed;
-                        }
-                        enemy.speed = enemy.originalSpeed * 0.6;
-                    }
+                if (distance <= radius && typeof enemy.applyStatus === 'function') {
+                    // Poison (damage and slow) lasts while the enemy stays inside;
+                    // overlapping clouds stack
+                    enemy.applyStatus('poison', { duration: 600, potency: 1, source: cloud });
                 }
             });
         },
@@ -279,17 +275,6 @@ export function createPoisonCloud(scene, x, y, radius) {
             cloud.destroy();
             if (particles && particles.active) particles.destroy();
             if (damageTimer && damageTimer.active) damageTimer.remove();
-            
-            // Restore enemy speeds
-            scene.enemies.getChildren().forEach(enemy => {
-                if (enemy.active && enemy.isPoisoned) {
-                    enemy.isPoisoned = false;
-                    enemy.clearTint();
-                    if (enemy.originalSpeed) {
-                        enemy.speed = enemy.originalSpeed;
-                    }
-                }
-            });
         }
     });
 }
@@ -375,7 +360,7 @@ export function createTimedExplosion(scene, x, y, radius = 80, delay = 1500, dam
             const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
             if (distance <= radius) {
                 // Apply damage
-                damageEnemy(scene, enemy, damage);
+                damageEnemy(scene, enemy, damage, 'fire');
                 
                 // Add knockback effect
                 const angle = Phaser.Math.Angle.Between(x, y, enemy.x, enemy.y);
@@ -484,7 +469,7 @@ export function createPoisonCloudPooled(scene, x, y, radius, resourceManager) {
         quantity: 10
     });
     
-    // Damage logic
+    // Poison logic (same as createPoisonCloud)
     let damageTimer = scene.time.addEvent({
         delay: 500,
         callback: () => {
@@ -492,8 +477,8 @@ export function createPoisonCloudPooled(scene, x, y, radius, resourceManager) {
                 if (!enemy.active) return;
                 
                 const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
-                if (distance <= radius) {
-                    damageEnemy(scene, enemy, 1);
+                if (distance <= radius && typeof enemy.applyStatus === 'function') {
+                    enemy.applyStatus('poison', { duration: 600, potency: 1, source: cloud });
                 }
             });
         },
@@ -649,7 +634,7 @@ export function createTimedExplosionPooled(scene, x, y, radius = 80, delay = 150
             
             const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
             if (distance <= radius) {
-                damageEnemy(scene, enemy, damage);
+                damageEnemy(scene, enemy, damage, 'fire');
                 
                 // Add knockback effect
                 const angle = Phaser.Math.Angle.Between(x, y, enemy.x, enemy.y);
@@ -0,0 +1,124 @@
+import { BOSS_LEVEL_INTERVAL } from '../constants.js';
+import { MAP_NODE_TYPES } from '../data/mapNodes.js';
+import { createSeededRandom } from './SeededRandom.js';
+
+export const MAP_LANES = 5;
+const MAP_PATHS = 4;
+const BOSS_LANE = Math.floor(MAP_LANES / 2);
+
+/**
+ * Get the stage (1-4) a level belongs to
+ * @param {number} level - Campaign level
+ * @returns {number} Stage number
+ */
+export function getStageForLevel(level) {
+    return Math.ceil(level / BOSS_LEVEL_INTERVAL);
+}
+
+/**
+ * Get the map row (0-based) a level occupies within its stage
+ * @param {number} level - Campaign level
+ * @returns {number} Row index
+ */
+export function getRowForLevel(level) {
+    return (level - 1) % BOSS_LEVEL_INTERVAL;
+}
+
+/**
+ * Roll a node type for a regular (non-boss) node
+ * @param {function} random - Seeded random function
+ * @param {number} row - Row index, used for minRow restrictions
+ * @returns {string} Node type key
+ */
+function rollNodeType(random, row) {
+    const candidates = Object.values(MAP_NODE_TYPES).filter(type => type.weight > 0 && row >= type.minRow);
+    const totalWeight = candidates.reduce((sum, type) => sum + type.weight, 0);
+
+    let roll = random() * totalWeight;
+    for (const type of candidates) {
+        roll -= type.weight;
+        if (roll < 0) return type.key;
+    }
+    return candidates[candidates.length - 1].key;
+}
+
+/**
+ * Generate a Slay the Spire style node graph for one stage. Each row is one
+ * level; several random walks from the bottom row form the branching paths.
+ * @param {number} stage - Stage number (1-4)
+ * @param {number} seed - Run seed; combined with the stage so each stage differs
+ * @param {number[]} bossRows - Rows that must be a single boss node
+ * @returns {object} { stage, seed, rows: [[{ id, row, lane, type, next }]] }
+ */
+export function generateStageMap(stage, seed, bossRows = []) {
+    const random = createSeededRandom(seed + stage * 7919);
+    const rowCount = BOSS_LEVEL_INTERVAL;
+    const nodes = {};
+
+    // If the wave tables don't place a boss in this stage, the final row gets one
+    const bosses = bossRows.length > 0 ? bossRows : [rowCount - 1];
+
+    const getNode = (row, lane) => {
+        // Ids include the stage: the run's visited path spans every stage
+        const id = `${stage}-${row}-${lane}`;
+        if (!nodes[id]) {
+            nodes[id] = { id, row, lane, type: null, next: [] };
+        }
+        return nodes[id];
+    };
+
+    // Walk each path upward, drifting at most one lane per row
+    for (let path = 0; path < MAP_PATHS; path++) {
+        let lane = Math.floor(random() * MAP_LANES);
+        let previous = null;
+
+        for (let row = 0; row < rowCount; row++) {
+            if (row > 0) {
+                lane = Phaser.Math.Clamp(lane + Math.floor(random() * 3) - 1, 0, MAP_LANES - 1);
+            }
+
+            const node = getNode(row, bosses.includes(row) ? BOSS_LANE : lane);
+            if (previous && !previous.next.includes(node.id)) {
+                previous.next.push(node.id);
+            }
+            previous = node;
+        }
+    }
+
+    // Group into rows sorted by lane and assign types
+    const rows = [];
+    for (let row = 0; row < rowCount; row++) {
+        rows.push(Object.values(nodes)
+            .filter(node => node.row === row)
+            .sort((a, b) => a.lane - b.lane));
+    }
+
+    rows.forEach((rowNodes, row) => {
+        rowNodes.forEach(node => {
+            if (bosses.includes(row)) {
+                node.type = 'boss';
+            } else if (row === 0) {
+                node.type = 'combat';
+            } else {
+                node.type = rollNodeType(random, row);
+            }
+        });
+    });
+
+    return { stage, seed, rows };
+}
+
+/**
+ * Find a node in a stage map by id
+ * @param {object} stageMap - Map from generateStageMap()
+ * @param {string} id - Node id
+ * @returns {object|null} Node or null
+ */
+export function findMapNode(stageMap, id) {
+    if (!stageMap || !id) return null;
+    for (const row of stageMap.rows) {
+        const node = row.find(candidate => candidate.id === id);
+        if (node) return node;
+    }
+    return null;
+}
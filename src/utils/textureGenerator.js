@@ -1,4 +1,5 @@
 import { TILE_SIZE } from '../constants.js';
+import { biomes } from '../data/biomes.js';
 
 /**
  * Creates all game textures in one centralized place
@@ -27,6 +28,9 @@ export function createGameTextures(scene) {
     // --- Item Textures ---
     createPickupTexture(scene);
     
+    // --- Prop Textures ---
+    createPropTextures(scene);
+    
     // --- Terrain Textures ---
     createTerrainTextures(scene);
     
@@ -262,6 +266,100 @@ function createPickupTexture(scene) {
     scene.textures.addCanvas('pickup', pickupCanvas);
 }
 
+/**
+ * Creates the breakable prop textures (see props.js)
+ * @param {Phaser.Scene} scene - The scene context
+ */
+function createPropTextures(scene) {
+    const size = TILE_SIZE;
+    const drawProp = (key, draw) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        draw(canvas.getContext('2d'));
+        scene.textures.addCanvas(key, canvas);
+    };
+    
+    // Crate: planks with a cross brace
+    drawProp('prop_crate', ctx => {
+        ctx.fillStyle = '#B5834A';
+        ctx.fillRect(size*0.15, size*0.15, size*0.7, size*0.7);
+        ctx.strokeStyle = '#6B4423';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(size*0.15, size*0.15, size*0.7, size*0.7);
+        ctx.beginPath();
+        ctx.moveTo(size*0.15, size*0.15);
+        ctx.lineTo(size*0.85, size*0.85);
+        ctx.moveTo(size*0.85, size*0.15);
+        ctx.lineTo(size*0.15, size*0.85);
+        ctx.stroke();
+    });
+    
+    // Barrel: wooden staves with iron hoops
+    const drawBarrel = (body, hoops) => ctx => {
+        ctx.fillStyle = body;
+        ctx.beginPath();
+        ctx.ellipse(size/2, size/2, size*0.3, size*0.38, 0, 0, Math.PI*2);
+        ctx.fill();
+        ctx.strokeStyle = hoops;
+        ctx.lineWidth = 3;
+        [0.32, 0.68].forEach(y => {
+            ctx.beginPath();
+            ctx.moveTo(size*0.22, size*y);
+            ctx.lineTo(size*0.78, size*y);
+            ctx.stroke();
+        });
+    };
+    drawProp('prop_barrel', drawBarrel('#8B5A2B', '#3A3A3A'));
+    
+    // Explosive barrel: red with a hazard mark
+    drawProp('prop_explosive_barrel', ctx => {
+        drawBarrel('#C62828', '#222222')(ctx);
+        ctx.fillStyle = '#FFD600';
+        ctx.beginPath();
+        ctx.moveTo(size/2, size*0.38);
+        ctx.lineTo(size*0.6, size*0.6);
+        ctx.lineTo(size*0.4, size*0.6);
+        ctx.closePath();
+        ctx.fill();
+    });
+    
+    // Gravestone: rounded slab with a cross
+    drawProp('prop_gravestone', ctx => {
+        ctx.fillStyle = '#8C8C96';
+        ctx.beginPath();
+        ctx.arc(size/2, size*0.4, size*0.25, Math.PI, 0);
+        ctx.lineTo(size*0.75, size*0.85);
+        ctx.lineTo(size*0.25, size*0.85);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = '#4A4A52';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(size/2, size*0.3);
+        ctx.lineTo(size/2, size*0.65);
+        ctx.moveTo(size*0.38, size*0.42);
+        ctx.lineTo(size*0.62, size*0.42);
+        ctx.stroke();
+    });
+    
+    // Crystal cluster: three glowing shards
+    drawProp('prop_crystal', ctx => {
+        ctx.fillStyle = '#9FE8FF';
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        [[0.5, 0.12, 0.14], [0.3, 0.35, 0.1], [0.7, 0.3, 0.11]].forEach(([x, top, half]) => {
+            ctx.beginPath();
+            ctx.moveTo(size*x, size*top);
+            ctx.lineTo(size*(x + half), size*0.85);
+            ctx.lineTo(size*(x - half), size*0.85);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        });
+    });
+}
+
 /**
  * Creates the bullet texture for projectiles
  * @param {Phaser.Scene} scene - The scene context
@@ -303,20 +401,45 @@ function createArrowTexture(scene) {
     scene.textures.addCanvas('arrow', arrowCanvas);
 }
 
+// Terrain tiles in tile index order (TERRAIN in TerrainSystem.js) with their default colors
+const TERRAIN_TILE_CONFIG = [
+    { key: 'meadow', color: 0x90EE90 },  // Light green
+    { key: 'bush', color: 0x228B22 },    // Forest green
+    { key: 'forest', color: 0x006400 },  // Dark green
+    { key: 'swamp', color: 0x2F4F4F },   // Dark slate gray
+    { key: 'floor', color: 0x000000, alpha: 0 },    // Transparent
+    { key: 'border', color: 0xFF0000 },  // Red
+    { key: 'ice', color: 0xCCF2FF },     // Pale blue
+    { key: 'lava', color: 0xFF5500 },    // Orange
+    { key: 'consecrated', color: 0xFFF2B0 }, // Pale gold
+    { key: 'rubble', color: 0x777070 }   // Gray
+];
+
 /**
- * Create textures for terrain tiles
+ * Create textures for terrain tiles: the default 'terrain' tileset and
+ * a 'terrain_<key>' tileset in each biome's palette (biomes.js)
  * @param {Phaser.Scene} scene - The scene to add textures to
  */
 function createTerrainTextures(scene) {
+    createTerrainTileset(scene, 'terrain', {});
+    Object.values(biomes).forEach(biome => {
+        createTerrainTileset(scene, `terrain_${biome.key}`, biome.palette);
+    });
+    
+    console.log('Terrain textures generated successfully');
+}
+
+/**
+ * Draw one terrain tileset texture, one frame per terrain type
+ * @param {Phaser.Scene} scene - The scene to add textures to
+ * @param {string} textureKey - Key to save the tileset under
+ * @param {object} palette - Base color per terrain key, overriding the defaults
+ */
+function createTerrainTileset(scene, textureKey, palette) {
     // Create terrain tileset with proper hex colors
-    const terrainConfig = [
-        { key: 'meadow', color: 0x90EE90 },  // Light green
-        { key: 'bush', color: 0x228B22 },    // Forest green
-        { key: 'forest', color: 0x006400 },  // Dark green
-        { key: 'swamp', color: 0x2F4F4F },   // Dark slate gray
-        { key: 'floor', color: 0x000000, alpha: 0 },    // Transparent
-        { key: 'border', color: 0xFF0000 }   // Red
-    ];
+    const terrainConfig = TERRAIN_TILE_CONFIG.map(config => (
+        palette[config.key] !== undefined ? { ...config, color: palette[config.key] } : config
+    ));
 
     // Create a single graphics object
     const graphics = scene.add.graphics();
@@ -391,6 +514,49 @@ function createTerrainTextures(scene) {
                     graphics.lineBetween(0, i, TILE_SIZE, i + 12);
                 }
                 break;
+                
+            case 'ice':
+                // Glossy streaks
+                graphics.lineStyle(2, 0xFFFFFF, 0.7);
+                graphics.lineBetween(6, 14, 20, 4);
+                graphics.lineBetween(24, 40, 42, 26);
+                graphics.lineStyle(1, 0xFFFFFF, 0.5);
+                graphics.lineBetween(10, 30, 18, 24);
+                break;
+                
+            case 'lava':
+                // Glowing cracks in a dark crust
+                graphics.fillStyle(0x000000, 0.35);
+                for (let i = 0; i < TILE_SIZE; i += 16) {
+                    for (let j = 0; j < TILE_SIZE; j += 16) {
+                        graphics.fillCircle(i + 8, j + 8, 5);
+                    }
+                }
+                graphics.lineStyle(2, 0xFFDD33, 0.8);
+                graphics.lineBetween(0, TILE_SIZE / 2, TILE_SIZE, TILE_SIZE / 2 + 6);
+                graphics.lineBetween(TILE_SIZE / 2, 0, TILE_SIZE / 2 - 6, TILE_SIZE);
+                break;
+                
+            case 'consecrated':
+                // Holy sigil
+                graphics.lineStyle(3, 0xFFFFFF, 0.7);
+                graphics.lineBetween(TILE_SIZE / 2, 8, TILE_SIZE / 2, TILE_SIZE - 8);
+                graphics.lineBetween(12, TILE_SIZE / 2 - 4, TILE_SIZE - 12, TILE_SIZE / 2 - 4);
+                graphics.lineStyle(1, 0xFFD700, 0.6);
+                graphics.strokeCircle(TILE_SIZE / 2, TILE_SIZE / 2, TILE_SIZE / 2 - 4);
+                break;
+                
+            case 'rubble':
+                // Heaped stones
+                graphics.fillStyle(0x000000, 0.3);
+                for (let i = 0; i < TILE_SIZE; i += 12) {
+                    for (let j = 0; j < TILE_SIZE; j += 12) {
+                        graphics.fillRect(i + 2 + (j % 24 === 0 ? 0 : 4), j + 2, 8, 7);
+                    }
+                }
+                graphics.lineStyle(2, 0x000000, 0.5);
+                graphics.strokeRect(1, 1, TILE_SIZE - 2, TILE_SIZE - 2);
+                break;
         }
         
         // Draw this terrain type to the tileset texture
@@ -398,17 +564,15 @@ function createTerrainTextures(scene) {
     });
     
     // Save the complete tileset texture
-    renderTexture.saveTexture('terrain');
+    renderTexture.saveTexture(textureKey);
     
     // Clean up
     graphics.destroy();
     renderTexture.destroy();
     
     // Add frame data to make it a proper tileset
-    scene.textures.get('terrain').add('__BASE', 0, 0, 0, TILE_SIZE * terrainConfig.length, TILE_SIZE);
+    scene.textures.get(textureKey).add('__BASE', 0, 0, 0, TILE_SIZE * terrainConfig.length, TILE_SIZE);
     for (let i = 0; i < terrainConfig.length; i++) {
-        scene.textures.get('terrain').add(i, 0, i * TILE_SIZE, 0, TILE_SIZE, TILE_SIZE);
+        scene.textures.get(textureKey).add(i, 0, i * TILE_SIZE, 0, TILE_SIZE, TILE_SIZE);
     }
-    
-    console.log('Terrain textures generated successfully');
 } 
\ No newline at end of file